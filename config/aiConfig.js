@@ -3,11 +3,20 @@
  * Manages API keys and ensures proper separation between OpenAI and Gemini
  * 
  * RULES:
- * - OpenAI API key: OPENAI_API_KEY (for transcription only)
- * - Gemini/Vertex AI: GOOGLE_VERTEX_PROJECT (for compliance analysis only)
+ * - OpenAI API key: OPENAI_API_KEY (transcription; compliance analysis only when
+ *   listed in an LLM_CHAIN_* fallback chain)
+ * - Gemini/Vertex AI: GOOGLE_VERTEX_PROJECT (compliance analysis)
+ * - Local OpenAI-compatible endpoint: LOCAL_LLM_BASE_URL (optional)
+ * - AI_MOCK_MODE=true: offline mock LLM and transcription, no keys needed
  * - NEVER mix API keys between services
  */
 
+/**
+ * Offline mock mode (services/mockProviders.js)
+ * @returns {boolean}
+ */
+export const isMockMode = () => process.env.AI_MOCK_MODE === 'true';
+
 /**
  * Validate OpenAI configuration
  * @returns {object} OpenAI config
@@ -46,11 +55,35 @@ export const getGeminiConfig = () => {
   };
 };
 
+/**
+ * Validate local OpenAI-compatible endpoint configuration (Ollama, vLLM, ...)
+ * @returns {object} Local LLM config
+ */
+export const getLocalLLMConfig = () => {
+  const baseURL = process.env.LOCAL_LLM_BASE_URL;
+
+  if (!baseURL) {
+    throw new Error('LOCAL_LLM_BASE_URL is not set. Required for the local LLM provider.');
+  }
+
+  return {
+    baseURL,
+    // Most local servers ignore the key, but the client requires one
+    apiKey: process.env.LOCAL_LLM_API_KEY || 'not-needed',
+    provider: 'local'
+  };
+};
+
 /**
  * Validate that API keys are properly separated
  * Ensures no mixing of keys between services
  */
 export const validateAISeparation = () => {
+  if (isMockMode()) {
+    console.warn('⚠️  AI_MOCK_MODE=true - using offline mock LLM and transcription providers');
+    return { openaiConfigured: false, geminiConfigured: false, mockMode: true };
+  }
+
   const openaiKey = process.env.OPENAI_API_KEY;
   const geminiProject = process.env.VERTEX_PROJECT_ID || process.env.VERTEX_AI_PROJECT_ID || process.env.GOOGLE_VERTEX_PROJECT;
   
@@ -74,7 +107,9 @@ export const validateAISeparation = () => {
 };
 
 export default {
+  isMockMode,
   getOpenAIConfig,
   getGeminiConfig,
+  getLocalLLMConfig,
   validateAISeparation
 };
@@ -0,0 +1,30 @@
+/**
+ * Organization Roles
+ * What each member role may do inside its organization:
+ * - owner: everything, including members, invitations and roles
+ * - reviewer: submit audits and read every audit of the organization
+ * - submitter: submit audits and read the ones they submitted
+ * - viewer: read every audit of the organization, submit nothing
+ */
+
+export const ORG_ROLES = ['owner', 'reviewer', 'submitter', 'viewer'];
+
+export const ORG_ROLE_PERMISSIONS = {
+  owner: ['audits:create', 'audits:read:all', 'audits:read:own', 'members:manage'],
+  reviewer: ['audits:create', 'audits:read:all', 'audits:read:own'],
+  submitter: ['audits:create', 'audits:read:own'],
+  viewer: ['audits:read:all']
+};
+
+/**
+ * @param {string} role - Member role
+ * @param {string} permission - e.g. 'audits:create'
+ * @returns {boolean}
+ */
+export const hasOrgPermission = (role, permission) => (ORG_ROLE_PERMISSIONS[role] || []).includes(permission);
+
+export default {
+  ORG_ROLES,
+  ORG_ROLE_PERMISSIONS,
+  hasOrgPermission
+};
@@ -0,0 +1,52 @@
+/**
+ * Plan Configuration
+ * Plan tiers (User.plan) and their quota limits, enforced by
+ * middleware/quotaMiddleware.js. null means unlimited.
+ *
+ * PLAN_LIMITS (JSON, same shape as DEFAULT_PLAN_LIMITS) is merged over the
+ * defaults, e.g. {"free":{"auditsPerDay":25}}.
+ */
+
+export const PLANS = ['free', 'pro', 'enterprise'];
+export const DEFAULT_PLAN = 'free';
+
+export const DEFAULT_PLAN_LIMITS = {
+  free: { auditsPerDay: 10, mediaMinutesPerMonth: 30, maxFileSizeMb: 10 },
+  pro: { auditsPerDay: 200, mediaMinutesPerMonth: 600, maxFileSizeMb: 100 },
+  enterprise: { auditsPerDay: null, mediaMinutesPerMonth: null, maxFileSizeMb: 100 }
+};
+
+let cachedLimits = null;
+let cachedLimitsSource;
+
+/**
+ * Plan limits with PLAN_LIMITS applied
+ * @returns {object} { [plan]: { auditsPerDay, mediaMinutesPerMonth, maxFileSizeMb } }
+ */
+export const getPlanLimits = () => {
+  const source = process.env.PLAN_LIMITS || '';
+  if (cachedLimits && cachedLimitsSource === source) return cachedLimits;
+
+  let overrides = {};
+  if (source) {
+    try {
+      overrides = JSON.parse(source);
+    } catch (error) {
+      console.warn('[Quota] Invalid PLAN_LIMITS JSON; using defaults:', error.message);
+    }
+  }
+
+  cachedLimits = Object.fromEntries(PLANS.map((plan) => [
+    plan,
+    { ...DEFAULT_PLAN_LIMITS[plan], ...(overrides[plan] && typeof overrides[plan] === 'object' ? overrides[plan] : {}) }
+  ]));
+  cachedLimitsSource = source;
+  return cachedLimits;
+};
+
+export default {
+  PLANS,
+  DEFAULT_PLAN,
+  DEFAULT_PLAN_LIMITS,
+  getPlanLimits
+};
@@ -0,0 +1,58 @@
+/**
+ * Account Roles
+ * What each account role (User.role) may do across the API, checked by
+ * requirePermission in middleware/authMiddleware.js:
+ * - admin: everything, including rule edits and user management
+ * - reviewer: run and read audits, read rules, read everyone's usage
+ * - user (default): run and read audits, read rules
+ * - viewer: read audits and rules, run nothing
+ *
+ * Organization roles (config/orgRoles.js) apply on top of these inside an
+ * organization. ADMIN_EMAILS (comma-separated) bootstraps the first admins:
+ * the matching accounts get the stored admin role once, at startup
+ * (seedAdminsFromEnv in services/accountService.js).
+ *
+ * API keys (models/ApiKey.js) carry a subset of API_KEY_PERMISSIONS, and
+ * only those their creator's role still has apply.
+ */
+
+export const ROLES = ['admin', 'reviewer', 'user', 'viewer'];
+export const DEFAULT_ROLE = 'user';
+
+export const ROLE_PERMISSIONS = {
+  admin: ['audits:create', 'audits:read', 'rules:read', 'rules:write', 'usage:read:all', 'users:manage'],
+  reviewer: ['audits:create', 'audits:read', 'rules:read', 'usage:read:all'],
+  user: ['audits:create', 'audits:read', 'rules:read'],
+  viewer: ['audits:read', 'rules:read']
+};
+
+export const API_KEY_PERMISSIONS = ['audits:create', 'audits:read', 'rules:read'];
+
+export const getAdminEmails = () => (process.env.ADMIN_EMAILS || '')
+  .split(',')
+  .map((email) => email.trim().toLowerCase())
+  .filter(Boolean);
+
+/**
+ * A user's effective role
+ * @param {object} user - { role }
+ * @returns {string} One of ROLES
+ */
+export const resolveRole = (user) => (ROLES.includes(user?.role) ? user.role : DEFAULT_ROLE);
+
+/**
+ * @param {string} role - Account role
+ * @param {string} permission - e.g. 'rules:write'
+ * @returns {boolean}
+ */
+export const hasPermission = (role, permission) => (ROLE_PERMISSIONS[role] || []).includes(permission);
+
+export default {
+  ROLES,
+  DEFAULT_ROLE,
+  ROLE_PERMISSIONS,
+  API_KEY_PERMISSIONS,
+  getAdminEmails,
+  resolveRole,
+  hasPermission
+};
@@ -0,0 +1,163 @@
+import mongoose from 'mongoose';
+import ApiKey from '../models/ApiKey.js';
+import { API_KEY_PERMISSIONS } from '../config/roles.js';
+import { hasOrgPermission } from '../config/orgRoles.js';
+import { getMembership } from '../services/orgService.js';
+import { toPublicApiKey, createApiKey as createKey, listApiKeys as listKeys, revokeApiKey as revokeKey } from '../services/apiKeyService.js';
+
+/**
+ * API Key Controller
+ * Personal keys belong to their creator. Organization keys (orgId) are
+ * created, listed and revoked by members with members:manage; they submit
+ * into the organization as their creator.
+ */
+
+const DEFAULT_PERMISSIONS = ['audits:create', 'audits:read'];
+const MAX_EXPIRY_DAYS = 3650;
+const MAX_RATE_LIMIT = 10000;
+const MAX_RATE_WINDOW_SECONDS = 24 * 60 * 60;
+
+const databaseUnavailable = (res) => res.status(503).json({
+  ok: false,
+  error: 'API keys are unavailable. Database connection is not ready.'
+});
+
+/**
+ * Whether the caller manages the organization's keys
+ * @returns {Promise<boolean>}
+ */
+const managesOrg = async (orgId, userId) => {
+  const membership = await getMembership(String(orgId), userId);
+  return Boolean(membership && hasOrgPermission(membership.role, 'members:manage'));
+};
+
+/**
+ * Validate the create body
+ * @returns {object|string} Key fields, or an error message
+ */
+const parseKeyRequest = (body, user) => {
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  if (!name || name.length > 100) return 'name is required (at most 100 characters)';
+
+  const permissions = body.permissions === undefined ? DEFAULT_PERMISSIONS : body.permissions;
+  if (!Array.isArray(permissions) || !permissions.length || permissions.some((permission) => !API_KEY_PERMISSIONS.includes(permission))) {
+    return `permissions must be a non-empty array of: ${API_KEY_PERMISSIONS.join(', ')}`;
+  }
+  const notHeld = permissions.filter((permission) => !user.permissions.includes(permission));
+  if (notHeld.length) return `Your role does not have: ${notHeld.join(', ')}`;
+
+  let expiresAt = null;
+  if (body.expiresInDays !== undefined && body.expiresInDays !== null) {
+    const days = Number(body.expiresInDays);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+      return `expiresInDays must be a whole number from 1 to ${MAX_EXPIRY_DAYS}`;
+    }
+    expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  }
+
+  let rateLimit = null;
+  if (body.rateLimit !== undefined && body.rateLimit !== null) {
+    const max = Number(body.rateLimit?.max);
+    const windowSeconds = Number(body.rateLimit?.windowSeconds);
+    if (!Number.isInteger(max) || max < 1 || max > MAX_RATE_LIMIT
+      || !Number.isInteger(windowSeconds) || windowSeconds < 1 || windowSeconds > MAX_RATE_WINDOW_SECONDS) {
+      return `rateLimit must be { max: 1-${MAX_RATE_LIMIT}, windowSeconds: 1-${MAX_RATE_WINDOW_SECONDS} }`;
+    }
+    rateLimit = { max, windowSeconds };
+  }
+
+  return { name, permissions: [...new Set(permissions)], expiresAt, rateLimit };
+};
+
+/**
+ * Create a key; the key is only ever returned in this response
+ * POST /api-keys { name, permissions?, orgId?, expiresInDays?, rateLimit? }
+ */
+export const createApiKey = async (req, res) => {
+  try {
+    if (mongoose.connection.readyState !== 1) return databaseUnavailable(res);
+
+    const fields = parseKeyRequest(req.body || {}, req.user);
+    if (typeof fields === 'string') {
+      return res.status(400).json({ ok: false, error: fields });
+    }
+
+    const { orgId } = req.body;
+    if (orgId) {
+      if (!mongoose.Types.ObjectId.isValid(orgId)) {
+        return res.status(400).json({ ok: false, error: 'Invalid orgId' });
+      }
+      if (!(await managesOrg(orgId, req.user.id))) {
+        return res.status(403).json({ ok: false, error: 'Only organization owners can create organization API keys' });
+      }
+    }
+
+    const { key, apiKey } = await createKey({ ...fields, userId: req.user.id, orgId: orgId || null });
+
+    console.log(`[API Keys] ${req.user.email} created ${apiKey.prefix}… (${apiKey.name})${orgId ? ` for org ${orgId}` : ''}`);
+    return res.status(201).json({ ok: true, data: { ...toPublicApiKey(apiKey), key } });
+  } catch (error) {
+    console.error('[API Keys] Create error:', error);
+    return res.status(500).json({ ok: false, error: error.message || 'Failed to create API key' });
+  }
+};
+
+/**
+ * Personal keys, or an organization's with ?orgId=
+ * GET /api-keys
+ */
+export const listApiKeys = async (req, res) => {
+  try {
+    if (mongoose.connection.readyState !== 1) return databaseUnavailable(res);
+
+    const { orgId } = req.query;
+    if (orgId) {
+      if (!mongoose.Types.ObjectId.isValid(orgId)) {
+        return res.status(400).json({ ok: false, error: 'Invalid orgId' });
+      }
+      if (!(await managesOrg(orgId, req.user.id))) {
+        return res.status(403).json({ ok: false, error: 'Only organization owners can list organization API keys' });
+      }
+    }
+
+    const keys = await listKeys(orgId ? { orgId } : { userId: req.user.id });
+    return res.json({ ok: true, data: keys.map(toPublicApiKey) });
+  } catch (error) {
+    console.error('[API Keys] List error:', error);
+    return res.status(500).json({ ok: false, error: error.message || 'Failed to list API keys' });
+  }
+};
+
+/**
+ * Revoke a key (its creator, or an owner of its organization)
+ * DELETE /api-keys/:id
+ */
+export const revokeApiKey = async (req, res) => {
+  try {
+    if (mongoose.connection.readyState !== 1) return databaseUnavailable(res);
+
+    const apiKey = await ApiKey.findById(req.params.id).select('-keyHash').lean();
+    const allowed = apiKey && (String(apiKey.userId) === String(req.user.id)
+      || (apiKey.orgId && await managesOrg(apiKey.orgId, req.user.id)));
+    if (!allowed) {
+      return res.status(404).json({ ok: false, error: 'API key not found' });
+    }
+
+    await revokeKey(apiKey, req.user.id);
+
+    console.log(`[API Keys] ${req.user.email} revoked ${apiKey.prefix}… (${apiKey.name})`);
+    return res.json({ ok: true, data: { id: apiKey._id, revokedAt: apiKey.revokedAt || new Date() } });
+  } catch (error) {
+    console.error('[API Keys] Revoke error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ ok: false, error: 'Invalid ID format' });
+    }
+    return res.status(500).json({ ok: false, error: error.message || 'Failed to revoke API key' });
+  }
+};
+
+export default {
+  createApiKey,
+  listApiKeys,
+  revokeApiKey
+};
@@ -1,5 +1,16 @@
+import mongoose from 'mongoose';
 import AuditRecord from '../models/AuditRecord.js';
+import AuditBatch from '../models/AuditBatch.js';
 import { processContent } from '../services/contentProcessor.js';
+import { enqueueAuditJob, getAuditJob } from '../services/auditJobQueue.js';
+import { subscribeToAuditEvents, hasAuditEvents, isTerminalEvent } from '../services/auditEvents.js';
+import { startBatchAudit, MAX_BATCH_ITEMS } from '../services/batchAuditService.js';
+import { listAnalysisModes } from '../services/analysisModes.js';
+import { getAuditScopeFilter, canReadRecord } from '../services/orgService.js';
+import { createStreamTicket } from '../services/tokenService.js';
+import { releaseAudits } from '../services/quotaService.js';
+
+const SSE_HEARTBEAT_MS = 15000;
 
 /**
  * Audit Controller
@@ -12,9 +23,15 @@ import { processContent } from '../services/contentProcessor.js';
  * Handles audit requests and history retrieval
  */
 
+const isAsyncRequested = (req) => {
+  const flag = req.query?.async ?? req.body?.async;
+  return flag === true || flag === 'true' || flag === '1';
+};
+
 /**
  * Create a new audit
  * POST /audit
+ * Pass async=true (query or body) to get a job ID back immediately
  */
 export const createAudit = async (req, res) => {
   try {
@@ -34,6 +51,29 @@ export const createAudit = async (req, res) => {
     if (text) input.text = text;
     if (url) input.url = url;
     if (file) input.file = file;
+
+    if (isAsyncRequested(req)) {
+      const job = await enqueueAuditJob({
+        input,
+        options: {
+          userId: req.user?.id,
+          orgId: req.org?.id,
+          category,
+          analysisMode,
+          country,
+          region
+        },
+        // The audit was reserved from the daily quota; a failed one is given back
+        onSettled: ({ status }) => (status === 'failed' ? releaseAudits(req.quotaReservation, 1) : undefined)
+      });
+
+      return res.status(202).json({
+        success: true,
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/api/audit/jobs/${job.id}`
+      });
+    }
     
     console.log(`[Audit Controller] Creating audit - Smart AI Model Router will select optimal model`);
     
@@ -41,6 +81,7 @@ export const createAudit = async (req, res) => {
     // Router automatically selects model based on content type, size, and complexity
     const auditResult = await processContent(input, {
       userId: req.user?.id,
+      orgId: req.org?.id,
       category,
       analysisMode,
       country,
@@ -57,14 +98,59 @@ export const createAudit = async (req, res) => {
 };
 
 /**
- * Get audit history
+ * Analysis modes with their cost and latency
+ * GET /audit/modes
+ */
+export const getAnalysisModes = (req, res) => res.json({ modes: listAnalysisModes() });
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * History filters from the query string
+ * @returns {object|string} Mongo filter, or an error message
+ */
+const buildHistoryFilter = ({ q, status, contentType, analysisMode, submittedBy, from, to }) => {
+  const filter = {};
+
+  if (typeof q === 'string' && q.trim()) {
+    const pattern = new RegExp(escapeRegExp(q.trim().slice(0, 200)), 'i');
+    filter.$or = [{ originalInput: pattern }, { extractedText: pattern }, { 'auditResult.summary': pattern }];
+  }
+  if (status) filter['auditResult.status'] = String(status);
+  if (contentType) filter.contentType = String(contentType);
+  if (analysisMode) filter.analysisMode = String(analysisMode);
+  if (submittedBy) {
+    if (!mongoose.Types.ObjectId.isValid(submittedBy)) return 'Invalid submittedBy user ID';
+    filter.userId = new mongoose.Types.ObjectId(submittedBy);
+  }
+  if (from || to) {
+    const range = {};
+    if (from) range.$gte = new Date(from);
+    if (to) range.$lte = new Date(to);
+    if (Object.values(range).some((date) => Number.isNaN(date.getTime()))) return 'from and to must be ISO dates';
+    filter.createdAt = range;
+  }
+
+  return filter;
+};
+
+/**
+ * Get audit history of the active workspace (personal, or the X-Org-Id organization)
  * GET /history
+ * Query params: limit, skip, q (text in the input, extracted text or summary),
+ * status, contentType, analysisMode, submittedBy (user ID), from, to
  */
 export const getAuditHistory = async (req, res) => {
   try {
     const { limit = 50, skip = 0 } = req.query;
 
-    const query = { userId: req.user?.id };
+    const filter = buildHistoryFilter(req.query);
+    if (typeof filter === 'string') {
+      return res.status(400).json({ error: filter });
+    }
+
+    // $and keeps the workspace scope from being widened by the filters (e.g. submittedBy)
+    const query = { $and: [getAuditScopeFilter(req.user, req.org), filter] };
     const audits = await AuditRecord.find(query)
       .sort({ createdAt: -1 })
       .limit(parseInt(limit))
@@ -83,18 +169,18 @@ export const getAuditHistory = async (req, res) => {
 };
 
 /**
- * Get single audit by ID
+ * Get single audit by ID (your own, or one of an organization you may read)
  * GET /audit/:id
  */
 export const getAuditById = async (req, res) => {
   try {
     const { id } = req.params;
 
-    const audit = await AuditRecord.findOne({ _id: id, userId: req.user?.id })
-      .select('auditResult')
+    const audit = await AuditRecord.findById(id)
+      .select('auditResult userId orgId')
       .lean();
 
-    if (!audit) {
+    if (!audit || !(await canReadRecord(audit, req.user))) {
       return res.status(404).json({
         error: 'Audit not found'
       });
@@ -114,8 +200,261 @@ export const getAuditById = async (req, res) => {
   }
 };
 
+/**
+ * Get background audit job status
+ * GET /audit/jobs/:id
+ * Includes the audit result once status is "done"
+ */
+export const getAuditJobStatus = async (req, res) => {
+  try {
+    const job = await getAuditJob(req.params.id);
+
+    if (!job || !(await canReadRecord(job, req.user))) {
+      return res.status(404).json({
+        error: 'Audit job not found'
+      });
+    }
+
+    return res.json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      auditId: job.auditId,
+      error: job.error,
+      result: job.status === 'done' ? job.result : null,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt
+    });
+  } catch (error) {
+    console.error('[Audit Controller] Job status error:', error);
+    return res.status(500).json({
+      error: error.message || error.error || 'Failed to retrieve audit job'
+    });
+  }
+};
+
+/**
+ * Single-use ticket for opening the job's event stream with EventSource
+ * POST /audit/:jobId/events/ticket
+ */
+export const createAuditJobStreamTicket = async (req, res) => {
+  try {
+    const job = await getAuditJob(req.params.jobId);
+
+    if (!job || !(await canReadRecord(job, req.user))) {
+      return res.status(404).json({
+        error: 'Audit job not found'
+      });
+    }
+
+    const { ticket, expiresIn } = await createStreamTicket(req.user, job.id);
+    return res.status(201).json({ success: true, ticket, expiresIn });
+  } catch (error) {
+    console.error('[Audit Controller] Stream ticket error:', error);
+    return res.status(500).json({
+      error: error.message || error.error || 'Failed to create stream ticket'
+    });
+  }
+};
+
+/**
+ * Stream audit job progress as Server-Sent Events
+ * GET /audit/:jobId/events
+ * Each event: { id, type, jobId, timestamp, data }; the stream ends after "done" or "failed"
+ */
+export const streamAuditJobEvents = async (req, res) => {
+  const { jobId } = req.params;
+
+  let job;
+  let allowed = false;
+  try {
+    job = await getAuditJob(jobId);
+    allowed = Boolean(job) && await canReadRecord(job, req.user);
+  } catch (error) {
+    console.error('[Audit Controller] Job events error:', error);
+    return res.status(500).json({
+      error: error.message || error.error || 'Failed to retrieve audit job'
+    });
+  }
+
+  if (!allowed) {
+    return res.status(404).json({
+      error: 'Audit job not found'
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const writeEvent = (event) => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  // Event history has expired: replay the final state from the job record
+  if (!hasAuditEvents(jobId) && isTerminalEvent(job.status)) {
+    writeEvent({
+      id: 0,
+      type: job.status,
+      jobId,
+      timestamp: job.finishedAt || job.updatedAt,
+      data: { auditId: job.auditId, error: job.error }
+    });
+    return res.end();
+  }
+
+  let closed = false;
+  let unsubscribe = () => {};
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), SSE_HEARTBEAT_MS);
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+    res.end();
+  };
+
+  // A reconnect with a new ticket is a new EventSource, so it passes the last ID as ?lastEventId=
+  const afterId = parseInt(req.headers['last-event-id'] || req.query.lastEventId, 10) || 0;
+  unsubscribe = subscribeToAuditEvents(jobId, (event) => {
+    if (closed) return;
+    writeEvent(event);
+    if (isTerminalEvent(event.type)) {
+      close();
+    }
+  }, { afterId });
+
+  if (closed) {
+    unsubscribe();
+  }
+
+  req.on('close', close);
+};
+
+const parseBatchItems = (rawItems) => {
+  if (rawItems === undefined || rawItems === null || rawItems === '') return [];
+  const items = typeof rawItems === 'string' ? JSON.parse(rawItems) : rawItems;
+  if (!Array.isArray(items)) {
+    throw new Error('items must be an array');
+  }
+
+  return items.map((item, index) => {
+    const text = typeof item?.text === 'string' ? item.text.trim() : '';
+    const url = typeof item?.url === 'string' ? item.url.trim() : '';
+    if (!text && !url) {
+      throw new Error(`items[${index}] must have a non-empty text or url`);
+    }
+    return text ? { text } : { url };
+  });
+};
+
+/**
+ * Create a batch audit; items run as background jobs, poll GET /audit/batch/:id
+ * POST /audit/batch
+ * Body: items (array of { text } | { url }, JSON string when multipart) plus shared
+ * category/analysisMode/country/region; files: any number of uploaded files
+ */
+export const createBatchAudit = async (req, res) => {
+  try {
+    const { category, analysisMode, country, region } = req.body;
+
+    let inputs;
+    try {
+      inputs = parseBatchItems(req.body.items);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid items: ${error.message}`
+      });
+    }
+
+    (req.files || []).forEach((file) => inputs.push({ file }));
+
+    if (inputs.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'At least one item or file is required'
+      });
+    }
+
+    if (inputs.length > MAX_BATCH_ITEMS) {
+      return res.status(400).json({
+        success: false,
+        error: `A batch may contain at most ${MAX_BATCH_ITEMS} items`
+      });
+    }
+
+    const batch = await startBatchAudit({
+      inputs,
+      quotaReservation: req.quotaReservation,
+      options: {
+        userId: req.user?.id,
+        orgId: req.org?.id,
+        category,
+        analysisMode,
+        country,
+        region
+      }
+    });
+
+    return res.status(202).json({
+      success: true,
+      batchId: batch._id,
+      status: batch.status,
+      statusUrl: `/api/audit/batch/${batch._id}`,
+      items: batch.items.map(({ index, inputType, originalInput, jobId }) => ({ index, inputType, originalInput, jobId }))
+    });
+  } catch (error) {
+    console.error('[Audit Controller] Batch error:', error);
+    return res.status(500).json({
+      error: error.message || error.error || 'Failed to create batch audit'
+    });
+  }
+};
+
+/**
+ * Get a batch record
+ * GET /audit/batch/:id
+ */
+export const getAuditBatchById = async (req, res) => {
+  try {
+    const batch = await AuditBatch.findById(req.params.id).lean();
+
+    if (!batch || !(await canReadRecord(batch, req.user))) {
+      return res.status(404).json({
+        error: 'Batch not found'
+      });
+    }
+
+    return res.json(batch);
+  } catch (error) {
+    console.error('[Audit Controller] Get batch error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        error: 'Invalid batch ID format'
+      });
+    }
+    return res.status(500).json({
+      error: error.message || error.error || 'Failed to retrieve batch'
+    });
+  }
+};
+
 export default {
   createAudit,
+  createBatchAudit,
+  getAuditBatchById,
+  getAnalysisModes,
   getAuditHistory,
-  getAuditById
+  getAuditById,
+  getAuditJobStatus,
+  createAuditJobStreamTicket,
+  streamAuditJobEvents
 };
@@ -1,25 +1,73 @@
-import jwt from 'jsonwebtoken';
 import bcrypt from 'bcryptjs';
 import mongoose from 'mongoose';
 import User from '../models/User.js';
+import { resolveRole } from '../config/roles.js';
+import { getLoginLockout, recordLoginFailure, clearLoginFailures } from '../services/loginLockout.js';
+import { createSession, rotateRefreshToken, revokeRefreshToken, revokeAllSessions } from '../services/tokenService.js';
+import {
+  MIN_PASSWORD_LENGTH,
+  sendEmailVerification,
+  verifyEmailToken,
+  requestPasswordReset,
+  resetPasswordWithToken
+} from '../services/accountService.js';
+import { findSsoOrgForEmail, findPasswordLoginBlock } from '../services/ssoService.js';
+import { revokePersonalApiKeys } from '../services/apiKeyService.js';
 
-const getJwtSecret = () => {
-  const secret = process.env.JWT_SECRET || 'dev-secret-change-me';
-  return secret;
+const serviceUnavailable = (res) => res.status(503).json({
+  success: false,
+  message: 'Authentication service is unavailable. Database connection is not ready.'
+});
+
+const toPublicUser = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  emailVerified: Boolean(user.emailVerified),
+  role: resolveRole(user)
+});
+
+// The organization signs its people in through its identity provider
+const ssoRequired = (res, org) => res.status(403).json({
+  success: false,
+  message: `${org.name} requires single sign-on. Please sign in through your organization.`,
+  code: 'SSO_REQUIRED',
+  orgId: org._id,
+  loginUrl: `/api/auth/sso/${org._id}/login`
+});
+
+const internalError = (res, error) => res.status(500).json({
+  success: false,
+  message: 'Internal server error',
+  error: process.env.NODE_ENV === 'development' ? error.message : undefined
+});
+
+const tooManyAttempts = (res, seconds) => {
+  res.set('Retry-After', String(seconds));
+  return res.status(429).json({
+    success: false,
+    message: `Too many failed login attempts. Try again in ${seconds} seconds.`,
+    retryAfter: seconds
+  });
 };
 
-const createToken = (user) => {
-  const payload = { id: user._id, email: user.email };
-  return jwt.sign(payload, getJwtSecret(), { expiresIn: '7d' });
+// Same answer for an unknown email and a wrong password
+const rejectLogin = async (res, email) => {
+  const { failures, lockedForSeconds } = await recordLoginFailure(email);
+  if (lockedForSeconds) {
+    console.warn('[Auth] Login locked after failed attempts', { email, failures, lockedForSeconds });
+    return tooManyAttempts(res, lockedForSeconds);
+  }
+  return res.status(401).json({
+    success: false,
+    message: 'Invalid email or password.'
+  });
 };
 
 export const signup = async (req, res) => {
   try {
     if (mongoose.connection.readyState !== 1) {
-      return res.status(503).json({
-        success: false,
-        message: 'Authentication service is unavailable. Database connection is not ready.'
-      });
+      return serviceUnavailable(res);
     }
 
     const { name, email, password } = req.body;
@@ -32,13 +80,18 @@ export const signup = async (req, res) => {
       });
     }
 
-    if (password.length < 8) {
+    if (password.length < MIN_PASSWORD_LENGTH) {
       return res.status(400).json({
         success: false,
-        message: 'Password must be at least 8 characters long.'
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long.`
       });
     }
 
+    const ssoOrg = await findSsoOrgForEmail(email);
+    if (ssoOrg?.sso?.passwordLoginDisabled) {
+      return ssoRequired(res, ssoOrg);
+    }
+
     const existing = await User.findOne({ email: email.toLowerCase() });
     if (existing) {
       return res.status(409).json({
@@ -55,37 +108,33 @@ export const signup = async (req, res) => {
       passwordHash
     });
 
-    const token = createToken(user);
+    // A mail outage should not fail the signup; the link can be requested again
+    try {
+      await sendEmailVerification(user);
+    } catch (mailError) {
+      console.error('[Auth] Verification email failed:', mailError.message);
+    }
+
+    const session = await createSession(user, req);
 
     console.log('[Auth] Signup successful', { userId: user._id, email: user.email });
 
     return res.status(201).json({
       success: true,
       message: 'Signup successful',
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email
-      }
+      ...session,
+      user: toPublicUser(user)
     });
   } catch (error) {
     console.error('[Auth] Signup error:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+    return internalError(res, error);
   }
 };
 
 export const login = async (req, res) => {
   try {
     if (mongoose.connection.readyState !== 1) {
-      return res.status(503).json({
-        success: false,
-        message: 'Authentication service is unavailable. Database connection is not ready.'
-      });
+      return serviceUnavailable(res);
     }
 
     const { email, password } = req.body;
@@ -98,43 +147,291 @@ export const login = async (req, res) => {
       });
     }
 
+    const lockedForSeconds = await getLoginLockout(email);
+    if (lockedForSeconds) {
+      return tooManyAttempts(res, lockedForSeconds);
+    }
+
     const user = await User.findOne({ email: email.toLowerCase() });
     if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid email or password.'
-      });
+      return rejectLogin(res, email);
     }
 
     const match = await user.comparePassword(password);
     if (!match) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid email or password.'
-      });
+      return rejectLogin(res, email);
+    }
+
+    await clearLoginFailures(email);
+
+    // Checked after the password so the response does not reveal SSO membership
+    const ssoOrg = await findPasswordLoginBlock(user);
+    if (ssoOrg) {
+      return ssoRequired(res, ssoOrg);
     }
 
-    const token = createToken(user);
+    const session = await createSession(user, req);
 
     console.log('[Auth] Login successful', { userId: user._id, email: user.email });
 
     return res.status(200).json({
       success: true,
       message: 'Login successful',
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email
-      }
+      ...session,
+      user: toPublicUser(user)
     });
   } catch (error) {
     console.error('[Auth] Login error:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    return internalError(res, error);
+  }
+};
+
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * POST /auth/refresh { refreshToken }
+ * Sessions from a password login get 403 SSO_REQUIRED (and end) once an
+ * organization that verified the user's email domain disables password login.
+ */
+export const refresh = async (req, res) => {
+  try {
+    if (mongoose.connection.readyState !== 1) {
+      return serviceUnavailable(res);
+    }
+
+    const { refreshToken } = req.body || {};
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'refreshToken is required.'
+      });
+    }
+
+    const rotated = await rotateRefreshToken(refreshToken, req);
+    if (!rotated) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token.'
+      });
+    }
+
+    const { user, method, ...session } = rotated;
+
+    // Password sessions end once an organization requires single sign-on for the user
+    if (method === 'password') {
+      const ssoOrg = await findPasswordLoginBlock(user);
+      if (ssoOrg) {
+        await revokeRefreshToken(session.refreshToken, 'sso-required');
+        return ssoRequired(res, ssoOrg);
+      }
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Token refreshed',
+      ...session,
+      user: toPublicUser(user)
     });
+  } catch (error) {
+    console.error('[Auth] Refresh error:', error);
+    return internalError(res, error);
   }
 };
 
+/**
+ * End this session: its refresh token stops working. The access token runs
+ * out on its own within ACCESS_TOKEN_TTL.
+ * POST /auth/logout { refreshToken }
+ */
+export const logout = async (req, res) => {
+  try {
+    if (mongoose.connection.readyState !== 1) {
+      return serviceUnavailable(res);
+    }
+
+    const { refreshToken } = req.body || {};
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'refreshToken is required.'
+      });
+    }
+
+    // Unknown tokens get the same answer: logging out twice is not an error
+    await revokeRefreshToken(refreshToken);
+    return res.status(200).json({
+      success: true,
+      message: 'Logged out'
+    });
+  } catch (error) {
+    console.error('[Auth] Logout error:', error);
+    return internalError(res, error);
+  }
+};
+
+/**
+ * End every session of the signed-in user, access tokens and personal API keys included
+ * POST /auth/logout-all (authenticated)
+ */
+export const logoutAll = async (req, res) => {
+  try {
+    await revokeAllSessions(req.user.id);
+    const revokedKeys = await revokePersonalApiKeys(req.user.id);
+    console.log('[Auth] Logged out everywhere', { userId: req.user.id, revokedKeys });
+    return res.status(200).json({
+      success: true,
+      message: 'Logged out of all sessions'
+    });
+  } catch (error) {
+    console.error('[Auth] Logout-all error:', error);
+    return internalError(res, error);
+  }
+};
+
+/**
+ * Mail a password-reset link. Always answers 200 so the response does not
+ * reveal whether the email has an account.
+ * POST /auth/forgot-password { email }
+ */
+export const forgotPassword = async (req, res) => {
+  try {
+    if (mongoose.connection.readyState !== 1) {
+      return serviceUnavailable(res);
+    }
+
+    const { email } = req.body || {};
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required.'
+      });
+    }
+
+    // Not awaited: a response that waited for the email would be slower for
+    // registered addresses and give them away
+    requestPasswordReset(email).catch((error) => {
+      console.error('[Auth] Password reset email failed:', error.message);
+    });
+    return res.status(200).json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent.'
+    });
+  } catch (error) {
+    console.error('[Auth] Forgot-password error:', error);
+    return internalError(res, error);
+  }
+};
+
+/**
+ * Set a new password with the emailed token; ends every existing session
+ * POST /auth/reset-password { token, password }
+ */
+export const resetPassword = async (req, res) => {
+  try {
+    if (mongoose.connection.readyState !== 1) {
+      return serviceUnavailable(res);
+    }
+
+    const { token, password } = req.body || {};
+    if (!token || typeof token !== 'string' || !password || typeof password !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Token and password are required.'
+      });
+    }
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long.`
+      });
+    }
+
+    const user = await resetPasswordWithToken(token, password);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset link.'
+      });
+    }
+
+    console.log('[Auth] Password reset', { userId: user._id });
+    return res.status(200).json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.'
+    });
+  } catch (error) {
+    console.error('[Auth] Reset-password error:', error);
+    return internalError(res, error);
+  }
+};
+
+/**
+ * Confirm an email address with the emailed token
+ * GET /auth/verify-email?token=
+ */
+export const verifyEmail = async (req, res) => {
+  try {
+    if (mongoose.connection.readyState !== 1) {
+      return serviceUnavailable(res);
+    }
+
+    const { token } = req.query;
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Token is required.'
+      });
+    }
+
+    const user = await verifyEmailToken(token);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification link.'
+      });
+    }
+
+    console.log('[Auth] Email verified', { userId: user._id });
+    return res.status(200).json({
+      success: true,
+      message: 'Email verified',
+      user: toPublicUser(user)
+    });
+  } catch (error) {
+    console.error('[Auth] Verify-email error:', error);
+    return internalError(res, error);
+  }
+};
+
+/**
+ * Mail a new verification link to the signed-in user
+ * POST /auth/resend-verification (authenticated)
+ */
+export const resendVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found.'
+      });
+    }
+
+    if (user.emailVerified) {
+      return res.status(200).json({
+        success: true,
+        message: 'Email is already verified.'
+      });
+    }
+
+    await sendEmailVerification(user);
+    return res.status(200).json({
+      success: true,
+      message: 'Verification email sent.'
+    });
+  } catch (error) {
+    console.error('[Auth] Resend-verification error:', error);
+    return internalError(res, error);
+  }
+};
@@ -32,6 +32,7 @@ export const analyzeCompatibility = async (req, res) => {
 
     const auditResult = await processContent(input, {
       userId: req.user?.id,
+      orgId: req.org?.id,
       category,
       analysisMode,
       country,
@@ -0,0 +1,354 @@
+import mongoose from 'mongoose';
+import Organization from '../models/Organization.js';
+import User from '../models/User.js';
+import { ORG_ROLES, hasOrgPermission } from '../config/orgRoles.js';
+import { hashToken, createOneTimeToken } from '../services/tokenService.js';
+import { sendOrgInvitationEmail } from '../services/mailService.js';
+
+/**
+ * Organization Controller
+ * Organizations, their members and roles (config/orgRoles.js), and email
+ * invitations. Only members see an organization; only roles with
+ * members:manage (owners) invite, change roles or remove others. Every
+ * organization keeps at least one owner.
+ */
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DEFAULT_INVITATION_TTL_DAYS = 7;
+
+const getInvitationTtlDays = () => {
+  const days = parseInt(process.env.ORG_INVITATION_TTL_DAYS, 10);
+  return Number.isFinite(days) && days > 0 ? days : DEFAULT_INVITATION_TTL_DAYS;
+};
+
+const databaseUnavailable = (res) => res.status(503).json({
+  ok: false,
+  error: 'Organizations are unavailable. Database connection is not ready.'
+});
+
+const sendError = (res, error, fallbackMessage) => {
+  if (error.name === 'CastError') {
+    return res.status(400).json({ ok: false, error: 'Invalid ID format' });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ ok: false, error: error.message });
+  }
+  return res.status(500).json({ ok: false, error: error.message || fallbackMessage });
+};
+
+const findMember = (org, userId) => org.members.find((member) => String(member.userId) === String(userId));
+
+const ownerCount = (org) => org.members.filter((member) => member.role === 'owner').length;
+
+/**
+ * The organization, if the caller is a member
+ * @returns {Promise<{ org, member }|null>}
+ */
+const loadForMember = async (orgId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(orgId)) return null;
+  const org = await Organization.findById(orgId);
+  const member = org && findMember(org, userId);
+  return member ? { org, member } : null;
+};
+
+const notFound = (res) => res.status(404).json({ ok: false, error: 'Organization not found' });
+
+const forbidden = (res) => res.status(403).json({ ok: false, error: 'Only organization owners can manage members' });
+
+const toInvitation = (invitation) => ({
+  id: invitation._id,
+  email: invitation.email,
+  role: invitation.role,
+  expiresAt: invitation.expiresAt,
+  invitedBy: invitation.invitedBy,
+  createdAt: invitation.createdAt
+});
+
+/**
+ * Create an organization; the caller becomes its owner
+ * POST /orgs { name }
+ */
+export const createOrganization = async (req, res) => {
+  try {
+    if (mongoose.connection.readyState !== 1) return databaseUnavailable(res);
+
+    const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+    if (!name) {
+      return res.status(400).json({ ok: false, error: 'name is required' });
+    }
+
+    const org = await Organization.create({
+      name,
+      createdBy: req.user.id,
+      members: [{ userId: req.user.id, role: 'owner' }]
+    });
+
+    console.log(`[Orgs] ${req.user.email} created ${org.name} (${org._id})`);
+    return res.status(201).json({ ok: true, data: { id: org._id, name: org.name, role: 'owner' } });
+  } catch (error) {
+    console.error('[Orgs] Create error:', error);
+    return sendError(res, error, 'Failed to create organization');
+  }
+};
+
+/**
+ * Organizations the caller belongs to, with their role in each
+ * GET /orgs
+ */
+export const listOrganizations = async (req, res) => {
+  try {
+    if (mongoose.connection.readyState !== 1) return databaseUnavailable(res);
+
+    const orgs = await Organization.find({ 'members.userId': req.user.id })
+      .select('name members createdAt')
+      .sort({ name: 1 })
+      .lean();
+
+    return res.json({
+      ok: true,
+      data: orgs.map((org) => ({
+        id: org._id,
+        name: org.name,
+        role: findMember(org, req.user.id).role,
+        memberCount: org.members.length,
+        createdAt: org.createdAt
+      }))
+    });
+  } catch (error) {
+    console.error('[Orgs] List error:', error);
+    return sendError(res, error, 'Failed to list organizations');
+  }
+};
+
+/**
+ * Organization with its members; owners also see pending invitations
+ * GET /orgs/:orgId
+ */
+export const getOrganization = async (req, res) => {
+  try {
+    if (mongoose.connection.readyState !== 1) return databaseUnavailable(res);
+
+    const loaded = await loadForMember(req.params.orgId, req.user.id);
+    if (!loaded) return notFound(res);
+    const { org, member } = loaded;
+
+    const users = await User.find({ _id: { $in: org.members.map((entry) => entry.userId) } })
+      .select('name email')
+      .lean();
+    const usersById = new Map(users.map((user) => [String(user._id), user]));
+
+    return res.json({
+      ok: true,
+      data: {
+        id: org._id,
+        name: org.name,
+        role: member.role,
+        createdAt: org.createdAt,
+        members: org.members.map((entry) => ({
+          userId: entry.userId,
+          name: usersById.get(String(entry.userId))?.name || null,
+          email: usersById.get(String(entry.userId))?.email || null,
+          role: entry.role,
+          joinedAt: entry.joinedAt
+        })),
+        ...(hasOrgPermission(member.role, 'members:manage')
+          ? { invitations: org.invitations.filter((invitation) => invitation.expiresAt > new Date()).map(toInvitation) }
+          : {})
+      }
+    });
+  } catch (error) {
+    console.error('[Orgs] Get error:', error);
+    return sendError(res, error, 'Failed to retrieve organization');
+  }
+};
+
+/**
+ * Invite someone by email; replaces any pending invitation for that email
+ * POST /orgs/:orgId/invitations { email, role }
+ */
+export const inviteMember = async (req, res) => {
+  try {
+    if (mongoose.connection.readyState !== 1) return databaseUnavailable(res);
+
+    const loaded = await loadForMember(req.params.orgId, req.user.id);
+    if (!loaded) return notFound(res);
+    const { org, member } = loaded;
+    if (!hasOrgPermission(member.role, 'members:manage')) return forbidden(res);
+
+    const email = typeof req.body?.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+    const { role } = req.body || {};
+    if (!EMAIL_PATTERN.test(email)) {
+      return res.status(400).json({ ok: false, error: 'A valid email is required' });
+    }
+    if (!ORG_ROLES.includes(role)) {
+      return res.status(400).json({ ok: false, error: `role must be one of: ${ORG_ROLES.join(', ')}` });
+    }
+
+    const existingUser = await User.findOne({ email }).select('_id').lean();
+    if (existingUser && findMember(org, existingUser._id)) {
+      return res.status(409).json({ ok: false, error: 'This person is already a member' });
+    }
+
+    const ttlDays = getInvitationTtlDays();
+    const { token, tokenHash, expiresAt } = createOneTimeToken(ttlDays * 24 * 60 * 60 * 1000);
+    org.invitations = org.invitations.filter((invitation) => invitation.email !== email);
+    org.invitations.push({ email, role, tokenHash, expiresAt, invitedBy: req.user.id });
+    await org.save();
+
+    const inviter = await User.findById(req.user.id).select('name').lean();
+    await sendOrgInvitationEmail({ email, orgName: org.name, inviterName: inviter?.name || req.user.email, role }, token, ttlDays);
+
+    console.log(`[Orgs] ${req.user.email} invited ${email} to ${org.name} as ${role}`);
+    return res.status(201).json({ ok: true, data: toInvitation(org.invitations[org.invitations.length - 1]) });
+  } catch (error) {
+    console.error('[Orgs] Invite error:', error);
+    return sendError(res, error, 'Failed to send invitation');
+  }
+};
+
+/**
+ * Withdraw a pending invitation
+ * DELETE /orgs/:orgId/invitations/:invitationId
+ */
+export const revokeInvitation = async (req, res) => {
+  try {
+    if (mongoose.connection.readyState !== 1) return databaseUnavailable(res);
+
+    const loaded = await loadForMember(req.params.orgId, req.user.id);
+    if (!loaded) return notFound(res);
+    const { org, member } = loaded;
+    if (!hasOrgPermission(member.role, 'members:manage')) return forbidden(res);
+
+    const invitation = org.invitations.id(req.params.invitationId);
+    if (!invitation) {
+      return res.status(404).json({ ok: false, error: 'Invitation not found' });
+    }
+
+    invitation.deleteOne();
+    await org.save();
+    return res.json({ ok: true, data: { id: req.params.invitationId } });
+  } catch (error) {
+    console.error('[Orgs] Revoke invitation error:', error);
+    return sendError(res, error, 'Failed to revoke invitation');
+  }
+};
+
+/**
+ * Join with an invitation token; the caller's email must be the invited one
+ * POST /orgs/invitations/accept { token }
+ */
+export const acceptInvitation = async (req, res) => {
+  try {
+    if (mongoose.connection.readyState !== 1) return databaseUnavailable(res);
+
+    const { token } = req.body || {};
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({ ok: false, error: 'token is required' });
+    }
+
+    const tokenHash = hashToken(token);
+    const org = await Organization.findOne({ 'invitations.tokenHash': tokenHash });
+    const invitation = org?.invitations.find((entry) => entry.tokenHash === tokenHash);
+    if (!invitation || invitation.expiresAt <= new Date()) {
+      return res.status(400).json({ ok: false, error: 'Invalid or expired invitation' });
+    }
+
+    if (invitation.email !== String(req.user.email).toLowerCase()) {
+      return res.status(403).json({ ok: false, error: 'This invitation was sent to a different email address' });
+    }
+
+    if (!findMember(org, req.user.id)) {
+      org.members.push({ userId: req.user.id, role: invitation.role, invitedBy: invitation.invitedBy });
+    }
+    invitation.deleteOne();
+    await org.save();
+
+    const { role } = findMember(org, req.user.id);
+    console.log(`[Orgs] ${req.user.email} joined ${org.name} as ${role}`);
+    return res.json({ ok: true, data: { id: org._id, name: org.name, role } });
+  } catch (error) {
+    console.error('[Orgs] Accept invitation error:', error);
+    return sendError(res, error, 'Failed to accept invitation');
+  }
+};
+
+/**
+ * Change a member's role
+ * PUT /orgs/:orgId/members/:userId { role }
+ */
+export const updateMemberRole = async (req, res) => {
+  try {
+    if (mongoose.connection.readyState !== 1) return databaseUnavailable(res);
+
+    const loaded = await loadForMember(req.params.orgId, req.user.id);
+    if (!loaded) return notFound(res);
+    const { org, member } = loaded;
+    if (!hasOrgPermission(member.role, 'members:manage')) return forbidden(res);
+
+    const { role } = req.body || {};
+    if (!ORG_ROLES.includes(role)) {
+      return res.status(400).json({ ok: false, error: `role must be one of: ${ORG_ROLES.join(', ')}` });
+    }
+
+    const target = findMember(org, req.params.userId);
+    if (!target) {
+      return res.status(404).json({ ok: false, error: 'Member not found' });
+    }
+    if (target.role === 'owner' && role !== 'owner' && ownerCount(org) === 1) {
+      return res.status(409).json({ ok: false, error: 'An organization needs at least one owner' });
+    }
+
+    target.role = role;
+    await org.save();
+
+    console.log(`[Orgs] ${req.user.email} made ${req.params.userId} ${role} in ${org.name}`);
+    return res.json({ ok: true, data: { userId: target.userId, role: target.role } });
+  } catch (error) {
+    console.error('[Orgs] Update member error:', error);
+    return sendError(res, error, 'Failed to update member');
+  }
+};
+
+/**
+ * Remove a member; any member may remove themselves (leave)
+ * DELETE /orgs/:orgId/members/:userId
+ */
+export const removeMember = async (req, res) => {
+  try {
+    if (mongoose.connection.readyState !== 1) return databaseUnavailable(res);
+
+    const loaded = await loadForMember(req.params.orgId, req.user.id);
+    if (!loaded) return notFound(res);
+    const { org, member } = loaded;
+    const leaving = String(req.params.userId) === String(req.user.id);
+    if (!leaving && !hasOrgPermission(member.role, 'members:manage')) return forbidden(res);
+
+    const target = findMember(org, req.params.userId);
+    if (!target) {
+      return res.status(404).json({ ok: false, error: 'Member not found' });
+    }
+    if (target.role === 'owner' && ownerCount(org) === 1) {
+      return res.status(409).json({ ok: false, error: 'An organization needs at least one owner' });
+    }
+
+    org.members = org.members.filter((entry) => entry !== target);
+    await org.save();
+
+    console.log(`[Orgs] ${req.params.userId} ${leaving ? 'left' : `removed by ${req.user.email} from`} ${org.name}`);
+    return res.json({ ok: true, data: { userId: req.params.userId } });
+  } catch (error) {
+    console.error('[Orgs] Remove member error:', error);
+    return sendError(res, error, 'Failed to remove member');
+  }
+};
+
+export default {
+  createOrganization,
+  listOrganizations,
+  getOrganization,
+  inviteMember,
+  revokeInvitation,
+  acceptInvitation,
+  updateMemberRole,
+  removeMember
+};
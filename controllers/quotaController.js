@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+import { getQuotaStatus } from '../services/quotaService.js';
+
+/**
+ * Quota Controller
+ * The signed-in user's plan limits and remaining quota (services/quotaService.js)
+ */
+
+/**
+ * Current quota
+ * GET /me/quota
+ */
+export const getMyQuota = async (req, res) => {
+  try {
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({
+        ok: false,
+        error: 'Quota is unavailable. Database connection is not ready.'
+      });
+    }
+
+    const quota = await getQuotaStatus(req.user.id);
+    if (!quota) {
+      return res.status(404).json({ ok: false, error: 'User not found' });
+    }
+
+    return res.json({ ok: true, data: quota });
+  } catch (error) {
+    console.error('[Quota] Status error:', error);
+    return res.status(500).json({ ok: false, error: error.message || 'Failed to load quota' });
+  }
+};
+
+export default {
+  getMyQuota
+};
@@ -0,0 +1,355 @@
+import mongoose from 'mongoose';
+import Rule from '../models/Rule.js';
+import RuleRevision from '../models/RuleRevision.js';
+import { validateRule } from '../services/ruleSchema.js';
+import { ruleDocumentToPackRule } from '../services/ruleSources.js';
+import { normalizeRuleScope, reloadRulesAfterWrite, getRulesVersion } from '../services/rulesService.js';
+
+const RULE_CONTENT_FIELDS = [
+  'regulation',
+  'section',
+  'title',
+  'description',
+  'severity',
+  'prohibitedPhrases',
+  'requiredDisclaimers',
+  'patterns',
+  'effectiveFrom',
+  'effectiveTo',
+  'mediaTypes'
+];
+const RULE_SCOPE_FIELDS = ['country', 'region', 'category'];
+const TRACKED_FIELDS = ['ruleId', ...RULE_SCOPE_FIELDS, ...RULE_CONTENT_FIELDS];
+
+const databaseUnavailable = (res) => res.status(503).json({
+  ok: false,
+  error: 'Rule management is unavailable. Database connection is not ready.'
+});
+
+const sendError = (res, error, fallbackMessage) => {
+  if (error.name === 'CastError') {
+    return res.status(400).json({ ok: false, error: 'Invalid rule ID format' });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({ ok: false, error: 'A rule with this ruleId already exists for this country/region/category' });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ ok: false, error: error.message });
+  }
+  if (error.code === 'RULES_RELOAD_FAILED') {
+    return res.status(503).json({ ok: false, code: error.code, error: error.message });
+  }
+  return res.status(500).json({ ok: false, error: error.message || fallbackMessage });
+};
+
+/**
+ * Pick editable fields from a request body (accepts "id" as an alias of "ruleId")
+ */
+const pickRuleFields = (body = {}) => {
+  const fields = {};
+  [...RULE_SCOPE_FIELDS, ...RULE_CONTENT_FIELDS].forEach((field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  const ruleId = body.ruleId ?? body.id;
+  if (ruleId !== undefined) fields.ruleId = ruleId;
+  return fields;
+};
+
+/**
+ * Validate the rule as it will look after the edit, in rule pack shape
+ * @returns {Array<object>} Field errors
+ */
+const validateRuleEdit = (existing, fields) => {
+  const { ruleId, country, region, category, ...content } = fields;
+  const candidate = {
+    ...(existing ? ruleDocumentToPackRule(existing) : {}),
+    ...content,
+    ...(ruleId !== undefined ? { id: ruleId } : {})
+  };
+
+  const { errors } = validateRule(candidate);
+  if (candidate.id === undefined || candidate.id === null) {
+    errors.push({ field: 'ruleId', message: 'Missing required field "ruleId"' });
+  }
+
+  const scope = normalizeRuleScope({
+    country: country ?? existing?.country,
+    region: region ?? existing?.region,
+    category: category ?? existing?.category
+  });
+  if (!scope.country) {
+    errors.push({ field: 'country', message: 'Missing required field "country"' });
+  }
+  if (scope.country === 'gcc' && !scope.region) {
+    errors.push({ field: 'region', message: 'GCC rules need a "region"' });
+  }
+
+  return errors;
+};
+
+const normalizeScopeFields = (existing, fields) => {
+  if (!RULE_SCOPE_FIELDS.some((field) => field in fields)) return fields;
+  return {
+    ...fields,
+    ...normalizeRuleScope({
+      country: fields.country ?? existing?.country,
+      region: fields.region ?? existing?.region,
+      category: fields.category ?? existing?.category
+    })
+  };
+};
+
+const comparable = (value) => JSON.stringify(value instanceof Date ? value.toISOString().slice(0, 10) : value ?? null);
+
+const recordRevision = (rule, { action, changes = [], note = '', editedBy }) => RuleRevision.create({
+  rule: rule._id,
+  ruleId: rule.ruleId,
+  version: rule.version,
+  action,
+  changes,
+  snapshot: rule.toObject({ depopulate: true }),
+  note,
+  editedBy
+});
+
+const versionConflict = (res, version, currentVersion) => res.status(409).json({
+  ok: false,
+  error: `Rule was modified since version ${version}${currentVersion ? `; current version is ${currentVersion}` : ''}`
+});
+
+/**
+ * Write an edit only if the rule is still at the version it was read at, and
+ * bump the version in the same update, so concurrent edits cannot both land
+ * @returns {Promise<object|null>} The updated rule, or null when another edit came first
+ */
+const saveRuleVersion = (rule, updates, userId) => Rule.findOneAndUpdate(
+  { _id: rule._id, version: rule.version },
+  { $set: { ...updates, updatedBy: userId }, $inc: { version: 1 } },
+  { new: true, runValidators: true }
+);
+
+/**
+ * Reload the registry so the change applies to the next audit
+ * @throws RULES_RELOAD_FAILED when audits would keep running on the old rules
+ */
+const applyRuleChange = async () => {
+  try {
+    await reloadRulesAfterWrite();
+  } catch (reloadError) {
+    console.error('[Rules] Reload after change failed:', reloadError.message);
+    const error = new Error(`The change was saved but is not active yet: reloading rules failed (${reloadError.message}). Retry, or it applies with the next successful reload.`);
+    error.code = 'RULES_RELOAD_FAILED';
+    throw error;
+  }
+  return getRulesVersion();
+};
+
+/**
+ * List managed rules
+ * GET /rules?country=&region=&category=&status=&limit=&skip=
+ */
+export const listRules = async (req, res) => {
+  try {
+    if (mongoose.connection.readyState !== 1) return databaseUnavailable(res);
+
+    const { status, ruleId, limit = 100, skip = 0 } = req.query;
+    const query = {};
+
+    if (req.query.country) {
+      const scope = normalizeRuleScope(req.query);
+      query.country = scope.country;
+      if (req.query.region) query.region = scope.region;
+      if (req.query.category) query.category = scope.category;
+    }
+    // Strings only, so a query like ?status[$ne]=x cannot become an operator
+    if (status) query.status = String(status);
+    if (ruleId) query.ruleId = String(ruleId);
+
+    const [rules, total] = await Promise.all([
+      Rule.find(query)
+        .sort({ country: 1, region: 1, category: 1, ruleId: 1 })
+        .limit(parseInt(limit))
+        .skip(parseInt(skip))
+        .lean(),
+      Rule.countDocuments(query)
+    ]);
+
+    return res.json({ ok: true, data: { rules, total } });
+  } catch (error) {
+    console.error('[Rules Controller] List error:', error);
+    return sendError(res, error, 'Failed to list rules');
+  }
+};
+
+/**
+ * Get a managed rule
+ * GET /rules/:id
+ */
+export const getRuleById = async (req, res) => {
+  try {
+    if (mongoose.connection.readyState !== 1) return databaseUnavailable(res);
+
+    const rule = await Rule.findById(req.params.id).lean();
+    if (!rule) {
+      return res.status(404).json({ ok: false, error: 'Rule not found' });
+    }
+
+    return res.json({ ok: true, data: rule });
+  } catch (error) {
+    console.error('[Rules Controller] Get by ID error:', error);
+    return sendError(res, error, 'Failed to retrieve rule');
+  }
+};
+
+/**
+ * Create a rule
+ * POST /rules
+ */
+export const createRule = async (req, res) => {
+  try {
+    if (mongoose.connection.readyState !== 1) return databaseUnavailable(res);
+
+    const fields = pickRuleFields(req.body);
+    const errors = validateRuleEdit(null, fields);
+    if (errors.length) {
+      return res.status(400).json({ ok: false, error: 'Invalid rule', errors });
+    }
+
+    const rule = await Rule.create({
+      ...normalizeScopeFields(null, fields),
+      version: 1,
+      createdBy: req.user?.id,
+      updatedBy: req.user?.id
+    });
+    await recordRevision(rule, { action: 'create', changes: Object.keys(fields), note: req.body.note, editedBy: req.user?.id });
+
+    console.log(`[Rules] Created ${rule.ruleId} (${[rule.country, rule.region, rule.category].filter(Boolean).join('/')}) by ${req.user?.email}`);
+    return res.status(201).json({ ok: true, data: { rule, rulesVersion: await applyRuleChange() } });
+  } catch (error) {
+    console.error('[Rules Controller] Create error:', error);
+    return sendError(res, error, 'Failed to create rule');
+  }
+};
+
+/**
+ * Edit a rule; send the "version" you edited to guard against concurrent edits
+ * PUT /rules/:id
+ */
+export const updateRule = async (req, res) => {
+  try {
+    if (mongoose.connection.readyState !== 1) return databaseUnavailable(res);
+
+    const rule = await Rule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ ok: false, error: 'Rule not found' });
+    }
+
+    if (req.body.version !== undefined && Number(req.body.version) !== rule.version) {
+      return versionConflict(res, req.body.version, rule.version);
+    }
+
+    const fields = pickRuleFields(req.body);
+    const errors = validateRuleEdit(rule.toObject(), fields);
+    if (errors.length) {
+      return res.status(400).json({ ok: false, error: 'Invalid rule', errors });
+    }
+
+    const updates = normalizeScopeFields(rule, fields);
+    const changes = TRACKED_FIELDS.filter((field) => field in updates && comparable(updates[field]) !== comparable(rule[field]));
+
+    if (!changes.length) {
+      return res.json({ ok: true, data: { rule, rulesVersion: await getRulesVersion() } });
+    }
+
+    const changed = Object.fromEntries(changes.map((field) => [field, updates[field]]));
+    const saved = await saveRuleVersion(rule, changed, req.user?.id);
+    if (!saved) {
+      return versionConflict(res, rule.version);
+    }
+    await recordRevision(saved, { action: 'update', changes, note: req.body.note, editedBy: req.user?.id });
+
+    console.log(`[Rules] Updated ${saved.ruleId} to v${saved.version} (${changes.join(', ')}) by ${req.user?.email}`);
+    return res.json({ ok: true, data: { rule: saved, rulesVersion: await applyRuleChange() } });
+  } catch (error) {
+    console.error('[Rules Controller] Update error:', error);
+    return sendError(res, error, 'Failed to update rule');
+  }
+};
+
+const setRuleStatus = (status, action) => async (req, res) => {
+  try {
+    if (mongoose.connection.readyState !== 1) return databaseUnavailable(res);
+
+    const rule = await Rule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ ok: false, error: 'Rule not found' });
+    }
+
+    if (rule.status === status) {
+      return res.json({ ok: true, data: { rule, rulesVersion: await getRulesVersion() } });
+    }
+
+    if (req.body?.version !== undefined && Number(req.body.version) !== rule.version) {
+      return versionConflict(res, req.body.version, rule.version);
+    }
+
+    const saved = await saveRuleVersion(rule, { status }, req.user?.id);
+    if (!saved) {
+      return versionConflict(res, rule.version);
+    }
+    await recordRevision(saved, { action, changes: ['status'], note: req.body?.note, editedBy: req.user?.id });
+
+    console.log(`[Rules] ${action === 'deprecate' ? 'Deprecated' : 'Restored'} ${saved.ruleId} (v${saved.version}) by ${req.user?.email}`);
+    return res.json({ ok: true, data: { rule: saved, rulesVersion: await applyRuleChange() } });
+  } catch (error) {
+    console.error(`[Rules Controller] ${action} error:`, error);
+    return sendError(res, error, `Failed to ${action} rule`);
+  }
+};
+
+/**
+ * Deprecate a rule (it stops applying to audits but keeps its history)
+ * POST /rules/:id/deprecate
+ */
+export const deprecateRule = setRuleStatus('deprecated', 'deprecate');
+
+/**
+ * Re-activate a deprecated rule
+ * POST /rules/:id/restore
+ */
+export const restoreRule = setRuleStatus('active', 'restore');
+
+/**
+ * Edit history of a rule, newest first
+ * GET /rules/:id/history
+ */
+export const getRuleHistory = async (req, res) => {
+  try {
+    if (mongoose.connection.readyState !== 1) return databaseUnavailable(res);
+
+    const rule = await Rule.findById(req.params.id).select('_id').lean();
+    if (!rule) {
+      return res.status(404).json({ ok: false, error: 'Rule not found' });
+    }
+
+    const revisions = await RuleRevision.find({ rule: rule._id })
+      .sort({ version: -1 })
+      .populate('editedBy', 'name email')
+      .lean();
+
+    return res.json({ ok: true, data: revisions });
+  } catch (error) {
+    console.error('[Rules Controller] History error:', error);
+    return sendError(res, error, 'Failed to retrieve rule history');
+  }
+};
+
+export default {
+  listRules,
+  getRuleById,
+  createRule,
+  updateRule,
+  deprecateRule,
+  restoreRule,
+  getRuleHistory
+};
@@ -0,0 +1,408 @@
+import mongoose from 'mongoose';
+import Organization from '../models/Organization.js';
+import { ORG_ROLES, hasOrgPermission } from '../config/orgRoles.js';
+import { getMembership } from '../services/orgService.js';
+import { createSession } from '../services/tokenService.js';
+import {
+  getSsoCallbackUrl,
+  isAllowedIssuer,
+  createDomainClaim,
+  getDomainVerificationRecord,
+  verifyDomainOwnership,
+  findDomainsVerifiedElsewhere,
+  findSsoOrgForEmail,
+  createAuthorizationUrl,
+  completeLogin
+} from '../services/ssoService.js';
+
+/**
+ * SSO Controller
+ * Browser sign-in through an organization's OpenID Connect provider
+ * (services/ssoService.js) and the owners' SSO settings. The login routes
+ * are navigations, so outcomes go back to the frontend as a redirect to
+ * {FRONTEND_URL}/sso/callback with the session or an error in the fragment.
+ */
+
+const DOMAIN_PATTERN = /^(?=.{1,253}$)([a-z0-9-]+\.)+[a-z]{2,}$/;
+
+const getFrontendUrl = () => (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+// Fragments stay in the browser, out of server logs and Referer headers
+const redirectToFrontend = (res, params) => res.redirect(302, `${getFrontendUrl()}/sso/callback#${new URLSearchParams(params)}`);
+
+// Only paths on the frontend itself, never another host
+const safeRedirectPath = (value) => (
+  typeof value === 'string' && value.startsWith('/') && !value.startsWith('//') && !value.includes('\\') ? value : '/'
+);
+
+const databaseUnavailable = (res) => res.status(503).json({
+  ok: false,
+  error: 'Single sign-on is unavailable. Database connection is not ready.'
+});
+
+const toPublicDomain = (claim) => ({
+  domain: claim.name,
+  verified: Boolean(claim.verifiedAt),
+  verificationMethod: claim.verificationMethod ?? null,
+  verifiedAt: claim.verifiedAt ?? null,
+  // The record to publish while the claim is unverified
+  txtRecord: claim.verifiedAt ? null : getDomainVerificationRecord(claim)
+});
+
+const toPublicSso = (sso = {}, hasClientSecret = false) => ({
+  enabled: Boolean(sso.enabled),
+  protocol: sso.protocol || 'oidc',
+  issuer: sso.issuer || null,
+  clientId: sso.clientId || null,
+  hasClientSecret,
+  scopes: sso.scopes || [],
+  emailDomains: (sso.domains || []).map((claim) => claim.name),
+  domains: (sso.domains || []).map(toPublicDomain),
+  groupsClaim: sso.groupsClaim || 'groups',
+  groupRoles: sso.groupRoles || [],
+  defaultRole: sso.defaultRole ?? null,
+  passwordLoginDisabled: Boolean(sso.passwordLoginDisabled),
+  callbackUrl: getSsoCallbackUrl()
+});
+
+/**
+ * Which organization signs an email in, for a login form's "Continue with SSO"
+ * POST /auth/sso/discover { email }
+ */
+export const discoverSso = async (req, res) => {
+  try {
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({ success: false, message: 'Single sign-on is unavailable. Database connection is not ready.' });
+    }
+
+    const { email } = req.body || {};
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({ success: false, message: 'Email is required.' });
+    }
+
+    const org = await findSsoOrgForEmail(email);
+    if (!org) {
+      return res.status(404).json({ success: false, message: 'No single sign-on is set up for this email domain.' });
+    }
+
+    return res.json({
+      success: true,
+      orgId: org._id,
+      name: org.name,
+      passwordLoginDisabled: Boolean(org.sso.passwordLoginDisabled),
+      loginUrl: `/api/auth/sso/${org._id}/login`
+    });
+  } catch (error) {
+    console.error('[SSO] Discover error:', error);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+/**
+ * Send the browser to the identity provider
+ * GET /auth/sso/:orgId/login?redirectTo=/dashboard
+ */
+export const startSsoLogin = async (req, res) => {
+  try {
+    if (mongoose.connection.readyState !== 1) {
+      return redirectToFrontend(res, { error: 'SSO_UNAVAILABLE' });
+    }
+
+    const { orgId } = req.params;
+    const org = mongoose.Types.ObjectId.isValid(orgId)
+      ? await Organization.findById(orgId).select('name sso').lean()
+      : null;
+    if (!org?.sso?.enabled) {
+      return redirectToFrontend(res, { error: 'SSO_DISABLED' });
+    }
+
+    const url = await createAuthorizationUrl(org, { redirectTo: safeRedirectPath(req.query.redirectTo) });
+    return res.redirect(302, url);
+  } catch (error) {
+    console.error('[SSO] Login start error:', error);
+    return redirectToFrontend(res, { error: error.code || 'SSO_PROVIDER_UNAVAILABLE' });
+  }
+};
+
+/**
+ * Link the organization's identity provider to the signed-in account; the
+ * frontend navigates to the returned URL
+ * POST /auth/sso/:orgId/link { redirectTo }
+ */
+export const startSsoLink = async (req, res) => {
+  try {
+    if (mongoose.connection.readyState !== 1) return databaseUnavailable(res);
+
+    const { orgId } = req.params;
+    const org = mongoose.Types.ObjectId.isValid(orgId)
+      ? await Organization.findById(orgId).select('name sso').lean()
+      : null;
+    if (!org?.sso?.enabled) {
+      return res.status(404).json({ ok: false, error: 'Single sign-on is not enabled for this organization' });
+    }
+
+    const url = await createAuthorizationUrl(org, {
+      redirectTo: safeRedirectPath(req.body?.redirectTo),
+      linkUserId: req.user.id
+    });
+    return res.json({ ok: true, data: { url } });
+  } catch (error) {
+    console.error('[SSO] Link start error:', error);
+    return res.status(502).json({ ok: false, error: error.message || 'Identity provider is unavailable' });
+  }
+};
+
+/**
+ * The identity provider's redirect back; signs the user in
+ * GET /auth/sso/callback?code=&state=
+ * Logins started by startSsoLink link the identity to that account instead.
+ */
+export const ssoCallback = async (req, res) => {
+  try {
+    if (req.query.error) {
+      console.warn('[SSO] Provider returned an error:', req.query.error, req.query.error_description || '');
+      return redirectToFrontend(res, { error: 'SSO_PROVIDER_ERROR', description: String(req.query.error) });
+    }
+    if (mongoose.connection.readyState !== 1) {
+      return redirectToFrontend(res, { error: 'SSO_UNAVAILABLE' });
+    }
+
+    const { user, org, role, redirectTo } = await completeLogin({ code: req.query.code, state: req.query.state });
+    const session = await createSession(user, req, { method: 'sso' });
+
+    return redirectToFrontend(res, {
+      token: session.token,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn,
+      orgId: org.id,
+      role,
+      redirectTo
+    });
+  } catch (error) {
+    console.error('[SSO] Callback error:', error.code || '', error.message);
+    return redirectToFrontend(res, { error: error.code || 'SSO_FAILED' });
+  }
+};
+
+/**
+ * Caller's membership when it may manage the organization
+ * @returns {Promise<object|null>}
+ */
+const loadManagedOrg = async (orgId, userId, withSecret = false) => {
+  const membership = await getMembership(orgId, userId);
+  if (!membership || !hasOrgPermission(membership.role, 'members:manage')) return null;
+  return Organization.findById(orgId).select(withSecret ? '+sso.clientSecret' : undefined);
+};
+
+/**
+ * SSO settings (owners); the client secret is never returned
+ * GET /orgs/:orgId/sso
+ */
+export const getSsoConfig = async (req, res) => {
+  try {
+    if (mongoose.connection.readyState !== 1) return databaseUnavailable(res);
+
+    const org = await loadManagedOrg(req.params.orgId, req.user.id, true);
+    if (!org) {
+      return res.status(404).json({ ok: false, error: 'Organization not found' });
+    }
+
+    return res.json({ ok: true, data: toPublicSso(org.sso?.toObject(), Boolean(org.sso?.clientSecret)) });
+  } catch (error) {
+    console.error('[SSO] Get config error:', error);
+    return res.status(500).json({ ok: false, error: error.message || 'Failed to load SSO settings' });
+  }
+};
+
+/**
+ * Validate and apply an update to Organization.sso
+ * @returns {string|null} Error message
+ */
+const applySsoUpdate = (sso, body) => {
+  const stringFields = ['issuer', 'clientId', 'clientSecret', 'groupsClaim'];
+  for (const field of stringFields) {
+    if (body[field] !== undefined) {
+      if (typeof body[field] !== 'string' || !body[field].trim()) return `${field} must be a non-empty string`;
+      sso[field] = body[field].trim();
+    }
+  }
+  if (body.issuer !== undefined && !isAllowedIssuer(sso.issuer)) {
+    return 'issuer must be an https URL (http only for localhost in development)';
+  }
+
+  if (body.scopes !== undefined) {
+    if (!Array.isArray(body.scopes) || !body.scopes.includes('openid') || body.scopes.some((scope) => typeof scope !== 'string')) {
+      return 'scopes must be an array of strings including "openid"';
+    }
+    sso.scopes = body.scopes;
+  }
+
+  if (body.emailDomains !== undefined) {
+    const domains = Array.isArray(body.emailDomains)
+      ? [...new Set(body.emailDomains.map((domain) => String(domain).trim().toLowerCase()))]
+      : null;
+    if (!domains || domains.some((domain) => !DOMAIN_PATTERN.test(domain))) {
+      return 'emailDomains must be an array of domain names, e.g. ["example.com"]';
+    }
+    // Kept domains keep their verification; new ones start unverified
+    sso.domains = domains.map((name) => sso.domains.find((claim) => claim.name === name) || createDomainClaim(name));
+  }
+
+  if (body.groupRoles !== undefined) {
+    if (!Array.isArray(body.groupRoles) || body.groupRoles.some((entry) => !entry?.group || !ORG_ROLES.includes(entry.role))) {
+      return `groupRoles must be an array of { group, role } with role one of: ${ORG_ROLES.join(', ')}`;
+    }
+    sso.groupRoles = body.groupRoles.map(({ group, role }) => ({ group: String(group), role }));
+  }
+
+  if (body.defaultRole !== undefined) {
+    if (body.defaultRole !== null && !ORG_ROLES.includes(body.defaultRole)) {
+      return `defaultRole must be null or one of: ${ORG_ROLES.join(', ')}`;
+    }
+    sso.defaultRole = body.defaultRole;
+  }
+
+  for (const field of ['enabled', 'passwordLoginDisabled']) {
+    if (body[field] !== undefined) {
+      if (typeof body[field] !== 'boolean') return `${field} must be true or false`;
+      sso[field] = body[field];
+    }
+  }
+
+  if (sso.enabled && (!sso.issuer || !sso.clientId || !sso.clientSecret || !sso.domains.length)) {
+    return 'Enabling SSO needs issuer, clientId, clientSecret and at least one email domain';
+  }
+  if (sso.passwordLoginDisabled && !sso.enabled) {
+    return 'Password login can only be disabled while SSO is enabled';
+  }
+  return null;
+};
+
+/**
+ * Change SSO settings (owners); omitted fields stay as they are. Email domains
+ * are added unverified and count only after verifySsoDomain or approveSsoDomain.
+ * PUT /orgs/:orgId/sso { enabled, issuer, clientId, clientSecret, scopes,
+ *   emailDomains, groupsClaim, groupRoles, defaultRole, passwordLoginDisabled }
+ */
+export const updateSsoConfig = async (req, res) => {
+  try {
+    if (mongoose.connection.readyState !== 1) return databaseUnavailable(res);
+
+    const org = await loadManagedOrg(req.params.orgId, req.user.id, true);
+    if (!org) {
+      return res.status(404).json({ ok: false, error: 'Organization not found' });
+    }
+
+    const validationError = applySsoUpdate(org.sso, req.body || {});
+    if (validationError) {
+      return res.status(400).json({ ok: false, error: validationError });
+    }
+
+    // One organization per verified domain, so discovery and password blocking are unambiguous
+    const taken = await findDomainsVerifiedElsewhere(org.sso.domains.map((claim) => claim.name), org._id);
+    if (taken.length) {
+      return res.status(409).json({ ok: false, error: `Already verified by another organization: ${taken.join(', ')}` });
+    }
+
+    await org.save();
+
+    console.log(`[SSO] ${req.user.email} updated SSO for ${org.name} (enabled: ${org.sso.enabled}, password login ${org.sso.passwordLoginDisabled ? 'disabled' : 'allowed'})`);
+    return res.json({ ok: true, data: toPublicSso(org.sso.toObject(), Boolean(org.sso.clientSecret)) });
+  } catch (error) {
+    console.error('[SSO] Update config error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ ok: false, error: error.message });
+    }
+    return res.status(500).json({ ok: false, error: error.message || 'Failed to update SSO settings' });
+  }
+};
+
+/**
+ * Mark a domain claim verified, unless another organization verified it first
+ * @returns {Promise<object>} Express response
+ */
+const markDomainVerified = async (req, res, org, claim, method) => {
+  const taken = await findDomainsVerifiedElsewhere([claim.name], org._id);
+  if (taken.length) {
+    return res.status(409).json({ ok: false, error: `Already verified by another organization: ${claim.name}` });
+  }
+
+  claim.verifiedAt = new Date();
+  claim.verificationMethod = method;
+  await org.save();
+
+  console.log(`[SSO] ${req.user.email} verified ${claim.name} for ${org.name} (${method})`);
+  return res.json({ ok: true, data: toPublicDomain(claim) });
+};
+
+const findDomainClaim = (org, domain) => (org?.sso?.domains || [])
+  .find((claim) => claim.name === String(domain).toLowerCase());
+
+/**
+ * Verify a claimed email domain by its DNS TXT record (owners)
+ * POST /orgs/:orgId/sso/domains/:domain/verify
+ */
+export const verifySsoDomain = async (req, res) => {
+  try {
+    if (mongoose.connection.readyState !== 1) return databaseUnavailable(res);
+
+    const org = await loadManagedOrg(req.params.orgId, req.user.id);
+    const claim = findDomainClaim(org, req.params.domain);
+    if (!claim) {
+      return res.status(404).json({ ok: false, error: 'Domain not found' });
+    }
+    if (claim.verifiedAt) {
+      return res.json({ ok: true, data: toPublicDomain(claim) });
+    }
+
+    if (!(await verifyDomainOwnership(claim))) {
+      const record = getDomainVerificationRecord(claim);
+      return res.status(400).json({
+        ok: false,
+        error: `No TXT record ${record.name} with value ${record.value} was found. DNS changes can take a while to appear.`
+      });
+    }
+
+    return await markDomainVerified(req, res, org, claim, 'dns');
+  } catch (error) {
+    console.error('[SSO] Verify domain error:', error);
+    return res.status(500).json({ ok: false, error: error.message || 'Failed to verify domain' });
+  }
+};
+
+/**
+ * Approve a claimed email domain without DNS (account admins)
+ * POST /orgs/:orgId/sso/domains/:domain/approve
+ */
+export const approveSsoDomain = async (req, res) => {
+  try {
+    if (mongoose.connection.readyState !== 1) return databaseUnavailable(res);
+
+    const org = mongoose.Types.ObjectId.isValid(req.params.orgId)
+      ? await Organization.findById(req.params.orgId)
+      : null;
+    const claim = findDomainClaim(org, req.params.domain);
+    if (!claim) {
+      return res.status(404).json({ ok: false, error: 'Domain not found' });
+    }
+    if (claim.verifiedAt) {
+      return res.json({ ok: true, data: toPublicDomain(claim) });
+    }
+
+    return await markDomainVerified(req, res, org, claim, 'admin');
+  } catch (error) {
+    console.error('[SSO] Approve domain error:', error);
+    return res.status(500).json({ ok: false, error: error.message || 'Failed to approve domain' });
+  }
+};
+
+export default {
+  discoverSso,
+  startSsoLogin,
+  startSsoLink,
+  ssoCallback,
+  getSsoConfig,
+  updateSsoConfig,
+  verifySsoDomain,
+  approveSsoDomain
+};
@@ -0,0 +1,149 @@
+import mongoose from 'mongoose';
+import AuditRecord from '../models/AuditRecord.js';
+import User from '../models/User.js';
+
+/**
+ * Usage Controller
+ * Token, transcription, OCR and estimated cost totals from AuditRecord.usage,
+ * grouped by user and calendar month (UTC). Users see their own usage; roles
+ * with usage:read:all (config/roles.js) and accounts listed in
+ * USAGE_ADMIN_EMAILS may pass scope=all (optionally with userId) to see
+ * everyone's.
+ */
+
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+const SUMMED_FIELDS = ['llmCalls', 'inputTokens', 'outputTokens', 'totalTokens', 'transcriptionSeconds', 'ocrPages', 'estimatedCostUsd'];
+
+const databaseUnavailable = (res) => res.status(503).json({
+  ok: false,
+  error: 'Usage reporting is unavailable. Database connection is not ready.'
+});
+
+const isUsageAdmin = (user) => Boolean(user?.permissions?.includes('usage:read:all')) || (process.env.USAGE_ADMIN_EMAILS || '')
+  .split(',')
+  .map((email) => email.trim().toLowerCase())
+  .filter(Boolean)
+  .includes(String(user?.email || '').toLowerCase());
+
+/**
+ * "2026-03" or an ISO date; "to" months include the whole month
+ * @returns {Date|null|undefined} undefined when absent, null when invalid
+ */
+const parseBound = (value, { end = false } = {}) => {
+  if (value === undefined || value === '') return undefined;
+  if (MONTH_PATTERN.test(value)) {
+    const [year, month] = value.split('-').map(Number);
+    return new Date(Date.UTC(year, end ? month : month - 1, 1));
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const roundCost = (value) => Math.round((value || 0) * 1e6) / 1e6;
+
+const finishTotals = (totals) => ({
+  ...totals,
+  transcriptionMinutes: Math.round(((totals.transcriptionSeconds || 0) / 60) * 100) / 100,
+  estimatedCostUsd: roundCost(totals.estimatedCostUsd)
+});
+
+const addTotals = (target, source) => {
+  target.audits = (target.audits || 0) + source.audits;
+  target.auditsWithUsage = (target.auditsWithUsage || 0) + source.auditsWithUsage;
+  SUMMED_FIELDS.forEach((field) => {
+    target[field] = (target[field] || 0) + (source[field] || 0);
+  });
+  return target;
+};
+
+/**
+ * Usage by user and month
+ * GET /usage?from=2026-01&to=2026-03&scope=me|all&userId=
+ */
+export const getUsage = async (req, res) => {
+  try {
+    if (mongoose.connection.readyState !== 1) {
+      return databaseUnavailable(res);
+    }
+
+    const { scope = 'me', userId } = req.query;
+    if (!['me', 'all'].includes(scope)) {
+      return res.status(400).json({ ok: false, error: 'scope must be "me" or "all"' });
+    }
+    if (scope === 'all' && !isUsageAdmin(req.user)) {
+      return res.status(403).json({ ok: false, error: 'Only admins, reviewers and USAGE_ADMIN_EMAILS accounts can read usage for all users' });
+    }
+
+    const from = parseBound(req.query.from);
+    const to = parseBound(req.query.to, { end: true });
+    if (from === null || to === null) {
+      return res.status(400).json({ ok: false, error: 'from and to must be YYYY-MM or ISO dates' });
+    }
+
+    const match = {};
+    if (scope === 'me') {
+      match.userId = new mongoose.Types.ObjectId(req.user.id);
+    } else if (userId) {
+      if (!mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({ ok: false, error: 'Invalid user ID format' });
+      }
+      match.userId = new mongoose.Types.ObjectId(userId);
+    }
+    if (from || to) {
+      match.createdAt = { ...(from ? { $gte: from } : {}), ...(to ? { $lt: to } : {}) };
+    }
+
+    const groups = await AuditRecord.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { userId: '$userId', month: { $dateToString: { format: '%Y-%m', date: '$createdAt' } } },
+          audits: { $sum: 1 },
+          auditsWithUsage: { $sum: { $cond: [{ $ifNull: ['$usage', false] }, 1, 0] } },
+          ...Object.fromEntries(SUMMED_FIELDS.map((field) => [field, { $sum: `$usage.${field}` }])),
+          scrapingMethods: { $push: '$usage.scrapingMethod' }
+        }
+      },
+      { $sort: { '_id.month': -1, estimatedCostUsd: -1 } }
+    ]);
+
+    const users = await User.find({ _id: { $in: [...new Set(groups.map((group) => String(group._id.userId)))] } })
+      .select('name email')
+      .lean();
+    const usersById = new Map(users.map((user) => [String(user._id), user]));
+
+    const rows = groups.map(({ _id, scrapingMethods, ...totals }) => ({
+      month: _id.month,
+      userId: String(_id.userId),
+      email: usersById.get(String(_id.userId))?.email || null,
+      name: usersById.get(String(_id.userId))?.name || null,
+      ...finishTotals(totals),
+      scrapingMethods: scrapingMethods.filter(Boolean).reduce((counts, method) => ({ ...counts, [method]: (counts[method] || 0) + 1 }), {})
+    }));
+
+    const months = [...rows.reduce((byMonth, row) => {
+      byMonth.set(row.month, addTotals(byMonth.get(row.month) || { month: row.month, users: 0 }, row));
+      byMonth.get(row.month).users += 1;
+      return byMonth;
+    }, new Map()).values()].map(finishTotals);
+
+    return res.json({
+      ok: true,
+      data: {
+        scope,
+        from: from ? from.toISOString() : null,
+        to: to ? to.toISOString() : null,
+        rows,
+        months,
+        totals: finishTotals(rows.reduce((totals, row) => addTotals(totals, row), {}))
+      }
+    });
+  } catch (error) {
+    console.error('[Usage] Report error:', error);
+    return res.status(500).json({ ok: false, error: error.message || 'Failed to build usage report' });
+  }
+};
+
+export default {
+  getUsage
+};
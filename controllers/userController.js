@@ -0,0 +1,126 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import { ROLES, resolveRole } from '../config/roles.js';
+import { PLANS } from '../config/plans.js';
+
+/**
+ * User Controller
+ * Account administration for roles with users:manage (config/roles.js):
+ * list accounts and change their role or plan.
+ */
+
+const MAX_LIMIT = 200;
+
+const databaseUnavailable = (res) => res.status(503).json({
+  ok: false,
+  error: 'User management is unavailable. Database connection is not ready.'
+});
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const toAdminUser = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  emailVerified: Boolean(user.emailVerified),
+  role: resolveRole(user),
+  storedRole: user.role || null,
+  plan: user.plan,
+  createdAt: user.createdAt
+});
+
+/**
+ * List accounts
+ * GET /users?q=&role=&plan=&limit=&skip=
+ */
+export const listUsers = async (req, res) => {
+  try {
+    if (mongoose.connection.readyState !== 1) return databaseUnavailable(res);
+
+    const { q, role, plan } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_LIMIT);
+    const skip = Math.max(parseInt(req.query.skip, 10) || 0, 0);
+
+    const filter = {};
+    if (typeof q === 'string' && q.trim()) {
+      const pattern = new RegExp(escapeRegExp(q.trim().slice(0, 100)), 'i');
+      filter.$or = [{ name: pattern }, { email: pattern }];
+    }
+    if (role) filter.role = String(role);
+    if (plan) filter.plan = String(plan);
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .select('name email emailVerified role plan createdAt')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      User.countDocuments(filter)
+    ]);
+
+    return res.json({
+      ok: true,
+      data: {
+        users: users.map(toAdminUser),
+        pagination: { total, limit, skip, hasMore: skip + users.length < total }
+      }
+    });
+  } catch (error) {
+    console.error('[Users] List error:', error);
+    return res.status(500).json({ ok: false, error: error.message || 'Failed to list users' });
+  }
+};
+
+/**
+ * Change an account's role and/or plan
+ * PUT /users/:id { role?, plan? }
+ */
+export const updateUser = async (req, res) => {
+  try {
+    if (mongoose.connection.readyState !== 1) return databaseUnavailable(res);
+
+    const { role, plan } = req.body || {};
+    const update = {};
+    if (role !== undefined) {
+      if (!ROLES.includes(role)) {
+        return res.status(400).json({ ok: false, error: `role must be one of: ${ROLES.join(', ')}` });
+      }
+      // Keeps the last admin from locking everyone out of user management
+      if (String(req.params.id) === String(req.user.id)) {
+        return res.status(400).json({ ok: false, error: 'You cannot change your own role' });
+      }
+      update.role = role;
+    }
+    if (plan !== undefined) {
+      if (!PLANS.includes(plan)) {
+        return res.status(400).json({ ok: false, error: `plan must be one of: ${PLANS.join(', ')}` });
+      }
+      update.plan = plan;
+    }
+    if (!Object.keys(update).length) {
+      return res.status(400).json({ ok: false, error: 'Provide role and/or plan' });
+    }
+
+    const user = await User.findByIdAndUpdate(req.params.id, update, { new: true, runValidators: true })
+      .select('name email emailVerified role plan createdAt')
+      .lean();
+    if (!user) {
+      return res.status(404).json({ ok: false, error: 'User not found' });
+    }
+
+    console.log(`[Users] ${req.user.email} updated ${user.email}:`, update);
+    return res.json({ ok: true, data: toAdminUser(user) });
+  } catch (error) {
+    console.error('[Users] Update error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ ok: false, error: 'Invalid ID format' });
+    }
+    return res.status(500).json({ ok: false, error: error.message || 'Failed to update user' });
+  }
+};
+
+export default {
+  listUsers,
+  updateUser
+};
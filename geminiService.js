@@ -1,28 +1,36 @@
-import { VertexAI } from "@google-cloud/vertexai";
+import { generate, generateJSON } from "./services/llmService.js";
+import { selectGeminiModel, isComplexContent } from "./services/modelRouter.js";
+import { getVertexAIClient } from "./services/llmProviders.js";
+import { validateViolationCitations } from "./services/citationValidator.js";
+import { prescreenContent, mergeDeterministicViolations } from "./services/prescreenService.js";
+import {
+  isChunkingEnabled,
+  getChunkingConfig,
+  splitIntoChunks,
+  buildSingleCoverage,
+  mergeChunkResults
+} from "./services/chunkingService.js";
+import { mapWithConcurrency } from "./utils/concurrency.js";
+import { validateAuditResult } from "./services/auditResultSchema.js";
+import { retrieveRules } from "./services/ruleRetrieval.js";
+import {
+  resolveAnalysisMode,
+  getFastScanConfig,
+  getDeepReasonConfig,
+  buildRulesOnlyResult,
+  buildAnalysisRecord
+} from "./services/analysisModes.js";
 
 /* ===============================
    CONFIG
+   Providers and fallback chains: services/llmService.js
+   (LLM_CHAIN_AUDIT, LLM_CHAIN_CLAIMS); audit model choice:
+   services/modelRouter.js; what each analysis mode runs:
+   services/analysisModes.js
 ================================ */
-const MODEL_NAME = "gemini-2.5-flash";
 const MAX_CONTENT_LENGTH = 12000;
 const GEMINI_TIMEOUT_MS = 30000;
-
-let vertexAIClient = null;
-
-const getVertexAIClient = () => {
-  if (!vertexAIClient) {
-    const projectId = process.env.VERTEX_PROJECT_ID;
-    const location = process.env.VERTEX_LOCATION;
-    
-    if (!projectId || !location) {
-      throw new Error("VERTEX_PROJECT_ID or VERTEX_LOCATION missing");
-    }
-    
-    vertexAIClient = new VertexAI({ project: projectId, location: location });
-    console.log('[Gemini] Vertex AI client initialized');
-  }
-  return vertexAIClient;
-};
+const DEFAULT_CHUNK_CONCURRENCY = 2;
 
 const truncateContent = (content) => {
   if (!content || typeof content !== 'string') return '';
@@ -31,19 +39,6 @@ const truncateContent = (content) => {
     : content;
 };
 
-const withTimeout = (promise, ms, errorMsg) => {
-  return Promise.race([
-    promise,
-    new Promise((_, reject) => 
-      setTimeout(() => reject(new Error(errorMsg)), ms)
-    )
-  ]);
-};
-
-if (process.env.VERTEX_PROJECT_ID && process.env.VERTEX_LOCATION) {
-  getVertexAIClient();
-}
-
 const cleanJsonString = (text = "") => {
   return text
     .replace(/```json/gi, "")
@@ -121,15 +116,14 @@ const tryParseJson = (text) => {
 /* ===============================
    PROMPT (VERY IMPORTANT)
 ================================ */
-const buildRulesBlock = (rules = []) => {
+const buildRulesBlock = (rules = [], maxRules = 50) => {
   if (!rules.length) {
     return 'No rule pack provided. Use best-effort compliance reasoning based on jurisdiction.';
   }
 
-  const maxRules = 50;
   const lines = rules.slice(0, maxRules).map((rule, index) => {
     const section = rule.section ? ` (Section: ${rule.section})` : '';
-    return `${index + 1}. ${rule.regulation} - ${rule.title}${section}`;
+    return `${index + 1}. [${rule.id}] ${rule.regulation} - ${rule.title}${section}`;
   });
 
   if (rules.length > maxRules) {
@@ -139,13 +133,32 @@ const buildRulesBlock = (rules = []) => {
   return lines.join('\n');
 };
 
-const buildCompliancePrompt = ({ inputType, category, analysisMode, country, region, rules, contentContext }) => {
+const buildPrescreenBlock = (hits = []) => {
+  if (!hits.length) return '';
+
+  const lines = hits.slice(0, 20).map((hit) => `- [${hit.ruleId}] "${hit.text}"`);
+  return `\nPRE-SCREEN HITS (already detected verbatim; include them and look for anything else):\n${lines.join('\n')}\n`;
+};
+
+// Deep Reason verification pass: findings from the per-claim audits
+const buildCandidateBlock = (candidates = []) => {
+  if (!candidates.length) return '';
+
+  const lines = candidates.map((candidate) => `- [${candidate.ruleId || 'no rule'}] ${candidate.severity || 'Medium'}: "${candidate.problematicContent}" - ${candidate.description || ''}`.trim());
+  return `\nCANDIDATE FINDINGS (from a claim-by-claim review; verify each one):
+${lines.join('\n')}
+Keep a candidate only if the content really breaches the cited rule; correct its rule or severity where needed and drop it otherwise. Also report anything the review missed.\n`;
+};
+
+const buildCompliancePrompt = ({ inputType, category, analysisMode, country, region, rules, maxRules, contentContext, prescreenHits, candidateFindings }) => {
   const jurisdiction = country ? country : 'India';
   const regionLabel = region ? ` (${region})` : '';
-  const rulesBlock = buildRulesBlock(rules);
+  const rulesBlock = buildRulesBlock(rules, maxRules);
   const contextBlock = contentContext
     ? `\nCONTENT CONTEXT (MANDATORY):\n${contentContext}\n`
     : '';
+  const prescreenBlock = buildPrescreenBlock(prescreenHits);
+  const candidateBlock = buildCandidateBlock(candidateFindings);
 
   return `
 You are NextComply AI, a senior regulatory compliance auditor for ${jurisdiction}${regionLabel}.
@@ -157,7 +170,13 @@ ${contextBlock}
 
 RULE PACK (MANDATORY):
 Use ONLY the rules listed below to identify violations and generate fixes.
+Each rule starts with its ID in square brackets.
 ${rulesBlock}
+${prescreenBlock}${candidateBlock}
+CITATION RULES:
+- Every violation MUST set "ruleId" to the ID (without brackets) of the rule it breaches
+- Use ONLY IDs from the rule pack above; never invent an ID
+- If no rule pack is provided, set "ruleId" to null
 
 CRITICAL OUTPUT RULES:
 - Return ONLY valid JSON
@@ -195,6 +214,7 @@ JSON SCHEMA:
   },
   "violations": [
     {
+      "ruleId": string | null,
       "severity": "Critical" | "High" | "Medium" | "Low",
       "regulation": string,
       "description": string,
@@ -213,9 +233,77 @@ Return JSON only.`;
 };
 
 /* ===============================
-   MAIN FUNCTION (EXPORTED)
+   SCHEMA REPAIR
+   One follow-up turn quoting the validation errors; AUDIT_SCHEMA_REPAIR=false
+   disables it.
 ================================ */
-export const analyzeWithGemini = async ({
+const isSchemaRepairEnabled = () => process.env.AUDIT_SCHEMA_REPAIR !== 'false';
+
+const buildRepairPrompt = (errors) => {
+  const lines = errors.slice(0, 20).map((error) => `- ${error.message}`);
+  return `Your previous response does not match the required JSON SCHEMA:
+${lines.join('\n')}
+
+Return the complete corrected JSON object only, following the same JSON SCHEMA.
+Keep your findings unless an error requires changing them; "problematicContent" must stay a verbatim quote from the content.`;
+};
+
+const parseAuditJson = (text) => {
+  try {
+    return tryParseJson(text);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Run an audit turn through the LLM layer: the routed model first, then the
+ * audit chain. "pinned" restricts it to one provider/model (used so the
+ * repair turn goes to the model that wrote the answer)
+ */
+const generateAuditText = (messages, routing, pinned) => generate('audit', {
+  messages,
+  json: true,
+  generationConfig: routing.generationConfig,
+  timeoutMs: GEMINI_TIMEOUT_MS,
+  ...(pinned ? { chain: [pinned] } : { primary: { provider: routing.provider, model: routing.model } })
+});
+
+/**
+ * Routing decision as stored on the audit
+ */
+const summarizeRouting = (routing) => ({
+  rule: routing.rule,
+  tier: routing.tier,
+  provider: routing.provider,
+  model: routing.model,
+  reason: routing.reason,
+  inputType: routing.inputs.inputType,
+  contentLength: routing.inputs.contentLength,
+  isComplex: routing.inputs.isComplex,
+  analysisMode: routing.inputs.analysisMode,
+  maxOutputTokens: routing.generationConfig.maxOutputTokens
+});
+
+/**
+ * Note a model call on the audit's call log (one entry per call that answered)
+ */
+const recordCall = (callLog, pass, response) => {
+  callLog?.push({ pass, provider: response.provider, model: response.model, usage: response.usage || null });
+  return response;
+};
+
+const summarizeLlmCall = (response) => ({
+  provider: response.provider,
+  model: response.model,
+  fallbackUsed: response.fallbackUsed,
+  attempts: response.attempts.map(({ provider, model, error }) => ({ provider, model, ...(error ? { error } : {}) }))
+});
+
+/* ===============================
+   SINGLE CALL
+================================ */
+const analyzeSingleWithGemini = async ({
   content,
   inputType = "text",
   category = "General",
@@ -223,20 +311,22 @@ export const analyzeWithGemini = async ({
   country,
   region,
   rules = [],
-  contentContext = ''
+  promptRules = rules,
+  maxPromptRules,
+  contentContext = '',
+  candidateFindings = [],
+  schemaRepair = isSchemaRepairEnabled(),
+  routing,
+  callLog,
+  pass = 'audit'
 }) => {
   const truncatedContent = truncateContent(content);
-  const vertexAI = getVertexAIClient();
 
-  const model = vertexAI.getGenerativeModel({
-    model: MODEL_NAME,
-    generationConfig: {
-      temperature: 0.0,
-      maxOutputTokens: 2048,
-      topP: 0.95,
-      responseMimeType: "application/json"
-    },
-  });
+  // Deterministic hits are computed before the model runs and always reported
+  const prescreenHits = prescreenContent(truncatedContent, rules, { inputType });
+  if (prescreenHits.length) {
+    console.log(`[Prescreen] ${prescreenHits.length} prohibited-wording hit(s): ${[...new Set(prescreenHits.map((hit) => hit.ruleId))].join(', ')}`);
+  }
 
   const prompt = buildCompliancePrompt({
     inputType,
@@ -244,8 +334,11 @@ export const analyzeWithGemini = async ({
     analysisMode,
     country,
     region,
-    rules,
-    contentContext
+    rules: promptRules,
+    maxRules: maxPromptRules,
+    contentContext,
+    prescreenHits,
+    candidateFindings
   });
 
   const parts = [
@@ -253,25 +346,327 @@ export const analyzeWithGemini = async ({
     { text: prompt },
   ];
 
-  const result = await withTimeout(
-    model.generateContent({ contents: [{ role: "user", parts }] }),
-    GEMINI_TIMEOUT_MS,
-    'Gemini API call timed out'
-  );
-
-  let rawText =
-    result?.response?.candidates?.[0]?.content?.parts?.[0]?.text || "";
+  const messages = [{ role: "user", content: parts }];
+  const response = recordCall(callLog, pass, await generateAuditText(messages, routing));
+  const rawText = response.text;
+  const route = { provider: response.provider, model: response.model };
+
+  let parsed = parseAuditJson(rawText);
+  let validation = parsed
+    ? validateAuditResult(parsed)
+    : { valid: false, errors: [{ path: '(root)', message: 'Response is not valid JSON (it may have been cut off)' }] };
+  let repairAttempted = false;
+
+  if (!validation.valid && schemaRepair) {
+    repairAttempted = true;
+    console.warn(`[Gemini] Audit result failed schema validation (${validation.errors.length} error(s)), requesting repair. First: ${validation.errors[0].message}`);
+
+    try {
+      const { text: repairedText } = recordCall(callLog, pass, await generateAuditText([
+        ...messages,
+        { role: "assistant", content: rawText },
+        { role: "user", content: buildRepairPrompt(validation.errors) }
+      ], routing, route));
+
+      const repaired = parseAuditJson(repairedText);
+      const repairedValidation = repaired ? validateAuditResult(repaired) : null;
+      if (repairedValidation && (!parsed || repairedValidation.errors.length < validation.errors.length)) {
+        parsed = repaired;
+        validation = repairedValidation;
+      }
+    } catch (error) {
+      console.warn('[Gemini] Repair call failed:', error.message);
+    }
 
-  if (!rawText) {
-    throw new Error("Gemini returned empty response");
+    console.log(`[Gemini] Repair ${validation.valid ? 'succeeded' : 'did not produce a valid result'}`);
   }
 
-  try {
-    return tryParseJson(rawText);
-  } catch (err) {
+  if (!parsed) {
     console.error('[Gemini] JSON parse failed');
     throw new Error("Gemini returned invalid JSON");
   }
+
+  const checked = {
+    ...parsed,
+    schemaValid: validation.valid,
+    repairAttempted,
+    ...(validation.valid ? {} : { schemaErrors: validation.errors.slice(0, 20) }),
+    llm: summarizeLlmCall(response)
+  };
+
+  return mergeDeterministicViolations(validateViolationCitations(checked, rules), prescreenHits, rules);
+};
+
+/* ===============================
+   STANDARD
+   Content longer than MAX_CONTENT_LENGTH is audited in chunks (see
+   services/chunkingService.js); result.coverage says what was audited.
+================================ */
+const analyzeStandardWithGemini = async (params, routing, callLog) => {
+  const content = typeof params.content === 'string' ? params.content : '';
+
+  if (content.length <= MAX_CONTENT_LENGTH || !isChunkingEnabled()) {
+    const result = await analyzeSingleWithGemini({ ...params, routing, callLog });
+    const coverage = buildSingleCoverage(content.length, Math.min(content.length, MAX_CONTENT_LENGTH));
+    if (coverage.mode === 'truncated') {
+      console.warn(`[Gemini] Content truncated for audit: ${coverage.auditedChars}/${coverage.totalChars} chars (AUDIT_CHUNKING=off)`);
+    }
+    return { ...result, coverage };
+  }
+
+  const { overlapChars, maxChunks } = getChunkingConfig();
+  const chunks = splitIntoChunks(content, { maxChars: MAX_CONTENT_LENGTH, overlapChars });
+  const configured = parseInt(process.env.AUDIT_CHUNK_CONCURRENCY, 10);
+  const concurrency = Number.isFinite(configured) && configured > 0 ? configured : DEFAULT_CHUNK_CONCURRENCY;
+  console.log(`[Gemini] Chunked audit: ${content.length} chars in ${chunks.length} chunks (max ${maxChunks}, concurrency ${concurrency})`);
+
+  const outcomes = await mapWithConcurrency(chunks, concurrency, async (chunk) => {
+    if (chunk.index >= maxChunks) {
+      return { chunk, skipped: true };
+    }
+
+    const sectionContext = `Input is section ${chunk.index + 1} of ${chunks.length} (characters ${chunk.start}-${chunk.end} of ${content.length}) of a longer ${params.inputType || 'text'}. Audit only this section; sections overlap slightly.`;
+    try {
+      const result = await analyzeSingleWithGemini({
+        ...params,
+        routing,
+        callLog,
+        content: chunk.text,
+        contentContext: [params.contentContext, sectionContext].filter(Boolean).join('\n')
+      });
+      return { chunk, result };
+    } catch (error) {
+      console.warn(`[Gemini] Chunk ${chunk.index + 1}/${chunks.length} failed:`, error.message);
+      return { chunk, error };
+    }
+  });
+
+  const failed = outcomes.filter((outcome) => outcome.error);
+  if (!outcomes.some((outcome) => outcome.result)) {
+    throw failed[0]?.error || new Error('Chunked audit produced no results');
+  }
+
+  const merged = mergeChunkResults(outcomes, content.length);
+  if (merged.coverage.coveredRatio < 1) {
+    console.warn(`[Gemini] Chunked audit covered ${Math.round(merged.coverage.coveredRatio * 100)}% of the input (${failed.length} failed chunk(s))`);
+  }
+  return merged;
+};
+
+/* ===============================
+   FAST SCAN
+   One short call with the most relevant rules, no repair turn, no chunking;
+   FAST_SCAN_STRATEGY=rules-only returns the pre-screen alone.
+================================ */
+const analyzeFastWithGemini = async (params, routing, callLog, strategy) => {
+  const content = typeof params.content === 'string' ? params.content : '';
+  const rules = params.rules || [];
+
+  if (strategy === 'rules-only') {
+    const hits = prescreenContent(content, rules, { inputType: params.inputType });
+    return {
+      ...buildRulesOnlyResult(hits, rules),
+      coverage: buildSingleCoverage(content.length, content.length)
+    };
+  }
+
+  const { maxRules } = getFastScanConfig();
+  const result = await analyzeSingleWithGemini({
+    ...params,
+    routing,
+    callLog,
+    promptRules: retrieveRules(truncateContent(content), rules, { limit: maxRules, minRules: maxRules, inputType: params.inputType }),
+    maxPromptRules: maxRules,
+    schemaRepair: false
+  });
+  return { ...result, coverage: buildSingleCoverage(content.length, Math.min(content.length, MAX_CONTENT_LENGTH)) };
+};
+
+/* ===============================
+   DEEP REASON
+   1. claims: verbatim claims from the content
+   2. claim-audit: each claim against the rules retrieved for it
+   3. verify: full audit that confirms, corrects or drops the candidates
+================================ */
+const buildClaimListPrompt = (maxClaims) => `List the distinct marketing, medical and compliance-relevant claims made in the content above, most serious first, at most ${maxClaims}.
+
+Return JSON only:
+{
+  "claims": [
+    { "text": string, "type": "medical" | "efficacy" | "safety" | "comparative" | "pricing" | "endorsement" | "other" }
+  ]
+}
+- "text" must be a verbatim quote from the content (one sentence or clause)
+- Return {"claims": []} if the content makes no claims`;
+
+const buildClaimAuditPrompt = ({ claim, inputType, country, region, rules }) => {
+  const jurisdiction = country ? country : 'India';
+  const regionLabel = region ? ` (${region})` : '';
+
+  return `You are NextComply AI, a senior regulatory compliance auditor for ${jurisdiction}${regionLabel}.
+
+The text above is one ${claim.type && claim.type !== 'other' ? `${claim.type} ` : ''}claim taken from ${inputType} advertising content. Decide whether it breaches any of these rules:
+${buildRulesBlock(rules)}
+
+Return JSON only:
+{
+  "violations": [
+    {
+      "ruleId": string | null,
+      "severity": "Critical" | "High" | "Medium" | "Low",
+      "regulation": string,
+      "description": string,
+      "problematicContent": string
+    }
+  ]
+}
+- "problematicContent" must be a verbatim quote from the claim
+- Use ONLY rule IDs listed above
+- Return {"violations": []} if the claim breaches none of them`;
+};
+
+const extractClaimList = async (content, { maxClaims, callLog }) => {
+  const response = recordCall(callLog, 'claims', await generateJSON('claims', {
+    messages: [{ role: 'user', content: [{ text: content }, { text: buildClaimListPrompt(maxClaims) }] }],
+    generationConfig: { temperature: 0.0, maxOutputTokens: 2048, topP: 0.9 },
+    timeoutMs: GEMINI_TIMEOUT_MS
+  }));
+
+  const seen = new Set();
+  return (Array.isArray(response.data?.claims) ? response.data.claims : [])
+    .map((claim) => (typeof claim === 'string' ? { text: claim } : claim))
+    .filter((claim) => typeof claim?.text === 'string' && claim.text.trim())
+    .map((claim) => ({ text: claim.text.trim(), type: claim.type || 'other' }))
+    .filter((claim) => {
+      const key = claim.text.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, maxClaims);
+};
+
+const auditClaim = async ({ claim, rules, params, routing, callLog }) => {
+  const prompt = buildClaimAuditPrompt({
+    claim,
+    inputType: params.inputType || 'text',
+    country: params.country,
+    region: params.region,
+    rules
+  });
+
+  const response = recordCall(callLog, 'claim-audit', await generateJSON('audit', {
+    messages: [{ role: 'user', content: [{ text: claim.text }, { text: prompt }] }],
+    generationConfig: routing.generationConfig,
+    timeoutMs: GEMINI_TIMEOUT_MS,
+    primary: { provider: routing.provider, model: routing.model }
+  }));
+
+  return (Array.isArray(response.data?.violations) ? response.data.violations : [])
+    .filter((violation) => violation && typeof violation.problematicContent === 'string' && violation.problematicContent.trim());
+};
+
+const analyzeDeepWithGemini = async (params, routing, callLog, passes) => {
+  const content = truncateContent(params.content);
+  const rules = params.rules || [];
+  const { maxClaims, rulesPerClaim, concurrency } = getDeepReasonConfig();
+
+  // A failed pass is recorded and the next one still runs; verify alone is a full audit
+  let passStart = Date.now();
+  let claims = [];
+  try {
+    claims = await extractClaimList(content, { maxClaims, callLog });
+    passes.push({ name: 'claims', claims: claims.length, durationMs: Date.now() - passStart });
+  } catch (error) {
+    console.warn('[Gemini] Deep Reason claim extraction failed:', error.message);
+    passes.push({ name: 'claims', claims: 0, error: error.message, durationMs: Date.now() - passStart });
+  }
+
+  passStart = Date.now();
+  const claimResults = await mapWithConcurrency(claims, concurrency, async (claim) => {
+    const claimRules = retrieveRules(claim.text, rules, { limit: rulesPerClaim, minRules: rulesPerClaim, inputType: params.inputType });
+    try {
+      const violations = await auditClaim({ claim, rules: claimRules, params, routing, callLog });
+      return { claim, ruleIds: claimRules.map((rule) => rule.id), violations };
+    } catch (error) {
+      console.warn('[Gemini] Deep Reason claim audit failed:', error.message);
+      return { claim, ruleIds: claimRules.map((rule) => rule.id), violations: [], error };
+    }
+  });
+
+  const seen = new Set();
+  const candidates = claimResults.flatMap((entry) => entry.violations).filter((violation) => {
+    const key = `${String(violation.ruleId || '').toLowerCase()}|${violation.problematicContent.toLowerCase().replace(/\s+/g, ' ').trim()}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+  passes.push({
+    name: 'claim-audit',
+    candidates: candidates.length,
+    claims: claimResults.map(({ claim, ruleIds, violations, error }) => ({
+      text: claim.text,
+      type: claim.type,
+      ruleIds,
+      violations: violations.length,
+      ...(error ? { error: error.message } : {})
+    })),
+    durationMs: Date.now() - passStart
+  });
+
+  passStart = Date.now();
+  const result = await analyzeSingleWithGemini({
+    ...params,
+    content,
+    routing,
+    callLog,
+    pass: 'verify',
+    candidateFindings: candidates
+  });
+  passes.push({ name: 'verify', candidates: candidates.length, violations: (result.violations || []).length, durationMs: Date.now() - passStart });
+
+  const totalChars = (params.content || '').length;
+  return { ...result, coverage: buildSingleCoverage(totalChars, content.length) };
+};
+
+/* ===============================
+   MAIN FUNCTION (EXPORTED)
+   The analysis mode decides what runs (services/analysisModes.js); the
+   model is routed once on the whole input. result.analysis records the
+   mode and its passes, result.routing why the model was chosen.
+================================ */
+export const analyzeWithGemini = async (params) => {
+  const startTime = Date.now();
+  const content = typeof params.content === 'string' ? params.content : '';
+  let resolved = resolveAnalysisMode(params.analysisMode);
+  const routing = selectGeminiModel(params.inputType || 'text', content.length, isComplexContent(content), params.analysisMode);
+  const callLog = [];
+  const passes = [];
+  let result;
+
+  if (resolved.mode === 'fast') {
+    result = await analyzeFastWithGemini(params, routing, callLog, resolved.strategy);
+    passes.push({ name: resolved.strategy === 'rules-only' ? 'prescreen' : 'audit', durationMs: Date.now() - startTime });
+  } else if (resolved.mode === 'deep' && (content.length <= MAX_CONTENT_LENGTH || !isChunkingEnabled())) {
+    result = await analyzeDeepWithGemini(params, routing, callLog, passes);
+  } else {
+    if (resolved.mode === 'deep') {
+      console.log(`[Gemini] Deep Reason input is ${content.length} chars; using the chunked audit on the deep tier`);
+      resolved = { ...resolved, strategy: 'chunked' };
+    }
+    result = await analyzeStandardWithGemini(params, routing, callLog);
+    passes.push({ name: 'audit', durationMs: Date.now() - startTime });
+  }
+
+  const analysis = buildAnalysisRecord({ resolved, callLog, passes, startTime });
+  console.log(`[Gemini] ${analysis.label} (${analysis.strategy}): ${analysis.modelCalls} model call(s) in ${analysis.durationMs}ms`);
+
+  return {
+    ...result,
+    // Rules-only Fast Scan makes no model call, so there is no routing to report
+    ...(analysis.modelCalls ? { routing: summarizeRouting(routing) } : {}),
+    analysis
+  };
 };
 
 /* ===============================
@@ -304,41 +699,29 @@ export const extractClaimsWithGemini = async (text) => {
     throw new Error('No text provided for claim extraction');
   }
 
-  const vertexAI = getVertexAIClient();
+  const prompt = `Extract the key marketing, medical, and compliance-relevant claims from the following document text. Return plain text only. Do NOT include JSON or markdown. If no claims are present, return a short sentence stating that no explicit claims were found.`;
+
+  const truncatedText = cleaned.substring(0, MAX_CONTENT_LENGTH);
 
-  const model = vertexAI.getGenerativeModel({
-    model: MODEL_NAME,
+  // A too-short answer counts as a failure so the next provider in the chain is tried
+  const { text: output } = await generate('claims', {
+    messages: [{ role: 'user', content: `${prompt}\n\n${truncatedText}` }],
     generationConfig: {
       temperature: 0.0,
       maxOutputTokens: 2048,
       topP: 0.9
+    },
+    timeoutMs: GEMINI_TIMEOUT_MS,
+    validate: ({ text: candidate }) => {
+      const extracted = candidate.trim();
+      const lower = extracted.toLowerCase();
+      const isNoClaims = lower.includes('no explicit claims') || lower.includes('no clear claims');
+      if (!isNoClaims && extracted.length < 80) {
+        throw new Error('Claim extraction returned too-short output');
+      }
+      return {};
     }
   });
 
-  const prompt = `Extract the key marketing, medical, and compliance-relevant claims from the following document text. Return plain text only. Do NOT include JSON or markdown. If no claims are present, return a short sentence stating that no explicit claims were found.`;
-
-  const truncatedText = cleaned.substring(0, MAX_CONTENT_LENGTH);
-  
-  const result = await withTimeout(
-    model.generateContent({
-      contents: [{ role: 'user', parts: [{ text: `${prompt}\n\n${truncatedText}` }] }]
-    }),
-    GEMINI_TIMEOUT_MS,
-    'Gemini claim extraction timed out'
-  );
-
-  const output = result?.response?.candidates?.[0]?.content?.parts?.[0]?.text || '';
-  const extracted = output.trim();
-
-  if (!extracted) {
-    throw new Error('Gemini claim extraction returned empty output');
-  }
-
-  const lower = extracted.toLowerCase();
-  const isNoClaims = lower.includes('no explicit claims') || lower.includes('no clear claims');
-  if (!isNoClaims && extracted.length < 80) {
-    throw new Error('Gemini claim extraction returned too-short output');
-  }
-
-  return extracted;
-};
\ No newline at end of file
+  return output.trim();
+};
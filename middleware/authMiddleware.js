@@ -1,27 +1,188 @@
 import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import { verifyAccessToken, redeemStreamTicket } from '../services/tokenService.js';
+import { isEmailVerificationRequired } from '../services/accountService.js';
+import { getMembership } from '../services/orgService.js';
+import { authenticateApiKey } from '../services/apiKeyService.js';
+import { apiKeyRateLimit } from './rateLimitMiddleware.js';
 
-const getJwtSecret = () => {
-  const secret = process.env.JWT_SECRET || 'dev-secret-change-me';
-  return secret;
-};
+/**
+ * Requires a valid access token whose token version still matches the user's
+ * (services/tokenService.js), so logout-all takes effect immediately.
+ * req.user carries the account role and its permissions (config/roles.js),
+ * read from the database on every request so role changes apply at once.
+ * Also resolves the active workspace: X-Org-Id names an organization the
+ * user belongs to (req.org = { id, name, role, permissions }); without it
+ * req.org is null and the request works in the personal workspace.
+ *
+ * Machine clients may send X-API-Key instead of a Bearer token
+ * (services/apiKeyService.js). The key decides the workspace (X-Org-Id is
+ * ignored), req.apiKey = { id, name, rateLimit } is set, and each key is
+ * rate limited on its own.
+ */
+export const authMiddleware = async (req, res, next) => {
+  const authHeader = req.headers.authorization || '';
+  const apiKey = req.headers['x-api-key'];
+  if (!authHeader.startsWith('Bearer ') && !apiKey) {
+    return res.status(401).json({ success: false, error: 'Authorization header or X-API-Key missing or invalid' });
+  }
+
+  if (mongoose.connection.readyState !== 1) {
+    return res.status(503).json({ success: false, error: 'Authentication service is unavailable. Database connection is not ready.' });
+  }
+
+  if (!authHeader.startsWith('Bearer ')) {
+    return authenticateWithApiKey(req, res, next, String(apiKey));
+  }
 
-export const authMiddleware = (req, res, next) => {
+  let user;
   try {
-    const authHeader = req.headers.authorization || '';
-    if (!authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ success: false, error: 'Authorization header missing or invalid' });
+    user = await verifyAccessToken(authHeader.substring(7));
+  } catch (error) {
+    // TokenExpiredError and NotBeforeError extend JsonWebTokenError
+    if (error instanceof jwt.JsonWebTokenError) {
+      console.error('[AuthMiddleware] JWT error:', error.message);
+      return res.status(401).json({ success: false, error: 'Invalid or expired token' });
     }
+    console.error('[AuthMiddleware] Token check failed:', error);
+    return res.status(500).json({ success: false, error: 'Failed to verify token' });
+  }
+
+  if (!user) {
+    return res.status(401).json({ success: false, error: 'Token has been revoked' });
+  }
+
+  req.user = user;
+  req.org = null;
+
+  const orgId = req.headers['x-org-id'];
+  if (orgId) {
+    if (!mongoose.Types.ObjectId.isValid(orgId)) {
+      return res.status(400).json({ success: false, error: 'Invalid X-Org-Id' });
+    }
+    try {
+      req.org = await getMembership(orgId, user.id);
+    } catch (error) {
+      console.error('[AuthMiddleware] Organization lookup failed:', error);
+      return res.status(500).json({ success: false, error: 'Failed to resolve organization' });
+    }
+    if (!req.org) {
+      return res.status(403).json({ success: false, error: 'You are not a member of this organization' });
+    }
+  }
+
+  return next();
+};
+
+const authenticateWithApiKey = async (req, res, next, apiKey) => {
+  let identity;
+  try {
+    identity = await authenticateApiKey(apiKey, req);
+  } catch (error) {
+    console.error('[AuthMiddleware] API key check failed:', error);
+    return res.status(500).json({ success: false, error: 'Failed to verify API key' });
+  }
+
+  if (!identity) {
+    return res.status(401).json({ success: false, error: 'Invalid, expired or revoked API key' });
+  }
+
+  req.user = identity.user;
+  req.org = identity.org;
+  req.apiKey = identity.apiKey;
+  return apiKeyRateLimit(req, res, next);
+};
+
+/**
+ * Refuses API keys, for routes that manage the account itself (e.g. API keys).
+ * Must run after authMiddleware.
+ */
+export const requireUserSession = (req, res, next) => {
+  if (!req.apiKey) {
+    return next();
+  }
+  return res.status(403).json({
+    success: false,
+    error: 'This route needs a signed-in user; API keys cannot use it',
+    code: 'FORBIDDEN'
+  });
+};
 
-    const token = authHeader.substring(7);
-    const decoded = jwt.verify(token, getJwtSecret());
+/**
+ * Requires a permission of the account role (config/roles.js).
+ * Must run after authMiddleware.
+ * @param {string} permission - e.g. 'rules:write'
+ */
+export const requirePermission = (permission) => (req, res, next) => {
+  if (req.user?.permissions?.includes(permission)) {
+    return next();
+  }
+  return res.status(403).json({
+    success: false,
+    error: `Your role (${req.user?.role || 'none'}) does not allow this`,
+    code: 'FORBIDDEN'
+  });
+};
 
-    req.user = { id: decoded.id, email: decoded.email };
+/**
+ * Requires a permission of the member's role (config/orgRoles.js) when the
+ * request works in an organization; personal workspaces allow everything.
+ * Must run after authMiddleware.
+ * @param {string} permission - e.g. 'audits:create'
+ */
+export const requireOrgPermission = (permission) => (req, res, next) => {
+  if (!req.org || req.org.permissions.includes(permission)) {
     return next();
+  }
+  return res.status(403).json({
+    success: false,
+    error: `Your role (${req.org.role}) in ${req.org.name} does not allow this`,
+    code: 'FORBIDDEN'
+  });
+};
+
+/**
+ * With REQUIRE_EMAIL_VERIFICATION=true, refuses accounts whose email is not
+ * verified. Must run after authMiddleware.
+ */
+export const requireVerifiedEmail = (req, res, next) => {
+  if (!isEmailVerificationRequired() || req.user?.emailVerified) {
+    return next();
+  }
+  return res.status(403).json({
+    success: false,
+    error: 'Please verify your email address before running audits.',
+    code: 'EMAIL_NOT_VERIFIED'
+  });
+};
+
+/**
+ * Authentication for a job's event stream: headers as in authMiddleware, or,
+ * since EventSource cannot send headers, a single-use ?ticket= from
+ * POST /audit/:jobId/events/ticket. JWTs are never accepted in the URL.
+ */
+export const authenticateStream = async (req, res, next) => {
+  const { ticket } = req.query || {};
+  if (req.headers.authorization || req.headers['x-api-key'] || typeof ticket !== 'string' || !ticket) {
+    return authMiddleware(req, res, next);
+  }
+
+  let user;
+  try {
+    user = await redeemStreamTicket(ticket, req.params.jobId);
   } catch (error) {
-    console.error('[AuthMiddleware] JWT error:', error.message);
-    return res.status(401).json({ success: false, error: 'Invalid or expired token' });
+    console.error('[AuthMiddleware] Stream ticket check failed:', error);
+    return res.status(500).json({ success: false, error: 'Failed to verify stream ticket' });
   }
+
+  if (!user) {
+    return res.status(401).json({ success: false, error: 'Invalid, used or expired stream ticket' });
+  }
+
+  req.user = user;
+  req.org = null;
+  return next();
 };
 
-export default { authMiddleware };
+export default { authMiddleware, requireUserSession, requirePermission, requireOrgPermission, requireVerifiedEmail, authenticateStream };
 
@@ -0,0 +1,131 @@
+import mongoose from 'mongoose';
+import {
+  getQuotaStatus,
+  describeAuditRequest,
+  measureMediaFiles,
+  dailyLimitError,
+  checkQuota,
+  reserveAudits,
+  releaseAudits
+} from '../services/quotaService.js';
+
+const asList = (value) => (typeof value === 'string' && value.trim() ? [value.trim()] : []);
+
+const parseItems = (rawItems) => {
+  try {
+    const items = typeof rawItems === 'string' ? JSON.parse(rawItems) : rawItems;
+    return Array.isArray(items) ? items : [];
+  } catch {
+    // Malformed items are reported by the controller
+    return [];
+  }
+};
+
+/**
+ * Inputs of an audit request, across the shapes the audit routes accept:
+ * text/url/file (POST /audit, POST /url-audit), content + inputType (POST /analyze)
+ * and items + files (POST /audit/batch)
+ */
+const collectInputs = (req) => {
+  const body = req.body || {};
+  const items = parseItems(body.items);
+  const contentIsUrl = body.inputType === 'URL';
+
+  return {
+    texts: [
+      ...asList(body.text),
+      ...(contentIsUrl ? [] : asList(body.content)),
+      ...items.flatMap((item) => asList(item?.text))
+    ],
+    urls: [
+      ...asList(body.url),
+      ...(contentIsUrl ? asList(body.content) : []),
+      ...items.flatMap((item) => (asList(item?.text).length ? [] : asList(item?.url)))
+    ],
+    files: [req.file, ...(req.files || [])].filter(Boolean)
+  };
+};
+
+const sendExceeded = (res, exceeded, quota) => {
+  if (exceeded.retryAfterSeconds) {
+    res.set('Retry-After', String(exceeded.retryAfterSeconds));
+  }
+  return res.status(exceeded.status).json({
+    success: false,
+    error: exceeded.error,
+    code: exceeded.code,
+    quota
+  });
+};
+
+/**
+ * Plan quota check for audit routes
+ * Runs after authMiddleware and multer (so uploaded files can be measured) and
+ * before the controller calls processContent. Over-limit requests get
+ * 429 (daily audits; with Retry-After) or 402 (plan limit: file size, media
+ * minutes), with the quota in the body. Uploaded audio/video is measured
+ * against the media minutes left; files that cannot be measured get 422.
+ *
+ * Allowed requests reserve their audits (req.quotaReservation). An error
+ * response releases them all; a 202 hands them to the queued jobs, whose
+ * failures release them one by one (releaseAudits). Without the database the
+ * quota cannot be checked, so audits are refused with 503.
+ */
+export const enforceQuota = async (req, res, next) => {
+  try {
+    if (!req.user?.id) {
+      return next();
+    }
+    if (mongoose.connection.readyState !== 1) {
+      return res.status(503).json({
+        success: false,
+        error: 'Audits are unavailable: the quota cannot be checked while the database connection is not ready.'
+      });
+    }
+
+    const quota = await getQuotaStatus(req.user.id);
+    if (!quota) {
+      return res.status(401).json({ success: false, error: 'User not found' });
+    }
+
+    const inputs = collectInputs(req);
+    const request = describeAuditRequest(inputs);
+    let exceeded = checkQuota(quota, request);
+    if (!exceeded && request.media && quota.remaining.mediaMinutesThisMonth !== null && inputs.files.length) {
+      try {
+        request.mediaMinutes = await measureMediaFiles(inputs.files);
+      } catch (error) {
+        if (error.code !== 'MEDIA_DURATION_UNKNOWN') throw error;
+        return res.status(422).json({ success: false, error: error.message, code: error.code });
+      }
+      exceeded = checkQuota(quota, request);
+    }
+    if (exceeded) {
+      return sendExceeded(res, exceeded, quota);
+    }
+
+    if (request.audits > 0) {
+      const reservation = await reserveAudits(req.user.id, request.audits, quota.limits.auditsPerDay);
+      if (!reservation) {
+        const latest = await getQuotaStatus(req.user.id);
+        return sendExceeded(res, dailyLimitError(latest, request), latest);
+      }
+
+      req.quotaReservation = reservation;
+      res.on('finish', () => {
+        if (res.statusCode < 400) return;
+        releaseAudits(reservation).catch((error) => {
+          console.error('[Quota] Failed to release audits:', error.message);
+        });
+      });
+    }
+
+    req.quota = quota;
+    return next();
+  } catch (error) {
+    console.error('[Quota] Check failed:', error);
+    return res.status(500).json({ success: false, error: 'Failed to check quota' });
+  }
+};
+
+export default { enforceQuota };
@@ -0,0 +1,112 @@
+import { getRateLimitStore } from '../services/rateLimitStore.js';
+
+/**
+ * Rate limiting
+ * Fixed-window request limits per client, counted in the rate limit store
+ * (services/rateLimitStore.js). Each limiter reads its limit from an env var
+ * as "<max>/<window seconds>", e.g. RATE_LIMIT_AUDIT=30/60.
+ * RATE_LIMIT_ENABLED=false turns them all off.
+ *
+ * Every limited response carries RateLimit-Limit, RateLimit-Remaining and
+ * RateLimit-Reset (seconds); a 429 adds Retry-After. Behind a proxy, set
+ * TRUST_PROXY so req.ip is the client's address rather than the proxy's.
+ */
+
+const parseLimit = (value, fallback) => {
+  const match = /^\s*(\d+)\s*\/\s*(\d+)\s*$/.exec(value || '');
+  if (!match || Number(match[1]) <= 0 || Number(match[2]) <= 0) return fallback;
+  return { max: Number(match[1]), windowSeconds: Number(match[2]) };
+};
+
+/**
+ * Client key: the API key or signed-in user, else the IP address
+ * @param {string} keyBy - 'ip' | 'user' | 'apiKey'
+ */
+const clientKey = (req, keyBy) => {
+  if (keyBy === 'apiKey' && req.apiKey?.id) return `key:${req.apiKey.id}`;
+  if (keyBy === 'user' && req.user?.id) return `user:${req.user.id}`;
+  return `ip:${req.ip}`;
+};
+
+/**
+ * Build a rate limiter
+ * @param {object} options
+ * @param {string} options.name - Counter namespace, e.g. 'auth'
+ * @param {string} options.envVar - Env var holding "<max>/<window seconds>"
+ * @param {{ max: number, windowSeconds: number }} options.defaultLimit
+ * @param {string} options.keyBy - 'ip' | 'user' | 'apiKey' (falls back to IP when signed out)
+ * @param {string} options.errorField - Body field for the message ('error', or 'message' on auth routes)
+ * @param {Function} options.limitFor - Optional (req) => { max, windowSeconds } | null overriding the env limit
+ * @returns {Function} Express middleware
+ */
+export const createRateLimiter = ({ name, envVar, defaultLimit, keyBy = 'ip', errorField = 'error', limitFor }) => async (req, res, next) => {
+  if (process.env.RATE_LIMIT_ENABLED === 'false') {
+    return next();
+  }
+
+  const { max, windowSeconds } = limitFor?.(req) || parseLimit(process.env[envVar], defaultLimit);
+
+  let counter;
+  try {
+    counter = await getRateLimitStore().increment(`${name}:${clientKey(req, keyBy)}`, windowSeconds * 1000);
+  } catch (error) {
+    // A store outage should not take the API down with it
+    console.error(`[Rate Limit] ${name} store error; request allowed:`, error.message);
+    return next();
+  }
+
+  const resetSeconds = Math.max(1, Math.ceil((counter.resetAt - Date.now()) / 1000));
+  res.set({
+    'RateLimit-Limit': String(max),
+    'RateLimit-Remaining': String(Math.max(0, max - counter.count)),
+    'RateLimit-Reset': String(resetSeconds)
+  });
+
+  if (counter.count <= max) {
+    return next();
+  }
+
+  console.warn(`[Rate Limit] ${name} limit hit by ${clientKey(req, keyBy)} (${counter.count}/${max})`);
+  res.set('Retry-After', String(resetSeconds));
+  return res.status(429).json({
+    success: false,
+    [errorField]: `Too many requests. Try again in ${resetSeconds} seconds.`,
+    retryAfter: resetSeconds
+  });
+};
+
+/**
+ * POST /auth/login and /auth/signup, per IP (default 20 per 15 minutes)
+ */
+export const authRateLimit = createRateLimiter({
+  name: 'auth',
+  envVar: 'RATE_LIMIT_AUTH',
+  defaultLimit: { max: 20, windowSeconds: 15 * 60 },
+  keyBy: 'ip',
+  errorField: 'message'
+});
+
+/**
+ * Audit-creating routes, per user (default 30 per minute); runs after
+ * authMiddleware and before uploads are buffered
+ */
+export const auditRateLimit = createRateLimiter({
+  name: 'audit',
+  envVar: 'RATE_LIMIT_AUDIT',
+  defaultLimit: { max: 30, windowSeconds: 60 },
+  keyBy: 'user'
+});
+
+/**
+ * Every request made with an API key, per key (default 60 per minute, or
+ * the key's own rateLimit); runs inside authMiddleware
+ */
+export const apiKeyRateLimit = createRateLimiter({
+  name: 'apikey',
+  envVar: 'RATE_LIMIT_API_KEY',
+  defaultLimit: { max: 60, windowSeconds: 60 },
+  keyBy: 'apiKey',
+  limitFor: (req) => req.apiKey?.rateLimit
+});
+
+export default { createRateLimiter, authRateLimit, auditRateLimit, apiKeyRateLimit };
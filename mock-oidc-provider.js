@@ -0,0 +1,127 @@
+// Local mock OpenID Connect provider for trying single sign-on without a real IdP
+//
+//   npx tsx mock-oidc-provider.js
+//
+// Then, with the API running with NODE_ENV=development (http issuers are
+// refused otherwise), point an organization at it as its owner:
+//   PUT /api/orgs/:orgId/sso
+//   { "enabled": true, "issuer": "http://localhost:4000", "clientId": "nextcomply",
+//     "clientSecret": "mock-secret", "emailDomains": ["pharma.example"],
+//     "groupRoles": [{ "group": "compliance-reviewers", "role": "reviewer" }] }
+// approve the domain as an account admin:
+//   POST /api/orgs/:orgId/sso/domains/pharma.example/approve
+// and open http://localhost:3001/api/auth/sso/:orgId/login in a browser.
+//
+// Every authorization request is approved at once as the user below; change
+// it with MOCK_OIDC_EMAIL, MOCK_OIDC_NAME, MOCK_OIDC_SUB and MOCK_OIDC_GROUPS
+// (comma-separated). Signing keys are generated at each start.
+import crypto from 'crypto';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import { pathToFileURL } from 'url';
+
+const PORT = process.env.MOCK_OIDC_PORT || 4000;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'nextcomply';
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || 'mock-secret';
+
+const getMockUser = () => ({
+  sub: process.env.MOCK_OIDC_SUB || 'mock-user-1',
+  email: process.env.MOCK_OIDC_EMAIL || 'jane@pharma.example',
+  email_verified: true,
+  name: process.env.MOCK_OIDC_NAME || 'Jane Mock',
+  groups: (process.env.MOCK_OIDC_GROUPS || 'compliance-reviewers').split(',').map((group) => group.trim()).filter(Boolean)
+});
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KID = crypto.randomBytes(8).toString('hex');
+const jwk = { ...publicKey.export({ format: 'jwk' }), kid: KID, use: 'sig', alg: 'RS256' };
+
+// Authorization codes and access tokens, in memory
+const codes = new Map();
+const accessTokens = new Map();
+
+/**
+ * Start the mock provider
+ * @param {number} port
+ * @returns {import('http').Server}
+ */
+export const startMockOidcProvider = (port = PORT) => {
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer: ISSUER,
+      authorization_endpoint: `${ISSUER}/authorize`,
+      token_endpoint: `${ISSUER}/token`,
+      userinfo_endpoint: `${ISSUER}/userinfo`,
+      jwks_uri: `${ISSUER}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported: ['S256'],
+      token_endpoint_auth_methods_supported: ['client_secret_basic']
+    });
+  });
+
+  app.get('/jwks', (req, res) => res.json({ keys: [jwk] }));
+
+  app.get('/authorize', (req, res) => {
+    const { client_id: clientId, redirect_uri: redirectUri, state, nonce, code_challenge: codeChallenge } = req.query;
+    if (clientId !== CLIENT_ID || !redirectUri) {
+      return res.status(400).send('Unknown client_id or missing redirect_uri');
+    }
+
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, { redirectUri, nonce, codeChallenge, user: getMockUser() });
+    console.log(`[Mock OIDC] Approved ${getMockUser().email}`);
+
+    const target = new URL(redirectUri);
+    target.searchParams.set('code', code);
+    if (state) target.searchParams.set('state', state);
+    return res.redirect(302, target.toString());
+  });
+
+  app.post('/token', (req, res) => {
+    const [id, secret] = Buffer.from((req.headers.authorization || '').replace(/^Basic /, ''), 'base64')
+      .toString()
+      .split(':')
+      .map(decodeURIComponent);
+    if (id !== CLIENT_ID || secret !== CLIENT_SECRET) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+
+    const grant = codes.get(req.body.code);
+    codes.delete(req.body.code);
+    const challenge = crypto.createHash('sha256').update(String(req.body.code_verifier || '')).digest('base64url');
+    if (!grant || grant.redirectUri !== req.body.redirect_uri || (grant.codeChallenge && grant.codeChallenge !== challenge)) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const accessToken = crypto.randomBytes(16).toString('hex');
+    accessTokens.set(accessToken, grant.user);
+    const idToken = jwt.sign({ ...grant.user, nonce: grant.nonce }, privateKey, {
+      algorithm: 'RS256',
+      keyid: KID,
+      issuer: ISSUER,
+      audience: CLIENT_ID,
+      expiresIn: '5m'
+    });
+    return res.json({ access_token: accessToken, token_type: 'Bearer', expires_in: 300, id_token: idToken });
+  });
+
+  app.get('/userinfo', (req, res) => {
+    const user = accessTokens.get((req.headers.authorization || '').replace(/^Bearer /, ''));
+    if (!user) return res.status(401).json({ error: 'invalid_token' });
+    return res.json(user);
+  });
+
+  return app.listen(port, () => {
+    console.log(`🔐 Mock OIDC provider at ${ISSUER} (client ${CLIENT_ID} / ${CLIENT_SECRET})`);
+  });
+};
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  startMockOidcProvider();
+}
@@ -0,0 +1,76 @@
+import mongoose from 'mongoose';
+import { API_KEY_PERMISSIONS } from '../config/roles.js';
+
+/**
+ * An API key for machine-to-machine access (services/apiKeyService.js),
+ * sent as X-API-Key. Only a SHA-256 hash of the key is stored; prefix keeps
+ * enough of it to tell keys apart in listings. A key acts as the user who
+ * created it, limited to its own permissions, and inside orgId when set.
+ */
+const ApiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  orgId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  prefix: {
+    type: String,
+    required: true
+  },
+  permissions: {
+    type: [{ type: String, enum: API_KEY_PERMISSIONS }],
+    default: []
+  },
+  // Per-key limit; null uses RATE_LIMIT_API_KEY
+  rateLimit: {
+    type: new mongoose.Schema({
+      max: { type: Number, min: 1, required: true },
+      windowSeconds: { type: Number, min: 1, required: true }
+    }, { _id: false }),
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: ''
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+ApiKeySchema.index({ userId: 1, orgId: 1, createdAt: -1 });
+ApiKeySchema.index({ orgId: 1, createdAt: -1 });
+
+export default mongoose.model('ApiKey', ApiKeySchema);
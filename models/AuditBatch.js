@@ -0,0 +1,103 @@
+import mongoose from 'mongoose';
+
+const BatchItemSchema = new mongoose.Schema({
+  index: {
+    type: Number,
+    required: true
+  },
+  inputType: {
+    type: String,
+    enum: ['text', 'url', 'file'],
+    required: true
+  },
+  originalInput: {
+    type: String,
+    default: ''
+  },
+  // Audit job running this item
+  jobId: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'done', 'failed'],
+    default: 'pending'
+  },
+  auditId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AuditRecord',
+    default: null
+  },
+  score: {
+    type: Number,
+    default: null
+  },
+  complianceStatus: {
+    type: String,
+    default: null
+  },
+  violationCount: {
+    type: Number,
+    default: 0
+  },
+  violationSeverities: {
+    type: [String],
+    default: []
+  },
+  error: {
+    type: String,
+    default: null
+  }
+}, {
+  _id: false
+});
+
+const AuditBatchSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Organization workspace the batch belongs to; null for personal batches
+  orgId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed', 'partial', 'failed'],
+    default: 'processing'
+  },
+  options: {
+    category: String,
+    analysisMode: String,
+    country: String,
+    region: String
+  },
+  items: {
+    type: [BatchItemSchema],
+    default: []
+  },
+  // Items done or failed so far; the batch is finished when it reaches items.length
+  settledCount: {
+    type: Number,
+    default: 0
+  },
+  summary: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+AuditBatchSchema.index({ userId: 1, createdAt: -1 });
+AuditBatchSchema.index({ orgId: 1, createdAt: -1 });
+
+export default mongoose.model('AuditBatch', AuditBatchSchema);
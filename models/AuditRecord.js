@@ -1,11 +1,37 @@
 import mongoose from 'mongoose';
 
+// What the audit consumed (services/usageTracker.js); aggregated by GET /api/usage
+const UsageSchema = new mongoose.Schema({
+  llmCalls: { type: Number, default: 0 },
+  inputTokens: { type: Number, default: 0 },
+  outputTokens: { type: Number, default: 0 },
+  totalTokens: { type: Number, default: 0 },
+  transcriptionSeconds: { type: Number, default: 0 },
+  transcriptionMinutes: { type: Number, default: 0 },
+  ocrPages: { type: Number, default: 0 },
+  scrapingMethod: { type: String, default: null },
+  estimatedCostUsd: { type: Number, default: 0 },
+  breakdown: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  unpriced: { type: [String], default: undefined }
+}, { _id: false });
+
 const AuditRecordSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
+  batchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AuditBatch',
+    default: null
+  },
+  // Organization workspace the audit belongs to; null for personal audits
+  orgId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
   contentType: {
     type: String,
     enum: ['text', 'url', 'webpage', 'image', 'video', 'audio', 'document'],
@@ -23,10 +49,19 @@ const AuditRecordSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  analysisMode: {
+    type: String,
+    enum: ['fast', 'standard', 'deep'],
+    default: 'standard'
+  },
   auditResult: {
     type: mongoose.Schema.Types.Mixed,
     required: true
   },
+  usage: {
+    type: UsageSchema,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -38,5 +73,7 @@ const AuditRecordSchema = new mongoose.Schema({
 AuditRecordSchema.index({ createdAt: -1 });
 AuditRecordSchema.index({ contentType: 1 });
 AuditRecordSchema.index({ userId: 1, createdAt: -1 });
+AuditRecordSchema.index({ batchId: 1 });
+AuditRecordSchema.index({ orgId: 1, createdAt: -1 });
 
 export default mongoose.model('AuditRecord', AuditRecordSchema);
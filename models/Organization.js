@@ -0,0 +1,192 @@
+import mongoose from 'mongoose';
+import { ORG_ROLES } from '../config/orgRoles.js';
+
+const MemberSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ORG_ROLES,
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+// Pending invitation; the emailed token is stored as a SHA-256 hash
+const InvitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ORG_ROLES,
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Maps an identity provider group to the member role it grants
+const GroupRoleSchema = new mongoose.Schema({
+  group: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ORG_ROLES,
+    required: true
+  }
+}, {
+  _id: false
+});
+
+// An email domain claimed for single sign-on; it counts only once verified,
+// by a DNS TXT record carrying verificationToken or by an account admin
+const SsoDomainSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  verificationToken: {
+    type: String,
+    required: true
+  },
+  verifiedAt: {
+    type: Date,
+    default: null
+  },
+  verificationMethod: {
+    type: String,
+    enum: ['dns', 'admin', null],
+    default: null
+  }
+}, {
+  _id: false
+});
+
+// OpenID Connect single sign-on (services/ssoService.js)
+const SsoSchema = new mongoose.Schema({
+  enabled: {
+    type: Boolean,
+    default: false
+  },
+  protocol: {
+    type: String,
+    enum: ['oidc'],
+    default: 'oidc'
+  },
+  issuer: {
+    type: String,
+    trim: true
+  },
+  clientId: {
+    type: String,
+    trim: true
+  },
+  // Needed for the code exchange, so kept as is; never returned by the API
+  clientSecret: {
+    type: String,
+    select: false
+  },
+  scopes: {
+    type: [String],
+    default: ['openid', 'email', 'profile']
+  },
+  // Users are provisioned only with emails in the verified ones
+  domains: {
+    type: [SsoDomainSchema],
+    default: []
+  },
+  groupsClaim: {
+    type: String,
+    default: 'groups'
+  },
+  groupRoles: {
+    type: [GroupRoleSchema],
+    default: []
+  },
+  // Role for users in none of the mapped groups; null refuses them
+  defaultRole: {
+    type: String,
+    enum: [...ORG_ROLES, null],
+    default: 'submitter'
+  },
+  passwordLoginDisabled: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  _id: false
+});
+
+/**
+ * A team that owns audits together (services/orgService.js). Members carry
+ * one role each (config/orgRoles.js); an organization always keeps at least
+ * one owner.
+ */
+const OrganizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  members: {
+    type: [MemberSchema],
+    default: []
+  },
+  invitations: {
+    type: [InvitationSchema],
+    default: []
+  },
+  sso: {
+    type: SsoSchema,
+    default: () => ({})
+  }
+}, {
+  timestamps: true
+});
+
+OrganizationSchema.index({ 'members.userId': 1 });
+OrganizationSchema.index({ 'invitations.tokenHash': 1 });
+OrganizationSchema.index({ 'sso.domains.name': 1 });
+
+export default mongoose.model('Organization', OrganizationSchema);
@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+/**
+ * A user's audits for one UTC day (services/quotaService.js). Audits are
+ * reserved here before they run, so queued and in-flight work counts against
+ * the daily limit; audits that fail are released again.
+ */
+const QuotaCounterSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // UTC date, YYYY-MM-DD
+  day: {
+    type: String,
+    required: true
+  },
+  audits: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+QuotaCounterSchema.index({ userId: 1, day: 1 }, { unique: true });
+// MongoDB deletes counters a day after their day ends
+QuotaCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('QuotaCounter', QuotaCounterSchema);
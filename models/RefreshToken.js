@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+/**
+ * A refresh token issued at login (services/tokenService.js). Only a SHA-256
+ * hash of the token is stored. Each refresh revokes the token and issues its
+ * successor in the same family; presenting a revoked token again revokes the
+ * whole family, since it means the token was copied.
+ */
+const RefreshTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Every token descended from one login shares its family
+  family: {
+    type: String,
+    required: true
+  },
+  // How the login that started the family signed in; password sessions end
+  // on refresh once an organization requires single sign-on for the user
+  method: {
+    type: String,
+    enum: ['password', 'sso'],
+    default: 'password'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['rotated', 'logout', 'logout-all', 'reuse-detected', 'sso-required', null],
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+RefreshTokenSchema.index({ userId: 1, revokedAt: 1 });
+RefreshTokenSchema.index({ family: 1 });
+// MongoDB deletes tokens once they expire
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('RefreshToken', RefreshTokenSchema);
@@ -0,0 +1,101 @@
+import mongoose from 'mongoose';
+
+const RuleSchema = new mongoose.Schema({
+  ruleId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  country: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  region: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
+  category: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    default: 'common'
+  },
+  regulation: {
+    type: String,
+    required: true
+  },
+  section: {
+    type: String,
+    default: null
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  severity: {
+    type: String,
+    enum: ['Critical', 'High', 'Medium', 'Low', null],
+    default: null
+  },
+  prohibitedPhrases: {
+    type: [String],
+    default: undefined
+  },
+  requiredDisclaimers: {
+    type: [String],
+    default: undefined
+  },
+  // Pre-screen matchers, see services/ruleSchema.js
+  patterns: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: undefined
+  },
+  effectiveFrom: {
+    type: Date,
+    default: null
+  },
+  effectiveTo: {
+    type: Date,
+    default: null
+  },
+  mediaTypes: {
+    type: [String],
+    default: undefined
+  },
+  status: {
+    type: String,
+    enum: ['active', 'deprecated'],
+    default: 'active'
+  },
+  // Incremented on every edit; matches the latest RuleRevision
+  version: {
+    type: Number,
+    default: 1
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+RuleSchema.index({ country: 1, region: 1, category: 1, ruleId: 1 }, { unique: true });
+RuleSchema.index({ status: 1 });
+
+export default mongoose.model('Rule', RuleSchema);
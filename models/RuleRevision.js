@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+/**
+ * One entry per change to a Rule: a full snapshot of the rule after the
+ * change plus the fields that changed, so any version can be inspected.
+ */
+const RuleRevisionSchema = new mongoose.Schema({
+  rule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Rule',
+    required: true
+  },
+  ruleId: {
+    type: String,
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'deprecate', 'restore'],
+    required: true
+  },
+  changes: {
+    type: [String],
+    default: []
+  },
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  note: {
+    type: String,
+    default: ''
+  },
+  editedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+RuleRevisionSchema.index({ rule: 1, version: -1 }, { unique: true });
+
+export default mongoose.model('RuleRevision', RuleRevisionSchema);
@@ -1,5 +1,7 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { PLANS, DEFAULT_PLAN } from '../config/plans.js';
+import { ROLES, DEFAULT_ROLE } from '../config/roles.js';
 
 const UserSchema = new mongoose.Schema({
   name: {
@@ -18,11 +20,61 @@ const UserSchema = new mongoose.Schema({
   passwordHash: {
     type: String,
     required: true
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  // SHA-256 of the single-use tokens mailed by services/accountService.js
+  emailVerificationTokenHash: {
+    type: String,
+    index: { sparse: true }
+  },
+  emailVerificationExpiresAt: Date,
+  passwordResetTokenHash: {
+    type: String,
+    index: { sparse: true }
+  },
+  passwordResetExpiresAt: Date,
+  // Bumped by logout-all; access tokens carrying an older version are rejected
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  // Identity provider accounts linked by single sign-on (services/ssoService.js)
+  ssoIdentities: {
+    type: [new mongoose.Schema({
+      orgId: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', required: true },
+      issuer: { type: String, required: true },
+      subject: { type: String, required: true },
+      lastLoginAt: Date
+    }, { _id: false })],
+    default: []
+  },
+  // How the account was created: signup, or provisioned by single sign-on
+  authSource: {
+    type: String,
+    enum: ['password', 'sso'],
+    default: 'password'
+  },
+  // Account role (config/roles.js)
+  role: {
+    type: String,
+    enum: ROLES,
+    default: DEFAULT_ROLE
+  },
+  // Quota tier (config/plans.js)
+  plan: {
+    type: String,
+    enum: PLANS,
+    default: DEFAULT_PLAN
   }
 }, {
   timestamps: true
 });
 
+UserSchema.index({ 'ssoIdentities.issuer': 1, 'ssoIdentities.subject': 1 });
+
 UserSchema.methods.comparePassword = async function (password) {
   return bcrypt.compare(password, this.passwordHash);
 };
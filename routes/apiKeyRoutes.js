@@ -0,0 +1,26 @@
+import express from 'express';
+import { authMiddleware, requireUserSession } from '../middleware/authMiddleware.js';
+import { createApiKey, listApiKeys, revokeApiKey } from '../controllers/apiKeyController.js';
+
+const router = express.Router();
+
+/**
+ * POST /api-keys
+ * Create a key for X-API-Key; the key is shown once
+ * Body: { name, permissions?: [audits:create, audits:read, rules:read], orgId?, expiresInDays?, rateLimit?: { max, windowSeconds } }
+ */
+router.post('/api-keys', authMiddleware, requireUserSession, createApiKey);
+
+/**
+ * GET /api-keys
+ * Your personal keys, or an organization's with ?orgId= (owners)
+ */
+router.get('/api-keys', authMiddleware, requireUserSession, listApiKeys);
+
+/**
+ * DELETE /api-keys/:id
+ * Revoke a key (its creator, or an owner of its organization)
+ */
+router.delete('/api-keys/:id', authMiddleware, requireUserSession, revokeApiKey);
+
+export default router;
@@ -1,11 +1,34 @@
 import express from 'express';
 import multer from 'multer';
-import { createAudit, getAuditHistory, getAuditById } from '../controllers/auditController.js';
+import {
+  createAudit,
+  createBatchAudit,
+  getAuditBatchById,
+  getAnalysisModes,
+  getAuditHistory,
+  getAuditById,
+  getAuditJobStatus,
+  createAuditJobStreamTicket,
+  streamAuditJobEvents
+} from '../controllers/auditController.js';
+import { MAX_BATCH_ITEMS } from '../services/batchAuditService.js';
 import { analyzeCompatibility } from '../controllers/compatibilityController.js';
-import { authMiddleware } from '../middleware/authMiddleware.js';
+import {
+  authMiddleware,
+  requirePermission,
+  requireOrgPermission,
+  requireVerifiedEmail,
+  authenticateStream
+} from '../middleware/authMiddleware.js';
+import { enforceQuota } from '../middleware/quotaMiddleware.js';
+import { auditRateLimit } from '../middleware/rateLimitMiddleware.js';
 
 const router = express.Router();
 
+// Creating needs an account role that may, and inside an organization a member role that may too
+const canCreateAudits = [requirePermission('audits:create'), requireOrgPermission('audits:create')];
+const canReadAudits = requirePermission('audits:read');
+
 // Configure multer for file uploads (in-memory storage)
 const storage = multer.memoryStorage();
 const upload = multer({
@@ -49,26 +72,65 @@ const upload = multer({
 /**
  * POST /audit
  * Create a new compliance audit
+ * Query/body async=true queues it and responds 202 with a job ID
+ */
+router.post('/audit', authMiddleware, requireVerifiedEmail, canCreateAudits, auditRateLimit, upload.single('file'), enforceQuota, createAudit);
+
+/**
+ * POST /audit/batch
+ * Audit many text/url items and uploaded files in one request
+ * Fields: items (JSON array), files (multipart, repeatable)
+ */
+router.post('/audit/batch', authMiddleware, requireVerifiedEmail, canCreateAudits, auditRateLimit, upload.array('files', MAX_BATCH_ITEMS), enforceQuota, createBatchAudit);
+
+/**
+ * GET /audit/batch/:id
+ * Batch record with per-item outcomes and aggregate summary
+ */
+router.get('/audit/batch/:id', authMiddleware, canReadAudits, getAuditBatchById);
+
+/**
+ * GET /audit/modes
+ * Fast Scan / Standard / Deep Reason: what each runs, model calls, relative cost, typical latency
  */
-router.post('/audit', authMiddleware, upload.single('file'), createAudit);
+router.get('/audit/modes', getAnalysisModes);
 
 /**
  * GET /audit/history
- * Authenticated audit history for the logged-in user
- * Query params: limit, skip
+ * Audit history of the active workspace (personal, or the X-Org-Id organization)
+ * Query params: limit, skip, q, status, contentType, analysisMode, submittedBy, from, to
+ */
+router.get('/audit/history', authMiddleware, canReadAudits, getAuditHistory);
+
+/**
+ * GET /audit/jobs/:id
+ * Poll a background audit job (queued/extracting/transcribing/analyzing/done/failed)
+ */
+router.get('/audit/jobs/:id', authMiddleware, canReadAudits, getAuditJobStatus);
+
+/**
+ * POST /audit/:jobId/events/ticket
+ * Single-use, 60-second ticket for opening the event stream with EventSource
+ */
+router.post('/audit/:jobId/events/ticket', authMiddleware, canReadAudits, createAuditJobStreamTicket);
+
+/**
+ * GET /audit/:jobId/events
+ * Server-Sent Events stream of pipeline progress for a background audit job
+ * EventSource clients pass ?ticket= (and ?lastEventId= when reconnecting)
  */
-router.get('/audit/history', authMiddleware, getAuditHistory);
+router.get('/audit/:jobId/events', authenticateStream, canReadAudits, streamAuditJobEvents);
 
 /**
  * GET /audit/:id
  * Get a specific audit by ID
  */
-router.get('/audit/:id', authMiddleware, getAuditById);
+router.get('/audit/:id', authMiddleware, canReadAudits, getAuditById);
 
 /**
  * POST /analyze
  * Compatibility endpoint for frontend
  */
-router.post('/analyze', authMiddleware, upload.single('file'), analyzeCompatibility);
+router.post('/analyze', authMiddleware, requireVerifiedEmail, canCreateAudits, auditRateLimit, upload.single('file'), enforceQuota, analyzeCompatibility);
 
 export default router;
@@ -1,24 +1,36 @@
 import express from 'express';
-import { signup, login } from '../controllers/authController.js';
+import {
+  signup,
+  login,
+  refresh,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification
+} from '../controllers/authController.js';
+import { authRateLimit } from '../middleware/rateLimitMiddleware.js';
+import { authMiddleware, requireUserSession } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
 console.log('[AuthRoutes] Initializing auth routes...');
 console.log('[AuthRoutes] signup function:', signup ? '✅' : '❌');
 console.log('[AuthRoutes] login function:', login ? '✅' : '❌');
+console.log('[AuthRoutes] refresh function:', refresh ? '✅' : '❌');
 
-// Health check for auth service
-router.get('/health', (req, res) => {
-  console.log('[AuthRoutes] GET /health called');
-  res.json({ status: 'ok', service: 'auth' });
-});
-
-router.post('/signup', async (req, res, next) => {
-  console.log('[AuthRoutes] POST /signup called');
+/**
+ * Log the call and turn anything the controller throws into a 500
+ * @param {string} route - e.g. 'POST /login'
+ * @param {Function} handler - Controller
+ */
+const handle = (route, handler) => async (req, res, next) => {
+  console.log(`[AuthRoutes] ${route} called`);
   try {
-    await signup(req, res, next);
+    await handler(req, res, next);
   } catch (error) {
-    console.error('[AuthRoutes] Unhandled signup error:', error);
+    console.error(`[AuthRoutes] Unhandled ${route} error:`, error);
     if (!res.headersSent) {
       return res.status(500).json({
         success: false,
@@ -26,27 +38,48 @@ router.post('/signup', async (req, res, next) => {
       });
     }
   }
-});
+};
 
-router.post('/login', async (req, res, next) => {
-  console.log('[AuthRoutes] POST /login called');
-  try {
-    await login(req, res, next);
-  } catch (error) {
-    console.error('[AuthRoutes] Unhandled login error:', error);
-    if (!res.headersSent) {
-      return res.status(500).json({
-        success: false,
-        message: 'Internal server error'
-      });
-    }
-  }
+// Health check for auth service
+router.get('/health', (req, res) => {
+  console.log('[AuthRoutes] GET /health called');
+  res.json({ status: 'ok', service: 'auth' });
 });
 
+router.post('/signup', authRateLimit, handle('POST /signup', signup));
+
+router.post('/login', authRateLimit, handle('POST /login', login));
+
+// Access tokens are short-lived; refresh rotates the refresh token
+router.post('/refresh', authRateLimit, handle('POST /refresh', refresh));
+
+// Ends the session the refresh token belongs to
+router.post('/logout', authRateLimit, handle('POST /logout', logout));
+
+// Ends every session of the signed-in user
+router.post('/logout-all', authMiddleware, requireUserSession, handle('POST /logout-all', logoutAll));
+
+// Mails a single-use reset link; same answer whether or not the email exists
+router.post('/forgot-password', authRateLimit, handle('POST /forgot-password', forgotPassword));
+
+// Body: { token, password }
+router.post('/reset-password', authRateLimit, handle('POST /reset-password', resetPassword));
+
+// Query: token (from the verification email)
+router.get('/verify-email', authRateLimit, handle('GET /verify-email', verifyEmail));
+
+router.post('/resend-verification', authMiddleware, requireUserSession, authRateLimit, handle('POST /resend-verification', resendVerification));
+
 console.log('[AuthRoutes] Routes registered:');
 console.log('  - GET  /health');
 console.log('  - POST /signup');
 console.log('  - POST /login');
+console.log('  - POST /refresh');
+console.log('  - POST /logout');
+console.log('  - POST /logout-all');
+console.log('  - POST /forgot-password');
+console.log('  - POST /reset-password');
+console.log('  - GET  /verify-email');
+console.log('  - POST /resend-verification');
 
 export default router;
-
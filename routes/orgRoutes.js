@@ -0,0 +1,68 @@
+import express from 'express';
+import { authMiddleware, requireUserSession } from '../middleware/authMiddleware.js';
+import {
+  createOrganization,
+  listOrganizations,
+  getOrganization,
+  inviteMember,
+  revokeInvitation,
+  acceptInvitation,
+  updateMemberRole,
+  removeMember
+} from '../controllers/orgController.js';
+
+const router = express.Router();
+
+/**
+ * POST /orgs
+ * Create an organization (you become its owner)
+ * Body: { name }
+ */
+router.post('/orgs', authMiddleware, requireUserSession, createOrganization);
+
+/**
+ * GET /orgs
+ * Organizations you belong to, with your role
+ */
+router.get('/orgs', authMiddleware, requireUserSession, listOrganizations);
+
+/**
+ * POST /orgs/invitations/accept
+ * Join with an emailed invitation token (must match your email)
+ * Body: { token }
+ */
+router.post('/orgs/invitations/accept', authMiddleware, requireUserSession, acceptInvitation);
+
+/**
+ * GET /orgs/:orgId
+ * Members and roles; owners also see pending invitations
+ */
+router.get('/orgs/:orgId', authMiddleware, requireUserSession, getOrganization);
+
+/**
+ * POST /orgs/:orgId/invitations
+ * Invite by email (owners)
+ * Body: { email, role: owner | reviewer | submitter | viewer }
+ */
+router.post('/orgs/:orgId/invitations', authMiddleware, requireUserSession, inviteMember);
+
+/**
+ * DELETE /orgs/:orgId/invitations/:invitationId
+ * Withdraw a pending invitation (owners)
+ */
+router.delete('/orgs/:orgId/invitations/:invitationId', authMiddleware, requireUserSession, revokeInvitation);
+
+/**
+ * PUT /orgs/:orgId/members/:userId
+ * Change a member's role (owners)
+ * Body: { role }
+ */
+router.put('/orgs/:orgId/members/:userId', authMiddleware, requireUserSession, updateMemberRole);
+
+/**
+ * DELETE /orgs/:orgId/members/:userId
+ * Remove a member (owners), or leave (your own userId)
+ */
+router.delete('/orgs/:orgId/members/:userId', authMiddleware, requireUserSession, removeMember);
+
+export default router;
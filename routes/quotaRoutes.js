@@ -0,0 +1,13 @@
+import express from 'express';
+import { authMiddleware } from '../middleware/authMiddleware.js';
+import { getMyQuota } from '../controllers/quotaController.js';
+
+const router = express.Router();
+
+/**
+ * GET /me/quota
+ * Plan, limits, usage today / this month, remaining quota and reset times
+ */
+router.get('/me/quota', authMiddleware, getMyQuota);
+
+export default router;
@@ -1,12 +1,26 @@
 import express from 'express';
-import { getRulesMetadata } from '../services/rulesService.js';
+import { getRulesMetadata, validateRulePacks } from '../services/rulesService.js';
+import { authMiddleware, requirePermission } from '../middleware/authMiddleware.js';
+import {
+  listRules,
+  getRuleById,
+  createRule,
+  updateRule,
+  deprecateRule,
+  restoreRule,
+  getRuleHistory
+} from '../controllers/rulesController.js';
 
 const router = express.Router();
 
+// Anyone signed in may read rules; editing and validating them is for admins
+const canReadRules = requirePermission('rules:read');
+const canWriteRules = requirePermission('rules:write');
+
 // GET /rules/metadata
-router.get('/rules/metadata', (req, res) => {
+router.get('/rules/metadata', async (req, res) => {
   try {
-    const metadata = getRulesMetadata();
+    const metadata = await getRulesMetadata();
     console.log('[Rules] Metadata countries count:', Array.isArray(metadata.countries) ? metadata.countries.length : 0);
     return res.json({ ok: true, data: metadata });
   } catch (error) {
@@ -15,4 +29,59 @@ router.get('/rules/metadata', (req, res) => {
   }
 });
 
+// GET /rules/validate
+// Validates every rule pack and reports file/field errors
+router.get('/rules/validate', authMiddleware, canWriteRules, async (req, res) => {
+  try {
+    const report = await validateRulePacks();
+    console.log(`[Rules] Validation: ${report.packCount} packs, ${report.errors.length} errors, ${report.warnings.length} warnings`);
+    return res.json({ ok: true, data: report });
+  } catch (error) {
+    console.error('[Rules] Validation error:', error);
+    return res.status(500).json({ ok: false, error: error.message || 'Failed to validate rule packs' });
+  }
+});
+
+/**
+ * GET /rules
+ * List managed rules (MongoDB); filter by country, region, category, status, ruleId
+ */
+router.get('/rules', authMiddleware, canReadRules, listRules);
+
+/**
+ * POST /rules
+ * Create a rule; applies to the next audit for its country/region/category
+ */
+router.post('/rules', authMiddleware, canWriteRules, createRule);
+
+/**
+ * GET /rules/:id
+ * Get a managed rule by document ID
+ */
+router.get('/rules/:id', authMiddleware, canReadRules, getRuleById);
+
+/**
+ * PUT /rules/:id
+ * Edit a rule (bumps its version and records a revision)
+ */
+router.put('/rules/:id', authMiddleware, canWriteRules, updateRule);
+
+/**
+ * POST /rules/:id/deprecate
+ * Stop applying a rule without deleting it
+ */
+router.post('/rules/:id/deprecate', authMiddleware, canWriteRules, deprecateRule);
+
+/**
+ * POST /rules/:id/restore
+ * Re-activate a deprecated rule
+ */
+router.post('/rules/:id/restore', authMiddleware, canWriteRules, restoreRule);
+
+/**
+ * GET /rules/:id/history
+ * Full edit history of a rule, newest first
+ */
+router.get('/rules/:id/history', authMiddleware, canReadRules, getRuleHistory);
+
 export default router;
@@ -0,0 +1,68 @@
+import express from 'express';
+import { authMiddleware, requireUserSession, requirePermission } from '../middleware/authMiddleware.js';
+import { authRateLimit } from '../middleware/rateLimitMiddleware.js';
+import {
+  discoverSso,
+  startSsoLogin,
+  startSsoLink,
+  ssoCallback,
+  getSsoConfig,
+  updateSsoConfig,
+  verifySsoDomain,
+  approveSsoDomain
+} from '../controllers/ssoController.js';
+
+const router = express.Router();
+
+/**
+ * POST /auth/sso/discover
+ * The organization that signs an email in, and its login URL
+ * Body: { email }
+ */
+router.post('/auth/sso/discover', authRateLimit, discoverSso);
+
+/**
+ * GET /auth/sso/callback
+ * Redirect URI registered with identity providers (SSO_CALLBACK_URL)
+ */
+router.get('/auth/sso/callback', authRateLimit, ssoCallback);
+
+/**
+ * GET /auth/sso/:orgId/login
+ * Browser navigation to the organization's identity provider
+ * Query params: redirectTo (frontend path after sign-in)
+ */
+router.get('/auth/sso/:orgId/login', authRateLimit, startSsoLogin);
+
+/**
+ * POST /auth/sso/:orgId/link
+ * Authorization URL that links the organization's identity provider to the signed-in account
+ * Body: { redirectTo }
+ */
+router.post('/auth/sso/:orgId/link', authRateLimit, authMiddleware, requireUserSession, startSsoLink);
+
+/**
+ * GET /orgs/:orgId/sso
+ * SSO settings (owners)
+ */
+router.get('/orgs/:orgId/sso', authMiddleware, requireUserSession, getSsoConfig);
+
+/**
+ * PUT /orgs/:orgId/sso
+ * Configure OIDC, email domains, group-to-role mapping and password login (owners)
+ */
+router.put('/orgs/:orgId/sso', authMiddleware, requireUserSession, updateSsoConfig);
+
+/**
+ * POST /orgs/:orgId/sso/domains/:domain/verify
+ * Verify an email domain by its DNS TXT record (owners)
+ */
+router.post('/orgs/:orgId/sso/domains/:domain/verify', authMiddleware, requireUserSession, verifySsoDomain);
+
+/**
+ * POST /orgs/:orgId/sso/domains/:domain/approve
+ * Verify an email domain without DNS (account admins)
+ */
+router.post('/orgs/:orgId/sso/domains/:domain/approve', authMiddleware, requireUserSession, requirePermission('users:manage'), approveSsoDomain);
+
+export default router;
@@ -7,7 +7,10 @@ import { detectUrlType } from '../services/urlDetector.service.ts';
 import { scrapeWebpage } from '../services/scraper.service.ts';
 import { transcribeMediaFile, transcribeYoutubeUrl } from '../services/youtubeTranscription.service.ts';
 import { processContent } from '../services/contentProcessor.js';
-import { authMiddleware } from '../middleware/authMiddleware.js';
+import { authMiddleware, requirePermission, requireOrgPermission, requireVerifiedEmail } from '../middleware/authMiddleware.js';
+import { enforceQuota } from '../middleware/quotaMiddleware.js';
+import { auditRateLimit } from '../middleware/rateLimitMiddleware.js';
+import { createUsageTracker, trackUsage, recordScraping } from '../services/usageTracker.js';
 
 const router = express.Router();
 
@@ -65,7 +68,7 @@ const safeDelete = async (filePath: string): Promise<void> => {
   }
 };
 
-router.post('/url-audit', authMiddleware, async (req, res) => {
+router.post('/url-audit', authMiddleware, requireVerifiedEmail, requirePermission('audits:create'), requireOrgPermission('audits:create'), auditRateLimit, enforceQuota, async (req, res) => {
   try {
     const { url, category, analysisMode, country, region } = req.body || {};
 
@@ -78,33 +81,40 @@ router.post('/url-audit', authMiddleware, async (req, res) => {
     const { normalizedUrl, type } = detectUrlType(url);
     let extractedText = '';
 
-    if (type === 'youtube') {
-      extractedText = await transcribeYoutubeUrl(normalizedUrl);
-    } else if (type === 'media') {
-      const { filePath } = await downloadMediaToTemp(normalizedUrl);
-      try {
-        extractedText = await transcribeMediaFile(filePath);
-      } finally {
-        await safeDelete(filePath);
+    // Extraction runs under the audit's usage tracker so transcription and scraping are billed to it
+    await trackUsage(createUsageTracker(), async () => {
+      if (type === 'youtube') {
+        extractedText = await transcribeYoutubeUrl(normalizedUrl);
+        recordScraping('youtube_audio');
+      } else if (type === 'media') {
+        const { filePath } = await downloadMediaToTemp(normalizedUrl);
+        try {
+          extractedText = await transcribeMediaFile(filePath);
+        } finally {
+          await safeDelete(filePath);
+        }
+        recordScraping('media_download');
+      } else {
+        extractedText = await scrapeWebpage(normalizedUrl);
+        recordScraping('webpage_scraper');
       }
-    } else {
-      extractedText = await scrapeWebpage(normalizedUrl);
-    }
-
-    if (!extractedText) {
-      throw new Error('Failed to extract content from URL');
-    }
 
-    await processContent(
-      { text: extractedText },
-      {
-        userId: req.user?.id,
-        category,
-        analysisMode,
-        country,
-        region
+      if (!extractedText) {
+        throw new Error('Failed to extract content from URL');
       }
-    );
+
+      await processContent(
+        { text: extractedText },
+        {
+          userId: req.user?.id,
+          orgId: req.org?.id,
+          category,
+          analysisMode,
+          country,
+          region
+        }
+      );
+    });
 
     return res.json({
       source_url: normalizedUrl,
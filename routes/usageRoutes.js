@@ -0,0 +1,15 @@
+import express from 'express';
+import { authMiddleware } from '../middleware/authMiddleware.js';
+import { getUsage } from '../controllers/usageController.js';
+
+const router = express.Router();
+
+/**
+ * GET /usage
+ * Tokens, transcription minutes, OCR pages, scraping methods and estimated
+ * cost, by user and month
+ * Query params: from, to (YYYY-MM or ISO date), scope (me | all), userId
+ */
+router.get('/usage', authMiddleware, getUsage);
+
+export default router;
@@ -0,0 +1,23 @@
+import express from 'express';
+import { authMiddleware, requirePermission } from '../middleware/authMiddleware.js';
+import { listUsers, updateUser } from '../controllers/userController.js';
+
+const router = express.Router();
+
+const canManageUsers = requirePermission('users:manage');
+
+/**
+ * GET /users
+ * List accounts with their role and plan (admins)
+ * Query params: q (name or email), role, plan, limit, skip
+ */
+router.get('/users', authMiddleware, canManageUsers, listUsers);
+
+/**
+ * PUT /users/:id
+ * Change an account's role and/or plan (admins)
+ * Body: { role?: admin | reviewer | user | viewer, plan?: free | pro | enterprise }
+ */
+router.put('/users/:id', authMiddleware, canManageUsers, updateUser);
+
+export default router;
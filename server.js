@@ -4,8 +4,19 @@ import dotenv from 'dotenv';
 import fs from 'fs';
 import path from 'path';
 import { connectDB } from './config/database.js';
+import { initRuleRegistry } from './services/rulesService.js';
+import { initRateLimitStore } from './services/rateLimitStore.js';
+import { initMailTransport } from './services/mailService.js';
+import { seedAdminsFromEnv } from './services/accountService.js';
+import { isMockMode } from './config/aiConfig.js';
 import auditRoutes from './routes/auditRoutes.js';
 import rulesRoutes from './routes/rulesRoutes.js';
+import usageRoutes from './routes/usageRoutes.js';
+import quotaRoutes from './routes/quotaRoutes.js';
+import orgRoutes from './routes/orgRoutes.js';
+import userRoutes from './routes/userRoutes.js';
+import apiKeyRoutes from './routes/apiKeyRoutes.js';
+import ssoRoutes from './routes/ssoRoutes.js';
 import urlAuditRoutes from './routes/urlAudit.route.ts';
 
 // Import auth routes
@@ -56,7 +67,9 @@ if (!process.env.GOOGLE_APPLICATION_CREDENTIALS_JSON) {
   missingEnv.push('GOOGLE_APPLICATION_CREDENTIALS_JSON');
 }
 
-if (missingEnv.length > 0) {
+if (isMockMode()) {
+  console.warn('[Server] AI_MOCK_MODE=true - using offline mock LLM and transcription providers');
+} else if (missingEnv.length > 0) {
   console.error(`Missing required environment variables: ${missingEnv.join(", ")}`);
   process.exit(1);
 }
@@ -64,6 +77,13 @@ if (missingEnv.length > 0) {
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Behind a load balancer (e.g. Render), trust its X-Forwarded-For so rate limits key on the client IP
+// TRUST_PROXY: a hop count ("1"), "true", or addresses/subnets as Express accepts them
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) {
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+
 // CORS Configuration - MUST be before routes
 app.use(cors({
   origin: [
@@ -75,6 +95,8 @@ app.use(cors({
     'http://localhost:5173'
   ],
   methods: ['GET', 'POST', 'PUT', 'DELETE'],
+  // Let the frontend read rate limit and quota back-off headers
+  exposedHeaders: ['Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset'],
   credentials: true,
   optionsSuccessStatus: 200
 }));
@@ -103,6 +125,17 @@ try {
   console.log('     - GET  /api/auth/health');
   console.log('     - POST /api/auth/signup');
   console.log('     - POST /api/auth/login');
+  console.log('     - POST /api/auth/refresh');
+  console.log('     - POST /api/auth/logout');
+  console.log('     - POST /api/auth/logout-all');
+  console.log('     - POST /api/auth/forgot-password');
+  console.log('     - POST /api/auth/reset-password');
+  console.log('     - GET  /api/auth/verify-email');
+  console.log('     - POST /api/auth/resend-verification');
+  console.log('     - POST /api/auth/sso/discover');
+  console.log('     - GET  /api/auth/sso/:orgId/login');
+  console.log('     - POST /api/auth/sso/:orgId/link');
+  console.log('     - GET  /api/auth/sso/callback');
 } catch (error) {
   console.error('❌ Error registering auth routes:', error);
   console.error('   Error stack:', error.stack);
@@ -111,6 +144,12 @@ try {
 
 app.use('/api', auditRoutes);
 app.use('/api', rulesRoutes);
+app.use('/api', usageRoutes);
+app.use('/api', quotaRoutes);
+app.use('/api', orgRoutes);
+app.use('/api', userRoutes);
+app.use('/api', apiKeyRoutes);
+app.use('/api', ssoRoutes);
 app.use('/api', urlAuditRoutes);
 
 // 404 handler for undefined routes
@@ -135,18 +174,36 @@ app.use((err, req, res, next) => {
 (async () => {
   try {
     // Connect to MongoDB
+    let dbConnected = false;
     try {
       await connectDB();
+      dbConnected = true;
     } catch (dbError) {
       console.warn('⚠️  MongoDB connection failed. Auth features will not work:', dbError.message);
       console.warn('   Set MONGODB_URI in your .env file to enable authentication.');
     }
 
+    // Bootstrap admins from ADMIN_EMAILS (verified password accounts only)
+    if (dbConnected) {
+      await seedAdminsFromEnv().catch((error) => {
+        console.error('⚠️  Failed to apply ADMIN_EMAILS:', error.message);
+      });
+    }
+
+    // Rate limit counters, login lockouts and one-time tickets; a configured Redis must be reachable
+    await initRateLimitStore();
+
+    // Verification and reset links; production refuses the console and file transports
+    initMailTransport();
+
+    // Load rule packs into memory and hot-reload on change
+    await initRuleRegistry();
+
     app.listen(PORT, () => {
       console.log(`🚀 NextComply AI Backend server running on port ${PORT}`);
       console.log(`📍 Backend URL: http://localhost:${PORT}`);
       console.log(`📍 Frontend URL: ${process.env.FRONTEND_URL || 'http://localhost:3000'}`);
-      console.log(`☁️  Vertex AI Project: ${projectId || '✗ Missing'}`);
+      console.log(`☁️  Vertex AI Project: ${isMockMode() ? 'mock mode' : projectId || '✗ Missing'}`);
       console.log(`📍 Vertex AI Location: ${process.env.VERTEX_LOCATION || process.env.VERTEX_AI_LOCATION || 'us-central1'}`);
       console.log(`🔐 Service Account JSON: ${process.env.GOOGLE_APPLICATION_CREDENTIALS_JSON ? '✓ Configured' : '✗ Missing'}`);
       console.log(`💾 MongoDB: ${process.env.MONGODB_URI ? '✓ Configured' : '✗ Missing (Auth disabled)'}`);
@@ -154,11 +211,48 @@ app.use((err, req, res, next) => {
       console.log(`   - GET  /health`);
       console.log(`   - POST /api/analyze`);
       console.log(`   - POST /api/audit`);
+      console.log(`   - POST /api/audit/batch`);
+      console.log(`   - GET  /api/audit/batch/:id`);
+      console.log(`   - GET  /api/audit/modes`);
       console.log(`   - GET  /api/audit/history`);
+      console.log(`   - GET  /api/audit/jobs/:id`);
+      console.log(`   - POST /api/audit/:jobId/events/ticket`);
+      console.log(`   - GET  /api/audit/:jobId/events`);
       console.log(`   - GET  /api/audit/:id`);
       console.log(`   - GET  /api/auth/health`);
       console.log(`   - POST /api/auth/login`);
       console.log(`   - POST /api/auth/signup`);
+      console.log(`   - POST /api/auth/refresh`);
+      console.log(`   - POST /api/auth/logout`);
+      console.log(`   - POST /api/auth/logout-all`);
+      console.log(`   - POST /api/auth/forgot-password`);
+      console.log(`   - POST /api/auth/reset-password`);
+      console.log(`   - GET  /api/auth/verify-email`);
+      console.log(`   - POST /api/auth/resend-verification`);
+      console.log(`   - GET  /api/rules`);
+      console.log(`   - POST /api/rules`);
+      console.log(`   - GET  /api/rules/:id`);
+      console.log(`   - PUT  /api/rules/:id`);
+      console.log(`   - POST /api/rules/:id/deprecate`);
+      console.log(`   - POST /api/rules/:id/restore`);
+      console.log(`   - GET  /api/rules/:id/history`);
+      console.log(`   - GET  /api/usage`);
+      console.log(`   - GET  /api/me/quota`);
+      console.log(`   - GET  /api/orgs`);
+      console.log(`   - POST /api/orgs`);
+      console.log(`   - GET  /api/orgs/:orgId`);
+      console.log(`   - POST /api/orgs/:orgId/invitations`);
+      console.log(`   - DELETE /api/orgs/:orgId/invitations/:invitationId`);
+      console.log(`   - POST /api/orgs/invitations/accept`);
+      console.log(`   - PUT  /api/orgs/:orgId/members/:userId`);
+      console.log(`   - DELETE /api/orgs/:orgId/members/:userId`);
+      console.log(`   - GET  /api/users`);
+      console.log(`   - PUT  /api/users/:id`);
+      console.log(`   - GET  /api/api-keys`);
+      console.log(`   - POST /api/api-keys`);
+      console.log(`   - DELETE /api/api-keys/:id`);
+      console.log(`   - GET  /api/orgs/:orgId/sso`);
+      console.log(`   - PUT  /api/orgs/:orgId/sso`);
     });
   } catch (error) {
     console.error('❌ Failed to start server:', error.message);
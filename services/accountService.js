@@ -0,0 +1,138 @@
+import bcrypt from 'bcryptjs';
+import User from '../models/User.js';
+import { getAdminEmails } from '../config/roles.js';
+import { hashToken, createOneTimeToken, revokeAllSessions } from './tokenService.js';
+import { sendVerificationEmail, sendPasswordResetEmail } from './mailService.js';
+import { clearLoginFailures } from './loginLockout.js';
+import { revokePersonalApiKeys } from './apiKeyService.js';
+
+/**
+ * Account Service
+ * Email verification and password reset with single-use tokens. The raw token
+ * goes out by email (mailService.js); the User keeps only its SHA-256 hash and
+ * expiry, and both are cleared when the token is used.
+ * - verification: EMAIL_VERIFICATION_TTL_HOURS (default 48), sent at signup
+ *   and on request
+ * - reset: PASSWORD_RESET_TTL_MINUTES (default 60). A reset ends every
+ *   session, revokes the personal API keys and also verifies the email,
+ *   since the link was received there
+ *
+ * REQUIRE_EMAIL_VERIFICATION=true blocks unverified accounts from running audits.
+ */
+
+const readPositiveInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+const getVerificationTtlHours = () => readPositiveInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 48);
+const getResetTtlMinutes = () => readPositiveInt(process.env.PASSWORD_RESET_TTL_MINUTES, 60);
+
+export const MIN_PASSWORD_LENGTH = 8;
+
+export const isEmailVerificationRequired = () => process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+
+/**
+ * Issue a verification token and mail it (replaces any earlier one)
+ * @param {object} user - User document
+ */
+export const sendEmailVerification = async (user) => {
+  const ttlHours = getVerificationTtlHours();
+  const { token, tokenHash, expiresAt } = createOneTimeToken(ttlHours * 60 * 60 * 1000);
+  user.emailVerificationTokenHash = tokenHash;
+  user.emailVerificationExpiresAt = expiresAt;
+  await user.save();
+  await sendVerificationEmail(user, token, ttlHours);
+};
+
+/**
+ * Mark the email behind a verification token as verified
+ * @param {string} token - Raw token from the link
+ * @returns {Promise<object|null>} User, or null for an unknown, used or expired token
+ */
+export const verifyEmailToken = async (token) => {
+  const user = await User.findOne({
+    emailVerificationTokenHash: hashToken(token),
+    emailVerificationExpiresAt: { $gt: new Date() }
+  });
+  if (!user) return null;
+
+  user.emailVerified = true;
+  user.emailVerificationTokenHash = undefined;
+  user.emailVerificationExpiresAt = undefined;
+  await user.save();
+  return user;
+};
+
+/**
+ * Mail a reset link if the email belongs to an account. Callers answer the
+ * same way either way, so the response does not reveal registered emails.
+ * @param {string} email
+ */
+export const requestPasswordReset = async (email) => {
+  const user = await User.findOne({ email: String(email).trim().toLowerCase() });
+  if (!user) return;
+
+  const ttlMinutes = getResetTtlMinutes();
+  const { token, tokenHash, expiresAt } = createOneTimeToken(ttlMinutes * 60 * 1000);
+  user.passwordResetTokenHash = tokenHash;
+  user.passwordResetExpiresAt = expiresAt;
+  await user.save();
+  await sendPasswordResetEmail(user, token, ttlMinutes);
+};
+
+/**
+ * Set a new password with a reset token
+ * @param {string} token - Raw token from the link
+ * @param {string} password - New password (length checked by the caller)
+ * @returns {Promise<object|null>} User, or null for an unknown, used or expired token
+ */
+export const resetPasswordWithToken = async (token, password) => {
+  // Claim the token atomically so it works exactly once
+  const user = await User.findOneAndUpdate(
+    { passwordResetTokenHash: hashToken(token), passwordResetExpiresAt: { $gt: new Date() } },
+    { $unset: { passwordResetTokenHash: 1, passwordResetExpiresAt: 1 } }
+  );
+  if (!user) return null;
+
+  user.passwordHash = await bcrypt.hash(password, 10);
+  user.emailVerified = true;
+  user.passwordResetTokenHash = undefined;
+  user.passwordResetExpiresAt = undefined;
+  await user.save();
+
+  await revokeAllSessions(user._id);
+  await revokePersonalApiKeys(user._id);
+  await clearLoginFailures(user.email);
+  return user;
+};
+
+/**
+ * Give the accounts in ADMIN_EMAILS the admin role (once, at startup)
+ * Only verified accounts that signed up with a password qualify: an unverified
+ * signup or an address asserted by an identity provider cannot claim it.
+ * @returns {Promise<number>} Accounts promoted
+ */
+export const seedAdminsFromEnv = async () => {
+  const emails = getAdminEmails();
+  if (!emails.length) return 0;
+
+  const { modifiedCount } = await User.updateMany(
+    { email: { $in: emails }, emailVerified: true, authSource: { $ne: 'sso' }, role: { $ne: 'admin' } },
+    { role: 'admin' }
+  );
+  if (modifiedCount) {
+    console.log(`[Accounts] Granted admin to ${modifiedCount} ADMIN_EMAILS account(s)`);
+  }
+  return modifiedCount;
+};
+
+export default {
+  MIN_PASSWORD_LENGTH,
+  isEmailVerificationRequired,
+  sendEmailVerification,
+  verifyEmailToken,
+  requestPasswordReset,
+  resetPasswordWithToken,
+  seedAdminsFromEnv
+};
@@ -1,42 +1,15 @@
-import { VertexAI } from '@google-cloud/vertexai';
+import { generate, stream } from './llmService.js';
 import { getModelForScanType, getGenerationConfig } from './modelRouter.js';
 
 /**
  * AI Audit Service
  * Performs compliance audits using Gemini models with structured prompts
  * 
- * IMPORTANT: This service uses ONLY Gemini/Vertex AI
- * NEVER uses OpenAI - OpenAI is reserved for transcription only
+ * Calls go through llmService.js: the scan type's Gemini model first, then
+ * the LLM_CHAIN_AUDIT fallback chain
  * Transcription text is passed to this service for compliance analysis
  */
 
-// Reuse AI client instances
-let vertexAIClient = null;
-
-/**
- * Get or create Vertex AI client instance
- * @returns {VertexAI} Vertex AI client
- */
-const getVertexAIClient = () => {
-  if (!vertexAIClient) {
-    const projectId = process.env.VERTEX_PROJECT_ID || process.env.VERTEX_AI_PROJECT_ID || process.env.GOOGLE_VERTEX_PROJECT;
-    const location = process.env.VERTEX_LOCATION || process.env.VERTEX_AI_LOCATION || process.env.GOOGLE_VERTEX_LOCATION || 'us-central1';
-    
-    if (!projectId) {
-      throw new Error('GOOGLE_VERTEX_PROJECT or VERTEX_AI_PROJECT_ID is not set');
-    }
-    
-    vertexAIClient = new VertexAI({ 
-      project: projectId, 
-      location: location
-    });
-    
-    console.log('[AI Audit] Vertex AI client initialized');
-  }
-  
-  return vertexAIClient;
-};
-
 /**
  * Build compliance audit system prompt
  * @returns {string} System prompt
@@ -303,14 +276,12 @@ export const performAudit = async (content, scanType = 'advanced', contentType =
     
     console.log(`[AI Audit] Starting ${scanType} audit for ${contentType} content`);
     
-    const vertexAI = getVertexAIClient();
     const modelName = getModelForScanType(scanType);
     const generationConfig = getGenerationConfig(scanType);
-    
-    const model = vertexAI.getGenerativeModel({
-      model: modelName,
+    const request = {
+      primary: { provider: 'vertex', model: modelName },
       generationConfig
-    });
+    };
     
     const systemPrompt = buildAuditPrompt();
     
@@ -318,6 +289,7 @@ export const performAudit = async (content, scanType = 'advanced', contentType =
     // For text content, use as-is
     // For other types, content should already be extracted
     const auditPrompt = `${systemPrompt}\n\nAnalyze the following ${contentType} content for compliance violations:\n\n${content}`;
+    const messages = [{ role: 'user', content: auditPrompt }];
     
     console.log(`[AI Audit] Using model: ${modelName}`);
     console.log(`[AI Audit] Content length: ${content.length} characters`);
@@ -325,34 +297,17 @@ export const performAudit = async (content, scanType = 'advanced', contentType =
     // Use streaming only if response is expected to be > 5KB
     const useStreaming = content.length > 5000;
     
-    let result;
+    let rawText = '';
+    let modelUsed = modelName;
     if (useStreaming) {
       console.log('[AI Audit] Using streaming response');
-      const streamingResult = await model.generateContentStream({
-        contents: [{ role: 'user', parts: [{ text: auditPrompt }] }]
-      });
-      
-      let fullText = '';
-      for await (const chunk of streamingResult.stream) {
-        const chunkText = chunk.text();
-        fullText += chunkText;
+      for await (const chunkText of stream('audit', { ...request, messages })) {
+        rawText += chunkText;
       }
-      
-      result = { response: { text: () => fullText } };
-    } else {
-      result = await model.generateContent({
-        contents: [{ role: 'user', parts: [{ text: auditPrompt }] }]
-      });
-    }
-    
-    // Extract text from response
-    let rawText = '';
-    if (result.response?.text && typeof result.response.text === 'function') {
-      rawText = result.response.text();
-    } else if (result.response?.candidates?.[0]?.content?.parts?.[0]?.text) {
-      rawText = result.response.candidates[0].content.parts[0].text;
     } else {
-      rawText = result.response?.text || '';
+      const response = await generate('audit', { ...request, messages });
+      rawText = response.text;
+      modelUsed = response.model;
     }
     
     if (!rawText) {
@@ -398,7 +353,7 @@ export const performAudit = async (content, scanType = 'advanced', contentType =
     return {
       complianceScore: parsed.complianceScore,
       violations: parsed.violations,
-      modelUsed: modelName
+      modelUsed
     };
   } catch (error) {
     console.error('[AI Audit] Error:', error);
@@ -420,24 +375,20 @@ export const performMultimodalAudit = async (imageBuffer, mimetype, scanType = '
   try {
     console.log(`[AI Audit] Starting multimodal audit for image`);
     
-    const vertexAI = getVertexAIClient();
     const modelName = getModelForScanType(scanType);
     const generationConfig = getGenerationConfig(scanType);
     
-    const model = vertexAI.getGenerativeModel({
-      model: modelName,
-      generationConfig
-    });
-    
     const systemPrompt = buildAuditPrompt();
     const base64Image = imageBuffer.toString('base64');
     
     const auditPrompt = `${systemPrompt}\n\nAnalyze the following image content for compliance violations. Extract all visible advertisement text and claims first, then audit them.`;
     
-    const result = await model.generateContent({
-      contents: [{
+    const { text: rawText, model: modelUsed } = await generate('audit', {
+      primary: { provider: 'vertex', model: modelName },
+      generationConfig,
+      messages: [{
         role: 'user',
-        parts: [
+        content: [
           {
             inlineData: {
               data: base64Image,
@@ -449,19 +400,6 @@ export const performMultimodalAudit = async (imageBuffer, mimetype, scanType = '
       }]
     });
     
-    let rawText = '';
-    if (result.response?.text && typeof result.response.text === 'function') {
-      rawText = result.response.text();
-    } else if (result.response?.candidates?.[0]?.content?.parts?.[0]?.text) {
-      rawText = result.response.candidates[0].content.parts[0].text;
-    } else {
-      rawText = result.response?.text || '';
-    }
-    
-    if (!rawText) {
-      throw new Error('AI model returned empty response');
-    }
-    
     const cleanedText = cleanJsonString(rawText);
     const parsed = JSON.parse(cleanedText);
     
@@ -497,7 +435,7 @@ export const performMultimodalAudit = async (imageBuffer, mimetype, scanType = '
     return {
       complianceScore: parsed.complianceScore,
       violations: parsed.violations,
-      modelUsed: modelName
+      modelUsed
     };
   } catch (error) {
     console.error('[AI Audit] Multimodal error:', error);
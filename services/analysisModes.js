@@ -0,0 +1,163 @@
+import { normalizeAnalysisMode } from './modelRouter.js';
+import { mergeDeterministicViolations } from './prescreenService.js';
+
+/**
+ * Analysis Modes
+ * The three user-facing modes do different amounts of work, not just run on
+ * different models (the model tier per mode is set in modelRouter.js):
+ *
+ * - fast (Fast Scan): the rule-pack pre-screen plus ONE short call on the
+ *   fast tier. Only the rules most relevant to the content go in the prompt
+ *   (FAST_SCAN_MAX_RULES, default 20), there is no schema-repair turn and long
+ *   input is truncated rather than chunked. FAST_SCAN_STRATEGY=rules-only
+ *   skips the model: the result is the pre-screen alone.
+ * - standard: one audit call per chunk (see chunkingService.js), plus a
+ *   repair turn when the answer fails the schema.
+ * - deep (Deep Reason): three passes on the deep tier
+ *   1. claim extraction: the content's claims as verbatim quotes
+ *   2. per-claim audit: each claim against the rules retrieved for it
+ *      (ruleRetrieval.js); DEEP_MAX_CLAIMS (default 8) claims,
+ *      DEEP_RULES_PER_CLAIM (default 6) rules each
+ *   3. verification: a full audit of the content that is handed the per-claim
+ *      findings and must confirm, correct or drop each one
+ *   Content too long for one call is audited with the chunked standard flow
+ *   on the deep tier instead.
+ *
+ * Every audit records what ran in result.analysis.
+ */
+
+const DEFAULT_FAST_MAX_RULES = 20;
+const DEFAULT_DEEP_MAX_CLAIMS = 8;
+const DEFAULT_DEEP_RULES_PER_CLAIM = 6;
+const DEFAULT_DEEP_CONCURRENCY = 2;
+const SEVERITY_PENALTY = { Critical: 40, High: 25, Medium: 10, Low: 5 };
+
+/**
+ * Cost and latency per mode, relative to a standard audit of the same input
+ * (one call per chunk). Latencies are typical for a 2-5k character input.
+ */
+export const ANALYSIS_MODES = {
+  fast: {
+    label: 'Fast Scan',
+    description: 'Deterministic pre-screen plus one short model call with the most relevant rules; no repair turn, long input truncated.',
+    modelCalls: '1 (0 with FAST_SCAN_STRATEGY=rules-only)',
+    relativeCost: '~0.2x (smaller model, shorter prompt)',
+    typicalLatency: '2-5 s (under 0.1 s rules-only)'
+  },
+  standard: {
+    label: 'Standard',
+    description: 'Pre-screen plus one full audit call per chunk, with one repair turn if the answer fails the schema.',
+    modelCalls: '1 per chunk (+1 repair)',
+    relativeCost: '1x',
+    typicalLatency: '5-15 s per chunk'
+  },
+  deep: {
+    label: 'Deep Reason',
+    description: 'Claim extraction, a per-claim audit against retrieved rules, then a verification pass that confirms, corrects or drops each finding.',
+    modelCalls: '2 + 1 per claim (up to DEEP_MAX_CLAIMS, +1 repair)',
+    relativeCost: '~10-20x (larger model, several calls)',
+    typicalLatency: '30-90 s'
+  }
+};
+
+const readPositiveInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+/**
+ * Mode definitions for clients
+ * @returns {Array<object>} [{ mode, label, description, modelCalls, relativeCost, typicalLatency }]
+ */
+export const listAnalysisModes = () => Object.entries(ANALYSIS_MODES).map(([mode, definition]) => ({ mode, ...definition }));
+
+/**
+ * Mode to run and how
+ * @param {string} analysisMode - Any label ("Fast Scan", "deep-reason", ...)
+ * @returns {{ mode: string, label: string, strategy: string }}
+ */
+export const resolveAnalysisMode = (analysisMode) => {
+  const mode = normalizeAnalysisMode(analysisMode);
+  const strategy = {
+    fast: process.env.FAST_SCAN_STRATEGY === 'rules-only' ? 'rules-only' : 'single-call',
+    standard: 'single-pass',
+    deep: 'multi-pass'
+  }[mode];
+
+  return { mode, label: ANALYSIS_MODES[mode].label, strategy };
+};
+
+export const getFastScanConfig = () => ({
+  maxRules: readPositiveInt(process.env.FAST_SCAN_MAX_RULES, DEFAULT_FAST_MAX_RULES)
+});
+
+export const getDeepReasonConfig = () => ({
+  maxClaims: readPositiveInt(process.env.DEEP_MAX_CLAIMS, DEFAULT_DEEP_MAX_CLAIMS),
+  rulesPerClaim: readPositiveInt(process.env.DEEP_RULES_PER_CLAIM, DEFAULT_DEEP_RULES_PER_CLAIM),
+  concurrency: readPositiveInt(process.env.DEEP_CONCURRENCY, DEFAULT_DEEP_CONCURRENCY)
+});
+
+/**
+ * Audit result from pre-screen hits alone (Fast Scan, rules-only)
+ * @param {Array<object>} hits - From prescreenContent
+ * @param {Array<object>} rules - Rule pack
+ * @returns {object} Audit result in the model's shape
+ */
+export const buildRulesOnlyResult = (hits, rules = []) => {
+  const merged = mergeDeterministicViolations({ status: 'Compliant', violations: [] }, hits, rules);
+  const { violations } = merged;
+  const score = Math.max(0, 100 - violations.reduce((total, violation) => total + (SEVERITY_PENALTY[violation.severity] || 0), 0));
+  const hasSerious = violations.some((violation) => ['Critical', 'High'].includes(violation.severity));
+
+  return {
+    ...merged,
+    score,
+    summary: violations.length
+      ? `Fast Scan (rules only) matched prohibited wording for ${violations.length} rule(s). Claims without listed wording are not checked in this mode.`
+      : 'Fast Scan (rules only) found no prohibited wording. Claims without listed wording are not checked in this mode.',
+    transcription: '',
+    financialPenalty: {
+      riskLevel: hasSerious ? 'High' : violations.length ? 'Medium' : 'Low',
+      description: violations.length
+        ? 'Prohibited wording carries penalty risk under the cited regulations.'
+        : 'No prohibited wording found; run a Standard audit for a full assessment.'
+    },
+    ethicalMarketing: {
+      score,
+      assessment: 'Not assessed in rules-only Fast Scan.'
+    },
+    schemaValid: true,
+    repairAttempted: false
+  };
+};
+
+/**
+ * The analysis section stored on the audit
+ * @param {object} params
+ * @param {{ mode, label, strategy }} params.resolved - From resolveAnalysisMode
+ * @param {Array<object>} params.callLog - One entry per model call ({ pass, provider, model, usage })
+ * @param {Array<object>} params.passes - Per-pass notes
+ * @param {number} params.startTime - Date.now() when the audit started
+ * @returns {object}
+ */
+export const buildAnalysisRecord = ({ resolved, callLog = [], passes = [], startTime }) => ({
+  mode: resolved.mode,
+  label: resolved.label,
+  strategy: resolved.strategy,
+  modelCalls: callLog.length,
+  passes: passes.map((pass) => ({
+    ...pass,
+    modelCalls: callLog.filter((call) => call.pass === pass.name).length
+  })),
+  durationMs: Date.now() - startTime
+});
+
+export default {
+  ANALYSIS_MODES,
+  listAnalysisModes,
+  resolveAnalysisMode,
+  getFastScanConfig,
+  getDeepReasonConfig,
+  buildRulesOnlyResult,
+  buildAnalysisRecord
+};
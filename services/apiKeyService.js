@@ -0,0 +1,143 @@
+import crypto from 'crypto';
+import ApiKey from '../models/ApiKey.js';
+import User from '../models/User.js';
+import { resolveRole, ROLE_PERMISSIONS } from '../config/roles.js';
+import { hashToken } from './tokenService.js';
+import { getMembership } from './orgService.js';
+
+/**
+ * API Key Service
+ * Keys are random, shown once at creation and stored as a SHA-256 hash.
+ * A key authenticates as its creator with the key's permissions, narrowed
+ * to what the creator's role still allows; an organization key also needs
+ * the creator to still be a member. Logout-all and password resets revoke
+ * the user's personal keys; organization keys stay with the organization.
+ */
+
+const KEY_PREFIX = 'nck_';
+const PREFIX_LENGTH = 12;
+// Writing lastUsedAt on every request would turn each read into a write
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Client-facing view of a key (never the key itself)
+ * @param {object} key - ApiKey document
+ */
+export const toPublicApiKey = (key) => ({
+  id: key._id,
+  name: key.name,
+  prefix: key.prefix,
+  orgId: key.orgId || null,
+  userId: key.userId,
+  permissions: key.permissions,
+  rateLimit: key.rateLimit || null,
+  expiresAt: key.expiresAt || null,
+  lastUsedAt: key.lastUsedAt || null,
+  revokedAt: key.revokedAt || null,
+  createdAt: key.createdAt
+});
+
+/**
+ * Create a key
+ * @param {object} options - { userId, orgId, name, permissions, expiresAt, rateLimit }
+ * @returns {Promise<{ key: string, apiKey: object }>} Raw key (only returned here) and the stored record
+ */
+export const createApiKey = async ({ userId, orgId = null, name, permissions, expiresAt = null, rateLimit = null }) => {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const apiKey = await ApiKey.create({
+    name,
+    userId,
+    orgId,
+    keyHash: hashToken(key),
+    prefix: key.slice(0, PREFIX_LENGTH),
+    permissions,
+    expiresAt,
+    rateLimit
+  });
+  return { key, apiKey };
+};
+
+/**
+ * Keys of a user's personal workspace, or of an organization
+ * @param {object} scope - { userId } or { orgId }
+ * @returns {Promise<object[]>} Newest first, revoked ones included
+ */
+export const listApiKeys = ({ userId, orgId }) => ApiKey.find(orgId ? { orgId } : { userId, orgId: null })
+  .select('-keyHash')
+  .sort({ createdAt: -1 })
+  .lean();
+
+/**
+ * Revoke a key
+ * @param {object} apiKey - ApiKey document
+ * @param {string} revokedBy - User ID
+ */
+export const revokeApiKey = (apiKey, revokedBy) => ApiKey.updateOne(
+  { _id: apiKey._id, revokedAt: null },
+  { revokedAt: new Date(), revokedBy }
+);
+
+/**
+ * Revoke every personal key of a user (logout-all, password reset)
+ * @param {string} userId
+ * @param {string} revokedBy - User ID (default: the user)
+ * @returns {Promise<number>} Keys revoked
+ */
+export const revokePersonalApiKeys = async (userId, revokedBy = userId) => {
+  const { modifiedCount } = await ApiKey.updateMany(
+    { userId, orgId: null, revokedAt: null },
+    { revokedAt: new Date(), revokedBy }
+  );
+  return modifiedCount;
+};
+
+/**
+ * Resolve an X-API-Key header
+ * @param {string} key - Raw key
+ * @param {object} req - Request, for the last-used IP
+ * @returns {Promise<object|null>} { user, org, apiKey } shaped like authMiddleware's
+ *   req.user / req.org, or null when the key is unknown, revoked, expired or orphaned
+ */
+export const authenticateApiKey = async (key, req) => {
+  if (!key.startsWith(KEY_PREFIX)) return null;
+
+  const apiKey = await ApiKey.findOne({ keyHash: hashToken(key), revokedAt: null }).lean();
+  if (!apiKey || (apiKey.expiresAt && apiKey.expiresAt <= new Date())) return null;
+
+  const owner = await User.findById(apiKey.userId).select('email emailVerified role').lean();
+  if (!owner) return null;
+
+  let org = null;
+  if (apiKey.orgId) {
+    org = await getMembership(String(apiKey.orgId), String(apiKey.userId));
+    if (!org) return null;
+  }
+
+  const now = new Date();
+  if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt > LAST_USED_RESOLUTION_MS) {
+    ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: now, lastUsedIp: req?.ip || '' })
+      .catch((error) => console.error('[API Keys] Failed to record last use:', error.message));
+  }
+
+  const role = resolveRole(owner);
+  return {
+    user: {
+      id: String(owner._id),
+      email: owner.email,
+      emailVerified: Boolean(owner.emailVerified),
+      role,
+      permissions: apiKey.permissions.filter((permission) => ROLE_PERMISSIONS[role].includes(permission))
+    },
+    org,
+    apiKey: { id: String(apiKey._id), name: apiKey.name, rateLimit: apiKey.rateLimit || null }
+  };
+};
+
+export default {
+  toPublicApiKey,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  revokePersonalApiKeys,
+  authenticateApiKey
+};
@@ -0,0 +1,110 @@
+import { EventEmitter } from 'events';
+
+/**
+ * Audit Progress Events
+ * Per-job event channels fed by the contentProcessor onProgress hook.
+ * Each channel keeps its history so subscribers that connect late (or reconnect
+ * with Last-Event-ID) still see every stage.
+ */
+
+const TERMINAL_EVENTS = ['done', 'failed'];
+const CHANNEL_RETENTION_MS = 10 * 60 * 1000;
+const MAX_HISTORY = 500;
+
+const channels = new Map();
+
+const getChannel = (jobId) => {
+  let channel = channels.get(jobId);
+  if (!channel) {
+    channel = {
+      emitter: new EventEmitter(),
+      history: [],
+      nextId: 1,
+      closed: false,
+      cleanupTimer: null
+    };
+    channel.emitter.setMaxListeners(0);
+    channels.set(jobId, channel);
+  }
+  return channel;
+};
+
+/**
+ * Check whether an event ends the stream
+ * @param {string} type - Event type
+ * @returns {boolean}
+ */
+export const isTerminalEvent = (type) => TERMINAL_EVENTS.includes(type);
+
+/**
+ * Publish a progress event for a job
+ * @param {string} jobId - Job ID
+ * @param {string} type - Stage or event name (e.g. "extraction_attempt")
+ * @param {object} data - Event details
+ * @returns {object} Stored event
+ */
+export const publishAuditEvent = (jobId, type, data = {}) => {
+  const channel = getChannel(jobId);
+  if (channel.closed) return null;
+
+  const event = {
+    id: channel.nextId,
+    type,
+    jobId,
+    timestamp: new Date().toISOString(),
+    data
+  };
+  channel.nextId += 1;
+
+  channel.history.push(event);
+  if (channel.history.length > MAX_HISTORY) {
+    channel.history.shift();
+  }
+
+  channel.emitter.emit('event', event);
+
+  if (isTerminalEvent(type)) {
+    channel.closed = true;
+    channel.cleanupTimer = setTimeout(() => channels.delete(jobId), CHANNEL_RETENTION_MS);
+    channel.cleanupTimer.unref?.();
+  }
+
+  return event;
+};
+
+/**
+ * Subscribe to a job's events, replaying history first
+ * @param {string} jobId - Job ID
+ * @param {function} listener - Called with each event
+ * @param {object} options
+ * @param {number} options.afterId - Only replay events with a greater id (Last-Event-ID)
+ * @returns {function} Unsubscribe
+ */
+export const subscribeToAuditEvents = (jobId, listener, { afterId = 0 } = {}) => {
+  const channel = getChannel(jobId);
+
+  channel.history
+    .filter((event) => event.id > afterId)
+    .forEach((event) => listener(event));
+
+  if (channel.closed) {
+    return () => {};
+  }
+
+  channel.emitter.on('event', listener);
+  return () => channel.emitter.off('event', listener);
+};
+
+/**
+ * Check whether a job has a live or retained event channel
+ * @param {string} jobId - Job ID
+ * @returns {boolean}
+ */
+export const hasAuditEvents = (jobId) => channels.has(jobId);
+
+export default {
+  isTerminalEvent,
+  publishAuditEvent,
+  subscribeToAuditEvents,
+  hasAuditEvents
+};
@@ -1,50 +1,22 @@
-import { VertexAI } from '@google-cloud/vertexai';
+import { generate } from './llmService.js';
 import { cleanArticleContent } from './contentCleaner.ts';
 import { detectContentMetadata } from './metadataDetector.ts';
 import { enforceContentLossGuard, validateExtractedContent } from './contentValidator.ts';
 import type { ContentMetadata, ContentFormat, ExtractionMethod, SourceType } from './metadataDetector.ts';
 import type { ValidationResult } from './contentValidator.ts';
 
-const TRANSLATION_MODEL = 'gemini-2.5-flash';
-
-let translationClient: VertexAI | null = null;
-
-const getTranslationClient = () => {
-  if (!translationClient) {
-    const projectId = process.env.VERTEX_PROJECT_ID || process.env.VERTEX_AI_PROJECT_ID;
-    const location = process.env.VERTEX_LOCATION || process.env.VERTEX_AI_LOCATION || 'asia-southeast1';
-    
-    if (!projectId) {
-      throw new Error('VERTEX_AI_PROJECT_ID missing for translation');
-    }
-    
-    translationClient = new VertexAI({
-      project: projectId,
-      location: location
-    });
-    
-    console.log('[Audit Input Builder] Translation client initialized');
-  }
-  return translationClient;
-};
-
+// Provider and fallback chain: LLM_CHAIN_TRANSLATION (see llmService.js)
 const translateToEnglish = async (text: string, language: string) => {
-  const vertexAI = getTranslationClient();
-  const model = vertexAI.getGenerativeModel({
-    model: TRANSLATION_MODEL,
+  const truncatedText = text.length > 10000 ? text.substring(0, 10000) : text;
+  const prompt = `Translate the following ${language} text to English. Preserve medical terms and claims. Return plain text only.`;
+  const { text: translated } = await generate('translation', {
+    messages: [{ role: 'user', content: `${prompt}\n\n${truncatedText}` }],
     generationConfig: {
       temperature: 0.0,
       maxOutputTokens: 1500
     }
   });
 
-  const truncatedText = text.length > 10000 ? text.substring(0, 10000) : text;
-  const prompt = `Translate the following ${language} text to English. Preserve medical terms and claims. Return plain text only.`;
-  const result = await model.generateContent({
-    contents: [{ role: 'user', parts: [{ text: `${prompt}\n\n${truncatedText}` }] }]
-  });
-
-  const translated = result?.response?.candidates?.[0]?.content?.parts?.[0]?.text || '';
   return translated.trim();
 };
 
@@ -57,6 +29,8 @@ export type AuditInput = {
   metadata: ContentMetadata;
 };
 
+export type ProgressListener = (stage: string, details: Record<string, unknown>) => void;
+
 export type AuditInputResult = {
   auditInput: AuditInput;
   rawContent: string;
@@ -91,18 +65,30 @@ export const buildAuditInput = async ({
   rawContent,
   sourceType,
   contentFormat,
-  extractionMethod
+  extractionMethod,
+  onProgress
 }: {
   rawContent: string;
   sourceType: SourceType;
   contentFormat: ContentFormat;
   extractionMethod: ExtractionMethod;
+  onProgress?: ProgressListener;
 }): Promise<AuditInputResult> => {
+  const report = (stage: string, details: Record<string, unknown> = {}) => {
+    try {
+      onProgress?.(stage, details);
+    } catch (error) {
+      console.warn('[Pipeline] Progress listener failed:', error instanceof Error ? error.message : String(error));
+    }
+  };
+
   const validationResult = validateExtractedContent(rawContent);
   logPipeline('Content validated', { length: validationResult.length, warnings: validationResult.warnings });
+  report('content_validated', { length: validationResult.length, isValid: validationResult.isValid, warnings: validationResult.warnings });
 
   const cleanedContent = cleanArticleContent(rawContent);
   logPipeline('Content cleaned', { length: cleanedContent.length });
+  report('content_cleaned', { length: cleanedContent.length });
 
   enforceContentLossGuard(rawContent, cleanedContent);
 
@@ -113,15 +99,18 @@ export const buildAuditInput = async ({
     extractionMethod
   });
   logPipeline('Metadata attached', metadata);
+  report('metadata_attached', { language: metadata.language });
 
   let translatedContent = '';
   if (metadata.language === 'hi' || metadata.language === 'mixed') {
     // Translation enables semantic compliance checks while preserving original output language.
+    report('translating', { language: metadata.language });
     try {
       translatedContent = await translateToEnglish(cleanedContent, metadata.language);
     } catch (error) {
       const message = error instanceof Error ? error.message : String(error);
       logPipeline('Translation failed', { message });
+      report('translation_failed', { message });
       translatedContent = '';
     }
   }
@@ -0,0 +1,300 @@
+import crypto from 'crypto';
+import { processContent } from './contentProcessor.js';
+import { publishAuditEvent } from './auditEvents.js';
+import { createLocalRedisClient } from './localRedisClient.js';
+
+/**
+ * Audit Job Queue
+ * Runs audits in a background worker so POST /audit can answer with a job ID
+ * instead of holding the request open through scraping, transcription and Gemini.
+ *
+ * Job state lives in a pluggable backend, and is kept for JOB_TTL_SECONDS:
+ * - memory: in-process Maps (default)
+ * - redis-local: Redis-style commands (hset/hgetall/lpush/rpop/expire) against
+ *   the local stand-in in localRedisClient.js; with a real Redis client passed
+ *   to createRedisQueueBackend, job state can be read from any instance
+ *
+ * Inputs (which can carry uploaded file buffers) and settle hooks stay in the
+ * process that queued the job, so each instance runs only the jobs it queued:
+ * the Redis backend keeps one queue per instance.
+ */
+
+export { createLocalRedisClient };
+
+export const JOB_STATUSES = ['queued', 'extracting', 'transcribing', 'analyzing', 'done', 'failed'];
+
+const QUEUE_KEY = 'audit:jobs:queue';
+const JOB_KEY_PREFIX = 'audit:job:';
+const JOB_TTL_SECONDS = 24 * 60 * 60;
+const DEFAULT_CONCURRENCY = 2;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+const INSTANCE_ID = crypto.randomUUID();
+
+const getConcurrency = () => {
+  const value = parseInt(process.env.AUDIT_JOB_CONCURRENCY, 10);
+  return Number.isFinite(value) && value > 0 ? value : DEFAULT_CONCURRENCY;
+};
+
+/**
+ * In-process backend
+ * @returns {object} Queue backend
+ */
+export const createMemoryQueueBackend = () => {
+  const jobs = new Map();
+  const queue = [];
+
+  const live = (id) => {
+    const entry = jobs.get(id);
+    if (entry && entry.expiresAt <= Date.now()) {
+      jobs.delete(id);
+      return undefined;
+    }
+    return entry;
+  };
+
+  // Drop expired jobs (and their results), as Redis expires job hashes
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    jobs.forEach((entry, id) => {
+      if (entry.expiresAt <= now) jobs.delete(id);
+    });
+  }, SWEEP_INTERVAL_MS);
+  sweep.unref();
+
+  return {
+    name: 'memory',
+    saveJob: async (id, fields) => {
+      jobs.set(id, {
+        job: { ...(live(id)?.job || {}), ...fields },
+        expiresAt: Date.now() + JOB_TTL_SECONDS * 1000
+      });
+    },
+    getJob: async (id) => {
+      const entry = live(id);
+      return entry ? { ...entry.job } : null;
+    },
+    push: async (id) => {
+      queue.push(id);
+    },
+    pop: async () => queue.shift() || null
+  };
+};
+
+/**
+ * Backend over any Redis-like client (ioredis/node-redis v4 style methods)
+ * @param {object} client - Client exposing hset, hgetall, lpush, rpop, expire
+ * @param {object} options
+ * @param {string} options.queueKey - List this instance queues to and takes from
+ * @returns {object} Queue backend
+ */
+export const createRedisQueueBackend = (client, { queueKey = `${QUEUE_KEY}:${INSTANCE_ID}` } = {}) => {
+  const serialize = (fields) => Object.fromEntries(
+    Object.entries(fields).map(([field, value]) => [field, JSON.stringify(value ?? null)])
+  );
+
+  const deserialize = (hash) => Object.fromEntries(
+    Object.entries(hash).map(([field, value]) => [field, JSON.parse(value)])
+  );
+
+  return {
+    name: 'redis',
+    saveJob: async (id, fields) => {
+      const key = `${JOB_KEY_PREFIX}${id}`;
+      await client.hset(key, serialize(fields));
+      await client.expire(key, JOB_TTL_SECONDS);
+    },
+    getJob: async (id) => {
+      const hash = await client.hgetall(`${JOB_KEY_PREFIX}${id}`);
+      return hash && Object.keys(hash).length ? deserialize(hash) : null;
+    },
+    push: async (id) => {
+      await client.lpush(queueKey, id);
+    },
+    pop: async () => client.rpop(queueKey)
+  };
+};
+
+const createDefaultBackend = () => {
+  const backendName = (process.env.AUDIT_QUEUE_BACKEND || 'memory').toLowerCase();
+  if (backendName === 'redis-local') {
+    return createRedisQueueBackend(createLocalRedisClient());
+  }
+  return createMemoryQueueBackend();
+};
+
+let backend = createDefaultBackend();
+
+// Inputs can carry multer file buffers, and settle hooks are functions, so they
+// stay in-process rather than in the backend
+const payloads = new Map();
+let activeWorkers = 0;
+
+/**
+ * Swap the queue backend (e.g. a Redis client or the local stand-in)
+ * @param {object} nextBackend - Backend created by one of the factories above
+ */
+export const setAuditQueueBackend = (nextBackend) => {
+  backend = nextBackend;
+  console.log(`[Audit Jobs] Using ${nextBackend.name || 'custom'} queue backend`);
+};
+
+const updateJob = async (id, fields) => {
+  try {
+    await backend.saveJob(id, { ...fields, updatedAt: new Date().toISOString() });
+  } catch (error) {
+    console.error(`[Audit Jobs] Failed to update job ${id}:`, error.message);
+  }
+};
+
+/**
+ * Run the job's settle hook; failures are logged, never thrown into the worker
+ */
+const settleJob = async (jobId, payload, outcome) => {
+  if (!payload?.onSettled) return;
+  try {
+    await payload.onSettled(outcome);
+  } catch (error) {
+    console.error(`[Audit Jobs] Settle hook for job ${jobId} failed:`, error?.message || error);
+  }
+};
+
+const runJob = async (jobId) => {
+  const payload = payloads.get(jobId);
+  payloads.delete(jobId);
+
+  if (!payload?.input) {
+    const error = 'Job input is no longer available';
+    await updateJob(jobId, { status: 'failed', error, finishedAt: new Date().toISOString() });
+    publishAuditEvent(jobId, 'failed', { error });
+    console.error(`[Audit Jobs] Job ${jobId} failed:`, error);
+    await settleJob(jobId, payload, { status: 'failed', error });
+    return;
+  }
+
+  await updateJob(jobId, { startedAt: new Date().toISOString() });
+  publishAuditEvent(jobId, 'started');
+  console.log(`[Audit Jobs] Started job ${jobId}`);
+
+  let saved = null;
+  let outcome;
+  try {
+    const result = await processContent(payload.input, {
+      ...payload.options,
+      onProgress: (stage, details) => {
+        publishAuditEvent(jobId, stage, details);
+        if (stage === 'saved') {
+          saved = details;
+          updateJob(jobId, { auditId: details.auditId });
+        } else if (JOB_STATUSES.includes(stage)) {
+          updateJob(jobId, { status: stage });
+        }
+      }
+    });
+
+    await updateJob(jobId, { status: 'done', result, finishedAt: new Date().toISOString() });
+    publishAuditEvent(jobId, 'done', { score: result?.score, status: result?.status });
+    console.log(`[Audit Jobs] Finished job ${jobId}`);
+    outcome = { status: 'done', result, saved };
+  } catch (error) {
+    const message = error?.message || error?.error || 'Audit failed';
+    await updateJob(jobId, { status: 'failed', error: message, finishedAt: new Date().toISOString() });
+    publishAuditEvent(jobId, 'failed', { error: message });
+    console.error(`[Audit Jobs] Job ${jobId} failed:`, message);
+    outcome = { status: 'failed', error: message };
+  }
+
+  await settleJob(jobId, payload, outcome);
+};
+
+const drainQueue = async () => {
+  while (activeWorkers < getConcurrency()) {
+    // Reserve the slot before awaiting pop, so concurrent drains cannot overshoot the limit
+    activeWorkers += 1;
+    let jobId;
+    try {
+      jobId = await backend.pop();
+    } catch (error) {
+      activeWorkers -= 1;
+      throw error;
+    }
+    if (!jobId) {
+      activeWorkers -= 1;
+      return;
+    }
+
+    runJob(jobId).finally(() => {
+      activeWorkers -= 1;
+      startDraining();
+    });
+  }
+};
+
+const startDraining = () => {
+  drainQueue().catch((error) => {
+    console.error('[Audit Jobs] Failed to take jobs from the queue:', error?.message || error);
+  });
+};
+
+/**
+ * Queue an audit for background processing
+ * @param {object} params
+ * @param {object} params.input - Same input shape as processContent
+ * @param {object} params.options - Same options as processContent (userId required)
+ * @param {Function} params.onSettled - Optional async ({ status, result, saved, error }) => void,
+ *   called in this process once the job is done or failed (e.g. to update its batch)
+ * @returns {Promise<object>} Newly created job
+ */
+export const enqueueAuditJob = async ({ input, options, onSettled }) => {
+  if (!options?.userId) {
+    throw new Error('Authentication required');
+  }
+
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    userId: String(options.userId),
+    orgId: options.orgId ? String(options.orgId) : null,
+    batchId: options.batchId ? String(options.batchId) : null,
+    status: 'queued',
+    originalInput: input.url || input.file?.originalname || 'text',
+    auditId: null,
+    result: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    startedAt: null,
+    finishedAt: null
+  };
+
+  payloads.set(job.id, { input, options, onSettled });
+  try {
+    await backend.saveJob(job.id, job);
+    publishAuditEvent(job.id, 'queued', { originalInput: job.originalInput });
+    await backend.push(job.id);
+  } catch (error) {
+    // Never queued, so the caller settles it; keep no input behind
+    payloads.delete(job.id);
+    throw error;
+  }
+  console.log(`[Audit Jobs] Queued job ${job.id} (${backend.name || 'custom'} backend)`);
+
+  startDraining();
+  return job;
+};
+
+/**
+ * Fetch a job's current state
+ * @param {string} jobId - Job ID
+ * @returns {Promise<object|null>} Job or null when unknown/expired
+ */
+export const getAuditJob = async (jobId) => backend.getJob(jobId);
+
+export default {
+  JOB_STATUSES,
+  createMemoryQueueBackend,
+  createLocalRedisClient,
+  createRedisQueueBackend,
+  setAuditQueueBackend,
+  enqueueAuditJob,
+  getAuditJob
+};
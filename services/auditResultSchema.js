@@ -0,0 +1,100 @@
+/**
+ * Audit Result Schema
+ * Strict shape of the JSON the model must return for an audit (mirrors the
+ * JSON SCHEMA block of the compliance prompt) and a validator that reports
+ * exact paths, so a bad response can be repaired instead of stored as junk.
+ */
+
+export const AUDIT_STATUSES = ['Compliant', 'Needs Review', 'Non-Compliant'];
+export const VIOLATION_SEVERITIES = ['Critical', 'High', 'Medium', 'Low'];
+export const RISK_LEVELS = ['High', 'Medium', 'Low', 'None'];
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+const isString = (value) => typeof value === 'string';
+const isScore = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= 100;
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const FIELD_CHECKS = {
+  score: { check: isScore, expected: 'number from 0 to 100' },
+  status: { check: (v) => AUDIT_STATUSES.includes(v), expected: `one of ${AUDIT_STATUSES.join(', ')}` },
+  summary: { check: isNonEmptyString, expected: 'non-empty string' },
+  transcription: { check: isString, expected: 'string' }
+};
+
+const FINANCIAL_PENALTY_CHECKS = {
+  riskLevel: { check: (v) => RISK_LEVELS.includes(v), expected: `one of ${RISK_LEVELS.join(', ')}` },
+  description: { check: isString, expected: 'string' }
+};
+
+const ETHICAL_MARKETING_CHECKS = {
+  score: { check: isScore, expected: 'number from 0 to 100' },
+  assessment: { check: isString, expected: 'string' }
+};
+
+const VIOLATION_CHECKS = {
+  ruleId: { check: (v) => v === null || isNonEmptyString(v), expected: 'string or null' },
+  severity: { check: (v) => VIOLATION_SEVERITIES.includes(v), expected: `one of ${VIOLATION_SEVERITIES.join(', ')}` },
+  regulation: { check: isNonEmptyString, expected: 'non-empty string' },
+  description: { check: isNonEmptyString, expected: 'non-empty string' },
+  problematicContent: { check: isNonEmptyString, expected: 'non-empty verbatim quote' },
+  englishTranslation: { check: isString, expected: 'string' },
+  suggestion: { check: isNonEmptyString, expected: 'non-empty string' },
+  solution: { check: isNonEmptyString, expected: 'non-empty string' }
+};
+
+const checkFields = (value, checks, basePath, errors) => {
+  Object.entries(checks).forEach(([field, { check, expected }]) => {
+    const path = basePath ? `${basePath}.${field}` : field;
+    if (!(field in value)) {
+      errors.push({ path, message: `Missing required field "${path}"` });
+    } else if (!check(value[field])) {
+      errors.push({ path, message: `Invalid "${path}": expected ${expected}, got ${JSON.stringify(value[field])}` });
+    }
+  });
+};
+
+const checkObject = (value, checks, path, errors) => {
+  if (!isObject(value)) {
+    errors.push({ path, message: value === undefined ? `Missing required field "${path}"` : `Invalid "${path}": expected object` });
+    return;
+  }
+  checkFields(value, checks, path, errors);
+};
+
+/**
+ * Validate a parsed audit result
+ * @param {*} result - Parsed model output
+ * @returns {{ valid: boolean, errors: Array<{ path: string, message: string }> }}
+ */
+export const validateAuditResult = (result) => {
+  const errors = [];
+
+  if (!isObject(result)) {
+    return { valid: false, errors: [{ path: '(root)', message: 'Audit result must be a JSON object' }] };
+  }
+
+  checkFields(result, FIELD_CHECKS, '', errors);
+  checkObject(result.financialPenalty, FINANCIAL_PENALTY_CHECKS, 'financialPenalty', errors);
+  checkObject(result.ethicalMarketing, ETHICAL_MARKETING_CHECKS, 'ethicalMarketing', errors);
+
+  if (!Array.isArray(result.violations)) {
+    errors.push({ path: 'violations', message: result.violations === undefined ? 'Missing required field "violations"' : 'Invalid "violations": expected array' });
+  } else {
+    result.violations.forEach((violation, index) => {
+      checkObject(violation, VIOLATION_CHECKS, `violations[${index}]`, errors);
+    });
+
+    if (result.status === 'Compliant' && result.violations.some((violation) => ['Critical', 'High'].includes(violation?.severity))) {
+      errors.push({ path: 'status', message: '"status" is "Compliant" but there are Critical/High violations' });
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+};
+
+export default {
+  AUDIT_STATUSES,
+  VIOLATION_SEVERITIES,
+  RISK_LEVELS,
+  validateAuditResult
+};
@@ -1,46 +1,24 @@
-import { VertexAI } from '@google-cloud/vertexai';
-import { selectGeminiModel, getFallbackModel, getGenerationConfig, isComplexContent } from './modelRouter.js';
+import { generate } from './llmService.js';
+import { selectGeminiModel, isComplexContent } from './modelRouter.js';
 import { extractClaims, shouldExtractClaims } from './claimsExtractor.js';
 
 /**
  * Audit Service
  * Performs compliance audits using Gemini models with automatic fallback
  * 
- * IMPORTANT: This service uses ONLY Gemini/Vertex AI
- * NEVER uses OpenAI - OpenAI is reserved for transcription only
+ * The routed Gemini model is tried first, then the LLM_CHAIN_AUDIT fallback
+ * chain (see llmService.js)
  */
 
-// Reuse AI client instances
-let vertexAIClient = null;
-
 /**
- * Get or create Vertex AI client instance
- * @returns {VertexAI} Vertex AI client
+ * Run an audit prompt: the routed model first, then the audit chain
+ * @returns {Promise<object>} llmService response
  */
-const getVertexAIClient = () => {
-  if (!vertexAIClient) {
-    const projectId = process.env.VERTEX_PROJECT_ID || process.env.VERTEX_AI_PROJECT_ID || process.env.GOOGLE_VERTEX_PROJECT;
-    // Always use us-central1 region
-    const location = 'us-central1';
-    
-    console.log('[Audit Service] Initializing Vertex AI client...');
-    console.log('[Audit Service] Project ID:', projectId);
-    console.log('[Audit Service] Location:', location);
-    
-    if (!projectId) {
-      throw new Error('GOOGLE_VERTEX_PROJECT or VERTEX_AI_PROJECT_ID is not set');
-    }
-    
-    vertexAIClient = new VertexAI({ 
-      project: projectId, 
-      location: location
-    });
-    
-    console.log('[Audit Service] ✓ Vertex AI client initialized (using GOOGLE_APPLICATION_CREDENTIALS) | Model: gemini-2.0-flash');
-  }
-  
-  return vertexAIClient;
-};
+const generateAuditResponse = (routing, parts) => generate('audit', {
+  primary: { provider: routing.provider, model: routing.model },
+  messages: [{ role: 'user', content: parts }],
+  generationConfig: routing.generationConfig
+});
 
 /**
  * Build compliance audit system prompt
@@ -438,14 +416,14 @@ const normalizeResponse = (parsed) => {
 
 /**
  * Perform audit with a specific model (with error handling)
- * @param {string} modelName - Model to use
+ * @param {object} routing - Routing decision from selectGeminiModel
  * @param {string} transcriptText - Transcript text to audit (for audio/video) or content (for text/url)
  * @param {string} contentType - Content type
- * @param {object} generationConfig - Generation configuration
  * @param {boolean} useFailSafe - Whether to use fail-safe prompt
  * @returns {Promise<object>} Audit result
  */
-const performAuditWithModel = async (modelName, transcriptText, contentType, generationConfig, useFailSafe = false) => {
+const performAuditWithModel = async (routing, transcriptText, contentType, useFailSafe = false) => {
+  const modelName = routing.model;
   const startTime = Date.now();
   
   try {
@@ -454,7 +432,6 @@ const performAuditWithModel = async (modelName, transcriptText, contentType, gen
       throw new Error('Transcript text is empty. Cannot perform audit.');
     }
     
-    const vertexAI = getVertexAIClient();
     const systemPrompt = buildAuditPrompt();
     
     // Optimize content: extract claims if content is long
@@ -479,46 +456,27 @@ const performAuditWithModel = async (modelName, transcriptText, contentType, gen
     // Combine system prompt with audit prompt
     const fullPrompt = `${systemPrompt}\n\n${auditPrompt}`;
     
-    const model = vertexAI.getGenerativeModel({
-      model: modelName,
-      generationConfig
-    });
-    
     console.log(`[Audit Service] Using model: ${modelName} | Content: ${optimizedContent.length} chars | Fail-safe: ${useFailSafe}`);
     console.log(`[Audit Service] Transcript text length: ${transcriptText.length} chars`);
     
-    const result = await model.generateContent({
-      contents: [{ role: 'user', parts: [{ text: fullPrompt }] }]
-    });
-    
-    // Extract text from response
-    let rawText = '';
-    if (result.response?.text && typeof result.response.text === 'function') {
-      rawText = result.response.text();
-    } else if (result.response?.candidates?.[0]?.content?.parts?.[0]?.text) {
-      rawText = result.response.candidates[0].content.parts[0].text;
-    } else {
-      rawText = result.response?.text || '';
-    }
+    const response = await generateAuditResponse(routing, [{ text: fullPrompt }]);
     
-    if (!rawText) {
-      throw new Error('AI model returned empty response');
-    }
-    
-    const cleanedText = cleanJsonString(rawText);
+    const cleanedText = cleanJsonString(response.text);
     const parsed = JSON.parse(cleanedText);
     const normalized = normalizeResponse(parsed);
     
     const processingTime = Date.now() - startTime;
-    console.log(`[Audit Service] Success | Model: ${modelName} | Violations: ${normalized.violations.length} | Time: ${processingTime}ms`);
+    console.log(`[Audit Service] Success | Model: ${response.provider}:${response.model} | Violations: ${normalized.violations.length} | Time: ${processingTime}ms`);
     
     return {
       complianceScore: normalized.complianceScore,
       violations: normalized.violations,
-      modelUsed: modelName,
+      modelUsed: response.model,
+      provider: response.provider,
       processingTime,
-      usedFallback: false,
-      usedFailSafe: useFailSafe
+      usedFallback: response.fallbackUsed,
+      usedFailSafe: useFailSafe,
+      routing: { rule: routing.rule, tier: routing.tier, model: routing.model, reason: routing.reason }
     };
   } catch (error) {
     const processingTime = Date.now() - startTime;
@@ -531,9 +489,10 @@ const performAuditWithModel = async (modelName, transcriptText, contentType, gen
  * Perform compliance audit with automatic fallback and fail-safe
  * @param {string} transcriptText - Transcript text to audit (for audio/video) or content (for text/url)
  * @param {string} inputType - 'text', 'url', 'image', 'video', 'audio'
+ * @param {string} analysisMode - User's analysis mode (routes the model)
  * @returns {Promise<object>} Audit results
  */
-export const performAudit = async (transcriptText, inputType = 'text') => {
+export const performAudit = async (transcriptText, inputType = 'text', analysisMode) => {
   const startTime = Date.now();
   
   try {
@@ -555,17 +514,17 @@ export const performAudit = async (transcriptText, inputType = 'text') => {
     const isComplex = isComplexContent(transcriptText);
     
     // Select optimal model using smart router
-    const { model: primaryModel, reason } = selectGeminiModel(inputType, transcriptText.length, isComplex);
-    const generationConfig = getGenerationConfig(primaryModel);
+    const routing = selectGeminiModel(inputType, transcriptText.length, isComplex, analysisMode);
+    const primaryModel = routing.model;
     
     try {
       // Try primary model
-      let result = await performAuditWithModel(primaryModel, transcriptText, inputType, generationConfig, false);
+      let result = await performAuditWithModel(routing, transcriptText, inputType, false);
       
       // Fail-safe: If no findings, re-run with stronger prompt
       if (result.violations.length === 0 && result.complianceScore >= 90) {
         console.log('[Audit Service] No findings detected. Running fail-safe analysis...');
-        const failSafeResult = await performAuditWithModel(primaryModel, transcriptText, inputType, generationConfig, true);
+        const failSafeResult = await performAuditWithModel(routing, transcriptText, inputType, true);
         
         // Use fail-safe result if it found violations
         if (failSafeResult.violations.length > 0) {
@@ -581,11 +540,11 @@ export const performAudit = async (transcriptText, inputType = 'text') => {
     } catch (primaryError) {
       console.warn(`[Audit Service] Model ${primaryModel} failed:`, primaryError.message);
       
-      // No fallback available - only gemini-2.0-flash is accessible
+      // Primary model and every fallback in the audit chain failed
       // Return structured error
       throw {
         error: 'Audit failed',
-        message: `Model ${primaryModel} failed and no fallback available (only gemini-2.0-flash is accessible): ${primaryError.message}`,
+        message: `Model ${primaryModel} and its fallbacks failed: ${primaryError.message}`,
         primaryModel,
         processingTime: Date.now() - startTime
       };
@@ -626,59 +585,32 @@ export const performMultimodalAudit = async (imageBuffer, mimetype) => {
   try {
     console.log(`[Audit Service] Starting multimodal audit for image`);
     
-    const vertexAI = getVertexAIClient();
-    
-    // Use gemini-2.0-flash (only model available)
-    const primaryModel = 'gemini-2.0-flash';
-    const fallbackModel = null; // No fallback available
+    const routing = selectGeminiModel('image');
     
     const systemPrompt = buildAuditPrompt();
     const base64Image = imageBuffer.toString('base64');
     const auditPrompt = `${systemPrompt}\n\nAnalyze the following image content for compliance violations. Extract all visible advertisement text and claims first, then audit them.`;
     
-      const generationConfig = getGenerationConfig(primaryModel);
-    
-    const model = vertexAI.getGenerativeModel({
-      model: primaryModel,
-      generationConfig
-    });
-    
-    const result = await model.generateContent({
-      contents: [{
-        role: 'user',
-        parts: [
-          { inlineData: { data: base64Image, mimeType: mimetype } },
-          { text: auditPrompt }
-        ]
-      }]
-    });
-    
-    let rawText = '';
-    if (result.response?.text && typeof result.response.text === 'function') {
-      rawText = result.response.text();
-    } else if (result.response?.candidates?.[0]?.content?.parts?.[0]?.text) {
-      rawText = result.response.candidates[0].content.parts[0].text;
-    } else {
-      rawText = result.response?.text || '';
-    }
-    
-    if (!rawText) {
-      throw new Error('AI model returned empty response');
-    }
+    const response = await generateAuditResponse(routing, [
+      { inlineData: { data: base64Image, mimeType: mimetype } },
+      { text: auditPrompt }
+    ]);
     
-    const cleanedText = cleanJsonString(rawText);
+    const cleanedText = cleanJsonString(response.text);
     const parsed = JSON.parse(cleanedText);
     const normalized = normalizeResponse(parsed);
     
     const processingTime = Date.now() - startTime;
-    console.log(`[Audit Service] Success | Model: ${primaryModel} | Violations: ${normalized.violations.length} | Time: ${processingTime}ms`);
+    console.log(`[Audit Service] Success | Model: ${response.provider}:${response.model} | Violations: ${normalized.violations.length} | Time: ${processingTime}ms`);
     
     return {
       complianceScore: normalized.complianceScore,
       violations: normalized.violations,
-      modelUsed: primaryModel,
+      modelUsed: response.model,
+      provider: response.provider,
       processingTime,
-      usedFallback: false,
+      usedFallback: response.fallbackUsed,
+      routing: { rule: routing.rule, tier: routing.tier, model: routing.model, reason: routing.reason },
       totalProcessingTime: processingTime
     };
   } catch (error) {
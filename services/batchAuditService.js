@@ -0,0 +1,165 @@
+import AuditBatch from '../models/AuditBatch.js';
+import { enqueueAuditJob } from './auditJobQueue.js';
+import { releaseAudits } from './quotaService.js';
+
+/**
+ * Batch Audit Service
+ * Queues a campaign's worth of text/url/file items as ordinary audit jobs, so
+ * they share the job queue's worker limit (AUDIT_JOB_CONCURRENCY). Every item
+ * is still saved as its own AuditRecord (linked via batchId); the AuditBatch
+ * holds per-item outcomes and, once the last item settles, a summary.
+ */
+
+export const MAX_BATCH_ITEMS = parseInt(process.env.AUDIT_BATCH_MAX_ITEMS, 10) || 50;
+const SEVERITIES = ['Critical', 'High', 'Medium', 'Low'];
+
+const describeItem = (input) => {
+  if (input.text) return { inputType: 'text', originalInput: input.text.substring(0, 200) };
+  if (input.url) return { inputType: 'url', originalInput: input.url };
+  return { inputType: 'file', originalInput: input.file?.originalname || 'uploaded file' };
+};
+
+/**
+ * Aggregate compliance summary across finished items
+ * @param {Array} items - Batch items (status, score, complianceStatus, violationSeverities)
+ * @returns {object} Summary
+ */
+export const buildBatchSummary = (items) => {
+  const succeeded = items.filter((item) => item.status === 'done');
+  const scores = succeeded.map((item) => item.score).filter((score) => typeof score === 'number');
+
+  const statusCounts = succeeded.reduce((counts, item) => {
+    const key = item.complianceStatus || 'Needs Review';
+    counts[key] = (counts[key] || 0) + 1;
+    return counts;
+  }, {});
+
+  const violationsBySeverity = Object.fromEntries(SEVERITIES.map((severity) => [severity, 0]));
+  succeeded.forEach((item) => {
+    (item.violationSeverities || []).forEach((value) => {
+      const severity = SEVERITIES.includes(value) ? value : 'Low';
+      violationsBySeverity[severity] += 1;
+    });
+  });
+
+  let overallStatus = 'Compliant';
+  if (statusCounts['Non-Compliant']) {
+    overallStatus = 'Non-Compliant';
+  } else if (statusCounts['Needs Review'] || succeeded.length < items.length) {
+    overallStatus = 'Needs Review';
+  }
+
+  return {
+    total: items.length,
+    succeeded: succeeded.length,
+    failed: items.length - succeeded.length,
+    averageScore: scores.length ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : null,
+    lowestScore: scores.length ? Math.min(...scores) : null,
+    statusCounts,
+    totalViolations: Object.values(violationsBySeverity).reduce((sum, count) => sum + count, 0),
+    violationsBySeverity,
+    overallStatus
+  };
+};
+
+/**
+ * Record one item's outcome and, when it was the last one, the batch summary
+ * @param {string} batchId
+ * @param {number} index - Item index
+ * @param {object} outcome - enqueueAuditJob onSettled outcome
+ */
+const settleBatchItem = async (batchId, index, outcome) => {
+  const violations = Array.isArray(outcome.result?.violations) ? outcome.result.violations : [];
+  const item = outcome.status === 'done'
+    ? {
+        status: 'done',
+        auditId: outcome.saved?.auditId || null,
+        score: outcome.saved?.score ?? null,
+        complianceStatus: outcome.saved?.status || null,
+        violationCount: violations.length,
+        violationSeverities: violations.map((violation) => violation?.severity || 'Low')
+      }
+    : { status: 'failed', error: outcome.error || 'Audit failed' };
+
+  if (item.status === 'failed') {
+    console.warn(`[Batch Audit] Item ${index} of batch ${batchId} failed:`, item.error);
+  }
+
+  // Items settle concurrently; $inc tells exactly one of them it was the last
+  const batch = await AuditBatch.findOneAndUpdate(
+    { _id: batchId, [`items.${index}.status`]: 'pending' },
+    {
+      $set: Object.fromEntries(Object.entries(item).map(([key, value]) => [`items.${index}.${key}`, value])),
+      $inc: { settledCount: 1 }
+    },
+    { new: true }
+  ).lean();
+
+  if (!batch || batch.settledCount < batch.items.length) return;
+
+  const summary = buildBatchSummary(batch.items);
+  const status = summary.failed === 0 ? 'completed' : (summary.succeeded === 0 ? 'failed' : 'partial');
+  await AuditBatch.updateOne({ _id: batchId }, { summary, status, completedAt: new Date() });
+
+  console.log(`[Batch Audit] Finished batch ${batchId} | Status: ${status} | Failed: ${summary.failed}`);
+};
+
+/**
+ * Start a batch audit; items run as background audit jobs
+ * @param {object} params
+ * @param {Array<object>} params.inputs - processContent inputs ({ text } | { url } | { file })
+ * @param {object} params.options - Shared options (userId, orgId, category, analysisMode, country, region)
+ * @param {object} params.quotaReservation - Daily quota reserved for the items; failed items are released
+ * @returns {Promise<object>} AuditBatch document, status 'processing', each item with its jobId
+ */
+export const startBatchAudit = async ({ inputs, options, quotaReservation = null }) => {
+  const { userId, orgId, category, analysisMode, country, region } = options;
+
+  if (!userId) {
+    throw new Error('Authentication required');
+  }
+
+  const batch = await AuditBatch.create({
+    userId,
+    orgId: orgId || null,
+    options: { category, analysisMode, country, region },
+    items: inputs.map((input, index) => ({ index, ...describeItem(input) }))
+  });
+
+  const settle = async (index, outcome) => {
+    if (outcome.status === 'failed') {
+      await releaseAudits(quotaReservation, 1).catch((error) => {
+        console.error('[Batch Audit] Failed to release quota:', error.message);
+      });
+    }
+    await settleBatchItem(batch._id, index, outcome);
+  };
+
+  for (const [index, input] of inputs.entries()) {
+    try {
+      const job = await enqueueAuditJob({
+        input,
+        options: { ...options, batchId: batch._id },
+        onSettled: (outcome) => settle(index, outcome)
+      });
+      batch.items[index].jobId = job.id;
+    } catch (error) {
+      // Settles the item as failed so the batch still completes
+      await settle(index, { status: 'failed', error: `Could not queue item: ${error.message}` });
+    }
+  }
+
+  await AuditBatch.updateOne(
+    { _id: batch._id },
+    { $set: Object.fromEntries(batch.items.map((item) => [`items.${item.index}.jobId`, item.jobId || null])) }
+  );
+
+  console.log(`[Batch Audit] Queued batch ${batch._id} | Items: ${inputs.length}`);
+  return batch;
+};
+
+export default {
+  MAX_BATCH_ITEMS,
+  buildBatchSummary,
+  startBatchAudit
+};
@@ -0,0 +1,284 @@
+/**
+ * Chunked Auditing
+ * Content longer than one model call is split on paragraph or sentence
+ * boundaries with some overlap, each chunk is audited against the same rule
+ * pack, and the chunk results are merged into one report with a coverage
+ * section saying which part of the input was audited.
+ *
+ * AUDIT_CHUNKING=off restores the old behaviour (truncate to the first chunk).
+ */
+
+const DEFAULT_OVERLAP_CHARS = 500;
+const DEFAULT_MAX_CHUNKS = 10;
+const SEVERITY_RANK = { Critical: 4, High: 3, Medium: 2, Low: 1 };
+const STATUS_RANK = { Compliant: 0, 'Needs Review': 1, 'Non-Compliant': 2 };
+const RISK_RANK = { None: 0, Low: 1, Medium: 2, High: 3 };
+
+const PARAGRAPH_BREAK = /\n[ \t]*\n\s*/g;
+const SENTENCE_END = /[.!?।]+["')\]”’]*\s+/g;
+const WHITESPACE = /\s+/g;
+
+const readPositiveInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+export const isChunkingEnabled = () => (process.env.AUDIT_CHUNKING || 'auto').toLowerCase() !== 'off';
+
+export const getChunkingConfig = () => ({
+  overlapChars: readPositiveInt(process.env.AUDIT_CHUNK_OVERLAP, DEFAULT_OVERLAP_CHARS),
+  maxChunks: readPositiveInt(process.env.AUDIT_MAX_CHUNKS, DEFAULT_MAX_CHUNKS)
+});
+
+/**
+ * Offsets just past each boundary match in text[from, to)
+ */
+const boundariesIn = (pattern, text, from, to) => {
+  const positions = [];
+  const regex = new RegExp(pattern.source, 'g');
+  regex.lastIndex = from;
+  let match;
+  while ((match = regex.exec(text)) !== null && match.index < to) {
+    const position = match.index + match[0].length;
+    if (position > from && position <= to) positions.push(position);
+    if (!match[0].length) regex.lastIndex += 1;
+  }
+  return positions;
+};
+
+const lastBoundary = (text, from, to) => {
+  for (const pattern of [PARAGRAPH_BREAK, SENTENCE_END, WHITESPACE]) {
+    const positions = boundariesIn(pattern, text, from, to);
+    if (positions.length) return positions[positions.length - 1];
+  }
+  return to;
+};
+
+const firstBoundary = (text, from, to) => {
+  for (const pattern of [SENTENCE_END, WHITESPACE]) {
+    const [position] = boundariesIn(pattern, text, from, to);
+    if (position !== undefined) return position;
+  }
+  return to;
+};
+
+/**
+ * Split text into overlapping chunks of at most maxChars
+ * A chunk ends at the last paragraph break, else sentence end, else space in
+ * its second half; the next chunk starts at a sentence boundary inside the
+ * last overlapChars of the previous one.
+ * @param {string} text - Content to split
+ * @param {object} options
+ * @param {number} options.maxChars - Max chunk length
+ * @param {number} options.overlapChars - Target overlap between chunks
+ * @returns {Array<{ index: number, start: number, end: number, text: string }>}
+ */
+export const splitIntoChunks = (text, { maxChars, overlapChars = DEFAULT_OVERLAP_CHARS }) => {
+  if (!text) return [];
+
+  const chunks = [];
+  const overlap = Math.min(overlapChars, Math.floor(maxChars / 4));
+  let start = 0;
+
+  while (start < text.length) {
+    if (text.length - start <= maxChars) {
+      chunks.push({ index: chunks.length, start, end: text.length, text: text.slice(start) });
+      break;
+    }
+
+    const limit = start + maxChars;
+    const end = lastBoundary(text, start + Math.floor(maxChars / 2), limit);
+    chunks.push({ index: chunks.length, start, end, text: text.slice(start, end) });
+
+    const nextStart = firstBoundary(text, Math.max(start + 1, end - overlap), end);
+    start = nextStart > start ? nextStart : end;
+  }
+
+  return chunks;
+};
+
+const squash = (value) => String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+const shiftSpan = (item, offset) => ({
+  ...item,
+  ...(typeof item.start === 'number' ? { start: item.start + offset } : {}),
+  ...(typeof item.end === 'number' ? { end: item.end + offset } : {})
+});
+
+const mergeMatches = (a = [], b = []) => {
+  const byStart = new Map([...a, ...b].map((match) => [`${match.start}:${match.end}`, match]));
+  return [...byStart.values()].sort((x, y) => x.start - y.start);
+};
+
+/**
+ * Violations from every chunk, offsets made absolute, duplicates from the
+ * overlaps removed (same rule and quote; deterministic hits per rule)
+ */
+const mergeViolations = (outcomes) => {
+  const merged = new Map();
+
+  outcomes.forEach(({ chunk, result }) => {
+    (result?.violations || []).forEach((violation) => {
+      const shifted = {
+        ...shiftSpan(violation, chunk.start),
+        ...(Array.isArray(violation.matches) ? { matches: violation.matches.map((match) => shiftSpan(match, chunk.start)) } : {}),
+        chunkIndex: chunk.index
+      };
+
+      const ruleKey = squash(violation.ruleId || violation.regulation);
+      const key = violation.source === 'deterministic'
+        ? `deterministic|${ruleKey}`
+        : `${ruleKey}|${squash(violation.problematicContent)}`;
+
+      const existing = merged.get(key);
+      if (!existing) {
+        merged.set(key, shifted);
+        return;
+      }
+
+      const keep = (SEVERITY_RANK[shifted.severity] || 0) > (SEVERITY_RANK[existing.severity] || 0) ? shifted : existing;
+      const matches = existing.matches || shifted.matches ? mergeMatches(existing.matches, shifted.matches) : undefined;
+      merged.set(key, { ...keep, ...(matches ? { matches } : {}) });
+    });
+  });
+
+  return [...merged.values()];
+};
+
+// Same in every chunk, so not summed
+const CONSTANT_REPORT_FIELDS = new Set(['packRuleCount']);
+
+const sumReports = (reports) => {
+  const present = reports.filter(Boolean);
+  if (!present.length) return undefined;
+
+  return present.reduce((total, report) => {
+    Object.entries(report).forEach(([field, value]) => {
+      if (CONSTANT_REPORT_FIELDS.has(field)) {
+        total[field] = Math.max(total[field] || 0, value);
+      } else if (typeof value === 'number') {
+        total[field] = (total[field] || 0) + value;
+      } else if (Array.isArray(value)) {
+        total[field] = [...new Set([...(total[field] || []), ...value])];
+      } else if (typeof value === 'boolean') {
+        total[field] = Boolean(total[field]) || value;
+      } else if (total[field] === undefined) {
+        total[field] = value;
+      }
+    });
+    return total;
+  }, {});
+};
+
+const coveredLength = (ranges) => {
+  let covered = 0;
+  let reach = 0;
+  [...ranges].sort((a, b) => a.start - b.start).forEach(({ start, end }) => {
+    const from = Math.max(start, reach);
+    if (end > from) covered += end - from;
+    reach = Math.max(reach, end);
+  });
+  return covered;
+};
+
+/**
+ * Coverage section for a single (possibly truncated) call
+ * @param {number} totalChars - Input length
+ * @param {number} auditedChars - Characters sent to the model
+ * @returns {object} Coverage report
+ */
+export const buildSingleCoverage = (totalChars, auditedChars) => ({
+  mode: auditedChars < totalChars ? 'truncated' : 'single',
+  totalChars,
+  auditedChars,
+  coveredRatio: totalChars ? Math.round((auditedChars / totalChars) * 1000) / 1000 : 1,
+  chunkCount: 1,
+  uncoveredRanges: auditedChars < totalChars ? [{ start: auditedChars, end: totalChars }] : []
+});
+
+/**
+ * Merge per-chunk audit results into one report
+ * @param {Array<{ chunk: object, result?: object, error?: Error, skipped?: boolean }>} outcomes
+ * @param {number} totalChars - Length of the whole input
+ * @returns {object} Audit result with merged violations and a coverage section
+ */
+export const mergeChunkResults = (outcomes, totalChars) => {
+  const audited = outcomes.filter((outcome) => outcome.result);
+  const results = audited.map((outcome) => outcome.result);
+
+  const worstByScore = results.reduce((worst, result) => (
+    !worst || (typeof result.score === 'number' && result.score < worst.score) ? result : worst
+  ), null);
+  const status = results.reduce((worst, result) => (
+    (STATUS_RANK[result.status] ?? 1) > (STATUS_RANK[worst] ?? -1) ? result.status : worst
+  ), null);
+  const financialPenalty = results
+    .map((result) => result.financialPenalty)
+    .filter(Boolean)
+    .reduce((worst, penalty) => (!worst || (RISK_RANK[penalty.riskLevel] ?? 0) > (RISK_RANK[worst.riskLevel] ?? 0) ? penalty : worst), null);
+  const ethicalMarketing = results
+    .map((result) => result.ethicalMarketing)
+    .filter((entry) => entry && typeof entry.score === 'number')
+    .reduce((worst, entry) => (!worst || entry.score < worst.score ? entry : worst), null);
+
+  const ranges = audited.map(({ chunk }) => chunk);
+  const auditedChars = coveredLength(ranges);
+  const uncoveredRanges = [];
+  let reach = 0;
+  [...ranges].sort((a, b) => a.start - b.start).forEach(({ start, end }) => {
+    if (start > reach) uncoveredRanges.push({ start: reach, end: start });
+    reach = Math.max(reach, end);
+  });
+  if (reach < totalChars) uncoveredRanges.push({ start: reach, end: totalChars });
+
+  const sectionNote = `Audited in ${audited.length} of ${outcomes.length} sections.`;
+  const citationReport = sumReports(results.map((result) => result.citationReport));
+  const prescreen = sumReports(results.map((result) => result.prescreen));
+  const llmCalls = results.map((result) => result.llm).filter(Boolean);
+
+  return {
+    score: worstByScore?.score,
+    status,
+    summary: [worstByScore?.summary, sectionNote].filter(Boolean).join(' '),
+    transcription: '',
+    ...(financialPenalty ? { financialPenalty } : {}),
+    ...(ethicalMarketing ? { ethicalMarketing } : {}),
+    violations: mergeViolations(audited),
+    schemaValid: results.every((result) => result.schemaValid !== false),
+    repairAttempted: results.some((result) => result.repairAttempted === true),
+    ...(citationReport ? { citationReport } : {}),
+    ...(prescreen ? { prescreen } : {}),
+    ...(llmCalls.length ? {
+      llm: {
+        provider: llmCalls[0].provider,
+        model: llmCalls[0].model,
+        models: [...new Set(llmCalls.map((call) => `${call.provider}:${call.model}`))],
+        fallbackUsed: llmCalls.some((call) => call.fallbackUsed)
+      }
+    } : {}),
+    coverage: {
+      mode: 'chunked',
+      totalChars,
+      auditedChars,
+      coveredRatio: totalChars ? Math.round((auditedChars / totalChars) * 1000) / 1000 : 1,
+      chunkCount: outcomes.length,
+      chunks: outcomes.map(({ chunk, result, error, skipped }) => ({
+        index: chunk.index,
+        start: chunk.start,
+        end: chunk.end,
+        status: result ? 'audited' : skipped ? 'skipped' : 'failed',
+        ...(result ? { score: result.score, violations: (result.violations || []).length } : {}),
+        ...(error ? { error: error.message || String(error) } : {})
+      })),
+      uncoveredRanges
+    }
+  };
+};
+
+export default {
+  isChunkingEnabled,
+  getChunkingConfig,
+  splitIntoChunks,
+  buildSingleCoverage,
+  mergeChunkResults
+};
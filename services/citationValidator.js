@@ -0,0 +1,111 @@
+/**
+ * Citation Validator
+ * Checks that every violation returned by the model cites a rule that was in
+ * the rule pack it was given (by ruleId), so hallucinated regulations can be
+ * flagged, measured and, if configured, dropped.
+ *
+ * AUDIT_CITATION_MODE:
+ * - flag   (default): keep every violation, mark invalid ones citationValid: false
+ * - reject: move invalid violations to rejectedViolations
+ */
+
+export const CITATION_MODES = ['flag', 'reject'];
+
+const getCitationMode = () => {
+  const mode = (process.env.AUDIT_CITATION_MODE || 'flag').toLowerCase();
+  return CITATION_MODES.includes(mode) ? mode : 'flag';
+};
+
+/**
+ * Normalize a cited id as models tend to echo it ("[IN-DMR-3]", " in-dmr-3 ")
+ * @param {*} value - ruleId from the model
+ * @returns {string|null}
+ */
+export const normalizeRuleId = (value) => {
+  if (value === undefined || value === null) return null;
+  const normalized = String(value).trim().replace(/^\[|\]$/g, '').trim();
+  return normalized && !/^(null|none|n\/a)$/i.test(normalized) ? normalized : null;
+};
+
+/**
+ * Validate and annotate the violations of a parsed audit result
+ * @param {object} auditResult - Parsed model output
+ * @param {Array<object>} rules - Rule pack the model was given
+ * @param {object} options
+ * @param {string} options.mode - 'flag' | 'reject' (defaults to AUDIT_CITATION_MODE)
+ * @returns {object} Audit result with annotated violations and a citationReport
+ */
+export const validateViolationCitations = (auditResult, rules = [], { mode = getCitationMode() } = {}) => {
+  if (!auditResult || typeof auditResult !== 'object' || !Array.isArray(auditResult.violations)) {
+    return auditResult;
+  }
+
+  const rulesById = new Map(
+    rules.filter((rule) => rule?.id).map((rule) => [String(rule.id).toLowerCase(), rule])
+  );
+
+  // Without a pack there is nothing to cite against
+  if (!rulesById.size) {
+    return {
+      ...auditResult,
+      violations: auditResult.violations.map((violation) => ({ ...violation, ruleId: normalizeRuleId(violation?.ruleId) })),
+      citationReport: { checked: false, mode, packRuleCount: 0, total: auditResult.violations.length }
+    };
+  }
+
+  const annotated = auditResult.violations.map((violation) => {
+    const citedId = normalizeRuleId(violation?.ruleId);
+    const rule = citedId ? rulesById.get(citedId.toLowerCase()) : null;
+
+    if (rule) {
+      return {
+        ...violation,
+        ruleId: rule.id,
+        regulation: violation.regulation || rule.regulation,
+        citationValid: true
+      };
+    }
+
+    return {
+      ...violation,
+      ruleId: citedId,
+      citationValid: false,
+      citationError: citedId ? 'unknown_rule' : 'missing_rule_id'
+    };
+  });
+
+  const invalid = annotated.filter((violation) => !violation.citationValid);
+  const unknownRuleIds = [...new Set(invalid.map((violation) => violation.ruleId).filter(Boolean))];
+
+  if (invalid.length) {
+    console.warn(`[Citations] ${invalid.length}/${annotated.length} violation(s) cite rules outside the pack${unknownRuleIds.length ? `: ${unknownRuleIds.join(', ')}` : ''}`);
+  }
+
+  const citationReport = {
+    checked: true,
+    mode,
+    packRuleCount: rulesById.size,
+    total: annotated.length,
+    valid: annotated.length - invalid.length,
+    invalid: invalid.length,
+    missingRuleId: invalid.filter((violation) => violation.citationError === 'missing_rule_id').length,
+    unknownRuleIds
+  };
+
+  if (mode === 'reject') {
+    return {
+      ...auditResult,
+      violations: annotated.filter((violation) => violation.citationValid),
+      rejectedViolations: invalid,
+      citationReport
+    };
+  }
+
+  return { ...auditResult, violations: annotated, citationReport };
+};
+
+export default {
+  CITATION_MODES,
+  normalizeRuleId,
+  validateViolationCitations
+};
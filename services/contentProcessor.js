@@ -8,11 +8,23 @@ import { YoutubeTranscript } from 'youtube-transcript';
 import OpenAI from 'openai';
 import { analyzeWithGemini, extractClaimsWithGemini } from '../geminiService.js';
 import { extractTextFromDocument } from './documentService.js';
-import { getYoutubeTranscript } from './youtubeTranscriptService.js';
+import { getYoutubeTranscriptWithSegments } from './youtubeTranscriptService.js';
+import { verifyEvidenceSpans } from './evidenceVerifier.js';
+import { isChunkingEnabled } from './chunkingService.js';
 import { getRulesForSelection } from './rulesService.js';
+import { filterApplicableRules } from './ruleSchema.js';
 import AuditRecord from '../models/AuditRecord.js';
 import { extractTextFromImage } from './ocrService.js';
 import { buildAuditInput } from './auditInputBuilder.ts';
+import { isMockMode } from '../config/aiConfig.js';
+import {
+  createUsageTracker,
+  trackUsage,
+  getActiveUsageTracker,
+  recordLlmUsage,
+  recordScraping,
+  summarizeUsage
+} from './usageTracker.js';
 
 const MAX_TEXT_LENGTH = 100000;
 const MAX_CONTENT_FOR_AI = 12000;
@@ -48,14 +60,36 @@ const getOpenAIClient = () => {
   return openaiClient;
 };
 
+// Responses API calls made here directly, outside llmService
+const recordOpenAIUsage = (task, response) => recordLlmUsage({
+  task,
+  provider: 'openai',
+  model: response?.model || 'gpt-4o-mini',
+  usage: response?.usage ? {
+    inputTokens: response.usage.input_tokens || 0,
+    outputTokens: response.usage.output_tokens || 0
+  } : null
+});
+
 const validateInputSize = (input, type) => {
   if (type === 'text' && typeof input === 'string' && input.length > MAX_TEXT_LENGTH) {
     throw new Error(`Text content exceeds ${MAX_TEXT_LENGTH} characters limit`);
   }
 };
 
+const notifyProgress = (onProgress, stage, details = {}) => {
+  if (typeof onProgress !== 'function') return;
+  try {
+    onProgress(stage, details);
+  } catch (error) {
+    console.warn('[Pipeline] Progress listener failed:', error.message);
+  }
+};
+
+// Only truncates when chunked auditing is off; analyzeWithGemini chunks long content
 const truncateForAI = (content) => {
   if (!content || typeof content !== 'string') return '';
+  if (isChunkingEnabled()) return content;
   return content.length > MAX_CONTENT_FOR_AI 
     ? content.substring(0, MAX_CONTENT_FOR_AI)
     : content;
@@ -244,6 +278,8 @@ const fetchYouTubeFallbackText = async (url, reason) => {
 };
 
 const analyzeUrlWithOpenAI = async (url) => {
+  if (isMockMode()) return '';
+
   try {
     await delay(500, 1200);
     const openai = getOpenAIClient();
@@ -252,6 +288,7 @@ const analyzeUrlWithOpenAI = async (url) => {
       input: `Extract and summarize the main marketing/medical claims from this URL. Return plain text only. URL: ${url}`,
       temperature: 0.2
     });
+    recordOpenAIUsage('url_claims', response);
 
     const text = response.output_text?.trim() || '';
     if (!text) {
@@ -280,6 +317,9 @@ const scanDocumentWithOpenAI = async (text) => {
     return '';
   }
 
+  // Mock mode: claims come from the mock provider via extractClaimsWithGemini
+  if (isMockMode()) return '';
+
   try {
     await delay(400, 900);
     const openai = getOpenAIClient();
@@ -288,6 +328,7 @@ const scanDocumentWithOpenAI = async (text) => {
       input: `Extract the key marketing, medical, and compliance-relevant claims from this document. Return plain text only.\n\n${normalized.substring(0, MAX_CONTENT_FOR_AI)}`,
       temperature: 0.2
     });
+    recordOpenAIUsage('claims', response);
 
     const scanned = response.output_text?.trim() || '';
     if (!scanned || scanned.length < 200) {
@@ -303,6 +344,21 @@ const scanDocumentWithOpenAI = async (text) => {
 };
 
 
+// Post-processing sections kept as-is on the stored result
+const PASSTHROUGH_FIELDS = [
+  'schemaValid',
+  'repairAttempted',
+  'schemaErrors',
+  'rejectedViolations',
+  'citationReport',
+  'prescreen',
+  'evidenceReport',
+  'coverage',
+  'llm',
+  'routing',
+  'analysis'
+];
+
 const normalizeGeminiResult = (result) => {
   if (!result || typeof result !== 'object') {
     throw new Error('Gemini returned invalid JSON');
@@ -331,26 +387,34 @@ const normalizeGeminiResult = (result) => {
       score: normalizeScore(result?.ethicalMarketing?.score),
       assessment: 'Ethical marketing assessment unavailable.'
     },
-    violations: Array.isArray(result.violations) ? result.violations : []
+    violations: Array.isArray(result.violations) ? result.violations : [],
+    ...Object.fromEntries(PASSTHROUGH_FIELDS.filter((field) => result[field] !== undefined).map((field) => [field, result[field]]))
   };
 };
 
 const saveAuditRecord = async ({
   userId,
+  orgId,
+  batchId,
   contentType,
   originalInput,
   extractedText,
   transcript,
-  auditResult
+  auditResult,
+  usage
 }) => {
   const normalizedResult = normalizeGeminiResult(auditResult);
 
   const record = new AuditRecord({
     userId,
+    orgId: orgId || null,
+    batchId,
     contentType,
     originalInput,
     extractedText,
     transcript,
+    ...(normalizedResult.analysis?.mode ? { analysisMode: normalizedResult.analysis.mode } : {}),
+    ...(usage ? { usage } : {}),
     auditResult: normalizedResult
   });
 
@@ -358,10 +422,12 @@ const saveAuditRecord = async ({
   return record;
 };
 
-const processText = async ({ text, category, analysisMode, country, region, rules }) => {
+const processText = async ({ text, category, analysisMode, country, region, rules, onProgress }) => {
   validateInputSize(text, 'text');
   const truncatedText = truncateForAI(text);
 
+  notifyProgress(onProgress, 'analyzing', { inputType: 'text' });
+
   const auditResult = await analyzeWithGemini({
     content: truncatedText,
     inputType: 'text',
@@ -381,11 +447,14 @@ const processText = async ({ text, category, analysisMode, country, region, rule
   };
 };
 
-const processMediaBuffer = async ({ buffer, mimetype, inputType, originalInput, category, analysisMode, country, region, rules }) => {
+const processMediaBuffer = async ({ buffer, mimetype, inputType, originalInput, category, analysisMode, country, region, rules, onProgress }) => {
+  notifyProgress(onProgress, 'transcribing', { inputType });
   const transcriptionResult = await transcribe(buffer, mimetype);
   const transcriptText = transcriptionResult.transcript;
   const truncatedTranscript = truncateForAI(transcriptText);
 
+  notifyProgress(onProgress, 'analyzing', { inputType });
+
   const auditResult = await analyzeWithGemini({
     content: truncatedTranscript,
     inputType,
@@ -405,7 +474,8 @@ const processMediaBuffer = async ({ buffer, mimetype, inputType, originalInput,
   };
 };
 
-const processImageBuffer = async ({ buffer, originalInput, category, analysisMode, country, region, rules }) => {
+const processImageBuffer = async ({ buffer, originalInput, category, analysisMode, country, region, rules, onProgress }) => {
+  notifyProgress(onProgress, 'extracting', { inputType: 'image', method: 'ocr' });
   const extractedText = await extractTextFromImage(buffer);
 
   if (!extractedText || !extractedText.trim()) {
@@ -414,6 +484,8 @@ const processImageBuffer = async ({ buffer, originalInput, category, analysisMod
 
   const truncatedText = truncateForAI(extractedText);
 
+  notifyProgress(onProgress, 'analyzing', { inputType: 'image' });
+
   const auditResult = await analyzeWithGemini({
     content: truncatedText,
     inputType: 'image',
@@ -433,21 +505,29 @@ const processImageBuffer = async ({ buffer, originalInput, category, analysisMod
   };
 };
 
-const processUrl = async ({ url, category, analysisMode, country, region, rules }) => {
+const processUrl = async ({ url, category, analysisMode, country, region, rules, onProgress }) => {
   const urlType = detectUrlContentType(url);
 
   if (isYouTubeUrl(url)) {
     let transcriptText = '';
+    let transcriptSegments = [];
+    notifyProgress(onProgress, 'transcribing', { inputType: 'video', source: 'youtube' });
     try {
       console.log('[YouTube] Fetching transcript...');
-      transcriptText = await getYoutubeTranscript(url);
+      ({ transcript: transcriptText, segments: transcriptSegments } = await getYoutubeTranscriptWithSegments(url));
+      recordScraping('youtube_transcript');
+      notifyProgress(onProgress, 'extraction_succeeded', { method: 'youtube_transcript', length: transcriptText.length });
     } catch (error) {
       console.warn('[YouTube] Fallback to metadata:', error.message);
+      notifyProgress(onProgress, 'extraction_failed', { method: 'youtube_transcript', message: error.message });
       transcriptText = await fetchYouTubeFallbackText(url, error.message);
+      recordScraping('youtube_metadata');
+      notifyProgress(onProgress, 'extraction_succeeded', { method: 'youtube_metadata', length: transcriptText.length, fallback: true });
     }
 
     const truncatedTranscript = truncateForAI(transcriptText);
 
+    notifyProgress(onProgress, 'analyzing', { inputType: 'video' });
     const auditResult = await analyzeWithGemini({
       content: truncatedTranscript,
       inputType: 'video',
@@ -455,7 +535,7 @@ const processUrl = async ({ url, category, analysisMode, country, region, rules
       analysisMode,
       country,
       region,
-      rules
+      rules: filterApplicableRules(rules, { inputType: 'video' })
     });
 
     return {
@@ -463,39 +543,51 @@ const processUrl = async ({ url, category, analysisMode, country, region, rules
       originalInput: url,
       extractedText: truncatedTranscript,
       transcript: truncatedTranscript,
+      transcriptSegments,
       auditResult
     };
   }
 
   if (urlType === 'video' || urlType === 'audio') {
+    notifyProgress(onProgress, 'extracting', { inputType: urlType, method: 'download' });
     const { buffer, mimetype } = await downloadMediaFile(url);
     if (mimetype.startsWith('text/') || mimetype.includes('html')) {
       let extractedText = '';
+      let winningMethod = 'placeholder';
+      const fallbackChain = [
+        ['puppeteer', async () => (await scrapeUrl(url)).extractedText],
+        ['readability', () => extractReadableFromUrl(url)],
+        ['openai', () => analyzeUrlWithOpenAI(url)],
+        ['metadata', () => extractMetadataFromUrl(url)]
+      ];
+
+      for (const [method, extract] of fallbackChain) {
+        notifyProgress(onProgress, 'extraction_attempt', { method });
+        try {
+          extractedText = await extract();
+        } catch (error) {
+          console.warn(`[Scraping] ${method} extraction failed:`, error.message);
+          notifyProgress(onProgress, 'extraction_failed', { method, message: error.message });
+          continue;
+        }
 
-      try {
-        ({ extractedText } = await scrapeUrl(url));
-      } catch (error) {
-        console.warn('[Scraping] Puppeteer scrape failed:', error.message);
-      }
-
-      if (!extractedText) {
-        extractedText = await extractReadableFromUrl(url);
-      }
-
-      if (!extractedText) {
-        extractedText = await analyzeUrlWithOpenAI(url);
-      }
-
-      if (!extractedText) {
-        extractedText = await extractMetadataFromUrl(url);
+        if (extractedText) {
+          winningMethod = method;
+          break;
+        }
+        notifyProgress(onProgress, 'extraction_failed', { method, message: 'No content extracted' });
       }
 
       if (!extractedText) {
         extractedText = `Content could not be extracted. URL: ${url}. Please provide text or upload a file.`;
       }
 
+      recordScraping(winningMethod);
+      notifyProgress(onProgress, 'extraction_succeeded', { method: winningMethod, length: extractedText.length });
+
       const truncatedText = truncateForAI(extractedText);
 
+      notifyProgress(onProgress, 'analyzing', { inputType: 'url' });
       const auditResult = await analyzeWithGemini({
         content: truncatedText,
         inputType: 'url',
@@ -503,7 +595,7 @@ const processUrl = async ({ url, category, analysisMode, country, region, rules
         analysisMode,
         country,
         region,
-        rules
+        rules: filterApplicableRules(rules, { inputType: 'url' })
       });
 
       return {
@@ -514,13 +606,18 @@ const processUrl = async ({ url, category, analysisMode, country, region, rules
         auditResult
       };
     }
+    recordScraping('media_download');
     return processMediaBuffer({
       buffer,
       mimetype,
       inputType: urlType,
       originalInput: url,
       category,
-      analysisMode
+      analysisMode,
+      country,
+      region,
+      rules: filterApplicableRules(rules, { inputType: urlType }),
+      onProgress
     });
   }
 
@@ -530,16 +627,21 @@ const processUrl = async ({ url, category, analysisMode, country, region, rules
     : ['jina_reader', 'readability'];
   let lastError;
 
-  for (const method of extractionPlan) {
+  notifyProgress(onProgress, 'extracting', { inputType: 'webpage', extractionPlan });
+
+  for (const [index, method] of extractionPlan.entries()) {
+    notifyProgress(onProgress, 'extraction_attempt', { method, attempt: index + 1, of: extractionPlan.length });
     try {
       const { extractedText, extractionMethod } = await extractBlogContentByMethod(url, method);
       console.log('[Pipeline] Scraping completed', JSON.stringify({ method: extractionMethod, length: extractedText.length }));
+      notifyProgress(onProgress, 'scraping_completed', { method: extractionMethod, length: extractedText.length });
 
       const auditInputResult = await buildAuditInput({
         rawContent: extractedText,
         sourceType: 'blog',
         contentFormat: 'article',
-        extractionMethod
+        extractionMethod,
+        onProgress
       });
 
       if (auditInputResult.validationResult.warnings.length) {
@@ -553,11 +655,16 @@ const processUrl = async ({ url, category, analysisMode, country, region, rules
       if (auditInputResult.cleanedContent.length < 300) {
         console.warn('[Pipeline] Content too short after cleaning', JSON.stringify({ length: auditInputResult.cleanedContent.length }));
         lastError = new Error('Content too short after cleaning');
+        notifyProgress(onProgress, 'extraction_failed', { method, message: lastError.message });
         continue;
       }
 
+      recordScraping(extractionMethod);
+      notifyProgress(onProgress, 'extraction_succeeded', { method: extractionMethod, length: auditInputResult.cleanedContent.length });
+
       const truncatedAuditText = truncateForAI(auditInputResult.auditInput.textContent);
 
+      notifyProgress(onProgress, 'analyzing', { inputType: 'article', method: extractionMethod });
       const auditResult = await analyzeWithGemini({
         content: truncatedAuditText,
         inputType: 'article',
@@ -565,7 +672,7 @@ const processUrl = async ({ url, category, analysisMode, country, region, rules
         analysisMode,
         country,
         region,
-        rules,
+        rules: filterApplicableRules(rules, { inputType: 'article' }),
         contentContext: 'Input is a written healthcare article, not a speech transcript.'
       });
 
@@ -581,13 +688,18 @@ const processUrl = async ({ url, category, analysisMode, country, region, rules
     } catch (error) {
       lastError = error;
       console.warn('[Pipeline] Extraction attempt failed', JSON.stringify({ method, message: error.message }));
+      notifyProgress(onProgress, 'extraction_failed', { method, message: error.message });
     }
   }
 
+  notifyProgress(onProgress, 'extraction_attempt', { method: 'metadata', fallback: true });
   try {
     const metadataText = await extractMetadataFromUrl(url);
     if (metadataText) {
+      recordScraping('metadata');
+      notifyProgress(onProgress, 'extraction_succeeded', { method: 'metadata', length: metadataText.length, fallback: true });
       const truncatedText = truncateForAI(metadataText);
+      notifyProgress(onProgress, 'analyzing', { inputType: 'article', method: 'metadata' });
       const auditResult = await analyzeWithGemini({
         content: truncatedText,
         inputType: 'article',
@@ -595,7 +707,7 @@ const processUrl = async ({ url, category, analysisMode, country, region, rules
         analysisMode,
         country,
         region,
-        rules,
+        rules: filterApplicableRules(rules, { inputType: 'article' }),
         contentContext: 'Input is page metadata only. Provide best-effort compliance analysis.'
       });
 
@@ -614,11 +726,19 @@ const processUrl = async ({ url, category, analysisMode, country, region, rules
   throw new Error(`Blog content extraction failed: ${lastError?.message || 'Unknown error'}`);
 };
 
-const processDocumentBuffer = async ({ buffer, mimetype, originalInput, category, analysisMode, country, region, rules }) => {
+const processDocumentBuffer = async ({ buffer, mimetype, originalInput, category, analysisMode, country, region, rules, onProgress }) => {
+  notifyProgress(onProgress, 'extracting', { inputType: 'document', mimetype });
   let extractedText = await extractTextFromDocument(buffer, mimetype);
 
-  let scannedText = await scanDocumentWithOpenAI(extractedText);
-  if (!scannedText) {
+  notifyProgress(onProgress, 'extraction_succeeded', { method: 'document_text', length: extractedText.length });
+
+  // Claim extraction only sees the first MAX_CONTENT_FOR_AI chars; long
+  // documents are audited in full, in chunks, instead
+  const auditFullText = isChunkingEnabled() && extractedText.length > MAX_CONTENT_FOR_AI;
+  let claimsMethod = 'openai';
+  let scannedText = auditFullText ? '' : await scanDocumentWithOpenAI(extractedText);
+  if (!scannedText && !auditFullText) {
+    claimsMethod = 'gemini';
     try {
       scannedText = await extractClaimsWithGemini(extractedText);
       console.log('[Document Scan] Gemini claim extraction succeeded.');
@@ -632,9 +752,12 @@ const processDocumentBuffer = async ({ buffer, mimetype, originalInput, category
     scannedText = '';
   }
 
+  notifyProgress(onProgress, 'claims_extracted', { method: scannedText ? claimsMethod : 'full_text' });
+
   const auditText = scannedText || extractedText;
   const truncatedText = truncateForAI(auditText);
 
+  notifyProgress(onProgress, 'analyzing', { inputType: 'document' });
   const auditResult = await analyzeWithGemini({
     content: truncatedText,
     inputType: 'document',
@@ -658,65 +781,103 @@ const processDocumentBuffer = async ({ buffer, mimetype, originalInput, category
   };
 };
 
+/**
+ * Run the full extraction + compliance analysis pipeline and persist the audit.
+ * @param {object} input - { text } | { url } | { file }
+ * @param {object} options - userId, category, analysisMode, country, region,
+ *   optional orgId (organization workspace) and batchId, plus an optional
+ *   onProgress(stage, details) listener
+ * @returns {Promise<object>} Audit result
+ */
 export const processContent = async (input, options = {}) => {
-  const { userId, category, analysisMode, country, region } = options;
+  const { userId, orgId, batchId, category, analysisMode, country, region, onProgress } = options;
 
   if (!userId) {
     throw new Error('Authentication required');
   }
 
   const contentType = detectContentType(input);
-  const rules = getRulesForSelection({ country, region, category });
-  let processingResult;
-
-  if (contentType === 'text') {
-    processingResult = await processText({ text: input.text, category, analysisMode, country, region, rules });
-  } else if (contentType === 'url') {
-    processingResult = await processUrl({ url: input.url, category, analysisMode, country, region, rules });
-  } else if (contentType === 'video' || contentType === 'audio') {
-    processingResult = await processMediaBuffer({
-      buffer: input.file.buffer,
-      mimetype: input.file.mimetype,
-      inputType: contentType,
-      originalInput: input.file.originalname || `uploaded ${contentType}`,
-      category,
-      analysisMode,
-      country,
-      region,
-      rules
-    });
-  } else if (contentType === 'image') {
-    processingResult = await processImageBuffer({
-      buffer: input.file.buffer,
-      originalInput: input.file.originalname || 'uploaded image',
-      category,
-      analysisMode,
-      country,
-      region,
-      rules
-    });
-  } else if (contentType === 'document') {
-    processingResult = await processDocumentBuffer({
-      buffer: input.file.buffer,
-      mimetype: input.file.mimetype,
-      originalInput: input.file.originalname || 'uploaded document',
-      category,
-      analysisMode,
-      country,
-      region,
-      rules
-    });
-  } else {
+  // A URL's medium is known only once it is fetched; processUrl narrows its rules then
+  const rules = await getRulesForSelection({
+    country,
+    region,
+    category,
+    inputType: contentType === 'url' ? undefined : contentType
+  });
+  // Shares the caller's tracker when a route extracted content under one already
+  const usageTracker = getActiveUsageTracker() || createUsageTracker();
+
+  const processingResult = await trackUsage(usageTracker, async () => {
+    if (contentType === 'text') {
+      return processText({ text: input.text, category, analysisMode, country, region, rules, onProgress });
+    }
+    if (contentType === 'url') {
+      return processUrl({ url: input.url, category, analysisMode, country, region, rules, onProgress });
+    }
+    if (contentType === 'video' || contentType === 'audio') {
+      return processMediaBuffer({
+        buffer: input.file.buffer,
+        mimetype: input.file.mimetype,
+        inputType: contentType,
+        originalInput: input.file.originalname || `uploaded ${contentType}`,
+        category,
+        analysisMode,
+        country,
+        region,
+        rules,
+        onProgress
+      });
+    }
+    if (contentType === 'image') {
+      return processImageBuffer({
+        buffer: input.file.buffer,
+        originalInput: input.file.originalname || 'uploaded image',
+        category,
+        analysisMode,
+        country,
+        region,
+        rules,
+        onProgress
+      });
+    }
+    if (contentType === 'document') {
+      return processDocumentBuffer({
+        buffer: input.file.buffer,
+        mimetype: input.file.mimetype,
+        originalInput: input.file.originalname || 'uploaded document',
+        category,
+        analysisMode,
+        country,
+        region,
+        rules,
+        onProgress
+      });
+    }
     throw new Error('Unsupported input type');
-  }
+  });
+
+  processingResult.auditResult = verifyEvidenceSpans(
+    processingResult.auditResult,
+    processingResult.extractedText,
+    { segments: processingResult.transcriptSegments }
+  );
 
-  await saveAuditRecord({
+  const record = await saveAuditRecord({
     userId,
+    orgId,
+    batchId,
     contentType: processingResult.contentType,
     originalInput: processingResult.originalInput,
     extractedText: processingResult.extractedText,
     transcript: processingResult.transcript,
-    auditResult: processingResult.auditResult
+    auditResult: processingResult.auditResult,
+    usage: summarizeUsage(usageTracker)
+  });
+
+  notifyProgress(onProgress, 'saved', {
+    auditId: record._id.toString(),
+    score: record.auditResult.score,
+    status: record.auditResult.status
   });
 
   return processingResult.auditResult;
@@ -0,0 +1,324 @@
+/**
+ * Evidence Verifier
+ * The prompt asks for verbatim quotes in problematicContent; this checks each
+ * quote against the extracted text and records where it is.
+ *
+ * A quote is located by, in order:
+ * 1. exact match
+ * 2. normalized match: case, whitespace, curly quotes/dashes and punctuation ignored
+ * 3. fuzzy match: the window of words sharing the most words with the quote,
+ *    in order, accepted at EVIDENCE_MATCH_THRESHOLD (default 0.8). Windows
+ *    start only where one of the quote's first words occurs (a match at the
+ *    threshold must contain one), rarest words first, at most MAX_FUZZY_WINDOWS
+ *    of them; quotes over MAX_FUZZY_WORDS words are not fuzzy-matched
+ * Quotes elided with "..." are located part by part, in order.
+ *
+ * Verified violations get start/end (UTF-16 offsets into the extracted text)
+ * and, when transcript segments with timings exist, startTime/endTime in seconds.
+ */
+
+const DEFAULT_MATCH_THRESHOLD = 0.8;
+const MIN_FUZZY_WORDS = 3;
+const MAX_FUZZY_WORDS = 80;
+const MAX_FUZZY_WINDOWS = 500;
+const ELLIPSIS = /\s*(?:\.{3,}|…)\s*/;
+
+const getMatchThreshold = () => {
+  const threshold = parseFloat(process.env.EVIDENCE_MATCH_THRESHOLD);
+  return threshold > 0 && threshold <= 1 ? threshold : DEFAULT_MATCH_THRESHOLD;
+};
+
+const CHAR_EQUIVALENTS = {
+  '‘': "'", '’': "'", '‚': "'", '′': "'",
+  '“': '"', '”': '"', '„': '"', '″': '"',
+  '–': '-', '—': '-', '−': '-'
+};
+
+/**
+ * Lowercased text with punctuation dropped and whitespace collapsed, plus a
+ * map from each normalized index back to the original index
+ */
+const normalizeWithMap = (text) => {
+  let normalized = '';
+  const map = [];
+  let pendingSpace = false;
+
+  [...text].reduce((offset, rawChar) => {
+    const char = (CHAR_EQUIVALENTS[rawChar] || rawChar).toLowerCase();
+
+    if (/\s/.test(char) || /[\p{P}\p{S}]/u.test(char)) {
+      pendingSpace = normalized.length > 0;
+    } else {
+      if (pendingSpace) {
+        normalized += ' ';
+        map.push(offset);
+        pendingSpace = false;
+      }
+      for (let unit = 0; unit < char.length; unit += 1) {
+        normalized += char[unit];
+        map.push(offset);
+      }
+    }
+
+    return offset + rawChar.length;
+  }, 0);
+
+  return { normalized, map };
+};
+
+const tokenize = (text) => [...text.matchAll(/[\p{L}\p{M}\p{N}]+/gu)].map((match) => ({
+  word: match[0].toLowerCase(),
+  start: match.index,
+  end: match.index + match[0].length
+}));
+
+/**
+ * Longest common subsequence of two word lists, returning matched indexes in b
+ * @param {Array<Uint16Array>} table - Scratch rows, at least (a.length + 1) x (b.length + 1), reused across calls
+ */
+const lcsIndexes = (a, b, table) => {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+
+  for (let i = 1; i < rows; i += 1) {
+    for (let j = 1; j < cols; j += 1) {
+      table[i][j] = a[i - 1] === b[j - 1]
+        ? table[i - 1][j - 1] + 1
+        : Math.max(table[i - 1][j], table[i][j - 1]);
+    }
+  }
+
+  const matched = [];
+  for (let i = a.length, j = b.length; i > 0 && j > 0;) {
+    if (a[i - 1] === b[j - 1]) {
+      matched.unshift(j - 1);
+      i -= 1;
+      j -= 1;
+    } else if (table[i - 1][j] >= table[i][j - 1]) {
+      i -= 1;
+    } else {
+      j -= 1;
+    }
+  }
+  return matched;
+};
+
+/**
+ * Token indexes where a fuzzy window may start: at occurrences of the quote's
+ * first words, since a window at the threshold has to match one of them.
+ * Rarer words come first, so a common word ("the") is only tried if the cap allows.
+ */
+const fuzzyCandidates = (quoteWords, textTokens, fromIndex, threshold) => {
+  const anchorCount = Math.floor(quoteWords.length * (1 - threshold)) + 1;
+  const anchors = new Map();
+  quoteWords.slice(0, anchorCount).forEach((word, position) => {
+    if (!anchors.has(word)) anchors.set(word, position);
+  });
+
+  const firstIndex = textTokens.findIndex((token) => token.start >= fromIndex);
+  if (firstIndex === -1) return [];
+
+  // The window starts where the quote would, counting back from the anchor
+  const positions = new Map();
+  textTokens.forEach((token, index) => {
+    if (index < firstIndex || !anchors.has(token.word)) return;
+    if (!positions.has(token.word)) positions.set(token.word, []);
+    positions.get(token.word).push(Math.max(firstIndex, index - anchors.get(token.word)));
+  });
+
+  const starts = [...positions.values()]
+    .sort((a, b) => a.length - b.length)
+    .flat();
+  return [...new Set(starts)].slice(0, MAX_FUZZY_WINDOWS);
+};
+
+const fuzzyLocate = (quote, textTokens, fromIndex, threshold) => {
+  const quoteWords = tokenize(quote).map((token) => token.word);
+  if (quoteWords.length < MIN_FUZZY_WORDS || quoteWords.length > MAX_FUZZY_WORDS) return null;
+
+  const windowSize = Math.ceil(quoteWords.length * 1.2);
+  const table = Array.from({ length: quoteWords.length + 1 }, () => new Uint16Array(windowSize + 1));
+  let best = null;
+
+  for (const index of fuzzyCandidates(quoteWords, textTokens, fromIndex, threshold)) {
+    const window = textTokens.slice(index, index + windowSize);
+    const matched = lcsIndexes(quoteWords, window.map((candidate) => candidate.word), table);
+    const score = matched.length / quoteWords.length;
+
+    // Earliest window wins a tie, as in a left-to-right scan
+    if (score >= threshold && (!best || score > best.score || (score === best.score && index < best.index))) {
+      best = {
+        index,
+        start: window[matched[0]].start,
+        end: window[matched[matched.length - 1]].end,
+        score
+      };
+    }
+  }
+
+  return best
+    ? { start: best.start, end: best.end, score: Math.round(best.score * 100) / 100, method: 'fuzzy' }
+    : null;
+};
+
+/**
+ * Find a quote in the text
+ * @param {string} quote - Quoted evidence
+ * @param {string} text - Text it should come from
+ * @param {object} options
+ * @param {number} options.fromIndex - Search from this offset
+ * @returns {{ start: number, end: number, method: string, score: number }|null}
+ */
+export const locateQuote = (quote, text, { fromIndex = 0, threshold = getMatchThreshold(), indexes } = {}) => {
+  const trimmed = String(quote || '').trim().replace(/^["'“‘]+|["'”’]+$/g, '').trim();
+  if (!trimmed || !text) return null;
+
+  const exact = text.indexOf(trimmed, fromIndex);
+  if (exact !== -1) {
+    return { start: exact, end: exact + trimmed.length, method: 'exact', score: 1 };
+  }
+
+  const { normalized, map } = indexes?.normalizedText || normalizeWithMap(text);
+  const normalizedQuote = normalizeWithMap(trimmed).normalized;
+  if (normalizedQuote) {
+    const fromNormalized = map.findIndex((offset) => offset >= fromIndex);
+    const position = fromNormalized === -1 ? -1 : normalized.indexOf(normalizedQuote, fromNormalized);
+    if (position !== -1) {
+      const lastOriginal = map[position + normalizedQuote.length - 1];
+      const lastChar = String.fromCodePoint(text.codePointAt(lastOriginal));
+      return { start: map[position], end: lastOriginal + lastChar.length, method: 'normalized', score: 1 };
+    }
+  }
+
+  return fuzzyLocate(trimmed, indexes?.tokens || tokenize(text), fromIndex, threshold);
+};
+
+const locateEvidence = (quote, text, indexes) => {
+  const parts = String(quote).split(ELLIPSIS).map((part) => part.trim()).filter(Boolean);
+  if (parts.length <= 1) return locateQuote(quote, text, { indexes });
+
+  let fromIndex = 0;
+  const spans = [];
+  for (const part of parts) {
+    const span = locateQuote(part, text, { fromIndex, indexes });
+    if (!span) return null;
+    spans.push(span);
+    fromIndex = span.end;
+  }
+
+  return {
+    start: spans[0].start,
+    end: spans[spans.length - 1].end,
+    method: spans.some((span) => span.method === 'fuzzy') ? 'fuzzy' : spans.some((span) => span.method === 'normalized') ? 'normalized' : 'exact',
+    score: Math.min(...spans.map((span) => span.score))
+  };
+};
+
+/**
+ * Timestamps (seconds) of a character span in a timed transcript
+ * @param {{ start: number, end: number }} span
+ * @param {Array<{ start, end, charStart, charEnd }>} segments
+ * @returns {{ startTime: number, endTime: number }|null}
+ */
+export const spanToTimestamps = (span, segments = []) => {
+  if (!segments.length) return null;
+  const first = segments.find((segment) => segment.charEnd > span.start);
+  const last = [...segments].reverse().find((segment) => segment.charStart < span.end);
+  if (!first || !last) return null;
+  return { startTime: first.start, endTime: Math.max(first.end, last.end) };
+};
+
+/**
+ * Re-anchor pre-screen matches in the verified text
+ * Offsets that still point at the match are kept. Otherwise each match is
+ * searched for after the previous occurrence of the same text, so a phrase
+ * matched three times keeps three distinct spans.
+ * @param {Array<object>} matches - { text, start, end, kind }
+ * @returns {Array<object>} Matches in their original order
+ */
+const reanchorMatches = (matches, text, indexes) => {
+  const resumeAt = new Map();
+  const anchored = new Array(matches.length);
+
+  matches
+    .map((match, position) => ({ match, position }))
+    .sort((a, b) => (a.match.start ?? Infinity) - (b.match.start ?? Infinity))
+    .forEach(({ match, position }) => {
+      const unchanged = Number.isInteger(match.start) && Number.isInteger(match.end)
+        && text.slice(match.start, match.end) === match.text;
+      const found = unchanged
+        ? { start: match.start, end: match.end }
+        : locateQuote(match.text, text, { indexes, threshold: 1, fromIndex: resumeAt.get(match.text) || 0 });
+
+      if (found) resumeAt.set(match.text, found.end);
+      anchored[position] = found ? { ...match, start: found.start, end: found.end } : { ...match, start: null, end: null };
+    });
+
+  return anchored;
+};
+
+/**
+ * Verify every violation's quoted evidence against the extracted text
+ * @param {object} auditResult - Parsed audit result
+ * @param {string} sourceText - Extracted text / transcript the audit ran on
+ * @param {object} options
+ * @param {Array<object>} options.segments - Transcript timings (charStart/charEnd → seconds)
+ * @returns {object} Audit result with annotated violations and an evidenceReport
+ */
+export const verifyEvidenceSpans = (auditResult, sourceText, { segments = [] } = {}) => {
+  if (!auditResult || typeof auditResult !== 'object' || !Array.isArray(auditResult.violations)) {
+    return auditResult;
+  }
+
+  const text = typeof sourceText === 'string' ? sourceText : '';
+  const indexes = { normalizedText: normalizeWithMap(text), tokens: tokenize(text) };
+  const methods = { exact: 0, normalized: 0, fuzzy: 0 };
+
+  const violations = auditResult.violations.map((violation) => {
+    const quote = violation?.problematicContent ?? violation?.evidence ?? '';
+    const { start, end, startTime, endTime, ...rest } = violation || {};
+    const span = quote ? locateEvidence(quote, text, indexes) : null;
+
+    // Pre-screen match offsets point into the audited text; re-anchor them here
+    const matches = Array.isArray(rest.matches) ? reanchorMatches(rest.matches, text, indexes) : undefined;
+
+    if (!span) {
+      return { ...rest, ...(matches ? { matches } : {}), evidenceVerified: false, evidenceMatch: quote ? 'not_found' : 'missing' };
+    }
+
+    methods[span.method] += 1;
+    return {
+      ...rest,
+      ...(matches ? { matches } : {}),
+      evidenceVerified: true,
+      evidenceMatch: span.method,
+      evidenceScore: span.score,
+      start: span.start,
+      end: span.end,
+      ...(spanToTimestamps(span, segments) || {})
+    };
+  });
+
+  const verified = violations.filter((violation) => violation.evidenceVerified).length;
+  if (verified < violations.length) {
+    console.warn(`[Evidence] ${violations.length - verified}/${violations.length} quote(s) not found in the extracted text`);
+  }
+
+  return {
+    ...auditResult,
+    violations,
+    evidenceReport: {
+      total: violations.length,
+      verified,
+      unverified: violations.length - verified,
+      byMethod: methods,
+      timestamps: segments.length > 0
+    }
+  };
+};
+
+export default {
+  locateQuote,
+  spanToTimestamps,
+  verifyEvidenceSpans
+};
@@ -0,0 +1,214 @@
+import { VertexAI } from '@google-cloud/vertexai';
+import OpenAI from 'openai';
+import { getGeminiConfig, getOpenAIConfig, getLocalLLMConfig } from '../config/aiConfig.js';
+
+/**
+ * LLM Providers
+ * Every provider takes the same request and returns the same response, so the
+ * pipeline does not care which backend answers (see llmService.js for task
+ * fallback chains).
+ *
+ * Request:
+ *   {
+ *     model: string,
+ *     messages: [{ role: 'system' | 'user' | 'assistant', content: string | parts[] }],
+ *     generationConfig: { temperature, topP, maxOutputTokens },
+ *     json: boolean   // ask for a JSON-only response
+ *   }
+ *   parts: { text } or { inlineData: { data (base64), mimeType } }
+ *
+ * Response:
+ *   { text, provider, model, usage: { inputTokens, outputTokens, totalTokens } }
+ *
+ * Providers:
+ * - vertex: Vertex AI Gemini (VERTEX_PROJECT_ID / VERTEX_LOCATION)
+ * - openai: OpenAI chat completions (OPENAI_API_KEY)
+ * - local: any OpenAI-compatible endpoint, e.g. Ollama or vLLM (LOCAL_LLM_BASE_URL)
+ */
+
+export const DEFAULT_MODELS = {
+  vertex: 'gemini-2.5-flash',
+  openai: 'gpt-4o-mini'
+};
+
+const toParts = (content) => (typeof content === 'string' ? [{ text: content }] : content || []);
+
+const toText = (content) => toParts(content)
+  .filter((part) => typeof part.text === 'string')
+  .map((part) => part.text)
+  .join('\n\n');
+
+/* ===============================
+   VERTEX AI (GEMINI)
+================================ */
+let vertexAIClient = null;
+
+/**
+ * Shared Vertex AI client (one per process)
+ * @returns {VertexAI}
+ */
+export const getVertexAIClient = () => {
+  if (!vertexAIClient) {
+    const { projectId, location } = getGeminiConfig();
+    vertexAIClient = new VertexAI({ project: projectId, location });
+    console.log(`[LLM] Vertex AI client initialized (${projectId}, ${location})`);
+  }
+  return vertexAIClient;
+};
+
+const toVertexRequest = (messages) => {
+  const system = messages.filter((message) => message.role === 'system');
+  const contents = messages
+    .filter((message) => message.role !== 'system')
+    .map((message) => ({
+      role: message.role === 'assistant' ? 'model' : 'user',
+      parts: toParts(message.content)
+    }));
+
+  return {
+    contents,
+    ...(system.length ? { systemInstruction: { role: 'system', parts: [{ text: system.map((message) => toText(message.content)).join('\n\n') }] } } : {})
+  };
+};
+
+const vertexUsage = (usageMetadata) => (usageMetadata ? {
+  inputTokens: usageMetadata.promptTokenCount || 0,
+  outputTokens: usageMetadata.candidatesTokenCount || 0,
+  totalTokens: usageMetadata.totalTokenCount || 0
+} : null);
+
+const getVertexModel = ({ model, generationConfig = {}, json }) => getVertexAIClient().getGenerativeModel({
+  model,
+  generationConfig: {
+    ...generationConfig,
+    ...(json ? { responseMimeType: 'application/json' } : {})
+  }
+});
+
+export const createVertexProvider = () => ({
+  name: 'vertex',
+  defaultModel: DEFAULT_MODELS.vertex,
+
+  isConfigured: () => Boolean(process.env.VERTEX_PROJECT_ID || process.env.VERTEX_AI_PROJECT_ID || process.env.GOOGLE_VERTEX_PROJECT),
+
+  async generate(request) {
+    const result = await getVertexModel(request).generateContent(toVertexRequest(request.messages));
+    const response = result?.response;
+    return {
+      text: response?.candidates?.[0]?.content?.parts?.map((part) => part.text || '').join('') || '',
+      provider: 'vertex',
+      model: request.model,
+      usage: vertexUsage(response?.usageMetadata)
+    };
+  },
+
+  async* stream(request) {
+    const result = await getVertexModel(request).generateContentStream(toVertexRequest(request.messages));
+    for await (const item of result.stream) {
+      const text = item?.candidates?.[0]?.content?.parts?.map((part) => part.text || '').join('') || '';
+      if (text) yield text;
+    }
+  }
+});
+
+/* ===============================
+   OPENAI / OPENAI-COMPATIBLE
+================================ */
+const toOpenAIContent = (content) => {
+  if (typeof content === 'string') return content;
+
+  return toParts(content).map((part) => {
+    if (typeof part.text === 'string') {
+      return { type: 'text', text: part.text };
+    }
+    if (part.inlineData?.mimeType?.startsWith('image/')) {
+      return { type: 'image_url', image_url: { url: `data:${part.inlineData.mimeType};base64,${part.inlineData.data}` } };
+    }
+    throw new Error(`Unsupported input part for chat completions: ${part.inlineData?.mimeType || 'unknown'}`);
+  });
+};
+
+const toOpenAIRequest = ({ model, messages, generationConfig = {}, json }) => ({
+  model,
+  messages: messages.map((message) => ({
+    role: message.role,
+    // Only user messages may carry images
+    content: message.role === 'user' ? toOpenAIContent(message.content) : toText(message.content)
+  })),
+  ...(generationConfig.temperature !== undefined ? { temperature: generationConfig.temperature } : {}),
+  ...(generationConfig.topP !== undefined ? { top_p: generationConfig.topP } : {}),
+  ...(generationConfig.maxOutputTokens !== undefined ? { max_tokens: generationConfig.maxOutputTokens } : {}),
+  ...(json ? { response_format: { type: 'json_object' } } : {})
+});
+
+const openAIUsage = (usage) => (usage ? {
+  inputTokens: usage.prompt_tokens || 0,
+  outputTokens: usage.completion_tokens || 0,
+  totalTokens: usage.total_tokens || 0
+} : null);
+
+/**
+ * Chat-completions provider for OpenAI or any endpoint speaking its API
+ * @param {object} options
+ * @param {string} options.name - Provider name used in chains
+ * @param {Function} options.getConfig - Returns { apiKey, baseURL?, defaultModel? }
+ * @param {Function} options.isConfigured
+ */
+const createChatCompletionsProvider = ({ name, getConfig, isConfigured, defaultModel }) => {
+  let client = null;
+
+  const getClient = () => {
+    if (!client) {
+      const { apiKey, baseURL } = getConfig();
+      client = new OpenAI({ apiKey, ...(baseURL ? { baseURL } : {}) });
+      console.log(`[LLM] ${name} client initialized${baseURL ? ` (${baseURL})` : ''}`);
+    }
+    return client;
+  };
+
+  return {
+    name,
+    defaultModel,
+    isConfigured,
+
+    async generate(request) {
+      const completion = await getClient().chat.completions.create(toOpenAIRequest(request));
+      return {
+        text: completion?.choices?.[0]?.message?.content || '',
+        provider: name,
+        model: completion?.model || request.model,
+        usage: openAIUsage(completion?.usage)
+      };
+    },
+
+    async* stream(request) {
+      const completion = await getClient().chat.completions.create({ ...toOpenAIRequest(request), stream: true });
+      for await (const chunk of completion) {
+        const text = chunk?.choices?.[0]?.delta?.content;
+        if (text) yield text;
+      }
+    }
+  };
+};
+
+export const createOpenAIProvider = () => createChatCompletionsProvider({
+  name: 'openai',
+  getConfig: getOpenAIConfig,
+  isConfigured: () => Boolean(process.env.OPENAI_API_KEY),
+  defaultModel: process.env.OPENAI_LLM_MODEL || DEFAULT_MODELS.openai
+});
+
+export const createLocalProvider = () => createChatCompletionsProvider({
+  name: 'local',
+  getConfig: getLocalLLMConfig,
+  isConfigured: () => Boolean(process.env.LOCAL_LLM_BASE_URL),
+  defaultModel: process.env.LOCAL_LLM_MODEL
+});
+
+export default {
+  DEFAULT_MODELS,
+  getVertexAIClient,
+  createVertexProvider,
+  createOpenAIProvider,
+  createLocalProvider
+};
@@ -0,0 +1,285 @@
+import {
+  createVertexProvider,
+  createOpenAIProvider,
+  createLocalProvider
+} from './llmProviders.js';
+import { createMockLLMProvider, recordFixture } from './mockProviders.js';
+import { isMockMode } from '../config/aiConfig.js';
+import { recordLlmUsage } from './usageTracker.js';
+
+/**
+ * LLM Service
+ * One entry point (generate / generateJSON / stream) for every model call.
+ * Each task has a fallback chain of provider:model entries, tried in order
+ * until one answers:
+ *
+ *   LLM_CHAIN_AUDIT="vertex:gemini-2.5-flash,openai:gpt-4o-mini"
+ *   LLM_CHAIN_CLAIMS="vertex,local:llama3.1"
+ *   LLM_CHAIN_TRANSLATION=...
+ *   LLM_CHAIN_DEFAULT=...       (tasks without their own chain)
+ *
+ * An entry without a model uses the provider's default. Providers that are
+ * not configured are skipped. Per-attempt timeout: LLM_TIMEOUT_MS (default 30s).
+ *
+ * AI_MOCK_MODE=true sends every task to the offline "mock" provider;
+ * LLM_RECORD_FIXTURES=true saves real responses for it to replay.
+ *
+ * Every answer's token usage is reported to the audit in progress
+ * (usageTracker.js), including answers that validate() then rejects.
+ */
+
+export const LLM_TASKS = ['audit', 'claims', 'translation'];
+
+const DEFAULT_CHAIN = 'vertex';
+const DEFAULT_TIMEOUT_MS = 30000;
+
+const providerFactories = {
+  vertex: createVertexProvider,
+  openai: createOpenAIProvider,
+  local: createLocalProvider,
+  mock: createMockLLMProvider
+};
+const providers = new Map();
+
+/**
+ * Register (or replace) a provider
+ * @param {{ name: string, generate: Function, stream?: Function, isConfigured?: Function }} provider
+ */
+export const registerProvider = (provider) => {
+  if (!provider?.name || typeof provider.generate !== 'function') {
+    throw new Error('An LLM provider needs a name and a generate() function');
+  }
+  providers.set(provider.name, provider);
+};
+
+/**
+ * Get a provider by name
+ * @param {string} name
+ * @returns {object|null}
+ */
+export const getProvider = (name) => {
+  if (!providers.has(name) && providerFactories[name]) {
+    providers.set(name, providerFactories[name]());
+  }
+  return providers.get(name) || null;
+};
+
+/**
+ * Parse a chain spec ("vertex:gemini-2.5-flash, openai")
+ * @param {string} spec
+ * @returns {Array<{ provider: string, model: string|null }>}
+ */
+export const parseChain = (spec = '') => String(spec)
+  .split(',')
+  .map((entry) => entry.trim())
+  .filter(Boolean)
+  .map((entry) => {
+    const separator = entry.indexOf(':');
+    return separator === -1
+      ? { provider: entry.toLowerCase(), model: null }
+      : { provider: entry.slice(0, separator).trim().toLowerCase(), model: entry.slice(separator + 1).trim() || null };
+  });
+
+/**
+ * Fallback chain configured for a task
+ * @param {string} task - One of LLM_TASKS
+ * @returns {Array<{ provider: string, model: string|null }>}
+ */
+export const getTaskChain = (task) => (isMockMode() ? parseChain('mock') : parseChain(
+  process.env[`LLM_CHAIN_${String(task).toUpperCase()}`] || process.env.LLM_CHAIN_DEFAULT || DEFAULT_CHAIN
+));
+
+const getTimeoutMs = () => parseInt(process.env.LLM_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS;
+
+const withTimeout = (promise, ms, errorMsg) => {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(errorMsg)), ms);
+    })
+  ]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Resolve the chain for a request: request.chain replaces the task chain,
+ * request.primary ({ provider, model }) is tried before it
+ */
+const resolveChain = (task, request) => {
+  const base = request.chain && !isMockMode() ? request.chain : getTaskChain(task);
+  const primary = request.primary && !isMockMode() ? [request.primary] : [];
+  const seen = new Set();
+
+  return [...primary, ...base]
+    .map((entry) => {
+      const provider = getProvider(entry.provider);
+      return { provider, name: entry.provider, model: entry.model || provider?.defaultModel || null };
+    })
+    .filter(({ name, model }) => {
+      const key = `${name}:${model}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+const chainError = (task, attempts) => {
+  const detail = attempts.map((attempt) => `${attempt.provider}:${attempt.model || '?'} (${attempt.error})`).join('; ');
+  const error = new Error(`All LLM providers failed for ${task}: ${detail || 'no providers configured'}`);
+  error.attempts = attempts;
+  return error;
+};
+
+/**
+ * Run a request down the task's fallback chain
+ * @param {string} task - One of LLM_TASKS
+ * @param {object} request - { messages, generationConfig, json, primary?, chain?, timeoutMs?, validate? }
+ * @returns {Promise<object>} Provider response plus attempts and fallbackUsed
+ */
+const runChain = async (task, request) => {
+  const attempts = [];
+
+  for (const { provider, name, model } of resolveChain(task, request)) {
+    if (!provider) {
+      attempts.push({ provider: name, model, error: 'unknown provider' });
+      continue;
+    }
+    if (provider.isConfigured && !provider.isConfigured()) {
+      attempts.push({ provider: name, model, error: 'not configured' });
+      continue;
+    }
+    if (!model) {
+      attempts.push({ provider: name, model, error: 'no model configured' });
+      continue;
+    }
+
+    const startTime = Date.now();
+    try {
+      const response = await withTimeout(
+        provider.generate({ ...request, task, model }),
+        request.timeoutMs || getTimeoutMs(),
+        `${name}:${model} timed out`
+      );
+      if (response) {
+        recordLlmUsage({ task, provider: response.provider || name, model: response.model || model, usage: response.usage });
+      }
+      if (!response?.text) {
+        throw new Error('empty response');
+      }
+      const extra = request.validate ? request.validate(response) : {};
+      if (process.env.LLM_RECORD_FIXTURES === 'true' && name !== 'mock') {
+        recordFixture(task, request, response);
+      }
+
+      attempts.push({ provider: name, model, latencyMs: Date.now() - startTime });
+      return {
+        ...response,
+        ...extra,
+        attempts,
+        fallbackUsed: attempts.length > 1
+      };
+    } catch (error) {
+      console.warn(`[LLM] ${task} via ${name}:${model} failed:`, error.message);
+      attempts.push({ provider: name, model, error: error.message, latencyMs: Date.now() - startTime });
+    }
+  }
+
+  throw chainError(task, attempts);
+};
+
+/**
+ * Generate text
+ * @param {string} task - One of LLM_TASKS
+ * @param {object} request - { messages, generationConfig, json, primary?, chain?, timeoutMs?, validate? }
+ *   validate(response) may throw to reject an answer and try the next provider;
+ *   whatever it returns is merged into the response
+ * @returns {Promise<{ text, provider, model, usage, attempts, fallbackUsed }>}
+ */
+export const generate = (task, request) => runChain(task, request);
+
+/**
+ * Strip code fences and surrounding prose, then parse
+ * @param {string} text - Model output
+ * @returns {*} Parsed JSON
+ */
+export const parseJsonResponse = (text = '') => {
+  const cleaned = text.replace(/```json/gi, '').replace(/```/g, '').trim();
+  const start = cleaned.search(/[[{]/);
+  const end = Math.max(cleaned.lastIndexOf('}'), cleaned.lastIndexOf(']'));
+  if (start === -1 || end <= start) {
+    throw new Error('Response is not JSON');
+  }
+  return JSON.parse(cleaned.slice(start, end + 1));
+};
+
+/**
+ * Generate and parse JSON; a response that does not parse counts as a failure
+ * and moves on to the next provider
+ * @param {string} task - One of LLM_TASKS
+ * @param {object} request - As for generate()
+ * @returns {Promise<{ data, text, provider, model, usage, attempts, fallbackUsed }>}
+ */
+export const generateJSON = (task, request) => runChain(task, {
+  ...request,
+  json: true,
+  validate: (response) => ({ data: parseJsonResponse(response.text) })
+});
+
+/**
+ * Stream text chunks; falls back to the next provider only if nothing has
+ * been yielded yet
+ * @param {string} task - One of LLM_TASKS
+ * @param {object} request - As for generate()
+ * @returns {AsyncGenerator<string>}
+ */
+export async function* stream(task, request) {
+  const attempts = [];
+
+  for (const { provider, name, model } of resolveChain(task, request)) {
+    if (!provider || (provider.isConfigured && !provider.isConfigured()) || !model) {
+      attempts.push({ provider: name, model, error: provider ? 'not configured' : 'unknown provider' });
+      continue;
+    }
+
+    let yielded = false;
+    try {
+      if (typeof provider.stream !== 'function') {
+        const response = await withTimeout(provider.generate({ ...request, task, model }), request.timeoutMs || getTimeoutMs(), `${name}:${model} timed out`);
+        if (response) recordLlmUsage({ task, provider: response.provider || name, model: response.model || model, usage: response.usage });
+        if (!response?.text) throw new Error('empty response');
+        yielded = true;
+        yield response.text;
+        return;
+      }
+
+      for await (const text of provider.stream({ ...request, task, model })) {
+        yielded = true;
+        yield text;
+      }
+      if (yielded) {
+        // Streams do not report token counts
+        recordLlmUsage({ task, provider: name, model, usage: null });
+        return;
+      }
+      throw new Error('empty response');
+    } catch (error) {
+      if (yielded) throw error;
+      console.warn(`[LLM] ${task} stream via ${name}:${model} failed:`, error.message);
+      attempts.push({ provider: name, model, error: error.message });
+    }
+  }
+
+  throw chainError(task, attempts);
+}
+
+export default {
+  LLM_TASKS,
+  registerProvider,
+  getProvider,
+  parseChain,
+  getTaskChain,
+  generate,
+  generateJSON,
+  parseJsonResponse,
+  stream
+};
@@ -0,0 +1,98 @@
+/**
+ * Minimal Redis stand-in for offline use and tests.
+ * Implements only the commands the Redis backends need (auditJobQueue.js and
+ * rateLimitStore.js), with Redis semantics (string values, LPUSH/RPOP FIFO,
+ * INCR counters, lazy key expiry).
+ * @returns {object} Redis-like client
+ */
+export const createLocalRedisClient = () => {
+  const store = new Map();
+  const expiries = new Map();
+
+  const isExpired = (key) => {
+    const expiresAt = expiries.get(key);
+    if (expiresAt && expiresAt <= Date.now()) {
+      store.delete(key);
+      expiries.delete(key);
+      return true;
+    }
+    return false;
+  };
+
+  return {
+    hset: async (key, fields) => {
+      isExpired(key);
+      const hash = store.get(key) || {};
+      Object.entries(fields).forEach(([field, value]) => {
+        hash[field] = String(value);
+      });
+      store.set(key, hash);
+      return Object.keys(fields).length;
+    },
+    hgetall: async (key) => {
+      if (isExpired(key)) return {};
+      return { ...(store.get(key) || {}) };
+    },
+    lpush: async (key, ...values) => {
+      isExpired(key);
+      const list = store.get(key) || [];
+      list.unshift(...values.map(String).reverse());
+      store.set(key, list);
+      return list.length;
+    },
+    rpop: async (key) => {
+      if (isExpired(key)) return null;
+      const list = store.get(key) || [];
+      return list.length ? list.pop() : null;
+    },
+    expire: async (key, seconds) => {
+      if (!store.has(key)) return 0;
+      expiries.set(key, Date.now() + seconds * 1000);
+      return 1;
+    },
+    get: async (key) => {
+      if (isExpired(key)) return null;
+      return store.has(key) ? store.get(key) : null;
+    },
+    set: async (key, value, ...options) => {
+      store.set(key, String(value));
+      expiries.delete(key);
+      // SET key value PX milliseconds
+      const px = options.findIndex((option) => String(option).toUpperCase() === 'PX');
+      if (px !== -1) expiries.set(key, Date.now() + Number(options[px + 1]));
+      return 'OK';
+    },
+    getdel: async (key) => {
+      if (isExpired(key) || !store.has(key)) return null;
+      const value = store.get(key);
+      store.delete(key);
+      expiries.delete(key);
+      return value;
+    },
+    del: async (key) => {
+      expiries.delete(key);
+      return store.delete(key) ? 1 : 0;
+    },
+    incr: async (key) => {
+      isExpired(key);
+      const value = parseInt(store.get(key) || '0', 10) + 1;
+      store.set(key, String(value));
+      return value;
+    },
+    pexpire: async (key, milliseconds) => {
+      if (isExpired(key) || !store.has(key)) return 0;
+      expiries.set(key, Date.now() + milliseconds);
+      return 1;
+    },
+    pttl: async (key) => {
+      if (isExpired(key) || !store.has(key)) return -2;
+      const expiresAt = expiries.get(key);
+      return expiresAt ? expiresAt - Date.now() : -1;
+    },
+    ping: async () => 'PONG'
+  };
+};
+
+export default {
+  createLocalRedisClient
+};
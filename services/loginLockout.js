@@ -0,0 +1,83 @@
+import { getRateLimitStore } from './rateLimitStore.js';
+
+/**
+ * Login Lockout
+ * Progressive lockout per account after repeated failed logins. From the
+ * LOGIN_LOCKOUT_THRESHOLD-th consecutive failure (default 5) the account is
+ * locked for LOGIN_LOCKOUT_BASE_SECONDS (default 60), doubling with every
+ * further failure up to LOGIN_LOCKOUT_MAX_SECONDS (default 3600). A
+ * successful login clears the count; otherwise it is forgotten 24 hours after
+ * the first failure.
+ *
+ * Failures are counted with the store's atomic increment, so parallel failed
+ * logins each add one and cannot overwrite each other's count.
+ *
+ * Failures are keyed by the email tried, whether or not an account exists, so
+ * the lockout does not reveal which emails are registered.
+ */
+
+const FAILURE_TTL_MS = 24 * 60 * 60 * 1000;
+
+const readPositiveInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+const getLockoutConfig = () => ({
+  threshold: readPositiveInt(process.env.LOGIN_LOCKOUT_THRESHOLD, 5),
+  baseSeconds: readPositiveInt(process.env.LOGIN_LOCKOUT_BASE_SECONDS, 60),
+  maxSeconds: readPositiveInt(process.env.LOGIN_LOCKOUT_MAX_SECONDS, 3600)
+});
+
+const normalizeEmail = (email) => String(email).trim().toLowerCase();
+const failuresKey = (email) => `login-failures:${normalizeEmail(email)}`;
+const lockKey = (email) => `login-lock:${normalizeEmail(email)}`;
+
+const secondsUntil = (timestamp) => Math.max(1, Math.ceil((timestamp - Date.now()) / 1000));
+
+/**
+ * Remaining lockout for an email
+ * @param {string} email
+ * @returns {Promise<number>} Seconds until login is allowed again (0 when not locked)
+ */
+export const getLoginLockout = async (email) => {
+  const state = await getRateLimitStore().get(lockKey(email));
+  return state?.lockedUntil && state.lockedUntil > Date.now() ? secondsUntil(state.lockedUntil) : 0;
+};
+
+/**
+ * Count a failed login
+ * @param {string} email
+ * @returns {Promise<{ failures: number, lockedForSeconds: number }>}
+ */
+export const recordLoginFailure = async (email) => {
+  const { threshold, baseSeconds, maxSeconds } = getLockoutConfig();
+  const store = getRateLimitStore();
+
+  const { count: failures } = await store.increment(failuresKey(email), FAILURE_TTL_MS);
+  const lockedForSeconds = failures >= threshold
+    ? Math.min(maxSeconds, baseSeconds * 2 ** (failures - threshold))
+    : 0;
+
+  if (lockedForSeconds) {
+    const lockedUntil = Date.now() + lockedForSeconds * 1000;
+    await store.set(lockKey(email), { failures, lockedUntil }, lockedForSeconds * 1000);
+  }
+  return { failures, lockedForSeconds };
+};
+
+/**
+ * Forget failed logins after a successful one
+ * @param {string} email
+ */
+export const clearLoginFailures = async (email) => {
+  const store = getRateLimitStore();
+  await store.delete(failuresKey(email));
+  await store.delete(lockKey(email));
+};
+
+export default {
+  getLoginLockout,
+  recordLoginFailure,
+  clearLoginFailures
+};
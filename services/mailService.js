@@ -0,0 +1,169 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import axios from 'axios';
+
+/**
+ * Mail Service
+ * Account emails (verification, password reset, organization invitations)
+ * through a pluggable transport, chosen with MAIL_TRANSPORT:
+ * - console (default): logs the message, links included, for local development
+ * - file: writes each message as JSON to MAIL_FILE_DIR (default
+ *   <tmp>/nextcomply-mail), for tests that need to read the link back
+ * - http: POSTs { from, to, subject, text, html } to MAIL_HTTP_URL with
+ *   MAIL_HTTP_TOKEN as a Bearer token (the shape Resend's /emails API takes)
+ * setMailTransport() plugs in anything else with a send(message) method.
+ *
+ * With NODE_ENV=production, console and file are refused (they would leave
+ * reset and verification links in logs or on disk) and the server does not start.
+ */
+
+const REQUEST_TIMEOUT_MS = 15000;
+
+const getFrom = () => process.env.MAIL_FROM || 'NextComply AI <no-reply@nextcomplyai.com>';
+const getFrontendUrl = () => (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+export const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    console.log(`[Mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+  }
+});
+
+export const createFileTransport = (directory = process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'nextcomply-mail')) => ({
+  name: 'file',
+  directory,
+  send: async (message) => {
+    await fs.promises.mkdir(directory, { recursive: true });
+    const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+    await fs.promises.writeFile(path.join(directory, fileName), JSON.stringify(message, null, 2));
+  }
+});
+
+export const createHttpTransport = ({ url = process.env.MAIL_HTTP_URL, token = process.env.MAIL_HTTP_TOKEN } = {}) => {
+  if (!url) {
+    throw new Error('MAIL_HTTP_URL is not set. Required for MAIL_TRANSPORT=http.');
+  }
+
+  return {
+    name: 'http',
+    send: async (message) => {
+      await axios.post(url, message, {
+        timeout: REQUEST_TIMEOUT_MS,
+        headers: token ? { Authorization: `Bearer ${token}` } : {}
+      });
+    }
+  };
+};
+
+const LOCAL_TRANSPORTS = ['console', 'file'];
+
+const createDefaultTransport = () => {
+  const transportName = (process.env.MAIL_TRANSPORT || 'console').toLowerCase();
+  if (process.env.NODE_ENV === 'production' && LOCAL_TRANSPORTS.includes(transportName)) {
+    throw new Error(`MAIL_TRANSPORT=${transportName} would expose account links in production. Set MAIL_TRANSPORT=http and MAIL_HTTP_URL.`);
+  }
+  if (transportName === 'console') return createConsoleTransport();
+  if (transportName === 'file') return createFileTransport();
+  if (transportName === 'http') return createHttpTransport();
+  throw new Error(`Unknown MAIL_TRANSPORT "${transportName}" (use console, file or http)`);
+};
+
+let transport = null;
+
+/**
+ * Create the transport from MAIL_TRANSPORT at startup, so a missing or
+ * unsafe mail setup stops the server instead of the first password reset
+ * @returns {object} Mail transport
+ */
+export const initMailTransport = () => {
+  if (!transport) transport = createDefaultTransport();
+  console.log(`[Mail] Using ${transport.name || 'custom'} transport`);
+  return transport;
+};
+
+/**
+ * Swap the mail transport
+ * @param {object} nextTransport - { name, send: async (message) => void }
+ */
+export const setMailTransport = (nextTransport) => {
+  transport = nextTransport;
+  console.log(`[Mail] Using ${nextTransport.name || 'custom'} transport`);
+};
+
+/**
+ * Send one message
+ * @param {object} message - { to, subject, text, html }
+ */
+export const sendMail = async (message) => {
+  if (!transport) transport = createDefaultTransport();
+  await transport.send({ from: getFrom(), ...message });
+};
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[char]));
+
+const linkMessage = ({ to, subject, greeting, intro, link, outro }) => ({
+  to,
+  subject,
+  text: `${greeting}\n\n${intro}\n\n${link}\n\n${outro}`,
+  html: `<p>${escapeHtml(greeting)}</p><p>${escapeHtml(intro)}</p><p><a href="${escapeHtml(link)}">${escapeHtml(link)}</a></p><p>${escapeHtml(outro)}</p>`
+});
+
+/**
+ * Email-verification link ({FRONTEND_URL}/verify-email?token=)
+ * @param {object} user - { name, email }
+ * @param {string} token - Raw verification token
+ * @param {number} ttlHours - How long the link works
+ */
+export const sendVerificationEmail = (user, token, ttlHours) => sendMail(linkMessage({
+  to: user.email,
+  subject: 'Verify your email address',
+  greeting: `Hi ${user.name},`,
+  intro: 'Please confirm your email address by opening this link:',
+  link: `${getFrontendUrl()}/verify-email?token=${encodeURIComponent(token)}`,
+  outro: `The link expires in ${ttlHours} hours. If you did not sign up, ignore this email.`
+}));
+
+/**
+ * Password-reset link ({FRONTEND_URL}/reset-password?token=)
+ * @param {object} user - { name, email }
+ * @param {string} token - Raw reset token
+ * @param {number} ttlMinutes - How long the link works
+ */
+export const sendPasswordResetEmail = (user, token, ttlMinutes) => sendMail(linkMessage({
+  to: user.email,
+  subject: 'Reset your password',
+  greeting: `Hi ${user.name},`,
+  intro: 'Someone asked to reset the password for your account. To choose a new password, open this link:',
+  link: `${getFrontendUrl()}/reset-password?token=${encodeURIComponent(token)}`,
+  outro: `The link expires in ${ttlMinutes} minutes and works once. If you did not ask for a reset, ignore this email; your password is unchanged.`
+}));
+
+/**
+ * Organization invitation ({FRONTEND_URL}/accept-invite?token=)
+ * @param {object} invitation - { email, orgName, inviterName, role }
+ * @param {string} token - Raw invitation token
+ * @param {number} ttlDays - How long the invitation is open
+ */
+export const sendOrgInvitationEmail = ({ email, orgName, inviterName, role }, token, ttlDays) => sendMail(linkMessage({
+  to: email,
+  subject: `You're invited to join ${orgName} on NextComply AI`,
+  greeting: 'Hi,',
+  intro: `${inviterName} invited you to join ${orgName} as ${role}. To accept, sign in or sign up with this email address and open this link:`,
+  link: `${getFrontendUrl()}/accept-invite?token=${encodeURIComponent(token)}`,
+  outro: `The invitation expires in ${ttlDays} days.`
+}));
+
+export default {
+  createConsoleTransport,
+  createFileTransport,
+  createHttpTransport,
+  initMailTransport,
+  setMailTransport,
+  sendMail,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendOrgInvitationEmail
+};
@@ -0,0 +1,106 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { spawn } from 'child_process';
+
+/**
+ * Media Probe
+ * Reads a media file's duration with ffprobe. FFPROBE_PATH names the binary;
+ * otherwise it is looked for next to FFMPEG_PATH (the ffmpeg binary or its
+ * directory), then on the PATH.
+ */
+
+const PROBE_TIMEOUT_MS = 30 * 1000;
+
+/**
+ * ffprobe binary to run
+ * @returns {string}
+ */
+export const resolveFfprobePath = () => {
+  const explicit = (process.env.FFPROBE_PATH || '').trim();
+  if (explicit) return explicit;
+
+  const ffmpegPath = (process.env.FFMPEG_PATH || '').trim();
+  if (!ffmpegPath) return 'ffprobe';
+
+  const isBinary = /^ffmpeg(\.exe)?$/i.test(path.basename(ffmpegPath));
+  const dir = isBinary ? path.dirname(ffmpegPath) : ffmpegPath;
+  const windows = process.platform === 'win32' || ffmpegPath.toLowerCase().endsWith('.exe');
+  return path.join(dir, windows ? 'ffprobe.exe' : 'ffprobe');
+};
+
+/**
+ * Duration of an audio/video file
+ * @param {string} filePath - File on disk
+ * @param {object} options
+ * @param {number} options.timeoutMs - Give up (and stop ffprobe) after this long
+ * @returns {Promise<number>} Seconds
+ */
+export const getMediaDurationSeconds = (filePath, { timeoutMs = PROBE_TIMEOUT_MS } = {}) => new Promise((resolve, reject) => {
+  const probe = spawn(resolveFfprobePath(), [
+    '-v', 'error',
+    '-show_entries', 'format=duration',
+    '-of', 'default=noprint_wrappers=1:nokey=1',
+    filePath
+  ]);
+
+  let output = '';
+  let stderr = '';
+  const timer = setTimeout(() => {
+    probe.kill();
+    reject(new Error('Media duration probe timed out'));
+  }, timeoutMs);
+
+  probe.stdout.on('data', (data) => {
+    output += data.toString();
+  });
+
+  probe.stderr.on('data', (data) => {
+    stderr += data.toString();
+  });
+
+  probe.on('error', (error) => {
+    clearTimeout(timer);
+    reject(error);
+  });
+
+  probe.on('close', (code) => {
+    clearTimeout(timer);
+    if (code !== 0) {
+      reject(new Error(`ffprobe failed (code ${code}): ${stderr.trim()}`));
+      return;
+    }
+    const duration = parseFloat(output.trim());
+    if (!Number.isFinite(duration) || duration <= 0) {
+      reject(new Error('ffprobe reported no duration'));
+      return;
+    }
+    resolve(duration);
+  });
+});
+
+/**
+ * Duration of an in-memory upload, probed from a temporary file
+ * @param {Buffer} buffer - File contents
+ * @param {object} options
+ * @param {string} options.filename - Original name; its extension helps ffprobe
+ * @param {number} options.timeoutMs
+ * @returns {Promise<number>} Seconds
+ */
+export const getBufferDurationSeconds = async (buffer, { filename = '', timeoutMs } = {}) => {
+  const extension = path.extname(filename).replace(/[^.a-z0-9]/gi, '');
+  const tempPath = path.join(os.tmpdir(), `probe_${crypto.randomUUID()}${extension}`);
+  await fs.promises.writeFile(tempPath, buffer);
+  try {
+    return await getMediaDurationSeconds(tempPath, { timeoutMs });
+  } finally {
+    await fs.promises.unlink(tempPath).catch(() => {});
+  }
+};
+
+export default {
+  resolveFfprobePath,
+  getMediaDurationSeconds,
+  getBufferDurationSeconds
+};
@@ -1,55 +1,209 @@
+import { getTaskChain, parseChain } from './llmService.js';
+
 /**
  * Smart AI Model Router Service
  * Automatically selects the best AI model based on:
  * - Input type (text, audio, video, image, URL)
  * - Input size
- * - Model availability
- * - Cost efficiency
- * - Performance
- * 
- * Includes automatic fallback and never crashes on model errors
+ * - Content complexity
+ * - The user's analysis mode
+ *
+ * Routing is a table of rules (first match wins); each rule names a tier and
+ * each tier is a provider:model plus generation config. Both are configurable:
+ * - MODEL_TIER_FAST / MODEL_TIER_STANDARD / MODEL_TIER_DEEP: "vertex:gemini-2.5-pro"
+ * - SHORT_TEXT_THRESHOLD / LONG_TEXT_THRESHOLD: characters
+ * - MODEL_ROUTING_RULES: JSON array replacing DEFAULT_ROUTING_RULES
+ *
+ * Includes automatic fallback (the task's LLM chain, see llmService.js) and
+ * never crashes on model errors
  */
 
-// Model constants - Using gemini-2.0-flash (only model available)
 export const MODELS = {
   OPENAI_TRANSCRIBE: 'gpt-4o-transcribe',
+  GEMINI_FAST: 'gemini-2.0-flash',
+  GEMINI_STANDARD: 'gemini-2.5-flash',
+  GEMINI_DEEP: 'gemini-2.5-pro',
+  // Kept for older callers
   GEMINI_MODEL: 'gemini-2.0-flash'
 };
 
-// Note: Thresholds kept for potential future use, but all content uses gemini-2.0-flash
-const SHORT_TEXT_THRESHOLD = 3000; // characters
-const LONG_TEXT_THRESHOLD = 10000; // characters
+const DEFAULT_SHORT_TEXT_THRESHOLD = 3000; // characters
+const DEFAULT_LONG_TEXT_THRESHOLD = 10000; // characters
+
+export const MODEL_TIERS = {
+  fast: {
+    model: MODELS.GEMINI_FAST,
+    generationConfig: { temperature: 0.1, topP: 0.95, maxOutputTokens: 2048 }
+  },
+  standard: {
+    model: MODELS.GEMINI_STANDARD,
+    generationConfig: { temperature: 0.0, topP: 0.95, maxOutputTokens: 2048 }
+  },
+  'standard-long': {
+    model: MODELS.GEMINI_STANDARD,
+    generationConfig: { temperature: 0.0, topP: 0.95, maxOutputTokens: 8192 }
+  },
+  deep: {
+    model: MODELS.GEMINI_DEEP,
+    generationConfig: { temperature: 0.0, topP: 0.95, maxOutputTokens: 8192 }
+  }
+};
+
+/**
+ * Routing rules, first match wins. "when" fields are all optional:
+ * inputTypes, analysisModes, minLength, maxLength ("short"/"long" use the
+ * thresholds), complex
+ */
+export const DEFAULT_ROUTING_RULES = [
+  { name: 'deep-mode', when: { analysisModes: ['deep'] }, tier: 'deep' },
+  { name: 'fast-mode', when: { analysisModes: ['fast'] }, tier: 'fast' },
+  { name: 'long-complex', when: { minLength: 'long', complex: true }, tier: 'deep' },
+  { name: 'long', when: { minLength: 'long' }, tier: 'standard-long' },
+  { name: 'short-simple-text', when: { inputTypes: ['text', 'url', 'webpage'], maxLength: 'short', complex: false }, tier: 'fast' },
+  { name: 'default', when: {}, tier: 'standard' }
+];
+
+const readPositiveInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+export const getLengthThresholds = () => ({
+  short: readPositiveInt(process.env.SHORT_TEXT_THRESHOLD, DEFAULT_SHORT_TEXT_THRESHOLD),
+  long: readPositiveInt(process.env.LONG_TEXT_THRESHOLD, DEFAULT_LONG_TEXT_THRESHOLD)
+});
+
+/**
+ * Map UI labels and legacy scan types to fast | standard | deep
+ * ("Fast Scan", "fast-scan", "Deep Reason", "deep-reason", "advanced", ...)
+ * @param {string} analysisMode
+ * @returns {string}
+ */
+export const normalizeAnalysisMode = (analysisMode) => {
+  const mode = String(analysisMode || '').toLowerCase();
+  if (mode.includes('fast')) return 'fast';
+  if (mode.includes('deep')) return 'deep';
+  return 'standard';
+};
+
+/**
+ * Tier definition with env overrides applied
+ * @param {string} tierName
+ * @returns {{ provider: string, model: string, generationConfig: object }}
+ */
+const getTier = (tierName) => {
+  const tier = MODEL_TIERS[tierName] || MODEL_TIERS.standard;
+  const envKey = `MODEL_TIER_${tierName.toUpperCase().replace(/-/g, '_')}`;
+  const [override] = parseChain(process.env[envKey] || '');
+
+  return {
+    provider: override?.provider || 'vertex',
+    model: override?.model || tier.model,
+    generationConfig: { ...tier.generationConfig }
+  };
+};
+
+const getRoutingRules = () => {
+  if (!process.env.MODEL_ROUTING_RULES) return DEFAULT_ROUTING_RULES;
+
+  try {
+    const rules = JSON.parse(process.env.MODEL_ROUTING_RULES);
+    if (Array.isArray(rules) && rules.every((rule) => rule?.tier && MODEL_TIERS[rule.tier])) {
+      return rules;
+    }
+    console.warn('[Model Router] MODEL_ROUTING_RULES must be an array of { name, when, tier } with known tiers; using defaults');
+  } catch (error) {
+    console.warn('[Model Router] Invalid MODEL_ROUTING_RULES JSON; using defaults:', error.message);
+  }
+  return DEFAULT_ROUTING_RULES;
+};
+
+const resolveLength = (value, thresholds) => (typeof value === 'string' ? thresholds[value] : value);
+
+const ruleMatches = (when = {}, facts, thresholds) => {
+  if (when.inputTypes && !when.inputTypes.includes(facts.inputType)) return false;
+  if (when.analysisModes && !when.analysisModes.includes(facts.analysisMode)) return false;
+  if (when.minLength !== undefined && facts.contentLength < resolveLength(when.minLength, thresholds)) return false;
+  if (when.maxLength !== undefined && facts.contentLength > resolveLength(when.maxLength, thresholds)) return false;
+  if (when.complex !== undefined && facts.isComplex !== when.complex) return false;
+  return true;
+};
+
+/**
+ * Route an audit to a model
+ * @param {object} params
+ * @param {string} params.inputType - 'text', 'audio', 'video', 'image', 'url', 'document'
+ * @param {number} params.contentLength - Length of content in characters
+ * @param {boolean} params.isComplex - From isComplexContent
+ * @param {string} params.analysisMode - User's analysis mode (any label)
+ * @returns {object} Routing decision: { rule, tier, provider, model, generationConfig, reason, inputs }
+ */
+export const routeModel = ({ inputType = 'text', contentLength = 0, isComplex = false, analysisMode } = {}) => {
+  const thresholds = getLengthThresholds();
+  const facts = {
+    inputType,
+    contentLength,
+    isComplex: Boolean(isComplex),
+    analysisMode: normalizeAnalysisMode(analysisMode)
+  };
+
+  const rule = getRoutingRules().find((candidate) => ruleMatches(candidate.when, facts, thresholds))
+    || { name: 'default', tier: 'standard' };
+  const tier = getTier(rule.tier);
+
+  return {
+    rule: rule.name,
+    tier: rule.tier,
+    provider: tier.provider,
+    model: tier.model,
+    generationConfig: tier.generationConfig,
+    reason: `${rule.name}: ${facts.analysisMode} mode, ${inputType}, ${contentLength} chars${facts.isComplex ? ', complex' : ''}`,
+    inputs: { ...facts, thresholds }
+  };
+};
 
 /**
- * Select Gemini model - Always uses gemini-2.0-flash (only model available)
+ * Select Gemini model for an audit
  * @param {string} inputType - 'text', 'audio', 'video', 'image', 'url'
  * @param {number} contentLength - Length of content in characters
  * @param {boolean} isComplex - Whether content is complex
- * @returns {object} { model, reason }
+ * @param {string} analysisMode - User's analysis mode
+ * @returns {object} Routing decision (see routeModel) plus processingTime
  */
-export const selectGeminiModel = (inputType, contentLength = 0, isComplex = false) => {
+export const selectGeminiModel = (inputType, contentLength = 0, isComplex = false, analysisMode) => {
   const startTime = Date.now();
-  
-  // Always use gemini-2.0-flash (only model available)
-  const model = MODELS.GEMINI_MODEL;
-  const reason = `Using gemini-2.0-flash for ${inputType} content (${contentLength} chars)`;
-  
+
+  const decision = routeModel({ inputType, contentLength, isComplex, analysisMode });
+
   const processingTime = Date.now() - startTime;
-  console.log(`[Model Router] Selected: ${model} | Reason: ${reason} | Time: ${processingTime}ms`);
-  
-  return { model, reason, processingTime };
+  console.log(`[Model Router] Selected: ${decision.provider}:${decision.model} | Reason: ${decision.reason} | Time: ${processingTime}ms`);
+
+  return { ...decision, processingTime };
 };
 
+/**
+ * Model for a legacy scan type ('fast-scan', 'advanced', 'deep-reason')
+ * @param {string} scanType
+ * @returns {string} Model name
+ */
+export const getModelForScanType = (scanType) => routeModel({ analysisMode: scanType }).model;
+
 /**
  * Get fallback model if primary model fails
- * Since only gemini-2.0-flash is available, no fallback exists
+ * Next entry after the primary model in the task's LLM chain (LLM_CHAIN_AUDIT, ...)
  * @param {string} primaryModel - Primary model that failed
- * @returns {string|null} Fallback model or null
+ * @param {string} task - LLM task whose chain to use
+ * @returns {{ provider: string, model: string|null }|null} Fallback model or null
  */
-export const getFallbackModel = (primaryModel) => {
-  // No fallback available - only gemini-2.0-flash is accessible
-  console.warn('[Model Router] No fallback available for', primaryModel, '- only gemini-2.0-flash is available');
-  return null;
+export const getFallbackModel = (primaryModel, task = 'audit') => {
+  const chain = getTaskChain(task);
+  const index = chain.findIndex((entry) => entry.model === primaryModel);
+  const fallback = chain[index + 1] || null;
+
+  if (!fallback) {
+    console.warn('[Model Router] No fallback configured after', primaryModel, `(LLM_CHAIN_${task.toUpperCase()})`);
+  }
+  return fallback;
 };
 
 /**
@@ -60,40 +214,50 @@ export const getFallbackModel = (primaryModel) => {
  */
 export const isComplexContent = (content) => {
   if (!content || typeof content !== 'string') return false;
-  
+
   const medicalTerms = [
     'cure', 'treat', 'heal', 'disease', 'medicine', 'drug', 'pharmaceutical',
     'clinical', 'study', 'research', 'doctor', 'physician', 'medical',
     'symptom', 'diagnosis', 'therapy', 'treatment', 'prescription'
   ];
-  
-  const hasMedicalTerms = medicalTerms.some(term => 
+
+  const hasMedicalTerms = medicalTerms.some(term =>
     content.toLowerCase().includes(term)
   );
-  
+
   const hasMultipleClaims = (content.match(/guarantee|promise|assure|ensure/gi) || []).length > 1;
   const hasMultipleSentences = (content.match(/[.!?]+/g) || []).length > 3;
-  
+
   return hasMedicalTerms || hasMultipleClaims || hasMultipleSentences;
 };
 
 /**
- * Get generation config for model
- * @param {string} model - Model name
+ * Get generation config for a model, tier or analysis mode / scan type
+ * @param {string} modelOrMode - Model name, tier name or analysis mode
  * @returns {object} Generation configuration
  */
-export const getGenerationConfig = (model) => {
-  // Configuration for gemini-2.0-flash
-  return {
-    temperature: 0.1,
-    topP: 0.95,
-    maxOutputTokens: 8192, // Support for longer outputs
-  };
+export const getGenerationConfig = (modelOrMode) => {
+  if (MODEL_TIERS[modelOrMode]) {
+    return getTier(modelOrMode).generationConfig;
+  }
+
+  const tierName = Object.keys(MODEL_TIERS).find((name) => getTier(name).model === modelOrMode);
+  if (tierName) {
+    return getTier(tierName).generationConfig;
+  }
+
+  return getTier(normalizeAnalysisMode(modelOrMode)).generationConfig;
 };
 
 export default {
   MODELS,
+  MODEL_TIERS,
+  DEFAULT_ROUTING_RULES,
+  getLengthThresholds,
+  normalizeAnalysisMode,
+  routeModel,
   selectGeminiModel,
+  getModelForScanType,
   getFallbackModel,
   isComplexContent,
   getGenerationConfig
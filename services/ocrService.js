@@ -1,4 +1,5 @@
 import vision from '@google-cloud/vision';
+import { recordOcr } from './usageTracker.js';
 
 const MAX_IMAGE_SIZE = 20 * 1024 * 1024;
 
@@ -31,6 +32,7 @@ export const extractTextFromImage = async (imageBuffer) => {
   const [result] = await client.textDetection({
     image: { content: imageBuffer }
   });
+  recordOcr({ engine: 'google-vision', pages: 1 });
 
   const text = result?.fullTextAnnotation?.text || '';
 
@@ -49,6 +51,7 @@ export const extractTextFromPdfOcr = async (pdfBuffer) => {
   const [result] = await client.documentTextDetection({
     image: { content: pdfBuffer }
   });
+  recordOcr({ engine: 'google-vision', pages: 1 });
 
   const text = result?.fullTextAnnotation?.text || '';
 
@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+import Organization from '../models/Organization.js';
+import { hasOrgPermission, ORG_ROLE_PERMISSIONS } from '../config/orgRoles.js';
+
+/**
+ * Organization Service
+ * Membership lookups and the audit visibility rules for organization
+ * workspaces. A request works in one workspace at a time: the organization
+ * named by the X-Org-Id header (resolved by authMiddleware into req.org), or
+ * the user's personal workspace when the header is absent.
+ */
+
+/**
+ * A user's membership in an organization
+ * @param {string} orgId
+ * @param {string} userId
+ * @returns {Promise<object|null>} { id, name, role, permissions } or null when not a member
+ */
+export const getMembership = async (orgId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(orgId) || !mongoose.Types.ObjectId.isValid(userId)) return null;
+
+  const org = await Organization.findOne({ _id: orgId, 'members.userId': userId })
+    .select('name members.$')
+    .lean();
+  if (!org) return null;
+
+  const { role } = org.members[0];
+  return { id: String(org._id), name: org.name, role, permissions: ORG_ROLE_PERMISSIONS[role] || [] };
+};
+
+/**
+ * Mongo filter for the audits (or batches) a user may list in the active workspace
+ * @param {object} user - req.user
+ * @param {object|null} org - req.org
+ * @returns {object} Filter on userId/orgId
+ */
+export const getAuditScopeFilter = (user, org) => {
+  if (!org) {
+    // Records saved before organizations have no orgId, which matches null
+    return { userId: new mongoose.Types.ObjectId(user.id), orgId: null };
+  }
+  const orgId = new mongoose.Types.ObjectId(org.id);
+  return hasOrgPermission(org.role, 'audits:read:all')
+    ? { orgId }
+    : { orgId, userId: new mongoose.Types.ObjectId(user.id) };
+};
+
+/**
+ * Whether a user may read a record (audit, batch or job) wherever it lives,
+ * so links to organization audits work without switching workspace
+ * @param {object} record - { userId, orgId }
+ * @param {object} user - req.user
+ * @returns {Promise<boolean>}
+ */
+export const canReadRecord = async (record, user) => {
+  const isAuthor = String(record.userId) === String(user.id);
+  if (!record.orgId) return isAuthor;
+
+  const membership = await getMembership(String(record.orgId), user.id);
+  if (!membership) return false;
+  return hasOrgPermission(membership.role, 'audits:read:all')
+    || (isAuthor && hasOrgPermission(membership.role, 'audits:read:own'));
+};
+
+export default {
+  getMembership,
+  getAuditScopeFilter,
+  canReadRecord
+};
@@ -2,6 +2,7 @@ import pdfParse from 'pdf-parse';
 import { createCanvas } from '@napi-rs/canvas';
 import { createWorker } from 'tesseract.js';
 import * as pdfjsLib from 'pdfjs-dist/legacy/build/pdf.mjs';
+import { recordOcr } from './usageTracker.js';
 
 const MIN_TEXT_LENGTH = 500;
 const MAX_PAGES = 25;
@@ -59,6 +60,8 @@ const ocrPdfWithTesseract = async (pdfBuffer: Buffer, language: string) => {
       logPdf('ocr_page_limit', { totalPages, pagesToProcess });
     }
 
+    recordOcr({ engine: 'tesseract', pages: pagesToProcess });
+
     return textChunks.join('\n');
   } finally {
     await worker.terminate();
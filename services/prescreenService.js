@@ -0,0 +1,252 @@
+import { filterApplicableRules } from './ruleSchema.js';
+
+/**
+ * Deterministic Pre-screen
+ * Matches the hard-listed wording in rule packs (prohibitedPhrases and
+ * patterns, see ruleSchema.js) against the content before the model runs, so
+ * forbidden claims are reported regardless of model variance.
+ *
+ * - regex patterns are used as written (always global)
+ * - keywords and prohibitedPhrases match case-insensitively, tolerate any
+ *   whitespace/hyphen between words and use Unicode word boundaries so
+ *   Devanagari works; anusvara/chandrabindu and nukta variants are equivalent
+ * - transliterated keywords ("pakka ilaj") also accept common romanisation
+ *   variants: repeated vowels (ilaaj), a dropped inner "a" (khatm), e/i and
+ *   o/u swaps, j/z and v/w
+ *
+ * Offsets are UTF-16 indexes into the exact string that was screened.
+ */
+
+const WORD_CHAR = '[\\p{L}\\p{M}\\p{N}]';
+const NUKTA = '़';
+const DEVANAGARI_NASALS = '[ँं]';
+const MAX_HITS_PER_RULE = 20;
+
+const TRANSLITERATION_CLASSES = {
+  a: 'a+',
+  e: '(?:e+|i+)',
+  i: '(?:i+|e+)',
+  o: '(?:o+|u+)',
+  u: '(?:u+|o+)',
+  j: '[jz]',
+  z: '[jz]',
+  v: '[vw]',
+  w: '[vw]'
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const charPattern = (char, transliterated) => {
+  if (char === 'ँ' || char === 'ं') return DEVANAGARI_NASALS;
+  if (/[ऀ-ॿ]/.test(char)) return `${escapeRegex(char)}${NUKTA}?`;
+  if (transliterated && TRANSLITERATION_CLASSES[char]) return TRANSLITERATION_CLASSES[char];
+  return escapeRegex(char);
+};
+
+/**
+ * Build a tolerant regex source for a keyword
+ * @param {string} keyword - Phrase (any script)
+ * @param {object} options
+ * @param {boolean} options.transliterated - Accept romanisation variants
+ * @returns {string} Regex source (use with the "giu" flags)
+ */
+export const buildKeywordPattern = (keyword, { transliterated = false } = {}) => {
+  const words = keyword.normalize('NFC').toLowerCase().replaceAll(NUKTA, '').trim().split(/[\s\-_]+/).filter(Boolean);
+
+  const wordPatterns = words.map((word) => {
+    // Collapse doubled vowels first so "ilaaj" and "ilaj" build the same pattern
+    const base = transliterated ? word.replace(/([aeiou])\1+/g, '$1') : word;
+    return [...base].map((char, index) => (
+      // Romanised Hindi often drops the inherent vowel: khatam / khatm
+      transliterated && char === 'a' && index > 0 ? 'a*' : charPattern(char, transliterated)
+    )).join('');
+  });
+
+  return `(?<!${WORD_CHAR})${wordPatterns.join('[\\s\\-_]+')}(?!${WORD_CHAR})`;
+};
+
+const compileCache = new WeakMap();
+
+/**
+ * Compile a rule's matchers (cached per rule object)
+ * @param {object} rule - Pack rule
+ * @returns {Array<{ kind: string, pattern: string, regex: RegExp }>}
+ */
+const compileRule = (rule) => {
+  if (compileCache.has(rule)) return compileCache.get(rule);
+
+  const matchers = [];
+  const addMatcher = (kind, pattern, source, flags) => {
+    try {
+      matchers.push({ kind, pattern, regex: new RegExp(source, flags) });
+    } catch (error) {
+      console.warn(`[Prescreen] Skipping invalid ${kind} pattern in rule ${rule.id}:`, error.message);
+    }
+  };
+
+  (rule.prohibitedPhrases || []).forEach((phrase) => {
+    addMatcher('keyword', phrase, buildKeywordPattern(phrase), 'giu');
+  });
+
+  (rule.patterns || []).forEach((pattern) => {
+    if (pattern.regex) {
+      const flags = [...new Set(`${pattern.flags || ''}g`)].join('');
+      addMatcher('regex', pattern.regex, pattern.regex, flags);
+    } else if (pattern.keyword) {
+      addMatcher(
+        pattern.transliterated ? 'transliteration' : 'keyword',
+        pattern.keyword,
+        buildKeywordPattern(pattern.keyword, { transliterated: Boolean(pattern.transliterated) }),
+        'giu'
+      );
+    }
+  });
+
+  compileCache.set(rule, matchers);
+  return matchers;
+};
+
+/**
+ * Find every prohibited-wording hit in the content
+ * @param {string} content - Text exactly as it will be audited
+ * @param {Array<object>} rules - Rule pack
+ * @param {object} options
+ * @param {string} options.inputType - Skips rules whose mediaTypes exclude it
+ * @returns {Array<{ ruleId, kind, pattern, text, start, end }>} Hits in document order
+ */
+export const prescreenContent = (content, rules = [], { inputType } = {}) => {
+  if (!content || typeof content !== 'string' || !rules.length) return [];
+
+  const hits = [];
+
+  // Selected rules are already applicable; direct callers get the same filter
+  filterApplicableRules(rules, { inputType }).forEach((rule) => {
+    const seen = new Set();
+    const ruleHits = [];
+
+    compileRule(rule).forEach(({ kind, pattern, regex }) => {
+      regex.lastIndex = 0;
+      for (const match of content.matchAll(regex)) {
+        if (!match[0] || seen.size >= MAX_HITS_PER_RULE) break;
+        const start = match.index;
+        const end = start + match[0].length;
+        const key = `${start}:${end}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        ruleHits.push({ ruleId: rule.id, kind, pattern, text: match[0], start, end });
+      }
+    });
+
+    // A phrase inside a longer hit of the same rule is the same finding
+    hits.push(...ruleHits.filter((hit) => !ruleHits.some((other) => (
+      other !== hit && other.start <= hit.start && other.end >= hit.end && other.end - other.start > hit.end - hit.start
+    ))));
+  });
+
+  return hits.sort((a, b) => a.start - b.start || a.end - b.end);
+};
+
+/**
+ * One violation per rule that was hit, in the audit result's violation shape
+ * @param {Array<object>} hits - From prescreenContent
+ * @param {Array<object>} rules - Rule pack
+ * @returns {Array<object>} Violations with source "deterministic"
+ */
+export const buildDeterministicViolations = (hits, rules = []) => {
+  const rulesById = new Map(rules.map((rule) => [rule.id, rule]));
+  const hitsByRule = new Map();
+
+  hits.forEach((hit) => {
+    hitsByRule.set(hit.ruleId, [...(hitsByRule.get(hit.ruleId) || []), hit]);
+  });
+
+  return [...hitsByRule.entries()].map(([ruleId, ruleHits]) => {
+    const rule = rulesById.get(ruleId) || {};
+    const [first] = ruleHits;
+    const phrases = [...new Set(ruleHits.map((hit) => hit.text))];
+    const section = rule.section ? ` (Section ${rule.section})` : '';
+
+    return {
+      source: 'deterministic',
+      ruleId,
+      severity: rule.severity || 'High',
+      regulation: `${rule.regulation || 'Unknown regulation'}${section}`,
+      description: `Prohibited wording matched: ${phrases.map((phrase) => `"${phrase}"`).join(', ')}. ${rule.title || ''}`.trim(),
+      problematicContent: first.text,
+      englishTranslation: '',
+      suggestion: `1. Remove or rephrase ${phrases.map((phrase) => `"${phrase}"`).join(', ')}; this wording is prohibited under ${rule.regulation || 'the applicable regulation'}.`,
+      solution: '1. Replace the prohibited wording with a substantiated, balanced statement reviewed by regulatory affairs.',
+      start: first.start,
+      end: first.end,
+      matches: ruleHits.map(({ text, start, end, kind }) => ({ text, start, end, kind })),
+      citationValid: true
+    };
+  });
+};
+
+const squash = (value) => String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+const STATUS_RANK = { Compliant: 0, 'Needs Review': 1, 'Non-Compliant': 2 };
+
+/**
+ * Merge pre-screen violations into a parsed audit result
+ * A model violation citing the same rule and quoting a matched phrase absorbs
+ * the hit (gaining offsets); every other hit is added as its own violation.
+ * @param {object} auditResult - Parsed model output
+ * @param {Array<object>} hits - From prescreenContent
+ * @param {Array<object>} rules - Rule pack
+ * @returns {object} Audit result with merged violations and a prescreen summary
+ */
+export const mergeDeterministicViolations = (auditResult, hits, rules = []) => {
+  if (!auditResult || typeof auditResult !== 'object') return auditResult;
+
+  const modelViolations = (Array.isArray(auditResult.violations) ? auditResult.violations : [])
+    .map((violation) => ({ source: 'llm', ...violation }));
+  const added = [];
+
+  buildDeterministicViolations(hits, rules).forEach((deterministic) => {
+    const confirming = modelViolations.find((violation) => {
+      if (String(violation.ruleId || '').toLowerCase() !== String(deterministic.ruleId).toLowerCase()) return false;
+      const quote = squash(violation.problematicContent);
+      return deterministic.matches.some((match) => quote.includes(squash(match.text)));
+    });
+
+    if (confirming) {
+      confirming.matches = deterministic.matches;
+      confirming.deterministicConfirmed = true;
+      if (confirming.start === undefined) {
+        confirming.start = deterministic.start;
+        confirming.end = deterministic.end;
+      }
+    } else {
+      added.push(deterministic);
+    }
+  });
+
+  let { status } = auditResult;
+  if (added.length) {
+    const floor = added.some((violation) => violation.severity === 'Critical') ? 'Non-Compliant' : 'Needs Review';
+    if ((STATUS_RANK[status] ?? 1) < STATUS_RANK[floor]) {
+      status = floor;
+    }
+  }
+
+  return {
+    ...auditResult,
+    status,
+    violations: [...added, ...modelViolations],
+    prescreen: {
+      hitCount: hits.length,
+      ruleIds: [...new Set(hits.map((hit) => hit.ruleId))],
+      addedViolations: added.length,
+      confirmedByModel: new Set(hits.map((hit) => hit.ruleId)).size - added.length
+    }
+  };
+};
+
+export default {
+  buildKeywordPattern,
+  prescreenContent,
+  buildDeterministicViolations,
+  mergeDeterministicViolations
+};
@@ -0,0 +1,244 @@
+import mongoose from 'mongoose';
+import AuditRecord from '../models/AuditRecord.js';
+import QuotaCounter from '../models/QuotaCounter.js';
+import User from '../models/User.js';
+import { PLANS, DEFAULT_PLAN, getPlanLimits } from '../config/plans.js';
+import { detectUrlType } from './urlDetector.service.ts';
+import { getBufferDurationSeconds } from './mediaProbe.js';
+
+/**
+ * Quotas and Plans
+ * Each user is on a plan (User.plan) whose limits are checked by
+ * middleware/quotaMiddleware.js before an audit runs:
+ * - auditsPerDay: audits reserved since 00:00 UTC (a batch counts each item).
+ *   The middleware reserves a request's audits atomically in QuotaCounter
+ *   before they run, so queued and in-flight audits count and concurrent
+ *   requests cannot all pass; failed audits are released again
+ * - mediaMinutesPerMonth: transcribed audio/video minutes this calendar month
+ *   (UTC), from AuditRecord.usage.transcriptionSeconds. Uploaded audio/video
+ *   is measured with ffprobe first (measureMediaFiles) and refused when longer
+ *   than what remains; media URLs are only known after download, so they are
+ *   refused once the month is used up and the last one may run over
+ * - maxFileSizeMb: largest uploaded file
+ *
+ * Plans and their limits are defined in config/plans.js.
+ */
+
+const MEDIA_URL_TYPES = ['youtube', 'media'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const startOfUtcDay = (now) => new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+const startOfUtcMonth = (now) => new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+const startOfNextUtcMonth = (now) => new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+const utcDayKey = (now) => startOfUtcDay(now).toISOString().slice(0, 10);
+
+const remainingOf = (limit, used) => (limit === null || limit === undefined ? null : Math.max(0, limit - used));
+const roundMinutes = (value) => Math.round(value * 100) / 100;
+
+/**
+ * A user's plan, limits, what they have used and what remains
+ * @param {string} userId
+ * @param {Date} now
+ * @returns {Promise<object|null>} null if the user does not exist
+ */
+export const getQuotaStatus = async (userId, now = new Date()) => {
+  const user = await User.findById(userId).select('plan').lean();
+  if (!user) return null;
+
+  const plan = PLANS.includes(user.plan) ? user.plan : DEFAULT_PLAN;
+  const limits = getPlanLimits()[plan];
+  const ownerId = new mongoose.Types.ObjectId(userId);
+  const dayStart = startOfUtcDay(now);
+  const monthStart = startOfUtcMonth(now);
+
+  const [counter, [media] = []] = await Promise.all([
+    QuotaCounter.findOne({ userId: ownerId, day: utcDayKey(now) }).select('audits').lean(),
+    AuditRecord.aggregate([
+      { $match: { userId: ownerId, createdAt: { $gte: monthStart } } },
+      { $group: { _id: null, seconds: { $sum: '$usage.transcriptionSeconds' } } }
+    ])
+  ]);
+  const auditsToday = Math.max(0, counter?.audits || 0);
+  const mediaMinutesThisMonth = roundMinutes((media?.seconds || 0) / 60);
+  const mediaMinutesRemaining = remainingOf(limits.mediaMinutesPerMonth, mediaMinutesThisMonth);
+
+  return {
+    plan,
+    limits,
+    used: {
+      auditsToday,
+      mediaMinutesThisMonth
+    },
+    remaining: {
+      auditsToday: remainingOf(limits.auditsPerDay, auditsToday),
+      mediaMinutesThisMonth: mediaMinutesRemaining === null ? null : roundMinutes(mediaMinutesRemaining)
+    },
+    resetsAt: {
+      auditsToday: new Date(dayStart.getTime() + DAY_MS).toISOString(),
+      mediaMinutesThisMonth: startOfNextUtcMonth(now).toISOString()
+    }
+  };
+};
+
+const isMediaFile = (file) => /^(audio|video)\//.test(file?.mimetype || '');
+
+const isMediaUrl = (url) => {
+  try {
+    return MEDIA_URL_TYPES.includes(detectUrlType(url).type);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * What a request would consume
+ * @param {object} request - { texts, urls, files } as submitted
+ * @returns {{ audits: number, media: boolean, largestFileBytes: number }}
+ */
+export const describeAuditRequest = ({ texts = [], urls = [], files = [] }) => ({
+  audits: texts.length + urls.length + files.length,
+  media: urls.some(isMediaUrl) || files.some(isMediaFile),
+  largestFileBytes: files.reduce((largest, file) => Math.max(largest, file.size || 0), 0)
+});
+
+/**
+ * Total length of the uploaded audio/video files
+ * @param {Array<object>} files - Multer files (in memory)
+ * @returns {Promise<number>} Minutes
+ * @throws Error with code MEDIA_DURATION_UNKNOWN when a file cannot be measured
+ */
+export const measureMediaFiles = async (files = []) => {
+  let seconds = 0;
+  for (const file of files.filter(isMediaFile)) {
+    try {
+      seconds += await getBufferDurationSeconds(file.buffer, { filename: file.originalname });
+    } catch (probeError) {
+      console.warn(`[Quota] Could not measure ${file.originalname}:`, probeError.message);
+      const error = new Error(`Could not measure the duration of ${file.originalname}`);
+      error.code = 'MEDIA_DURATION_UNKNOWN';
+      throw error;
+    }
+  }
+  return roundMinutes(seconds / 60);
+};
+
+/**
+ * 429 for a request over the daily audit limit
+ * @param {object} status - From getQuotaStatus
+ * @param {object} request - From describeAuditRequest
+ * @param {Date} now
+ * @returns {object} { status, code, error, retryAfterSeconds }
+ */
+export const dailyLimitError = (status, request, now = new Date()) => {
+  const { plan, limits, remaining, resetsAt } = status;
+  return {
+    status: 429,
+    code: 'DAILY_AUDIT_LIMIT',
+    error: remaining.auditsToday > 0 && remaining.auditsToday < request.audits
+      ? `This request needs ${request.audits} audits but only ${remaining.auditsToday} of today's ${limits.auditsPerDay} remain`
+      : `Daily audit limit reached (${limits.auditsPerDay} on the ${plan} plan)`,
+    retryAfterSeconds: Math.max(1, Math.ceil((new Date(resetsAt.auditsToday).getTime() - now.getTime()) / 1000))
+  };
+};
+
+/**
+ * First limit a request would break
+ * @param {object} status - From getQuotaStatus
+ * @param {object} request - From describeAuditRequest, with mediaMinutes from
+ *   measureMediaFiles when the uploads were measured
+ * @param {Date} now
+ * @returns {object|null} { status, code, error, retryAfterSeconds? } or null when allowed
+ */
+export const checkQuota = (status, request, now = new Date()) => {
+  const { plan, limits, remaining } = status;
+
+  if (limits.maxFileSizeMb !== null && request.largestFileBytes > limits.maxFileSizeMb * 1024 * 1024) {
+    return {
+      status: 402,
+      code: 'FILE_TOO_LARGE',
+      error: `Files on the ${plan} plan may be at most ${limits.maxFileSizeMb} MB`
+    };
+  }
+
+  if (remaining.auditsToday !== null && request.audits > remaining.auditsToday) {
+    return dailyLimitError(status, request, now);
+  }
+
+  if (request.media && remaining.mediaMinutesThisMonth !== null && remaining.mediaMinutesThisMonth <= 0) {
+    return {
+      status: 402,
+      code: 'MEDIA_MINUTES_EXHAUSTED',
+      error: `Monthly audio/video limit reached (${limits.mediaMinutesPerMonth} minutes on the ${plan} plan)`
+    };
+  }
+
+  if (request.mediaMinutes && remaining.mediaMinutesThisMonth !== null && request.mediaMinutes > remaining.mediaMinutesThisMonth) {
+    return {
+      status: 402,
+      code: 'MEDIA_MINUTES_EXCEEDED',
+      error: `This upload is ${request.mediaMinutes} minutes but only ${remaining.mediaMinutesThisMonth} of this month's ${limits.mediaMinutesPerMonth} audio/video minutes remain`
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Take audits from today's quota, atomically
+ * @param {string} userId
+ * @param {number} count - Audits the request will run
+ * @param {number|null} limit - Plan's auditsPerDay (null: unlimited, only counted)
+ * @param {Date} now
+ * @returns {Promise<object|null>} Reservation for releaseAudits, or null when the
+ *   audits no longer fit (another request took them first)
+ */
+export const reserveAudits = async (userId, count, limit, now = new Date()) => {
+  const dayStart = startOfUtcDay(now);
+  const filter = { userId: new mongoose.Types.ObjectId(userId), day: utcDayKey(now) };
+  if (limit !== null && limit !== undefined) {
+    if (count > limit) return null;
+    filter.audits = { $lte: limit - count };
+  }
+
+  try {
+    await QuotaCounter.updateOne(
+      filter,
+      { $inc: { audits: count }, $setOnInsert: { expiresAt: new Date(dayStart.getTime() + 2 * DAY_MS) } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // Today's counter exists but is too high to match, so the upsert collided with it
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  return { userId: String(userId), day: filter.day, audits: count, released: 0 };
+};
+
+/**
+ * Give reserved audits back (they failed, or never ran)
+ * Never releases more than was reserved, however often it is called.
+ * @param {object} reservation - From reserveAudits; nothing happens without one
+ * @param {number} count - Audits to release (default: all still held)
+ */
+export const releaseAudits = async (reservation, count = Infinity) => {
+  if (!reservation) return;
+  const amount = Math.min(count, reservation.audits - reservation.released);
+  if (amount <= 0) return;
+
+  reservation.released += amount;
+  await QuotaCounter.updateOne(
+    { userId: new mongoose.Types.ObjectId(reservation.userId), day: reservation.day },
+    { $inc: { audits: -amount } }
+  );
+};
+
+export default {
+  getQuotaStatus,
+  describeAuditRequest,
+  measureMediaFiles,
+  dailyLimitError,
+  checkQuota,
+  reserveAudits,
+  releaseAudits
+};
@@ -0,0 +1,165 @@
+import { createLocalRedisClient } from './localRedisClient.js';
+import { getRedisClient } from './redisClient.js';
+
+/**
+ * Rate Limit Store
+ * Counters and short-lived state for rate limiting and login lockout, in a
+ * pluggable store:
+ * - memory: in-process Map (default); each instance counts on its own
+ * - redis: the Redis server at REDIS_URL (redisClient.js), shared by every instance
+ * - redis-local: Redis-style commands against the local stand-in
+ *   (localRedisClient.js), for trying the redis store offline
+ *
+ * Store interface:
+ * - increment(key, windowMs) -> { count, resetAt }: fixed window counter
+ * - get(key) / set(key, value, ttlMs) / delete(key): JSON values with a TTL
+ * - take(key): get and delete in one step, so single-use values are used once
+ */
+
+const KEY_PREFIX = 'ratelimit:';
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * In-process store
+ * @returns {object} Rate limit store
+ */
+export const createMemoryRateLimitStore = () => {
+  const entries = new Map();
+
+  const live = (key) => {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+    return entry;
+  };
+
+  // Drop expired keys so one-off IPs do not accumulate
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    entries.forEach((entry, key) => {
+      if (entry.expiresAt <= now) entries.delete(key);
+    });
+  }, SWEEP_INTERVAL_MS);
+  sweep.unref();
+
+  return {
+    name: 'memory',
+    increment: async (key, windowMs) => {
+      const entry = live(key) || { value: 0, expiresAt: Date.now() + windowMs };
+      entry.value += 1;
+      entries.set(key, entry);
+      return { count: entry.value, resetAt: entry.expiresAt };
+    },
+    get: async (key) => {
+      const entry = live(key);
+      return entry ? entry.value : null;
+    },
+    set: async (key, value, ttlMs) => {
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+    delete: async (key) => {
+      entries.delete(key);
+    },
+    take: async (key) => {
+      const entry = live(key);
+      entries.delete(key);
+      return entry ? entry.value : null;
+    }
+  };
+};
+
+/**
+ * Store over any Redis-like client (ioredis/node-redis v4 style methods)
+ * @param {object} client - Client exposing incr, pexpire, pttl, get, set (with PX), getdel, del
+ * @returns {object} Rate limit store
+ */
+export const createRedisRateLimitStore = (client) => ({
+  name: 'redis',
+  increment: async (key, windowMs) => {
+    const redisKey = `${KEY_PREFIX}${key}`;
+    const count = Number(await client.incr(redisKey));
+    let ttl = Number(await client.pttl(redisKey));
+    // A first hit, or a counter left without expiry by a crash between INCR and PEXPIRE
+    if (count === 1 || ttl < 0) {
+      await client.pexpire(redisKey, windowMs);
+      ttl = windowMs;
+    }
+    return { count, resetAt: Date.now() + ttl };
+  },
+  get: async (key) => {
+    const value = await client.get(`${KEY_PREFIX}${key}`);
+    return value === null || value === undefined ? null : JSON.parse(value);
+  },
+  set: async (key, value, ttlMs) => {
+    await client.set(`${KEY_PREFIX}${key}`, JSON.stringify(value), 'PX', ttlMs);
+  },
+  delete: async (key) => {
+    await client.del(`${KEY_PREFIX}${key}`);
+  },
+  // GETDEL (Redis 6.2+)
+  take: async (key) => {
+    const value = await client.getdel(`${KEY_PREFIX}${key}`);
+    return value === null || value === undefined ? null : JSON.parse(value);
+  },
+  ping: async () => {
+    await client.ping();
+  }
+});
+
+const createDefaultStore = () => {
+  const storeName = (process.env.RATE_LIMIT_STORE || 'memory').toLowerCase();
+  if (storeName === 'redis') {
+    return createRedisRateLimitStore(getRedisClient());
+  }
+  if (storeName === 'redis-local') {
+    return createRedisRateLimitStore(createLocalRedisClient());
+  }
+  if (storeName !== 'memory') {
+    throw new Error(`Unknown RATE_LIMIT_STORE "${storeName}" (use memory, redis or redis-local)`);
+  }
+  return createMemoryRateLimitStore();
+};
+
+let store = null;
+
+/**
+ * Store in use (created from RATE_LIMIT_STORE on first use)
+ * @returns {object} Rate limit store
+ */
+export const getRateLimitStore = () => {
+  if (!store) store = createDefaultStore();
+  return store;
+};
+
+/**
+ * Create the store from RATE_LIMIT_STORE at startup, so a misconfigured or
+ * unreachable Redis stops the server instead of every instance counting alone
+ * @returns {Promise<object>} Rate limit store
+ */
+export const initRateLimitStore = async () => {
+  const active = getRateLimitStore();
+  if (active.name === 'redis') {
+    await active.ping();
+  }
+  console.log(`[Rate Limit] Using ${(process.env.RATE_LIMIT_STORE || 'memory').toLowerCase()} store`);
+  return active;
+};
+
+/**
+ * Swap the store (e.g. a Redis client shared by every instance)
+ * @param {object} nextStore - Store created by one of the factories above
+ */
+export const setRateLimitStore = (nextStore) => {
+  store = nextStore;
+  console.log(`[Rate Limit] Using ${nextStore.name || 'custom'} store`);
+};
+
+export default {
+  createMemoryRateLimitStore,
+  createRedisRateLimitStore,
+  getRateLimitStore,
+  initRateLimitStore,
+  setRateLimitStore
+};
@@ -0,0 +1,51 @@
+import Redis from 'ioredis';
+
+/**
+ * Redis Client
+ * One shared ioredis connection to REDIS_URL (e.g. redis://:password@host:6379/0,
+ * or rediss:// for TLS) for the stores that are backed by Redis.
+ */
+
+// Fail a command after a couple of reconnect attempts instead of holding the request
+const MAX_RETRIES_PER_REQUEST = 2;
+
+let client = null;
+
+/**
+ * Shared client, created on first use
+ * @returns {Redis} ioredis client
+ * @throws When REDIS_URL is not set
+ */
+export const getRedisClient = () => {
+  if (!client) {
+    const url = process.env.REDIS_URL;
+    if (!url) {
+      throw new Error('REDIS_URL is not set. Required for the redis store.');
+    }
+
+    client = new Redis(url, { maxRetriesPerRequest: MAX_RETRIES_PER_REQUEST });
+    client.on('error', (error) => {
+      console.error('[Redis] Connection error:', error.message);
+    });
+    client.on('ready', () => {
+      console.log('[Redis] Connected');
+    });
+  }
+  return client;
+};
+
+/**
+ * Close the shared client (tests, graceful shutdown)
+ */
+export const closeRedisClient = async () => {
+  if (client) {
+    const closing = client;
+    client = null;
+    await closing.quit();
+  }
+};
+
+export default {
+  getRedisClient,
+  closeRedisClient
+};
@@ -0,0 +1,81 @@
+import { prescreenContent } from './prescreenService.js';
+
+/**
+ * Rule Retrieval
+ * Picks the rules of a pack most relevant to a piece of text, so a prompt can
+ * carry a handful of rules instead of the whole pack. Scoring is lexical:
+ * - a pre-screen hit in the text (prohibited wording) ranks its rule first
+ * - otherwise, the words the text shares with the rule's title, description,
+ *   prohibited phrases and keywords, rarer words counting more
+ * Ties keep pack order, so severe rules listed first stay first.
+ */
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'is', 'it',
+  'its', 'must', 'not', 'of', 'on', 'or', 'our', 'that', 'the', 'their', 'this', 'to', 'was',
+  'will', 'with', 'you', 'your', 'any', 'may', 'can', 'all', 'such', 'than', 'which', 'who'
+]);
+
+const PRESCREEN_BOOST = 100;
+
+const tokenize = (text) => [...new Set(
+  (String(text || '').normalize('NFC').toLowerCase().match(/[\p{L}\p{M}\p{N}]+/gu) || [])
+    .filter((word) => word.length > 2 && !STOP_WORDS.has(word))
+    // Crude stemming so "cures"/"cure", "guaranteed"/"guarantee" and "remedies"/"remedy" meet
+    .map((word) => word.replace(/(?:ies|es|ed|s)$/u, '').replace(/[ey]$/u, ''))
+)];
+
+const ruleText = (rule) => [
+  rule.title,
+  rule.description,
+  rule.regulation,
+  ...(rule.prohibitedPhrases || []),
+  ...(rule.patterns || []).map((pattern) => pattern.keyword || '')
+].join(' ');
+
+const tokenCache = new WeakMap();
+
+const ruleTokens = (rule) => {
+  if (!tokenCache.has(rule)) tokenCache.set(rule, new Set(tokenize(ruleText(rule))));
+  return tokenCache.get(rule);
+};
+
+/**
+ * Rank a rule pack by relevance to the text
+ * @param {string} text - Claim or content
+ * @param {Array<object>} rules - Rule pack
+ * @param {object} options
+ * @param {number} options.limit - Max rules returned
+ * @param {number} options.minRules - Pad with unrelated rules (pack order) up to this many
+ * @param {string} options.inputType - Passed to the pre-screen (mediaTypes)
+ * @returns {Array<object>} Rules, most relevant first
+ */
+export const retrieveRules = (text, rules = [], { limit = 5, minRules = 0, inputType } = {}) => {
+  if (!rules.length) return [];
+
+  const words = tokenize(text);
+  const documentFrequency = new Map();
+  rules.forEach((rule) => {
+    ruleTokens(rule).forEach((word) => documentFrequency.set(word, (documentFrequency.get(word) || 0) + 1));
+  });
+
+  const hitRuleIds = new Set(prescreenContent(text, rules, { inputType }).map((hit) => hit.ruleId));
+
+  const scored = rules.map((rule, index) => {
+    const tokens = ruleTokens(rule);
+    const lexical = words.reduce((total, word) => (
+      tokens.has(word) ? total + Math.log(1 + rules.length / documentFrequency.get(word)) : total
+    ), 0);
+    return { rule, index, score: lexical + (hitRuleIds.has(rule.id) ? PRESCREEN_BOOST : 0) };
+  });
+
+  const ranked = scored.sort((a, b) => b.score - a.score || a.index - b.index);
+  const relevant = ranked.filter((entry) => entry.score > 0).slice(0, limit);
+  const filler = ranked.filter((entry) => entry.score === 0).slice(0, Math.max(0, Math.min(limit, minRules) - relevant.length));
+
+  return [...relevant, ...filler].map((entry) => entry.rule);
+};
+
+export default {
+  retrieveRules
+};
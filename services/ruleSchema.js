@@ -0,0 +1,214 @@
+/**
+ * Rule Pack Schema
+ * Formal shape of a compliance rule and a validator that reports exact field errors.
+ *
+ * A rule pack is a JSON file containing an array of rules:
+ * [
+ *   {
+ *     "id": "IN-DMR-3B",                      // stable identifier, unique in the pack
+ *     "regulation": "Drugs and Magic Remedies Act, 1954",
+ *     "section": "3(b)",
+ *     "title": "Prohibited disease cure claims",
+ *     "description": "...",
+ *     "severity": "Critical",                 // Critical | High | Medium | Low
+ *     "prohibitedPhrases": ["guaranteed cure"],  // matched literally by the pre-screen
+ *     "patterns": [                           // extra pre-screen matchers
+ *       { "regex": "\\bcures?\\s+diabetes\\b", "flags": "i" },
+ *       { "keyword": "पक्का इलाज", "lang": "hi" },
+ *       { "keyword": "pakka ilaj", "lang": "hi-Latn", "transliterated": true }
+ *     ],
+ *     "requiredDisclaimers": ["Consult your doctor"],
+ *     "effectiveFrom": "1954-04-30",          // ISO date
+ *     "effectiveTo": null,
+ *     "mediaTypes": ["text", "video"]         // omit to apply to every medium
+ *   }
+ * ]
+ */
+
+export const RULE_SEVERITIES = ['Critical', 'High', 'Medium', 'Low'];
+export const RULE_MEDIA_TYPES = ['text', 'url', 'webpage', 'image', 'video', 'audio', 'document'];
+
+const RULE_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._:-]*$/;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:\d{2})?)?$/;
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+const isStringArray = (value) => Array.isArray(value) && value.every(isNonEmptyString);
+const PATTERN_FLAGS = /^[imsu]*$/;
+const isIsoDate = (value) => typeof value === 'string' && ISO_DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+
+const compiles = (source, flags) => {
+  try {
+    new RegExp(source, flags);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * A pre-screen pattern: exactly one of "regex" (compilable, flags from "imsu")
+ * or "keyword"; optional "lang" and "transliterated" (fuzzy romanised spelling)
+ */
+const isRulePattern = (pattern) => {
+  if (!pattern || typeof pattern !== 'object' || Array.isArray(pattern)) return false;
+  const hasRegex = isNonEmptyString(pattern.regex);
+  const hasKeyword = isNonEmptyString(pattern.keyword);
+  if (hasRegex === hasKeyword) return false;
+  if (pattern.flags !== undefined && !(typeof pattern.flags === 'string' && PATTERN_FLAGS.test(pattern.flags))) return false;
+  if (pattern.lang !== undefined && !isNonEmptyString(pattern.lang)) return false;
+  if (pattern.transliterated !== undefined && typeof pattern.transliterated !== 'boolean') return false;
+  return hasKeyword || compiles(pattern.regex, pattern.flags || '');
+};
+
+/**
+ * Field definitions: required fields are errors when missing, the rest are
+ * type-checked only when present (null counts as absent).
+ */
+export const RULE_FIELDS = {
+  id: { required: false, check: (v) => isNonEmptyString(v) && RULE_ID_PATTERN.test(v), expected: 'string of letters, digits, ".", "_", ":" or "-"' },
+  regulation: { required: true, check: isNonEmptyString, expected: 'non-empty string' },
+  section: { required: false, check: (v) => isNonEmptyString(v) || typeof v === 'number', expected: 'string' },
+  title: { required: true, check: isNonEmptyString, expected: 'non-empty string' },
+  description: { required: false, check: (v) => typeof v === 'string', expected: 'string' },
+  severity: { required: false, check: (v) => RULE_SEVERITIES.includes(v), expected: `one of ${RULE_SEVERITIES.join(', ')}` },
+  prohibitedPhrases: { required: false, check: isStringArray, expected: 'array of non-empty strings' },
+  requiredDisclaimers: { required: false, check: isStringArray, expected: 'array of non-empty strings' },
+  patterns: {
+    required: false,
+    check: (v) => Array.isArray(v) && v.every(isRulePattern),
+    expected: 'array of { regex, flags? } or { keyword, lang?, transliterated? } with a valid regex'
+  },
+  effectiveFrom: { required: false, check: isIsoDate, expected: 'ISO date (YYYY-MM-DD)' },
+  effectiveTo: { required: false, check: isIsoDate, expected: 'ISO date (YYYY-MM-DD)' },
+  mediaTypes: {
+    required: false,
+    check: (v) => Array.isArray(v) && v.every((type) => RULE_MEDIA_TYPES.includes(type)),
+    expected: `array of ${RULE_MEDIA_TYPES.join(', ')}`
+  }
+};
+
+/**
+ * Validate a single rule
+ * @param {object} rule - Rule object
+ * @returns {{ errors: Array<{field: string, message: string}>, warnings: Array<{field: string, message: string}> }}
+ */
+export const validateRule = (rule) => {
+  const errors = [];
+  const warnings = [];
+
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    errors.push({ field: '(rule)', message: 'Rule must be an object' });
+    return { errors, warnings };
+  }
+
+  Object.entries(RULE_FIELDS).forEach(([field, definition]) => {
+    const value = rule[field];
+    if (value === undefined || value === null) {
+      if (definition.required) {
+        errors.push({ field, message: `Missing required field "${field}"` });
+      }
+      return;
+    }
+    if (!definition.check(value)) {
+      errors.push({ field, message: `Invalid "${field}": expected ${definition.expected}, got ${JSON.stringify(value)}` });
+    }
+  });
+
+  if (rule.id === undefined || rule.id === null) {
+    warnings.push({ field: 'id', message: 'Rule has no "id"; violations cannot be traced back to it' });
+  }
+
+  if (isIsoDate(rule.effectiveFrom) && isIsoDate(rule.effectiveTo) && Date.parse(rule.effectiveFrom) > Date.parse(rule.effectiveTo)) {
+    errors.push({ field: 'effectiveTo', message: '"effectiveTo" is before "effectiveFrom"' });
+  }
+
+  Object.keys(rule)
+    .filter((field) => !(field in RULE_FIELDS))
+    .forEach((field) => warnings.push({ field, message: `Unknown field "${field}"` }));
+
+  return { errors, warnings };
+};
+
+/**
+ * Validate a parsed rule pack
+ * @param {*} pack - Parsed JSON content of a pack file
+ * @returns {{ rules: Array<object>, errors: Array<object>, warnings: Array<object> }}
+ *   rules holds only the valid rules; errors/warnings carry index, ruleId and field
+ */
+export const validateRulePack = (pack) => {
+  if (!Array.isArray(pack)) {
+    return {
+      rules: [],
+      errors: [{ index: null, ruleId: null, field: '(pack)', message: 'Rule pack must be a JSON array of rules' }],
+      warnings: []
+    };
+  }
+
+  const rules = [];
+  const errors = [];
+  const warnings = [];
+  const seenIds = new Map();
+
+  pack.forEach((rule, index) => {
+    const result = validateRule(rule);
+    const ruleId = rule?.id ?? null;
+    let ruleErrors = result.errors;
+
+    if (isNonEmptyString(ruleId)) {
+      if (seenIds.has(ruleId)) {
+        ruleErrors = [...ruleErrors, { field: 'id', message: `Duplicate id "${ruleId}" (first used at index ${seenIds.get(ruleId)})` }];
+      } else {
+        seenIds.set(ruleId, index);
+      }
+    }
+
+    ruleErrors.forEach((error) => errors.push({ index, ruleId, ...error }));
+    result.warnings.forEach((warning) => warnings.push({ index, ruleId, ...warning }));
+
+    if (!ruleErrors.length) {
+      rules.push(rule);
+    }
+  });
+
+  return { rules, errors, warnings };
+};
+
+// Input types the pipeline reports under another name in mediaTypes
+const MEDIA_TYPE_ALIASES = { article: 'webpage' };
+
+/**
+ * Whether a rule applies to content of this medium at this time
+ * @param {object} rule - Pack rule
+ * @param {object} options
+ * @param {string} options.inputType - Medium; omit to skip the mediaTypes check
+ * @param {number} options.now - Timestamp checked against effectiveFrom/effectiveTo
+ * @returns {boolean}
+ */
+export const isRuleApplicable = (rule, { inputType, now = Date.now() } = {}) => {
+  const medium = MEDIA_TYPE_ALIASES[inputType] || inputType;
+  if (rule.mediaTypes?.length && medium && !rule.mediaTypes.includes(medium)) return false;
+  if (rule.effectiveFrom && Date.parse(rule.effectiveFrom) > now) return false;
+  if (rule.effectiveTo && Date.parse(rule.effectiveTo) < now) return false;
+  return true;
+};
+
+/**
+ * Rules that apply to content of this medium at this time
+ * @param {Array<object>} rules
+ * @param {object} options - See isRuleApplicable
+ * @returns {Array<object>}
+ */
+export const filterApplicableRules = (rules = [], options = {}) => {
+  const now = options.now ?? Date.now();
+  return rules.filter((rule) => isRuleApplicable(rule, { ...options, now }));
+};
+
+export default {
+  RULE_SEVERITIES,
+  RULE_MEDIA_TYPES,
+  RULE_FIELDS,
+  validateRule,
+  validateRulePack,
+  isRuleApplicable,
+  filterApplicableRules
+};
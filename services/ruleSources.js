@@ -0,0 +1,257 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import mongoose from 'mongoose';
+import Rule from '../models/Rule.js';
+
+/**
+ * Rule Sources
+ * Every source implements the same loader interface so the rule registry does
+ * not care where packs come from:
+ *
+ *   {
+ *     name: string,                    // 'directory' | 'bundled' | 'mongodb'
+ *     location: string,                // path or collection, for logs and reports
+ *     load(): Promise<Array<{ file, packKey, raw }>>,
+ *     watch(onChange): () => void      // returns a stop function
+ *   }
+ *
+ * packKey is the pack's jurisdiction/category path, e.g. "india/common" or
+ * "gcc/uae/pharmaceutical"; raw is the pack's JSON text. load() throws when the
+ * source itself is unavailable (missing directory, no database connection).
+ *
+ * Selection (RULES_SOURCE):
+ * - directory: RULES_DIR, or the legacy ../frontend/rules checkout
+ * - bundled:   ./rules inside this repo
+ * - mongodb:   the Rule collection
+ * Unset: RULES_DIR if given, else the legacy checkout if present, else bundled.
+ *
+ * Rules managed through /api/rules live in MongoDB; unless RULES_MANAGED=false
+ * they are layered on top of a directory/bundled source (same id in the same
+ * pack: the managed rule wins).
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const BUNDLED_RULES_ROOT = path.resolve(__dirname, '../rules');
+const LEGACY_RULES_ROOT = path.resolve(__dirname, '../../frontend/rules');
+const RULES_SUBDIR = 'rules';
+const DEFAULT_POLL_MS = 60000;
+
+const listPackFilesRecursive = (dirPath) => {
+  if (!fs.existsSync(dirPath)) return [];
+  return fs.readdirSync(dirPath, { withFileTypes: true }).flatMap((entry) => {
+    const entryPath = path.join(dirPath, entry.name);
+    if (entry.isDirectory()) return listPackFilesRecursive(entryPath);
+    return entry.isFile() && entry.name.endsWith('.json') ? [entryPath] : [];
+  });
+};
+
+/**
+ * JSON packs in a directory tree: <root>/[rules/]<country>/[<region>/]<category>/*.json
+ * @param {string} root - Rules root directory
+ * @param {object} options
+ * @param {string} options.name - Source name for reports
+ * @returns {object} Rule source
+ */
+export const createDirectoryRuleSource = (root, { name = 'directory' } = {}) => {
+  const resolvedRoot = path.resolve(root);
+
+  const getScanRoot = () => {
+    const nestedRoot = path.join(resolvedRoot, RULES_SUBDIR);
+    return fs.existsSync(nestedRoot) ? nestedRoot : resolvedRoot;
+  };
+
+  return {
+    name,
+    location: resolvedRoot,
+    load: async () => {
+      if (!fs.existsSync(resolvedRoot)) {
+        throw new Error(`Rules root directory not found: ${resolvedRoot}`);
+      }
+
+      const scanRoot = getScanRoot();
+      return listPackFilesRecursive(scanRoot).sort().map((filePath) => ({
+        file: path.relative(resolvedRoot, filePath),
+        packKey: path.relative(scanRoot, path.dirname(filePath)).split(path.sep).join('/'),
+        raw: fs.readFileSync(filePath, 'utf8')
+      }));
+    },
+    watch: (onChange) => {
+      if (!fs.existsSync(resolvedRoot)) {
+        console.warn(`[Rules] Not watching: rules root ${resolvedRoot} does not exist`);
+        return () => {};
+      }
+
+      try {
+        const watcher = fs.watch(resolvedRoot, { recursive: true }, onChange);
+        watcher.unref?.();
+        watcher.on('error', (error) => console.warn('[Rules] Watcher error:', error.message));
+        console.log(`[Rules] Watching ${resolvedRoot} for changes`);
+        return () => watcher.close();
+      } catch (error) {
+        console.warn('[Rules] Unable to watch rules root:', error.message);
+        return () => {};
+      }
+    }
+  };
+};
+
+const toIsoDate = (value) => (value ? new Date(value).toISOString().slice(0, 10) : undefined);
+
+/**
+ * Convert a Rule document into the rule pack shape (see ruleSchema.js)
+ * @param {object} doc - Lean Rule document
+ * @returns {object} Pack rule
+ */
+export const ruleDocumentToPackRule = (doc) => {
+  const rule = {
+    id: doc.ruleId,
+    regulation: doc.regulation,
+    section: doc.section || undefined,
+    title: doc.title,
+    description: doc.description || undefined,
+    severity: doc.severity || undefined,
+    prohibitedPhrases: doc.prohibitedPhrases?.length ? doc.prohibitedPhrases : undefined,
+    requiredDisclaimers: doc.requiredDisclaimers?.length ? doc.requiredDisclaimers : undefined,
+    patterns: doc.patterns?.length ? doc.patterns : undefined,
+    effectiveFrom: toIsoDate(doc.effectiveFrom),
+    effectiveTo: toIsoDate(doc.effectiveTo),
+    mediaTypes: doc.mediaTypes?.length ? doc.mediaTypes : undefined
+  };
+
+  return Object.fromEntries(Object.entries(rule).filter(([, value]) => value !== undefined));
+};
+
+/**
+ * Active rules from the Rule collection, grouped into one pack per
+ * country/region/category. Polled for changes (RULES_POLL_MS, default 60s).
+ * @returns {object} Rule source
+ */
+export const createMongoRuleSource = () => ({
+  name: 'mongodb',
+  location: 'rules collection',
+  load: async () => {
+    if (mongoose.connection.readyState !== 1) {
+      throw new Error('MongoDB is not connected');
+    }
+
+    const docs = await Rule.find({ status: 'active' })
+      .sort({ country: 1, region: 1, category: 1, ruleId: 1 })
+      .lean();
+
+    const packs = new Map();
+    docs.forEach((doc) => {
+      const packKey = [doc.country, doc.region, doc.category].filter(Boolean).join('/');
+      packs.set(packKey, [...(packs.get(packKey) || []), ruleDocumentToPackRule(doc)]);
+    });
+
+    return [...packs.entries()].map(([packKey, rules]) => ({
+      file: `mongodb:${packKey}`,
+      packKey,
+      raw: JSON.stringify(rules)
+    }));
+  },
+  watch: (onChange) => {
+    const pollMs = parseInt(process.env.RULES_POLL_MS, 10) || DEFAULT_POLL_MS;
+    const timer = setInterval(onChange, pollMs);
+    timer.unref?.();
+    console.log(`[Rules] Polling rules collection every ${pollMs}ms`);
+    return () => clearInterval(timer);
+  }
+});
+
+/**
+ * Combine sources; packs from later sources are appended after earlier ones.
+ * An optional source that fails to load does not fail the whole load: its
+ * packs from the last successful load are kept (none before the first), and
+ * getDegradedSources() reports it until it loads again.
+ * @param {Array<{ source: object, optional?: boolean }>} entries
+ * @returns {object} Rule source
+ */
+export const createCompositeRuleSource = (entries) => {
+  const lastLoaded = new Map();
+  const degraded = new Map();
+
+  return {
+    name: entries.map(({ source }) => source.name).join('+'),
+    location: entries.map(({ source }) => source.location).join(' + '),
+    load: async () => {
+      const loaded = await Promise.all(entries.map(async ({ source, optional }, index) => {
+        try {
+          const files = await source.load();
+          lastLoaded.set(index, files);
+          degraded.delete(index);
+          return files;
+        } catch (error) {
+          if (!optional) throw error;
+          const kept = lastLoaded.get(index);
+          console.warn(`[Rules] Optional ${source.name} source failed; ${kept ? 'keeping its last loaded packs' : 'no packs from it yet'}:`, error.message);
+          degraded.set(index, {
+            source: source.name,
+            error: error.message,
+            since: degraded.get(index)?.since || new Date().toISOString(),
+            stalePacks: Boolean(kept)
+          });
+          return kept || [];
+        }
+      }));
+      return loaded.flat();
+    },
+    // Optional sources whose last load failed: { source, error, since, stalePacks }
+    getDegradedSources: () => [...degraded.values()],
+    watch: (onChange) => {
+      const stops = entries.map(({ source }) => source.watch(onChange));
+      return () => stops.forEach((stop) => stop());
+    }
+  };
+};
+
+const createFileRuleSourceFromEnv = () => {
+  const sourceName = (process.env.RULES_SOURCE || '').toLowerCase();
+  const rulesDir = process.env.RULES_DIR;
+
+  if (sourceName === 'mongodb') {
+    return createMongoRuleSource();
+  }
+
+  if (sourceName === 'bundled') {
+    return createDirectoryRuleSource(BUNDLED_RULES_ROOT, { name: 'bundled' });
+  }
+
+  if (sourceName === 'directory' || rulesDir) {
+    return createDirectoryRuleSource(rulesDir || LEGACY_RULES_ROOT, { name: 'directory' });
+  }
+
+  if (sourceName) {
+    console.warn(`[Rules] Unknown RULES_SOURCE "${sourceName}", using bundled rules`);
+  } else if (fs.existsSync(LEGACY_RULES_ROOT)) {
+    return createDirectoryRuleSource(LEGACY_RULES_ROOT, { name: 'directory' });
+  }
+
+  return createDirectoryRuleSource(BUNDLED_RULES_ROOT, { name: 'bundled' });
+};
+
+/**
+ * Build the rule source selected by RULES_SOURCE / RULES_DIR / RULES_MANAGED
+ * @returns {object} Rule source
+ */
+export const createRuleSourceFromEnv = () => {
+  const fileSource = createFileRuleSourceFromEnv();
+
+  if (fileSource.name === 'mongodb' || process.env.RULES_MANAGED === 'false') {
+    return fileSource;
+  }
+
+  return createCompositeRuleSource([
+    { source: fileSource },
+    { source: createMongoRuleSource(), optional: true }
+  ]);
+};
+
+export default {
+  createDirectoryRuleSource,
+  createMongoRuleSource,
+  createCompositeRuleSource,
+  createRuleSourceFromEnv,
+  ruleDocumentToPackRule
+};
@@ -1,10 +1,8 @@
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import crypto from 'crypto';
+import { validateRulePack, filterApplicableRules } from './ruleSchema.js';
+import { createRuleSourceFromEnv } from './ruleSources.js';
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const RULES_ROOT = path.resolve(__dirname, '../../frontend/rules');
-const RULES_SUBDIR = 'rules';
+const RELOAD_DEBOUNCE_MS = 300;
 
 const COUNTRY_TO_SLUG = {
   India: 'india',
@@ -48,107 +46,426 @@ const CATEGORY_TO_SLUG = {
   Insurance: 'insurance'
 };
 
+const DEFAULT_AUDIT_CATEGORY = 'pharmaceutical';
+
 const slugToLabel = (slug) => {
   return slug
     .replace(/_/g, ' ')
     .replace(/\b\w/g, (c) => c.toUpperCase());
 };
 
-const safeReadJson = (filePath) => {
+const toPackKey = (...segments) => segments.filter(Boolean).join('/');
+
+const toSlug = (value) => String(value || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+/**
+ * Normalize a country/region/category selection (labels or slugs) to pack slugs
+ * @param {object} scope - { country, region, category }
+ * @returns {{ country: string, region: string|null, category: string }}
+ */
+export const normalizeRuleScope = ({ country, region, category } = {}) => {
+  const countrySlug = COUNTRY_TO_SLUG[country] || toSlug(country);
+  return {
+    country: countrySlug,
+    region: countrySlug === 'gcc' ? (GCC_REGION_TO_SLUG[region] || toSlug(region) || null) : null,
+    category: CATEGORY_TO_SLUG[category] || toSlug(category) || 'common'
+  };
+};
+
+/**
+ * Append rules to a pack; a rule whose id is already in the pack replaces it
+ * (so managed rules override file rules with the same id)
+ */
+const mergePackRules = (existing, incoming) => {
+  const merged = [...existing];
+  incoming.forEach((rule) => {
+    const index = rule.id ? merged.findIndex((current) => current.id === rule.id) : -1;
+    if (index === -1) {
+      merged.push(rule);
+    } else {
+      merged[index] = rule;
+    }
+  });
+  return merged;
+};
+
+/**
+ * Rules without an id get one derived from their content so the prompt and
+ * violations can still cite them (changes if the rule text changes)
+ */
+const withStableId = (rule) => {
+  if (rule.id) return rule;
+  const digest = crypto.createHash('sha1')
+    .update([rule.regulation, rule.section, rule.title].map((part) => String(part ?? '')).join('\0'))
+    .digest('hex');
+  return { ...rule, id: `AUTO-${digest.slice(0, 10).toUpperCase()}` };
+};
+
+/**
+ * Parse and validate one pack's contents
+ * @param {string} raw - Pack JSON text
+ * @param {string} file - Pack location (for error reporting)
+ * @returns {{ rules: Array<object>, errors: Array<object>, warnings: Array<object> }}
+ */
+const parseRulePack = (raw, file) => {
+  let parsed;
+
   try {
-    const raw = fs.readFileSync(filePath, 'utf8');
-    const parsed = JSON.parse(raw);
-    return Array.isArray(parsed) ? parsed : [];
+    parsed = JSON.parse(raw);
   } catch (error) {
-    console.warn(`[Rules] Failed to read ${filePath}: ${error.message}`);
-    return [];
+    return {
+      rules: [],
+      errors: [{ file, index: null, ruleId: null, field: '(file)', message: `Failed to parse JSON: ${error.message}` }],
+      warnings: []
+    };
   }
+
+  const { rules, errors, warnings } = validateRulePack(parsed);
+  return {
+    rules: rules.map(withStableId),
+    errors: errors.map((error) => ({ file, ...error })),
+    warnings: warnings.map((warning) => ({ file, ...warning }))
+  };
 };
 
-const readRulesFromDir = (dirPath) => {
-  if (!fs.existsSync(dirPath)) return [];
-  const entries = fs.readdirSync(dirPath, { withFileTypes: true });
-  const files = entries
-    .filter((entry) => entry.isFile() && entry.name.endsWith('.json'))
-    .map((entry) => path.join(dirPath, entry.name));
+const INDUSTRIES = Object.keys(CATEGORY_TO_SLUG).map((label) => ({
+  id: CATEGORY_TO_SLUG[label],
+  label
+}));
 
-  return files.flatMap((filePath) => safeReadJson(filePath));
-};
+const DEFAULT_COUNTRIES = [
+  { id: 'india', label: 'India' },
+  { id: 'usa', label: 'United States' },
+  { id: 'canada', label: 'Canada' },
+  { id: 'australia', label: 'Australia' },
+  { id: 'gcc', label: 'GCC' },
+  { id: 'new_zealand', label: 'New Zealand' }
+];
 
-export const getRulesMetadata = () => {
-  const industries = Object.keys(CATEGORY_TO_SLUG).map((label) => ({
-    id: CATEGORY_TO_SLUG[label],
-    label
-  }));
+/**
+ * Countries (and GCC regions) that have at least one pack
+ * @param {Array<string>} packKeys - e.g. ["india/common", "gcc/uae/common"]
+ * @returns {Array<object>} Country metadata
+ */
+const deriveCountries = (packKeys) => {
+  const countries = new Map();
 
-  const defaultCountries = [
-    { id: 'india', label: 'India' },
-    { id: 'usa', label: 'United States' },
-    { id: 'canada', label: 'Canada' },
-    { id: 'australia', label: 'Australia' },
-    { id: 'gcc', label: 'GCC' },
-    { id: 'new_zealand', label: 'New Zealand' }
-  ];
+  packKeys.forEach((packKey) => {
+    const [country, region] = packKey.split('/');
+    if (!country) return;
+    if (!countries.has(country)) countries.set(country, new Set());
+    if (country === 'gcc' && region) countries.get(country).add(region);
+  });
 
-  if (!fs.existsSync(RULES_ROOT)) {
-    return { countries: defaultCountries, industries };
+  if (countries.size === 0) {
+    return DEFAULT_COUNTRIES;
   }
 
-  const nestedRulesRoot = path.join(RULES_ROOT, RULES_SUBDIR);
-  const scanRoot = fs.existsSync(nestedRulesRoot) ? nestedRulesRoot : RULES_ROOT;
+  return [...countries.entries()].map(([slug, regions]) => {
+    if (slug === 'gcc') {
+      return {
+        id: slug,
+        label: COUNTRY_LABELS[slug] || 'GCC',
+        regions: [...regions].map((regionSlug) => ({
+          id: regionSlug,
+          label: GCC_REGION_LABELS[regionSlug] || slugToLabel(regionSlug)
+        }))
+      };
+    }
+
+    return { id: slug, label: COUNTRY_LABELS[slug] || slugToLabel(slug), regions: [] };
+  });
+};
 
-  const countryDirs = fs.readdirSync(scanRoot, { withFileTypes: true })
-    .filter((entry) => entry.isDirectory())
-    .map((entry) => entry.name);
+/**
+ * Load every pack from a rule source into an immutable snapshot
+ * @param {object} source - Rule source (see ruleSources.js)
+ * @returns {Promise<object>} { hash, packs: Map<packKey, rules[]>, countries, report, sourceError }
+ */
+const scanRulePacks = async (source) => {
+  const report = {
+    valid: true,
+    source: source.name,
+    location: source.location,
+    packCount: 0,
+    ruleCount: 0,
+    validRuleCount: 0,
+    packs: [],
+    errors: [],
+    warnings: [],
+    degradedSources: []
+  };
 
-  if (countryDirs.length === 0) {
-    return { countries: defaultCountries, industries };
+  let files;
+  try {
+    files = await source.load();
+  } catch (error) {
+    report.valid = false;
+    report.errors.push({ file: source.location, index: null, ruleId: null, field: '(source)', message: error.message });
+    return { hash: null, packs: new Map(), countries: DEFAULT_COUNTRIES, report, sourceError: error };
   }
 
-  const countries = countryDirs.map((slug) => {
-    if (slug === 'gcc') {
-      const gccPath = path.join(scanRoot, 'gcc');
-      const regionDirs = fs.readdirSync(gccPath, { withFileTypes: true })
-        .filter((entry) => entry.isDirectory())
-        .map((entry) => ({
-          id: entry.name,
-          label: GCC_REGION_LABELS[entry.name] || slugToLabel(entry.name)
-        }));
-
-      return { id: slug, label: COUNTRY_LABELS[slug] || 'GCC', regions: regionDirs };
+  const hash = crypto.createHash('sha256');
+  const packs = new Map();
+
+  // Composite sources report optional parts that failed; a change in that
+  // state changes the hash, so the registry (and its report) is swapped too
+  report.degradedSources = source.getDegradedSources?.() || [];
+  report.degradedSources.forEach(({ source: name }) => hash.update(`degraded:${name}\0`));
+
+  files.forEach(({ file, packKey, raw }) => {
+    hash.update(file).update('\0').update(raw).update('\0');
+
+    const { rules, errors, warnings } = parseRulePack(raw, file);
+    const invalidRuleIndexes = new Set(errors.map((error) => error.index).filter((index) => index !== null));
+    const totalRules = rules.length + invalidRuleIndexes.size;
+
+    if (errors.length) {
+      console.warn(`[Rules] ${errors.length} error(s) in ${file}; skipped invalid rules. First: ${errors[0].field} - ${errors[0].message}`);
     }
 
-    return { id: slug, label: COUNTRY_LABELS[slug] || slugToLabel(slug), regions: [] };
+    packs.set(packKey, mergePackRules(packs.get(packKey) || [], rules));
+
+    report.ruleCount += totalRules;
+    report.validRuleCount += rules.length;
+    report.errors.push(...errors);
+    report.warnings.push(...warnings);
+    report.packs.push({
+      file,
+      packKey,
+      rules: totalRules,
+      validRules: rules.length,
+      errors: errors.length,
+      warnings: warnings.length
+    });
+  });
+
+  report.packCount = files.length;
+  report.valid = report.errors.length === 0;
+
+  if (files.length === 0) {
+    report.valid = false;
+    report.errors.push({ file: source.location, index: null, ruleId: null, field: '(source)', message: 'No rule packs found' });
+  }
+
+  return { hash: hash.digest('hex'), packs, countries: deriveCountries([...packs.keys()]), report, sourceError: null };
+};
+
+/* ===============================
+   REGISTRY
+   Packs are loaded once and swapped atomically on change, so audits never
+   touch the rule source and never see a half-loaded rule set.
+================================ */
+let ruleSource = null;
+let registry = null;
+let registryVersion = 0;
+let stopWatching = null;
+let reloadTimer = null;
+let pendingReload = null;
+let queuedReload = null;
+
+const getRuleSource = () => {
+  if (!ruleSource) {
+    ruleSource = createRuleSourceFromEnv();
+  }
+  return ruleSource;
+};
+
+/**
+ * Swap the rule source (directory, bundled, mongodb or a custom loader)
+ * Takes effect on the next reload.
+ * @param {object} source - Rule source
+ */
+export const setRuleSource = (source) => {
+  ruleSource = source;
+};
+
+const swapRegistry = async () => {
+  const source = getRuleSource();
+  const snapshot = await scanRulePacks(source);
+
+  // Keep serving the last good rules through a transient outage (e.g. DB reconnect)
+  if (snapshot.sourceError && registry && registry.source === source.name) {
+    throw new Error(`${source.name} source unavailable (${snapshot.sourceError.message})`);
+  }
+
+  if (registry && registry.source === source.name && snapshot.hash && snapshot.hash === registry.hash) {
+    return registry;
+  }
+
+  registryVersion += 1;
+  registry = Object.freeze({
+    ...snapshot,
+    source: source.name,
+    version: registryVersion,
+    loadedAt: new Date().toISOString()
   });
 
-  return { countries, industries };
+  const logLine = `[Rules] Registry v${registry.version} loaded from ${source.name} (${source.location}) | Packs: ${snapshot.report.packCount} | Rules: ${snapshot.report.validRuleCount} | Hash: ${(snapshot.hash || 'none').slice(0, 12)}`;
+  if (snapshot.report.validRuleCount === 0) {
+    console.error(`${logLine} | ⚠️  NO RULES LOADED - audits will run without a rule pack`);
+  } else {
+    console.log(logLine);
+  }
+  snapshot.report.degradedSources.forEach(({ source: name, error, stalePacks }) => {
+    console.warn(`[Rules] Degraded: ${name} source failed (${error}); ${stalePacks ? 'serving its last loaded rules' : 'none of its rules are loaded'}`);
+  });
+
+  return registry;
+};
+
+const startReload = () => {
+  pendingReload = swapRegistry().finally(() => {
+    pendingReload = null;
+  });
+  return pendingReload;
+};
+
+/**
+ * Reload rules from the active source and swap them in
+ * Concurrent calls share one reload; a failed reload keeps the previous registry.
+ * @returns {Promise<object>} Active registry
+ */
+export const reloadRules = async () => (pendingReload || startReload()).catch((error) => {
+  console.error('[Rules] Reload failed, keeping previous registry:', error.message);
+  return registry;
+});
+
+/**
+ * Reload that reads the source after the call, for a caller that has just
+ * written to it: a reload already running may have read too early, so one
+ * more is queued behind it (and shared by everyone who asks meanwhile).
+ * @returns {Promise<object>} Registry including the write
+ * @throws When the reload fails; the previous registry stays active
+ */
+export const reloadRulesAfterWrite = () => {
+  if (!pendingReload) return startReload();
+  if (!queuedReload) {
+    queuedReload = pendingReload
+      .catch(() => {})
+      .then(() => {
+        queuedReload = null;
+        // A reload started since the running one finished has read late enough too
+        return pendingReload || startReload();
+      });
+  }
+  return queuedReload;
 };
 
-export const getRulesForSelection = ({ country, region, category }) => {
-  const countrySlug = COUNTRY_TO_SLUG[country] || (country || '').toLowerCase();
-  const categorySlug = CATEGORY_TO_SLUG[category] || 'pharmaceutical';
+const getRegistry = async () => registry || reloadRules();
 
-  if (!countrySlug) return [];
+const scheduleReload = () => {
+  clearTimeout(reloadTimer);
+  reloadTimer = setTimeout(reloadRules, RELOAD_DEBOUNCE_MS);
+  reloadTimer.unref?.();
+};
 
-  const nestedRulesRoot = path.join(RULES_ROOT, RULES_SUBDIR);
-  const scanRoot = fs.existsSync(nestedRulesRoot) ? nestedRulesRoot : RULES_ROOT;
+/**
+ * Load packs and start watching the rule source for changes
+ * Set RULES_WATCH=false to disable watching.
+ * @returns {Promise<object>} Registry version info
+ */
+export const initRuleRegistry = async ({ watch = process.env.RULES_WATCH !== 'false' } = {}) => {
+  await reloadRules();
+
+  if (watch && !stopWatching) {
+    stopWatching = getRuleSource().watch(scheduleReload);
+  }
 
-  let basePath = path.join(scanRoot, countrySlug);
+  return getRulesVersion();
+};
 
-  if (countrySlug === 'gcc') {
-    const regionSlug = GCC_REGION_TO_SLUG[region] || (region || '').toLowerCase();
-    if (!regionSlug) return [];
-    basePath = path.join(scanRoot, 'gcc', regionSlug);
+/**
+ * Stop watching the rule source
+ */
+export const stopRuleRegistry = () => {
+  clearTimeout(reloadTimer);
+  if (stopWatching) {
+    stopWatching();
+    stopWatching = null;
   }
+};
+
+const describeVersion = (active) => ({
+  source: active.source,
+  version: active.version,
+  hash: active.hash,
+  loadedAt: active.loadedAt,
+  packCount: active.report.packCount,
+  ruleCount: active.report.validRuleCount,
+  errorCount: active.report.errors.length,
+  degraded: active.report.degradedSources.length > 0,
+  degradedSources: active.report.degradedSources
+});
 
-  if (!fs.existsSync(basePath)) return [];
+/**
+ * Version info for the active registry
+ * @returns {Promise<object>} { source, version, hash, loadedAt, packCount, ruleCount,
+ *   errorCount, degraded, degradedSources }
+ */
+export const getRulesVersion = async () => describeVersion(await getRegistry());
+
+export const getRulesMetadata = async () => {
+  const active = await getRegistry();
+  return {
+    countries: active.countries,
+    industries: INDUSTRIES,
+    rulesVersion: describeVersion(active)
+  };
+};
 
-  const rulePaths = [path.join(basePath, 'common'), path.join(basePath, categorySlug)];
+/**
+ * Rules that apply to an audit: the selection's common and category packs,
+ * without rules that are not yet or no longer effective, or that are for
+ * another medium
+ * @param {object} selection - { country, region, category } (labels or slugs, as normalizeRuleScope)
+ * @param {string} selection.inputType - Medium of the content; omit when not yet known
+ *   (URLs), then callers filter again with filterApplicableRules once it is
+ * @param {Date} selection.now
+ * @returns {Promise<Array<object>>}
+ */
+export const getRulesForSelection = async ({ country, region, category, inputType, now = new Date() }) => {
+  // Audits without a category are checked as pharmaceutical; any other category
+  // is slugged exactly as managed rules are saved (normalizeRuleScope)
+  const scope = normalizeRuleScope({ country, region, category: category || DEFAULT_AUDIT_CATEGORY });
+  if (!scope.country) return [];
+
+  let baseKey = scope.country;
+
+  if (scope.country === 'gcc') {
+    if (!scope.region) return [];
+    baseKey = toPackKey('gcc', scope.region);
+  }
+
+  const { packs } = await getRegistry();
+  const packKeys = [...new Set([toPackKey(baseKey, 'common'), toPackKey(baseKey, scope.category)])];
+
+  if (!packKeys.some((key) => packs.has(key))) {
+    console.warn(`[Rules] No rule packs for selection ${JSON.stringify({ country, region, category })}: ${packKeys.join(', ')}`);
+    return [];
+  }
+
+  return filterApplicableRules(packKeys.flatMap((key) => packs.get(key) || []), { inputType, now: now.getTime() });
+};
 
-  return rulePaths.flatMap((dirPath) => readRulesFromDir(dirPath));
+/**
+ * Validate every pack in the active rule source (fresh load)
+ * @returns {Promise<object>} Report with per-file/field errors and warnings
+ */
+export const validateRulePacks = async () => {
+  const { report } = await scanRulePacks(getRuleSource());
+  return { ...report, loadedVersion: await getRulesVersion() };
 };
 
 export default {
+  normalizeRuleScope,
+  setRuleSource,
+  initRuleRegistry,
+  stopRuleRegistry,
+  reloadRules,
+  reloadRulesAfterWrite,
+  getRulesVersion,
   getRulesMetadata,
-  getRulesForSelection
+  getRulesForSelection,
+  validateRulePacks
 };
@@ -0,0 +1,475 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import axios from 'axios';
+import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
+import Organization from '../models/Organization.js';
+import User from '../models/User.js';
+import { getRateLimitStore } from './rateLimitStore.js';
+import { publicOnlyLookup } from '../utils/publicAddress.js';
+
+/**
+ * SSO Service
+ * OpenID Connect login per organization (Organization.sso): authorization
+ * code flow with PKCE, state and nonce. The ID token is verified against the
+ * issuer's JWKS, then the user is provisioned just in time:
+ * - matched by linked identity (issuer + subject); an existing account with
+ *   the same email is linked only if it is already a member, or when its
+ *   signed-in owner started the login to link it (createAuthorizationUrl
+ *   with linkUserId); otherwise created with a verified email and no usable
+ *   password
+ * - made a member with the role of the first mapped IdP group they are in
+ *   (sso.groupRoles, read from sso.groupsClaim), else sso.defaultRole
+ * Emails must be in one of sso.domains that is verified: by a DNS TXT record
+ * (verifyDomainOwnership) or by an account admin. An organization cannot
+ * sign in, or block password login for, a domain it has not shown it owns.
+ *
+ * Login state lives for 10 minutes in the rate limit store
+ * (services/rateLimitStore.js), so it is shared wherever counters are.
+ *
+ * Issuers are chosen by organization owners, so outside development requests
+ * to the provider only reach public addresses, and the JWKS must be served
+ * from the issuer's host (or a host listed in SSO_JWKS_HOSTS).
+ */
+
+const STATE_TTL_MS = 10 * 60 * 1000;
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+const JWKS_TTL_MS = 10 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 15000;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+const VERIFICATION_RECORD_PREFIX = '_nextcomply-verification';
+
+// Outside development, provider requests connect only to public addresses
+const publicAgents = {
+  httpAgent: new http.Agent({ lookup: publicOnlyLookup }),
+  httpsAgent: new https.Agent({ lookup: publicOnlyLookup })
+};
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+const ssoError = (code, message) => Object.assign(new Error(message), { code });
+
+const randomToken = () => crypto.randomBytes(32).toString('base64url');
+
+const stateKey = (state) => `sso:state:${state}`;
+
+const providerRequest = (config = {}) => ({
+  timeout: REQUEST_TIMEOUT_MS,
+  ...(process.env.NODE_ENV === 'development' ? {} : publicAgents),
+  ...config
+});
+
+// Hosts besides the issuer's that may serve signing keys (e.g. www.googleapis.com)
+const getTrustedJwksHosts = () => (process.env.SSO_JWKS_HOSTS || '')
+  .split(',')
+  .map((host) => host.trim().toLowerCase())
+  .filter(Boolean);
+
+/**
+ * Redirect URI registered with every identity provider
+ * @returns {string} SSO_CALLBACK_URL, default http://localhost:<PORT>/api/auth/sso/callback
+ */
+export const getSsoCallbackUrl = () => process.env.SSO_CALLBACK_URL
+  || `http://localhost:${process.env.PORT || 3001}/api/auth/sso/callback`;
+
+/**
+ * Issuers must use https; plain http only for a local mock provider in development
+ * @param {string} issuer
+ * @returns {boolean}
+ */
+export const isAllowedIssuer = (issuer) => {
+  try {
+    const url = new URL(issuer);
+    if (url.protocol === 'https:') return true;
+    return process.env.NODE_ENV === 'development' && url.protocol === 'http:' && LOCAL_HOSTS.includes(url.hostname);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Domain part of an email, lowercased
+ * @param {string} email
+ * @returns {string}
+ */
+export const getEmailDomain = (email) => String(email || '').toLowerCase().split('@').pop();
+
+// Query for organizations holding a verified claim on the domain
+const verifiedDomainQuery = (domain) => ({
+  'sso.domains': { $elemMatch: { name: domain, verifiedAt: { $ne: null } } }
+});
+
+/**
+ * A new, unverified domain claim
+ * @param {string} name - Domain, lowercased
+ * @returns {object} Organization.sso.domains entry
+ */
+export const createDomainClaim = (name) => ({ name, verificationToken: randomToken(), verifiedAt: null, verificationMethod: null });
+
+/**
+ * Names of the verified domains
+ * @param {object} sso - Organization.sso
+ * @returns {string[]}
+ */
+export const getVerifiedDomains = (sso) => (sso?.domains || []).filter((entry) => entry.verifiedAt).map((entry) => entry.name);
+
+/**
+ * DNS record that proves a domain claim
+ * @param {object} claim - Organization.sso.domains entry
+ * @returns {{ type: string, name: string, value: string }}
+ */
+export const getDomainVerificationRecord = (claim) => ({
+  type: 'TXT',
+  name: `${VERIFICATION_RECORD_PREFIX}.${claim.name}`,
+  value: `nextcomply-verification=${claim.verificationToken}`
+});
+
+/**
+ * Whether the domain publishes the claim's TXT record
+ * @param {object} claim - Organization.sso.domains entry
+ * @returns {Promise<boolean>}
+ */
+export const verifyDomainOwnership = async (claim) => {
+  const { name, value } = getDomainVerificationRecord(claim);
+  try {
+    const records = await dns.promises.resolveTxt(name);
+    // Long TXT records arrive split into chunks
+    return records.some((chunks) => chunks.join('') === value);
+  } catch (error) {
+    if (['ENOTFOUND', 'ENODATA'].includes(error.code)) return false;
+    throw error;
+  }
+};
+
+/**
+ * Another organization that has already verified one of the domains
+ * @param {string[]} domains
+ * @param {string} exceptOrgId
+ * @returns {Promise<string[]>} Domains taken
+ */
+export const findDomainsVerifiedElsewhere = async (domains, exceptOrgId) => {
+  if (!domains.length) return [];
+  const others = await Organization.find({
+    _id: { $ne: exceptOrgId },
+    'sso.domains': { $elemMatch: { name: { $in: domains }, verifiedAt: { $ne: null } } }
+  }).select('sso.domains').lean();
+  const taken = new Set(others.flatMap((org) => getVerifiedDomains(org.sso)));
+  return domains.filter((domain) => taken.has(domain));
+};
+
+/**
+ * Organization whose enabled SSO has verified the email's domain
+ * @param {string} email
+ * @returns {Promise<object|null>} Lean organization
+ */
+export const findSsoOrgForEmail = async (email) => {
+  const domain = getEmailDomain(email);
+  if (!domain || !String(email).includes('@')) return null;
+  return Organization.findOne({ 'sso.enabled': true, ...verifiedDomainQuery(domain) })
+    .select('name sso')
+    .lean();
+};
+
+/**
+ * Whether a user must sign in with SSO: their email is in a verified domain
+ * of an organization that disabled password login. Members with other emails
+ * keep their password, as the provider cannot sign them in.
+ * @param {object} user - { email }
+ * @returns {Promise<object|null>} The organization { _id, name }, or null
+ */
+export const findPasswordLoginBlock = (user) => Organization.findOne({
+  'sso.enabled': true,
+  'sso.passwordLoginDisabled': true,
+  ...verifiedDomainQuery(getEmailDomain(user.email))
+}).select('name').lean();
+
+/**
+ * Provider metadata from /.well-known/openid-configuration
+ * @param {string} issuer
+ */
+const getDiscovery = async (issuer) => {
+  // Re-checked here: settings saved in development may reach another environment
+  if (!isAllowedIssuer(issuer)) {
+    throw ssoError('SSO_MISCONFIGURED', `Issuer ${issuer} is not allowed (https required)`);
+  }
+
+  const cached = discoveryCache.get(issuer);
+  if (cached && cached.expiresAt > Date.now()) return cached.value;
+
+  let data;
+  try {
+    ({ data } = await axios.get(`${issuer.replace(/\/+$/, '')}/.well-known/openid-configuration`, providerRequest()));
+  } catch (error) {
+    if (error.code === 'ENONPUBLIC') throw ssoError('SSO_MISCONFIGURED', error.message);
+    throw error;
+  }
+  if (data?.issuer !== issuer) {
+    throw ssoError('SSO_MISCONFIGURED', `Discovery document issuer ${data?.issuer} does not match ${issuer}`);
+  }
+  const endpoints = ['authorization_endpoint', 'token_endpoint', 'jwks_uri'];
+  const badEndpoint = endpoints.find((field) => !isAllowedIssuer(data[field]));
+  if (badEndpoint) {
+    throw ssoError('SSO_MISCONFIGURED', `Discovery document ${badEndpoint} must be an https URL`);
+  }
+  const jwksHost = new URL(data.jwks_uri).host.toLowerCase();
+  if (jwksHost !== new URL(issuer).host.toLowerCase() && !getTrustedJwksHosts().includes(jwksHost)) {
+    throw ssoError('SSO_MISCONFIGURED', `Signing keys are served from ${jwksHost}, not the issuer's host; list it in SSO_JWKS_HOSTS to trust it`);
+  }
+  discoveryCache.set(issuer, { value: data, expiresAt: Date.now() + DISCOVERY_TTL_MS });
+  return data;
+};
+
+/**
+ * Public key for a token's kid; refetches the JWKS once when the kid is new (key rotation)
+ * @returns {Promise<crypto.KeyObject>}
+ */
+const getSigningKey = async (jwksUri, kid) => {
+  const findKey = (keys) => keys.find((key) => (kid ? key.kid === kid : true) && (!key.use || key.use === 'sig'));
+
+  const cached = jwksCache.get(jwksUri);
+  let jwk = cached && cached.expiresAt > Date.now() ? findKey(cached.keys) : null;
+  if (!jwk) {
+    const { data } = await axios.get(jwksUri, providerRequest());
+    const keys = Array.isArray(data?.keys) ? data.keys : [];
+    jwksCache.set(jwksUri, { keys, expiresAt: Date.now() + JWKS_TTL_MS });
+    jwk = findKey(keys);
+  }
+  if (!jwk) throw ssoError('SSO_INVALID_TOKEN', 'No signing key matches the ID token');
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+/**
+ * Begin a login: remember state, nonce and PKCE verifier, and build the provider URL
+ * @param {object} org - Organization with sso
+ * @param {object} options - { redirectTo, linkUserId }: frontend path to return to,
+ *   and the signed-in user who asked to link this identity to their account
+ * @returns {Promise<string>} Authorization URL
+ */
+export const createAuthorizationUrl = async (org, { redirectTo = '/', linkUserId = null } = {}) => {
+  const discovery = await getDiscovery(org.sso.issuer);
+  const state = randomToken();
+  const nonce = randomToken();
+  const codeVerifier = randomToken();
+
+  await getRateLimitStore().set(stateKey(state), {
+    orgId: String(org._id),
+    nonce,
+    codeVerifier,
+    redirectTo,
+    linkUserId: linkUserId ? String(linkUserId) : null
+  }, STATE_TTL_MS);
+
+  const url = new URL(discovery.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: org.sso.clientId,
+    redirect_uri: getSsoCallbackUrl(),
+    scope: (org.sso.scopes?.length ? org.sso.scopes : ['openid', 'email', 'profile']).join(' '),
+    state,
+    nonce,
+    code_challenge: crypto.createHash('sha256').update(codeVerifier).digest('base64url'),
+    code_challenge_method: 'S256'
+  }).toString();
+  return url.toString();
+};
+
+/**
+ * Exchange the code and verify the ID token
+ * @returns {Promise<object>} ID token claims, merged with userinfo when email or groups are missing
+ */
+const fetchClaims = async (org, discovery, code, login) => {
+  // client_secret_basic: both parts are form-encoded before base64 (RFC 6749 §2.3.1)
+  const credentials = Buffer.from(`${encodeURIComponent(org.sso.clientId)}:${encodeURIComponent(org.sso.clientSecret || '')}`).toString('base64');
+  let tokens;
+  try {
+    ({ data: tokens } = await axios.post(discovery.token_endpoint, new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: getSsoCallbackUrl(),
+      code_verifier: login.codeVerifier
+    }).toString(), providerRequest({
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', Authorization: `Basic ${credentials}` }
+    })));
+  } catch (error) {
+    throw ssoError('SSO_EXCHANGE_FAILED', `Token exchange failed: ${error.response?.data?.error || error.message}`);
+  }
+
+  if (!tokens?.id_token) throw ssoError('SSO_INVALID_TOKEN', 'The identity provider returned no ID token');
+
+  const header = jwt.decode(tokens.id_token, { complete: true })?.header;
+  const key = await getSigningKey(discovery.jwks_uri, header?.kid);
+  let claims;
+  try {
+    claims = jwt.verify(tokens.id_token, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: org.sso.issuer,
+      audience: org.sso.clientId
+    });
+  } catch (error) {
+    throw ssoError('SSO_INVALID_TOKEN', `ID token rejected: ${error.message}`);
+  }
+  if (claims.nonce !== login.nonce) throw ssoError('SSO_INVALID_TOKEN', 'ID token nonce does not match');
+
+  const groupsClaim = org.sso.groupsClaim || 'groups';
+  if ((!claims.email || claims[groupsClaim] === undefined) && discovery.userinfo_endpoint && tokens.access_token) {
+    try {
+      const { data: userinfo } = await axios.get(discovery.userinfo_endpoint, providerRequest({
+        headers: { Authorization: `Bearer ${tokens.access_token}` }
+      }));
+      // The ID token stays authoritative for sub
+      if (userinfo?.sub === claims.sub) claims = { ...userinfo, ...claims, [groupsClaim]: claims[groupsClaim] ?? userinfo[groupsClaim] };
+    } catch (error) {
+      console.warn('[SSO] Userinfo request failed; using ID token claims only:', error.message);
+    }
+  }
+  return claims;
+};
+
+/**
+ * Member role for a set of IdP groups
+ * @param {object} sso - Organization.sso
+ * @param {string[]} groups
+ * @returns {string|null} First matching sso.groupRoles entry, else sso.defaultRole
+ */
+export const mapGroupsToRole = (sso, groups) => {
+  const memberOf = new Set((Array.isArray(groups) ? groups : [groups]).filter(Boolean).map(String));
+  const match = (sso.groupRoles || []).find((entry) => memberOf.has(entry.group));
+  return match ? match.role : (sso.defaultRole ?? null);
+};
+
+/**
+ * Find, link or create the user for verified claims
+ * An existing account is never taken over by email alone: it is linked only
+ * when it is already a member, or when its signed-in owner asked for the link.
+ * @param {string} linkUserId - User who started the login to link, if any
+ * @returns {Promise<object>} User document
+ */
+const provisionUser = async (org, claims, email, linkUserId) => {
+  const identity = { issuer: org.sso.issuer, subject: String(claims.sub) };
+  let user = await User.findOne({ ssoIdentities: { $elemMatch: identity } });
+
+  if (linkUserId) {
+    if (user && String(user._id) !== linkUserId) {
+      throw ssoError('SSO_IDENTITY_IN_USE', 'This identity is already linked to another account');
+    }
+    user = user || await User.findById(linkUserId);
+    if (!user) throw ssoError('SSO_STATE_INVALID', 'The account to link no longer exists');
+    if (user.email !== email) {
+      throw ssoError('SSO_EMAIL_MISMATCH', `The identity provider signed in ${email}, not ${user.email}`);
+    }
+  }
+
+  if (!user) {
+    const existing = await User.findOne({ email });
+    if (existing) {
+      const isMember = org.members.some((member) => String(member.userId) === String(existing._id));
+      if (!isMember) {
+        throw ssoError('SSO_ACCOUNT_EXISTS', `An account for ${email} already exists; sign in with its password and link single sign-on from there`);
+      }
+      user = existing;
+    }
+  }
+
+  if (!user) {
+    // SSO users have no password; an unguessable hash keeps password login shut
+    user = new User({
+      name: String(claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || email.split('@')[0]).slice(0, 100),
+      email,
+      passwordHash: await bcrypt.hash(randomToken(), 10),
+      emailVerified: true,
+      authSource: 'sso'
+    });
+    console.log(`[SSO] Provisioned ${email} from ${org.name}`);
+  }
+
+  const linked = user.ssoIdentities.find((entry) => entry.issuer === identity.issuer && entry.subject === identity.subject);
+  if (linked) {
+    linked.lastLoginAt = new Date();
+  } else {
+    user.ssoIdentities.push({ ...identity, orgId: org._id, lastLoginAt: new Date() });
+  }
+  // The organization vouches for addresses in the domains it has verified
+  user.emailVerified = true;
+  await user.save();
+  return user;
+};
+
+/**
+ * Add the user to the organization, or bring their role in line with the IdP
+ * (an organization's last owner is never demoted)
+ * @returns {Promise<string>} The member's role
+ */
+const syncMembership = async (org, user, role) => {
+  const current = await Organization.findById(org._id);
+  const member = current.members.find((entry) => String(entry.userId) === String(user._id));
+  if (!member) {
+    current.members.push({ userId: user._id, role });
+  } else if (member.role !== role) {
+    const owners = current.members.filter((entry) => entry.role === 'owner').length;
+    if (member.role === 'owner' && owners === 1) return member.role;
+    member.role = role;
+  } else {
+    return role;
+  }
+  await current.save();
+  return role;
+};
+
+/**
+ * Finish a login from the provider's redirect
+ * @param {object} params - { code, state } from the callback query
+ * @returns {Promise<object>} { user, org: { id, name }, role, redirectTo }
+ * @throws Error with a code (SSO_STATE_INVALID, SSO_DISABLED, SSO_INVALID_TOKEN,
+ *   SSO_EMAIL_NOT_ALLOWED, SSO_ACCOUNT_EXISTS, SSO_EMAIL_MISMATCH, SSO_NO_ROLE, ...)
+ *   for the frontend
+ */
+export const completeLogin = async ({ code, state }) => {
+  if (!code || !state) throw ssoError('SSO_STATE_INVALID', 'Missing code or state');
+
+  // Single use: taken in one step, so a replayed or concurrent callback finds nothing
+  const login = await getRateLimitStore().take(stateKey(state));
+  if (!login) throw ssoError('SSO_STATE_INVALID', 'This sign-in link has expired or was already used');
+
+  const org = await Organization.findById(login.orgId).select('+sso.clientSecret');
+  if (!org?.sso?.enabled) throw ssoError('SSO_DISABLED', 'Single sign-on is not enabled for this organization');
+
+  const discovery = await getDiscovery(org.sso.issuer);
+  const claims = await fetchClaims(org, discovery, String(code), login);
+
+  const email = String(claims.email || '').toLowerCase();
+  if (!email || claims.email_verified === false) {
+    throw ssoError('SSO_EMAIL_NOT_ALLOWED', 'The identity provider did not supply a verified email');
+  }
+  if (!getVerifiedDomains(org.sso).includes(getEmailDomain(email))) {
+    throw ssoError('SSO_EMAIL_NOT_ALLOWED', `${email} is outside the verified domains ${org.name} signs in`);
+  }
+
+  const mappedRole = mapGroupsToRole(org.sso, claims[org.sso.groupsClaim || 'groups']);
+  if (!mappedRole) throw ssoError('SSO_NO_ROLE', `None of your groups grant access to ${org.name}`);
+
+  const user = await provisionUser(org, claims, email, login.linkUserId);
+  const role = await syncMembership(org, user, mappedRole);
+
+  console.log(`[SSO] ${email} signed in to ${org.name} as ${role}`);
+  return { user, org: { id: String(org._id), name: org.name }, role, redirectTo: login.redirectTo };
+};
+
+export default {
+  getSsoCallbackUrl,
+  isAllowedIssuer,
+  getEmailDomain,
+  createDomainClaim,
+  getVerifiedDomains,
+  getDomainVerificationRecord,
+  verifyDomainOwnership,
+  findDomainsVerifiedElsewhere,
+  findSsoOrgForEmail,
+  findPasswordLoginBlock,
+  createAuthorizationUrl,
+  mapGroupsToRole,
+  completeLogin
+};
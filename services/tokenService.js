@@ -0,0 +1,233 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import RefreshToken from '../models/RefreshToken.js';
+import User from '../models/User.js';
+import { resolveRole, ROLE_PERMISSIONS } from '../config/roles.js';
+import { getRateLimitStore } from './rateLimitStore.js';
+
+/**
+ * Token Service
+ * Sessions are a short-lived access token plus a rotating refresh token:
+ * - access token: JWT for the Authorization header, valid for ACCESS_TOKEN_TTL
+ *   (default 15m). It carries the user's tokenVersion, and authMiddleware
+ *   rejects it once User.tokenVersion has moved on (logout-all)
+ * - refresh token: random and opaque, stored as a SHA-256 hash (RefreshToken),
+ *   valid for REFRESH_TOKEN_TTL_DAYS (default 30). Each use revokes it and
+ *   returns a new pair; reusing a revoked token revokes its whole family
+ * - stream ticket: random, single use, valid for 60 seconds and one audit job,
+ *   so EventSource (which cannot send headers) never puts a JWT in a URL
+ */
+
+const DEFAULT_ACCESS_TOKEN_TTL = '15m';
+const DEFAULT_REFRESH_TOKEN_TTL_DAYS = 30;
+const STREAM_TICKET_TTL_MS = 60 * 1000;
+
+export const getJwtSecret = () => process.env.JWT_SECRET || 'dev-secret-change-me';
+
+const getAccessTokenTtl = () => process.env.ACCESS_TOKEN_TTL || DEFAULT_ACCESS_TOKEN_TTL;
+
+const getRefreshTokenTtlMs = () => {
+  const days = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10);
+  return (Number.isFinite(days) && days > 0 ? days : DEFAULT_REFRESH_TOKEN_TTL_DAYS) * 24 * 60 * 60 * 1000;
+};
+
+/**
+ * SHA-256 of a token, as stored; raw tokens are never kept
+ * @param {string} token
+ * @returns {string} Hex digest
+ */
+export const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Random single-use token (email verification, password reset)
+ * @param {number} ttlMs - Lifetime
+ * @returns {{ token: string, tokenHash: string, expiresAt: Date }} Send token, store tokenHash
+ */
+export const createOneTimeToken = (ttlMs) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  return { token, tokenHash: hashToken(token), expiresAt: new Date(Date.now() + ttlMs) };
+};
+
+/**
+ * Signed access token
+ * @param {object} user - User document
+ * @returns {string} JWT
+ */
+export const createAccessToken = (user) => jwt.sign(
+  { id: user._id, email: user.email, tv: user.tokenVersion || 0 },
+  getJwtSecret(),
+  { expiresIn: getAccessTokenTtl() }
+);
+
+/**
+ * Verify an access token against the user's current token version
+ * @param {string} token - JWT
+ * @returns {Promise<object|null>} { id, email, emailVerified, role, permissions } or null when revoked or the user is gone
+ * @throws jsonwebtoken errors for invalid or expired tokens
+ */
+export const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, getJwtSecret());
+  const user = await User.findById(decoded.id).select('email emailVerified tokenVersion role').lean();
+
+  // Tokens issued before token versions carry none and count as version 0
+  if (!user || (decoded.tv || 0) !== (user.tokenVersion || 0)) return null;
+
+  const role = resolveRole(user);
+  return {
+    id: String(user._id),
+    email: user.email,
+    emailVerified: Boolean(user.emailVerified),
+    role,
+    permissions: ROLE_PERMISSIONS[role]
+  };
+};
+
+/**
+ * Store and return a new refresh token
+ * @param {object} user - User document
+ * @param {object} options
+ * @param {string} options.family - Family to continue (a new login starts one)
+ * @param {string} options.method - How the login signed in: 'password' or 'sso'
+ * @param {object} options.req - Request, for the user agent and IP shown in session lists
+ * @returns {Promise<string>} Refresh token (only its hash is kept)
+ */
+const issueRefreshToken = async (user, { family = crypto.randomUUID(), method = 'password', req } = {}) => {
+  const token = crypto.randomBytes(48).toString('base64url');
+  await RefreshToken.create({
+    userId: user._id,
+    tokenHash: hashToken(token),
+    family,
+    method,
+    expiresAt: new Date(Date.now() + getRefreshTokenTtlMs()),
+    userAgent: String(req?.headers?.['user-agent'] || '').slice(0, 300),
+    ip: req?.ip || ''
+  });
+  return token;
+};
+
+/**
+ * Access and refresh tokens for a fresh login
+ * @param {object} user - User document
+ * @param {object} req - Request
+ * @param {object} options
+ * @param {string} options.method - How the user signed in: 'password' (default) or 'sso'
+ * @returns {Promise<{ token: string, refreshToken: string, expiresIn: string }>}
+ */
+export const createSession = async (user, req, { method = 'password' } = {}) => ({
+  token: createAccessToken(user),
+  refreshToken: await issueRefreshToken(user, { method, req }),
+  expiresIn: getAccessTokenTtl()
+});
+
+const revokeFamily = (family, reason) => RefreshToken.updateMany(
+  { family, revokedAt: null },
+  { revokedAt: new Date(), revokedReason: reason }
+);
+
+/**
+ * Exchange a refresh token for a new pair
+ * @param {string} refreshToken
+ * @param {object} req - Request
+ * @returns {Promise<object|null>} { token, refreshToken, expiresIn, user, method } or null when invalid
+ */
+export const rotateRefreshToken = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+
+  // Claim the token atomically so two concurrent refreshes cannot both succeed
+  const current = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { revokedAt: new Date(), revokedReason: 'rotated' }
+  );
+
+  if (!current) {
+    const known = await RefreshToken.findOne({ tokenHash }).select('family userId revokedReason').lean();
+    if (known?.revokedReason === 'rotated') {
+      console.warn('[Auth] Refresh token reused; revoking its family', { userId: String(known.userId) });
+      await revokeFamily(known.family, 'reuse-detected');
+    }
+    return null;
+  }
+
+  const user = await User.findById(current.userId);
+  if (!user) return null;
+
+  return {
+    token: createAccessToken(user),
+    refreshToken: await issueRefreshToken(user, { family: current.family, method: current.method, req }),
+    expiresIn: getAccessTokenTtl(),
+    user,
+    method: current.method || 'password'
+  };
+};
+
+/**
+ * Log out one session: revoke the refresh token's family
+ * @param {string} refreshToken
+ * @param {string} reason - RefreshToken.revokedReason (default 'logout')
+ * @returns {Promise<boolean>} Whether the token was known
+ */
+export const revokeRefreshToken = async (refreshToken, reason = 'logout') => {
+  const known = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) }).select('family').lean();
+  if (!known) return false;
+  await revokeFamily(known.family, reason);
+  return true;
+};
+
+/**
+ * Log out everywhere: invalidate every access token and refresh token of a user
+ * @param {string} userId
+ */
+export const revokeAllSessions = async (userId) => {
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+  await RefreshToken.updateMany(
+    { userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: 'logout-all' }
+  );
+};
+
+const streamTicketKey = (ticket) => `stream-ticket:${hashToken(ticket)}`;
+
+/**
+ * Ticket for one audit job's event stream (GET /audit/:jobId/events?ticket=)
+ * @param {object} user - req.user
+ * @param {string} jobId
+ * @returns {Promise<{ ticket: string, expiresIn: number }>} expiresIn in seconds
+ */
+export const createStreamTicket = async (user, jobId) => {
+  const ticket = crypto.randomBytes(32).toString('base64url');
+  await getRateLimitStore().set(streamTicketKey(ticket), { jobId: String(jobId), user }, STREAM_TICKET_TTL_MS);
+  return { ticket, expiresIn: STREAM_TICKET_TTL_MS / 1000 };
+};
+
+/**
+ * Redeem a stream ticket
+ * @param {string} ticket
+ * @param {string} jobId - The job being streamed; tickets for other jobs are refused
+ * @returns {Promise<object|null>} The req.user it was issued to, or null when unknown, used, expired or for another job
+ */
+export const redeemStreamTicket = async (ticket, jobId) => {
+  const store = getRateLimitStore();
+  const key = streamTicketKey(ticket);
+  const stored = await store.get(key);
+  if (!stored || stored.jobId !== String(jobId)) return null;
+
+  // increment is atomic in every store, so only the first redemption gets 1
+  const { count } = await store.increment(`${key}:used`, STREAM_TICKET_TTL_MS);
+  if (count !== 1) return null;
+  await store.delete(key);
+  return stored.user;
+};
+
+export default {
+  getJwtSecret,
+  hashToken,
+  createOneTimeToken,
+  createAccessToken,
+  verifyAccessToken,
+  createSession,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllSessions,
+  createStreamTicket,
+  redeemStreamTicket
+};
@@ -2,6 +2,10 @@ import OpenAI from 'openai';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { isMockMode } from '../config/aiConfig.js';
+import { mockTranscribe } from './mockProviders.js';
+import { recordTranscription } from './usageTracker.js';
+import { getMediaDurationSeconds } from './mediaProbe.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -11,6 +15,7 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
  * 
  * IMPORTANT: OpenAI is used ONLY for transcription
  * NEVER uses Gemini - Gemini is reserved for compliance analysis
+ * AI_MOCK_MODE=true transcribes offline (see mockProviders.js)
  */
 
 const MAX_AUDIO_SIZE = 25 * 1024 * 1024; // 25MB (OpenAI limit)
@@ -99,6 +104,12 @@ export const transcribe = async (audioBuffer, mimetype) => {
   try {
     validateMediaFile(audioBuffer, mimetype);
     
+    if (isMockMode()) {
+      const mockResult = await mockTranscribe(audioBuffer);
+      recordTranscription({ model: mockResult.model, transcript: mockResult.transcript });
+      return mockResult;
+    }
+    
     const apiKey = process.env.OPENAI_API_KEY;
     
     if (!apiKey) {
@@ -129,7 +140,7 @@ export const transcribe = async (audioBuffer, mimetype) => {
         file: file,
         model: MODEL,
         language: 'en',
-        response_format: 'text',
+        response_format: 'json',
         prompt: 'This is a healthcare advertisement. Transcribe all spoken words, claims, and marketing messages accurately.'
       });
       
@@ -146,6 +157,16 @@ export const transcribe = async (audioBuffer, mimetype) => {
         throw new Error('Transcription returned empty result');
       }
       
+      // gpt-4o-transcribe reports tokens, not a duration, so the file is measured;
+      // the transcript-based estimate is only a fallback when ffprobe is missing
+      const seconds = transcription?.usage?.type === 'duration'
+        ? transcription.usage.seconds
+        : await getMediaDurationSeconds(tempFilePath).catch((error) => {
+          console.warn('[Transcription] Could not measure media duration; estimating from the transcript:', error.message);
+          return undefined;
+        });
+      recordTranscription({ model: MODEL, seconds, transcript });
+
       const processingTime = Date.now() - startTime;
       console.log(`[Transcription] Success | Model: ${MODEL} | Length: ${transcript.length} chars | Time: ${processingTime}ms`);
       
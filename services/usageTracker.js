@@ -0,0 +1,224 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * Usage Tracking
+ * Collects what one audit consumed: model tokens, transcription minutes, OCR
+ * pages and the scraping method. processContent runs its pipeline inside
+ * trackUsage(), and the services report with the record* functions below,
+ * which write to the audit in progress (and do nothing outside one), so no
+ * tracker has to be passed through every extraction and model call.
+ *
+ * Costs are estimates in USD from a price table: DEFAULT_PRICES, with
+ * USAGE_PRICES (JSON, same shape) merged over it. Model names match by
+ * prefix, so "gpt-4o-mini-2024-07-18" uses the "gpt-4o-mini" price.
+ */
+
+const storage = new AsyncLocalStorage();
+
+export const DEFAULT_PRICES = {
+  // Per 1M tokens
+  llm: {
+    'gemini-2.0-flash': { input: 0.10, output: 0.40 },
+    'gemini-2.5-flash': { input: 0.30, output: 2.50 },
+    'gemini-2.5-pro': { input: 1.25, output: 10.00 },
+    'gpt-4o-mini': { input: 0.15, output: 0.60 },
+    'gpt-4o': { input: 2.50, output: 10.00 },
+    mock: { input: 0, output: 0 }
+  },
+  // Per audio minute
+  transcription: {
+    'gpt-4o-transcribe': 0.006,
+    'gpt-4o-mini-transcribe': 0.003,
+    'whisper-1': 0.006,
+    mock: 0
+  },
+  // Per page
+  ocr: {
+    'google-vision': 0.0015,
+    tesseract: 0
+  }
+};
+
+// Speech runs at roughly 150 words a minute; used when a provider reports no duration
+const WORDS_PER_SECOND = 2.5;
+
+let cachedPrices = null;
+let cachedPricesSource;
+
+/**
+ * Price table with USAGE_PRICES applied
+ * @returns {{ llm: object, transcription: object, ocr: object }}
+ */
+export const getPrices = () => {
+  const source = process.env.USAGE_PRICES || '';
+  if (cachedPrices && cachedPricesSource === source) return cachedPrices;
+
+  let overrides = {};
+  if (source) {
+    try {
+      overrides = JSON.parse(source);
+    } catch (error) {
+      console.warn('[Usage] Invalid USAGE_PRICES JSON; using defaults:', error.message);
+    }
+  }
+
+  cachedPrices = Object.fromEntries(Object.entries(DEFAULT_PRICES).map(([kind, prices]) => [
+    kind,
+    { ...prices, ...(overrides[kind] && typeof overrides[kind] === 'object' ? overrides[kind] : {}) }
+  ]));
+  cachedPricesSource = source;
+  return cachedPrices;
+};
+
+const findPrice = (table, name) => {
+  const key = String(name || '').toLowerCase();
+  const match = Object.keys(table)
+    .filter((candidate) => key === candidate || key.startsWith(`${candidate}-`) || key.startsWith(`${candidate} `))
+    .sort((a, b) => b.length - a.length)[0];
+  return match === undefined ? undefined : table[match];
+};
+
+const roundCost = (value) => Math.round(value * 1e6) / 1e6;
+
+/**
+ * New, empty usage for one audit
+ * @returns {object} Pass to trackUsage and summarizeUsage
+ */
+export const createUsageTracker = () => ({
+  llm: new Map(),
+  transcription: [],
+  ocr: [],
+  scraping: []
+});
+
+/**
+ * Run fn with usage recorded into tracker
+ * @param {object} tracker - From createUsageTracker
+ * @param {Function} fn - async () => result
+ * @returns {Promise<*>} fn's result
+ */
+export const trackUsage = (tracker, fn) => storage.run(tracker, fn);
+
+/**
+ * Tracker of the audit in progress, if any (lets a route that extracts
+ * content itself share one tracker with processContent)
+ * @returns {object|null}
+ */
+export const getActiveUsageTracker = () => storage.getStore() || null;
+
+/**
+ * One model call (recorded even if its answer was then rejected: it was billed)
+ * @param {object} call - { task, provider, model, usage: { inputTokens, outputTokens } }
+ */
+export const recordLlmUsage = ({ task, provider, model, usage }) => {
+  const tracker = storage.getStore();
+  if (!tracker) return;
+
+  const key = `${provider}|${model}|${task}`;
+  const entry = tracker.llm.get(key) || { provider, model, task, calls: 0, inputTokens: 0, outputTokens: 0, unreported: 0 };
+  entry.calls += 1;
+  if (usage) {
+    entry.inputTokens += usage.inputTokens || 0;
+    entry.outputTokens += usage.outputTokens || 0;
+  } else {
+    entry.unreported += 1;
+  }
+  tracker.llm.set(key, entry);
+};
+
+/**
+ * One transcription
+ * @param {object} transcription - { model, seconds } or { model, transcript } to estimate the duration
+ */
+export const recordTranscription = ({ model, seconds, transcript }) => {
+  const tracker = storage.getStore();
+  if (!tracker) return;
+
+  const estimated = typeof seconds !== 'number';
+  const words = String(transcript || '').split(/\s+/).filter(Boolean).length;
+  tracker.transcription.push({
+    model,
+    seconds: estimated ? Math.round(words / WORDS_PER_SECOND) : seconds,
+    estimated
+  });
+};
+
+/**
+ * OCR of one or more pages
+ * @param {object} ocr - { engine: 'google-vision' | 'tesseract', pages }
+ */
+export const recordOcr = ({ engine, pages = 1 }) => {
+  storage.getStore()?.ocr.push({ engine, pages });
+};
+
+/**
+ * How the content was fetched (the last method recorded is the one that won)
+ * @param {string} method - e.g. jina_reader, readability, puppeteer, youtube_transcript
+ */
+export const recordScraping = (method) => {
+  storage.getStore()?.scraping.push(method);
+};
+
+/**
+ * Totals and per-model breakdown with estimated costs
+ * @param {object} tracker - From createUsageTracker
+ * @returns {object} Usage as stored on the audit record
+ */
+export const summarizeUsage = (tracker) => {
+  const prices = getPrices();
+  const unpriced = new Set();
+
+  const llm = [...tracker.llm.values()].map((entry) => {
+    const price = findPrice(prices.llm, entry.model) ?? findPrice(prices.llm, entry.provider);
+    if (!price) unpriced.add(`${entry.provider}:${entry.model}`);
+    return {
+      kind: 'llm',
+      ...entry,
+      costUsd: price ? roundCost((entry.inputTokens * price.input + entry.outputTokens * price.output) / 1e6) : 0
+    };
+  });
+
+  const transcription = tracker.transcription.map((entry) => {
+    const perMinute = findPrice(prices.transcription, entry.model);
+    if (perMinute === undefined) unpriced.add(entry.model);
+    return { kind: 'transcription', ...entry, costUsd: roundCost(((perMinute || 0) * entry.seconds) / 60) };
+  });
+
+  const ocr = tracker.ocr.map((entry) => {
+    const perPage = findPrice(prices.ocr, entry.engine);
+    if (perPage === undefined) unpriced.add(entry.engine);
+    return { kind: 'ocr', ...entry, costUsd: roundCost((perPage || 0) * entry.pages) };
+  });
+
+  const sum = (items, field) => items.reduce((total, item) => total + (item[field] || 0), 0);
+  const inputTokens = sum(llm, 'inputTokens');
+  const outputTokens = sum(llm, 'outputTokens');
+  const transcriptionSeconds = sum(transcription, 'seconds');
+
+  return {
+    llmCalls: sum(llm, 'calls'),
+    inputTokens,
+    outputTokens,
+    totalTokens: inputTokens + outputTokens,
+    transcriptionSeconds,
+    transcriptionMinutes: Math.round((transcriptionSeconds / 60) * 100) / 100,
+    ocrPages: sum(ocr, 'pages'),
+    scrapingMethod: tracker.scraping[tracker.scraping.length - 1] || null,
+    estimatedCostUsd: roundCost(sum([...llm, ...transcription, ...ocr], 'costUsd')),
+    breakdown: [...llm, ...transcription, ...ocr],
+    ...(unpriced.size ? { unpriced: [...unpriced] } : {})
+  };
+};
+
+export default {
+  DEFAULT_PRICES,
+  getPrices,
+  createUsageTracker,
+  trackUsage,
+  getActiveUsageTracker,
+  recordLlmUsage,
+  recordTranscription,
+  recordOcr,
+  recordScraping,
+  summarizeUsage
+};
@@ -6,6 +6,10 @@ import OpenAI from 'openai';
 import ytdl from 'ytdl-core';
 import { YoutubeTranscript } from 'youtube-transcript';
 import { spawn } from 'child_process';
+import { isMockMode } from '../config/aiConfig.js';
+import { mockTranscribe } from './mockProviders.js';
+import { recordTranscription } from './usageTracker.js';
+import { getMediaDurationSeconds } from './mediaProbe.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -187,38 +191,8 @@ const downloadWithYtDlp = async (videoUrl, outputPath) => {
 };
 
 const getAudioDurationSeconds = async (filePath) => {
-  const ffmpegLocation = ensureFfmpegAvailable();
-  const ffprobePath = path.join(ffmpegLocation, 'ffprobe.exe');
-
-  return await withTimeout(new Promise((resolve, reject) => {
-    const process = spawn(ffprobePath, [
-      '-v', 'error',
-      '-show_entries', 'format=duration',
-      '-of', 'default=noprint_wrappers=1:nokey=1',
-      filePath
-    ]);
-
-    let output = '';
-    let stderr = '';
-
-    process.stdout.on('data', (data) => {
-      output += data.toString();
-    });
-
-    process.stderr.on('data', (data) => {
-      stderr += data.toString();
-    });
-
-    process.on('error', reject);
-    process.on('close', (code) => {
-      if (code !== 0) {
-        reject(new Error(`ffprobe failed (code ${code}): ${stderr.trim()}`));
-        return;
-      }
-      const duration = parseFloat(output.trim());
-      resolve(duration);
-    });
-  }), AUDIO_TIMEOUT_MS, 'Audio duration probe timed out');
+  ensureFfmpegAvailable();
+  return getMediaDurationSeconds(filePath, { timeoutMs: AUDIO_TIMEOUT_MS });
 };
 
 const validateDownloadedAudio = async (filePath) => {
@@ -269,6 +243,12 @@ export const downloadYoutubeAudio = async (videoUrl, outputPath) => {
 };
 
 export const transcribeAudioWithOpenAI = async (filePath) => {
+  if (isMockMode()) {
+    const { transcript, model } = await mockTranscribe(await fs.promises.readFile(filePath));
+    recordTranscription({ model, transcript });
+    return transcript;
+  }
+
   const client = getOpenAIClient();
   console.log('[YouTube Transcript] Transcribing audio...');
 
@@ -297,12 +277,57 @@ export const transcribeAudioWithOpenAI = async (filePath) => {
     throw new Error('Transcription returned empty text');
   }
 
+  // gpt-4o-transcribe reports tokens, not a duration, so the file is measured
+  const seconds = response?.usage?.type === 'duration'
+    ? response.usage.seconds
+    : await getMediaDurationSeconds(filePath).catch((error) => {
+      console.warn('[YouTube Transcript] Could not measure audio duration; estimating from the transcript:', error.message);
+      return undefined;
+    });
+  recordTranscription({ model: 'gpt-4o-transcribe', seconds, transcript: text });
   console.log('[YouTube Transcript] Transcription completed');
   return text;
 };
 
-export const getYoutubeTranscript = async (videoUrl) => {
+/**
+ * Join caption items into one transcript, keeping where each item landed
+ * Caption timings are milliseconds in the srv3 format and seconds in the
+ * classic one; a median duration above 50 means milliseconds.
+ * @returns {{ transcript: string, segments: Array<{ start, end, charStart, charEnd }> }}
+ */
+const buildCaptionTranscript = (items) => {
+  const durations = items.map((item) => Number(item.duration) || 0).sort((a, b) => a - b);
+  const toSeconds = (durations[Math.floor(durations.length / 2)] || 0) > 50 ? 1000 : 1;
+
+  let transcript = '';
+  const segments = [];
+
+  items.forEach((item) => {
+    const text = String(item.text || '').replace(/\s+/g, ' ').trim();
+    if (!text) return;
+    if (transcript) transcript += ' ';
+
+    const start = (Number(item.offset) || 0) / toSeconds;
+    segments.push({
+      start,
+      end: start + (Number(item.duration) || 0) / toSeconds,
+      charStart: transcript.length,
+      charEnd: transcript.length + text.length
+    });
+    transcript += text;
+  });
+
+  return { transcript, segments };
+};
+
+/**
+ * Transcript plus caption timings (segments is empty unless captions were used)
+ * @param {string} videoUrl - YouTube URL
+ * @returns {Promise<{ transcript: string, segments: Array<object> }>}
+ */
+export const getYoutubeTranscriptWithSegments = async (videoUrl) => {
   const normalized = normalizeUrl(videoUrl);
+  const textOnly = (transcript) => ({ transcript, segments: [] });
 
   try {
     await validateYoutubeUrl(normalized);
@@ -313,9 +338,9 @@ export const getYoutubeTranscript = async (videoUrl) => {
   console.log('[YouTube Transcript] Trying captions...');
   try {
     const transcriptItems = await retryWithBackoff(() => YoutubeTranscript.fetchTranscript(normalized), MAX_RETRIES, 'Captions fetch');
-    const transcript = transcriptItems.map((item) => item.text).join(' ').replace(/\s+/g, ' ').trim();
-    if (transcript) {
-      return transcript;
+    const captions = buildCaptionTranscript(transcriptItems);
+    if (captions.transcript) {
+      return captions;
     }
   } catch (error) {
     console.warn('[YouTube Transcript] Captions failed:', error.message);
@@ -326,7 +351,7 @@ export const getYoutubeTranscript = async (videoUrl) => {
     const metadata = await retryWithBackoff(() => fetchYtDlpMetadata(normalized), MAX_RETRIES, 'yt-dlp metadata');
     const title = metadata?.title || 'Unknown';
     const description = metadata?.description || 'Description unavailable.';
-    return `YouTube video transcript unavailable. Title: ${title}. Description: ${description}. URL: ${normalized}`;
+    return textOnly(`YouTube video transcript unavailable. Title: ${title}. Description: ${description}. URL: ${normalized}`);
   } catch (error) {
     console.warn('[YouTube Transcript] yt-dlp metadata failed:', error.message);
   }
@@ -337,7 +362,7 @@ export const getYoutubeTranscript = async (videoUrl) => {
       const data = await response.json();
       const title = data?.title || 'Unknown';
       const channel = data?.author_name || 'Unknown';
-      return `YouTube video transcript unavailable. Title: ${title}. Channel: ${channel}. URL: ${normalized}`;
+      return textOnly(`YouTube video transcript unavailable. Title: ${title}. Channel: ${channel}. URL: ${normalized}`);
     }
   } catch (error) {
     console.warn('[YouTube Transcript] oEmbed metadata failed:', error.message);
@@ -348,7 +373,7 @@ export const getYoutubeTranscript = async (videoUrl) => {
     const tempFile = path.join(os.tmpdir(), `yt-audio-${Date.now()}.mp3`);
     try {
       await retryWithBackoff(() => downloadYoutubeAudio(normalized, tempFile), MAX_RETRIES, 'Audio download');
-      return await transcribeAudioWithOpenAI(tempFile);
+      return textOnly(await transcribeAudioWithOpenAI(tempFile));
     } catch (error) {
       console.warn('[YouTube Transcript] Audio transcription failed:', error.message);
     } finally {
@@ -356,11 +381,14 @@ export const getYoutubeTranscript = async (videoUrl) => {
     }
   }
 
-  return `YouTube transcript unavailable. Video URL: ${normalized}. Please provide a summary or upload a file.`;
+  return textOnly(`YouTube transcript unavailable. Video URL: ${normalized}. Please provide a summary or upload a file.`);
 };
 
+export const getYoutubeTranscript = async (videoUrl) => (await getYoutubeTranscriptWithSegments(videoUrl)).transcript;
+
 export default {
   downloadYoutubeAudio,
   transcribeAudioWithOpenAI,
-  getYoutubeTranscript
+  getYoutubeTranscript,
+  getYoutubeTranscriptWithSegments
 };
@@ -4,6 +4,9 @@ import path from 'path';
 import OpenAI from 'openai';
 import ytdlp from 'yt-dlp-exec';
 import { spawn } from 'child_process';
+import { isMockMode } from '../config/aiConfig.js';
+import { mockTranscribe } from './mockProviders.js';
+import { recordTranscription } from './usageTracker.js';
 
 const MODEL = 'whisper-1';
 
@@ -93,11 +96,18 @@ const downloadYoutubeAudio = async (url: string): Promise<string> => {
 };
 
 const transcribeAudioFile = async (filePath: string): Promise<string> => {
+  if (isMockMode()) {
+    const { transcript, model } = await mockTranscribe(await fs.promises.readFile(filePath));
+    recordTranscription({ model, transcript });
+    return transcript;
+  }
+
   const client = getOpenAIClient();
+  // verbose_json carries the audio duration for usage accounting
   const response = await client.audio.transcriptions.create({
     model: MODEL,
     file: fs.createReadStream(filePath),
-    response_format: 'text'
+    response_format: 'verbose_json'
   });
 
   const text = typeof response === 'string' ? response : response?.text || '';
@@ -107,6 +117,9 @@ const transcribeAudioFile = async (filePath: string): Promise<string> => {
     throw new Error('Transcription returned empty text');
   }
 
+  const duration = typeof response === 'string' ? undefined : (response as { duration?: number }).duration;
+  recordTranscription({ model: MODEL, seconds: typeof duration === 'number' ? duration : undefined, transcript: trimmed });
+
   return trimmed;
 };
 
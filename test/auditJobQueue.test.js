@@ -0,0 +1,144 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createMemoryQueueBackend,
+  setAuditQueueBackend,
+  enqueueAuditJob,
+  getAuditJob
+} from '../services/auditJobQueue.js';
+
+process.env.AUDIT_JOB_CONCURRENCY = '2';
+
+// An input processContent rejects at once ("Unable to detect content type"),
+// so jobs settle without a database or model calls
+const FAILING_INPUT = {};
+const OPTIONS = { userId: 'user-1' };
+
+const waitFor = async (check, timeoutMs = 5000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await check())) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for the queue');
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+};
+
+/**
+ * Memory backend whose pop waits until opened, counting work in flight:
+ * pops not yet answered plus popped jobs not yet settled
+ */
+const createGatedBackend = () => {
+  const inner = createMemoryQueueBackend();
+  const waiting = [];
+  const stats = { inFlight: 0, maxInFlight: 0, pending: 0 };
+  let open = false;
+
+  const backend = {
+    ...inner,
+    name: 'gated',
+    pop: async () => {
+      stats.inFlight += 1;
+      stats.pending += 1;
+      stats.maxInFlight = Math.max(stats.maxInFlight, stats.inFlight);
+      if (!open) await new Promise((resolve) => waiting.push(resolve));
+      stats.pending -= 1;
+      const jobId = await inner.pop();
+      if (!jobId) stats.inFlight -= 1;
+      return jobId;
+    }
+  };
+
+  return {
+    backend,
+    stats,
+    settled: () => {
+      stats.inFlight -= 1;
+    },
+    open: () => {
+      open = true;
+      waiting.splice(0).forEach((resolve) => resolve());
+    }
+  };
+};
+
+test('runs at most AUDIT_JOB_CONCURRENCY jobs at once and settles every job', async () => {
+  const gated = createGatedBackend();
+  setAuditQueueBackend(gated.backend);
+
+  const outcomes = [];
+  const jobs = [];
+  for (let index = 0; index < 5; index += 1) {
+    jobs.push(await enqueueAuditJob({
+      input: FAILING_INPUT,
+      options: OPTIONS,
+      onSettled: async (outcome) => {
+        gated.settled();
+        outcomes.push(outcome);
+      }
+    }));
+  }
+
+  // Five enqueues each started a drain, but only two slots could be taken
+  assert.equal(gated.stats.pending, 2);
+
+  gated.open();
+  await waitFor(() => outcomes.length === jobs.length);
+
+  assert.equal(gated.stats.maxInFlight, 2);
+  assert.ok(outcomes.every((outcome) => outcome.status === 'failed' && outcome.error === 'Unable to detect content type'));
+
+  for (const job of jobs) {
+    const stored = await getAuditJob(job.id);
+    assert.equal(stored.status, 'failed');
+    assert.ok(stored.finishedAt);
+  }
+});
+
+test('fails a job whose input is not held by this process', async () => {
+  const backend = createMemoryQueueBackend();
+  setAuditQueueBackend(backend);
+
+  await backend.saveJob('foreign-job', { id: 'foreign-job', status: 'queued' });
+  await backend.push('foreign-job');
+
+  let settled = null;
+  await enqueueAuditJob({
+    input: FAILING_INPUT,
+    options: OPTIONS,
+    onSettled: async (outcome) => {
+      settled = outcome;
+    }
+  });
+
+  await waitFor(async () => (await getAuditJob('foreign-job')).status === 'failed' && settled);
+  assert.equal((await getAuditJob('foreign-job')).error, 'Job input is no longer available');
+  assert.equal(settled.status, 'failed');
+});
+
+test('rejects, and never runs, a job the backend could not queue', async () => {
+  const backend = createMemoryQueueBackend();
+  setAuditQueueBackend({
+    ...backend,
+    push: async () => {
+      throw new Error('queue unavailable');
+    }
+  });
+
+  let settled = false;
+  await assert.rejects(
+    enqueueAuditJob({ input: FAILING_INPUT, options: OPTIONS, onSettled: async () => { settled = true; } }),
+    /queue unavailable/
+  );
+
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.equal(settled, false);
+});
+
+test('memory backend forgets jobs after the job TTL', async (t) => {
+  const backend = createMemoryQueueBackend();
+  await backend.saveJob('job-1', { status: 'done' });
+  assert.equal((await backend.getJob('job-1')).status, 'done');
+
+  const later = Date.now() + 25 * 60 * 60 * 1000;
+  t.mock.method(Date, 'now', () => later);
+  assert.equal(await backend.getJob('job-1'), null);
+});
@@ -0,0 +1,58 @@
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryRateLimitStore, createRedisRateLimitStore, setRateLimitStore } from '../services/rateLimitStore.js';
+import { createLocalRedisClient } from '../services/localRedisClient.js';
+import { getLoginLockout, recordLoginFailure, clearLoginFailures } from '../services/loginLockout.js';
+
+process.env.LOGIN_LOCKOUT_THRESHOLD = '5';
+process.env.LOGIN_LOCKOUT_BASE_SECONDS = '60';
+process.env.LOGIN_LOCKOUT_MAX_SECONDS = '3600';
+
+const stores = {
+  memory: () => createMemoryRateLimitStore(),
+  redis: () => createRedisRateLimitStore(createLocalRedisClient())
+};
+
+Object.entries(stores).forEach(([name, createStore]) => describe(`${name} store`, () => {
+  beforeEach(() => {
+    setRateLimitStore(createStore());
+  });
+
+  test('locks the account from the threshold-th failure, doubling each time', async () => {
+    const results = [];
+    for (let attempt = 0; attempt < 7; attempt += 1) {
+      results.push(await recordLoginFailure('Jane@Pharma.example'));
+    }
+
+    assert.deepEqual(results.map((result) => result.lockedForSeconds), [0, 0, 0, 0, 60, 120, 240]);
+    const remaining = await getLoginLockout('jane@pharma.example');
+    assert.ok(remaining > 230 && remaining <= 240);
+  });
+
+  test('counts every one of many concurrent failures', async () => {
+    const results = await Promise.all(Array.from({ length: 20 }, () => recordLoginFailure('jane@pharma.example')));
+
+    assert.deepEqual(results.map((result) => result.failures).sort((a, b) => a - b), Array.from({ length: 20 }, (_, index) => index + 1));
+    assert.ok(await getLoginLockout('jane@pharma.example') > 0);
+  });
+
+  test('a successful login clears the count and the lock', async () => {
+    for (let attempt = 0; attempt < 5; attempt += 1) {
+      await recordLoginFailure('jane@pharma.example');
+    }
+    assert.ok(await getLoginLockout('jane@pharma.example') > 0);
+
+    await clearLoginFailures('jane@pharma.example');
+    assert.equal(await getLoginLockout('jane@pharma.example'), 0);
+    assert.equal((await recordLoginFailure('jane@pharma.example')).failures, 1);
+  });
+
+  test('keeps separate counts per email', async () => {
+    for (let attempt = 0; attempt < 5; attempt += 1) {
+      await recordLoginFailure('jane@pharma.example');
+    }
+
+    assert.equal(await getLoginLockout('john@pharma.example'), 0);
+    assert.equal((await recordLoginFailure('john@pharma.example')).failures, 1);
+  });
+}));
@@ -0,0 +1,108 @@
+import { test, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Rule from '../models/Rule.js';
+import RuleRevision from '../models/RuleRevision.js';
+import { setRuleSource } from '../services/rulesService.js';
+import { updateRule, deprecateRule } from '../controllers/rulesController.js';
+
+// An empty rule source, so the reload after each write needs no database
+setRuleSource({ name: 'test', location: 'memory', load: async () => [], watch: () => () => {} });
+
+const ruleId = new mongoose.Types.ObjectId();
+let stored;
+
+// The controller answers 503 unless the connection reports ready
+before(() => {
+  Object.defineProperty(mongoose.connection, 'readyState', { configurable: true, get: () => 1 });
+});
+after(() => {
+  delete mongoose.connection.readyState;
+});
+
+/**
+ * Rule reads return the stored rule; the conditional write matches only the
+ * version it names, as MongoDB would
+ */
+beforeEach((t) => {
+  stored = {
+    _id: ruleId,
+    ruleId: 'IN-DMR-01',
+    country: 'india',
+    category: 'pharmaceutical',
+    regulation: 'Drugs and Magic Remedies Act',
+    section: '3',
+    title: 'Miracle cures',
+    description: 'No claims to cure listed diseases',
+    severity: 'Critical',
+    status: 'active',
+    version: 3
+  };
+
+  t.mock.method(Rule, 'findById', async () => Rule.hydrate({ ...stored }));
+  t.mock.method(Rule, 'findOneAndUpdate', async (filter, update) => {
+    // Let every concurrent caller read before the first one writes
+    await new Promise((resolve) => setImmediate(resolve));
+    if (String(filter._id) !== String(stored._id) || filter.version !== stored.version) return null;
+    stored = { ...stored, ...update.$set, version: stored.version + update.$inc.version };
+    return Rule.hydrate({ ...stored });
+  });
+  t.mock.method(RuleRevision, 'create', async () => ({}));
+});
+
+const call = async (handler, { body = {} } = {}) => {
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      this.body = payload;
+      return this;
+    }
+  };
+  await handler({ params: { id: String(ruleId) }, body, user: { id: 'editor-1', email: 'editor@example.com' } }, res);
+  return res;
+};
+
+test('an edit at the current version is saved as the next version', async () => {
+  const res = await call(updateRule, { body: { version: 3, title: 'Miracle cure claims' } });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.data.rule.version, 4);
+  assert.equal(stored.title, 'Miracle cure claims');
+});
+
+test('an edit sent with an older version is refused with 409', async () => {
+  const res = await call(updateRule, { body: { version: 2, title: 'Stale edit' } });
+
+  assert.equal(res.statusCode, 409);
+  assert.match(res.body.error, /modified since version 2; current version is 3/);
+  assert.equal(Rule.findOneAndUpdate.mock.callCount(), 0);
+  assert.equal(stored.title, 'Miracle cures');
+});
+
+test('of two concurrent edits read at the same version, only the first lands', async () => {
+  const results = await Promise.all([
+    call(updateRule, { body: { version: 3, title: 'First edit' } }),
+    call(updateRule, { body: { version: 3, title: 'Second edit' } })
+  ]);
+
+  assert.deepEqual(results.map((res) => res.statusCode).sort(), [200, 409]);
+  assert.match(results.find((res) => res.statusCode === 409).body.error, /modified since version 3/);
+  assert.equal(stored.version, 4);
+  assert.equal(RuleRevision.create.mock.callCount(), 1);
+});
+
+test('deprecating checks the version like an edit', async () => {
+  const conflict = await call(deprecateRule, { body: { version: 1 } });
+  assert.equal(conflict.statusCode, 409);
+  assert.equal(stored.status, 'active');
+
+  const res = await call(deprecateRule, { body: { version: 3 } });
+  assert.equal(res.statusCode, 200);
+  assert.equal(stored.status, 'deprecated');
+  assert.equal(stored.version, 4);
+});
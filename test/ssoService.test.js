@@ -0,0 +1,136 @@
+import { test, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import axios from 'axios';
+import Organization from '../models/Organization.js';
+import User from '../models/User.js';
+import { createMemoryRateLimitStore, setRateLimitStore, getRateLimitStore } from '../services/rateLimitStore.js';
+import { createAuthorizationUrl, completeLogin, findPasswordLoginBlock } from '../services/ssoService.js';
+
+// http issuers on localhost are allowed only in development
+process.env.NODE_ENV = 'development';
+process.env.MOCK_OIDC_PORT = '4517';
+const ISSUER = 'http://localhost:4517';
+
+let provider;
+let org;
+
+before(async () => {
+  // Imported after MOCK_OIDC_PORT is set, which fixes its issuer URL
+  const { startMockOidcProvider } = await import('../mock-oidc-provider.js');
+  provider = startMockOidcProvider(4517);
+  await new Promise((resolve) => provider.once('listening', resolve));
+});
+
+after(() => {
+  provider.close();
+});
+
+beforeEach((t) => {
+  process.env.NODE_ENV = 'development';
+  process.env.MOCK_OIDC_EMAIL = 'jane@pharma.example';
+  setRateLimitStore(createMemoryRateLimitStore());
+
+  org = new Organization({
+    name: 'Pharma',
+    members: [],
+    sso: {
+      enabled: true,
+      issuer: ISSUER,
+      clientId: 'nextcomply',
+      clientSecret: 'mock-secret',
+      domains: [{ name: 'pharma.example', verificationToken: 'token', verifiedAt: new Date(), verificationMethod: 'admin' }],
+      defaultRole: 'reviewer'
+    }
+  });
+
+  // Organization.findById is awaited both directly and through .select()
+  t.mock.method(Organization, 'findById', () => Object.assign(Promise.resolve(org), { select: async () => org }));
+  t.mock.method(Organization.prototype, 'save', async function save() { return this; });
+  t.mock.method(User, 'findOne', async () => null);
+  t.mock.method(User.prototype, 'save', async function save() { return this; });
+});
+
+/**
+ * Start a login and let the mock provider approve it
+ * @returns {Promise<{ code: string, state: string }>} The callback's query
+ */
+const authorize = async (options) => {
+  const url = await createAuthorizationUrl(org, options);
+  const response = await axios.get(url, { maxRedirects: 0, validateStatus: () => true });
+  const callback = new URL(response.headers.location);
+  return { code: callback.searchParams.get('code'), state: callback.searchParams.get('state') };
+};
+
+const rejectsWithCode = (promise, code) => assert.rejects(promise, (error) => {
+  assert.equal(error.code, code, error.message);
+  return true;
+});
+
+test('signs in and provisions a user in a verified domain', async () => {
+  const result = await completeLogin(await authorize());
+
+  assert.equal(result.user.email, 'jane@pharma.example');
+  assert.equal(result.role, 'reviewer');
+  assert.equal(result.user.ssoIdentities[0].issuer, ISSUER);
+  assert.equal(org.members.length, 1);
+});
+
+test('a login state is used once', async () => {
+  const callback = await authorize();
+  await completeLogin(callback);
+
+  await rejectsWithCode(completeLogin(callback), 'SSO_STATE_INVALID');
+});
+
+test('of two concurrent callbacks with the same state, only one gets past the state', async () => {
+  const callback = await authorize();
+  const results = await Promise.allSettled([completeLogin(callback), completeLogin(callback)]);
+
+  assert.equal(results.filter((result) => result.status === 'fulfilled').length, 1);
+  assert.equal(results.find((result) => result.status === 'rejected').reason.code, 'SSO_STATE_INVALID');
+});
+
+test('refuses an unknown state', async () => {
+  const { code } = await authorize();
+
+  await rejectsWithCode(completeLogin({ code, state: 'forged-state' }), 'SSO_STATE_INVALID');
+});
+
+test('refuses an ID token whose nonce is not the login\'s', async () => {
+  const callback = await authorize();
+  const key = `sso:state:${callback.state}`;
+  const login = await getRateLimitStore().get(key);
+  await getRateLimitStore().set(key, { ...login, nonce: 'another-nonce' }, 60 * 1000);
+
+  await rejectsWithCode(completeLogin(callback), 'SSO_INVALID_TOKEN');
+});
+
+test('refuses an email outside the organization\'s verified domains', async () => {
+  process.env.MOCK_OIDC_EMAIL = 'eve@elsewhere.example';
+
+  await rejectsWithCode(completeLogin(await authorize()), 'SSO_EMAIL_NOT_ALLOWED');
+});
+
+test('refuses an email in a domain the organization has not verified', async () => {
+  org.sso.domains[0].verifiedAt = null;
+
+  await rejectsWithCode(completeLogin(await authorize()), 'SSO_EMAIL_NOT_ALLOWED');
+});
+
+test('refuses an http issuer outside development', async () => {
+  process.env.NODE_ENV = 'production';
+
+  await rejectsWithCode(createAuthorizationUrl(org), 'SSO_MISCONFIGURED');
+});
+
+test('blocks password login only through an organization that verified the email\'s domain', async (t) => {
+  const findOne = t.mock.method(Organization, 'findOne', () => ({ select: () => ({ lean: async () => null }) }));
+
+  await findPasswordLoginBlock({ email: 'Jane@Pharma.example' });
+
+  assert.deepEqual(findOne.mock.calls[0].arguments[0], {
+    'sso.enabled': true,
+    'sso.passwordLoginDisabled': true,
+    'sso.domains': { $elemMatch: { name: 'pharma.example', verifiedAt: { $ne: null } } }
+  });
+});
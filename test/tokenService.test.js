@@ -0,0 +1,100 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import RefreshToken from '../models/RefreshToken.js';
+import User from '../models/User.js';
+import { createSession, rotateRefreshToken, hashToken } from '../services/tokenService.js';
+
+/**
+ * In-memory stand-in for the RefreshToken queries tokenService makes
+ */
+const createRefreshTokenCollection = () => {
+  const rows = [];
+
+  const matches = (row, query) => Object.entries(query).every(([field, condition]) => {
+    if (condition && typeof condition === 'object' && '$gt' in condition) return row[field] > condition.$gt;
+    return row[field] === condition;
+  });
+
+  const lean = (value) => ({ select: () => ({ lean: async () => (value ? { ...value } : null) }) });
+
+  return {
+    rows,
+    create: async (doc) => {
+      rows.push({ ...doc, revokedAt: null, revokedReason: null });
+    },
+    findOneAndUpdate: async (query, update) => {
+      const row = rows.find((candidate) => matches(candidate, query));
+      if (!row) return null;
+      const before = { ...row };
+      Object.assign(row, update);
+      return before;
+    },
+    findOne: (query) => lean(rows.find((candidate) => matches(candidate, query))),
+    updateMany: async (query, update) => {
+      rows.filter((candidate) => matches(candidate, query)).forEach((row) => Object.assign(row, update));
+    }
+  };
+};
+
+const user = { _id: new mongoose.Types.ObjectId(), email: 'jane@pharma.example', role: 'user', tokenVersion: 0 };
+let tokens;
+
+beforeEach((t) => {
+  tokens = createRefreshTokenCollection();
+  ['create', 'findOneAndUpdate', 'findOne', 'updateMany'].forEach((method) => {
+    t.mock.method(RefreshToken, method, tokens[method]);
+  });
+  t.mock.method(User, 'findById', async (id) => (String(id) === String(user._id) ? user : null));
+});
+
+const rowFor = (refreshToken) => tokens.rows.find((row) => row.tokenHash === hashToken(refreshToken));
+
+test('rotation revokes the used token and continues its family', async () => {
+  const session = await createSession(user, {});
+  const rotated = await rotateRefreshToken(session.refreshToken, {});
+
+  assert.ok(rotated.token);
+  assert.notEqual(rotated.refreshToken, session.refreshToken);
+  assert.equal(rowFor(session.refreshToken).revokedReason, 'rotated');
+  assert.equal(rowFor(rotated.refreshToken).family, rowFor(session.refreshToken).family);
+  assert.equal(rowFor(rotated.refreshToken).revokedAt, null);
+});
+
+test('reusing a rotated token revokes the whole family', async () => {
+  const session = await createSession(user, {});
+  const rotated = await rotateRefreshToken(session.refreshToken, {});
+
+  assert.equal(await rotateRefreshToken(session.refreshToken, {}), null);
+  assert.equal(rowFor(rotated.refreshToken).revokedReason, 'reuse-detected');
+  assert.equal(await rotateRefreshToken(rotated.refreshToken, {}), null);
+});
+
+test('only one of two concurrent refreshes with the same token succeeds', async () => {
+  const session = await createSession(user, {});
+  const results = await Promise.all([
+    rotateRefreshToken(session.refreshToken, {}),
+    rotateRefreshToken(session.refreshToken, {})
+  ]);
+
+  assert.equal(results.filter(Boolean).length, 1);
+});
+
+test('an unknown or expired token is refused without revoking anything', async () => {
+  const session = await createSession(user, {});
+  rowFor(session.refreshToken).expiresAt = new Date(Date.now() - 1000);
+  const other = await createSession(user, {});
+
+  assert.equal(await rotateRefreshToken('not-a-token', {}), null);
+  assert.equal(await rotateRefreshToken(session.refreshToken, {}), null);
+  assert.equal(rowFor(session.refreshToken).revokedAt, null);
+  assert.equal(rowFor(other.refreshToken).revokedAt, null);
+});
+
+test('rotation keeps how the session signed in', async () => {
+  const session = await createSession(user, {}, { method: 'sso' });
+  const rotated = await rotateRefreshToken(session.refreshToken, {});
+
+  assert.equal(rotated.method, 'sso');
+  assert.equal(rowFor(rotated.refreshToken).method, 'sso');
+});
@@ -0,0 +1,32 @@
+/**
+ * Concurrency utilities
+ */
+
+/**
+ * Map over items with at most `limit` promises in flight
+ * @param {Array} items - Items to process
+ * @param {number} limit - Max concurrency, clamped to at least 1
+ * @param {function} worker - async (item, index) => result
+ * @returns {Promise<Array>} Results in input order
+ */
+export const mapWithConcurrency = async (items, limit, worker) => {
+  const results = new Array(items.length);
+  let cursor = 0;
+
+  const runNext = async () => {
+    while (cursor < items.length) {
+      const index = cursor;
+      cursor += 1;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  const runnerCount = Math.max(1, Math.floor(limit) || 1);
+  const runners = Array.from({ length: Math.min(runnerCount, items.length) }, () => runNext());
+  await Promise.all(runners);
+  return results;
+};
+
+export default {
+  mapWithConcurrency
+};
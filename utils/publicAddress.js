@@ -0,0 +1,73 @@
+import dns from 'dns';
+import net from 'net';
+
+/**
+ * Public address utilities
+ * Keep server-side requests to URLs that users configure (e.g. an SSO issuer)
+ * away from loopback, private, link-local and other non-public addresses.
+ */
+
+const NON_PUBLIC = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([address, prefix]) => NON_PUBLIC.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => NON_PUBLIC.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is on the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+export const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) return false;
+
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as the IPv4 address
+  const mapped = family === 6 && address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return !NON_PUBLIC.check(mapped[1], 'ipv4');
+  return !NON_PUBLIC.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * dns.lookup for http(s).Agent that refuses hosts resolving to a non-public
+ * address; checked on every connection, so redirects and DNS rebinding are covered
+ * @param {string} hostname
+ * @param {object} options - dns.lookup options
+ * @param {Function} callback - dns.lookup callback
+ */
+export const publicOnlyLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find((entry) => !isPublicAddress(entry.address));
+    if (blocked || !addresses.length) {
+      const refused = new Error(`${hostname} resolves to a non-public address${blocked ? ` (${blocked.address})` : ''}`);
+      refused.code = 'ENONPUBLIC';
+      return callback(refused);
+    }
+
+    if (options?.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+export default {
+  isPublicAddress,
+  publicOnlyLookup
+};